@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "email_verification_codes" (
+    "id" TEXT NOT NULL,
+    "accountType" "AccountType" NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "email_verification_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "email_verification_codes_accountType_accountId_idx" ON "email_verification_codes"("accountType", "accountId");
@@ -0,0 +1,2 @@
+-- Promote admin creator (lihat ADMIN_CREATOR_EMAIL di admin-auth.service) menjadi SUPERADMIN
+UPDATE "admins" SET "role" = 'SUPERADMIN' WHERE "email" = 'admin@halositek.com';
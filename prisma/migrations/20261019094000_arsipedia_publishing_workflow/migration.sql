@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "ArsipediaStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED');
+
+-- DropIndex
+DROP INDEX "arsipedia_status_idx";
+
+-- AlterTable
+ALTER TABLE "arsipedia" ADD COLUMN "publishedAt" TIMESTAMP(3),
+ADD COLUMN "scheduledFor" TIMESTAMP(3);
+
+-- Konversi status string lama ke enum
+-- (SCHEDULED lama tidak punya jadwal dan nilai tidak dikenal dianggap DRAFT)
+ALTER TABLE "arsipedia" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "arsipedia" ALTER COLUMN "status" TYPE "ArsipediaStatus" USING (
+    CASE UPPER(TRIM("status"))
+        WHEN 'PUBLISHED' THEN 'PUBLISHED'
+        WHEN 'ARCHIVED' THEN 'ARCHIVED'
+        ELSE 'DRAFT'
+    END
+)::"ArsipediaStatus";
+ALTER TABLE "arsipedia" ALTER COLUMN "status" SET DEFAULT 'DRAFT';
+
+-- Entry yang sudah published memakai createdAt sebagai publishedAt
+UPDATE "arsipedia" SET "publishedAt" = "createdAt" WHERE "status" = 'PUBLISHED';
+
+-- CreateIndex
+CREATE INDEX "arsipedia_status_publishedAt_idx" ON "arsipedia"("status", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "arsipedia_status_scheduledFor_idx" ON "arsipedia"("status", "scheduledFor");
@@ -0,0 +1,3 @@
+-- Full-text search index untuk listing arsipedia (title + content)
+-- Expression harus sama dengan SEARCH_VECTOR di arsipedia.repository
+CREATE INDEX "arsipedia_search_idx" ON "arsipedia" USING GIN (to_tsvector('simple', coalesce("title", '') || ' ' || coalesce("content", '')));
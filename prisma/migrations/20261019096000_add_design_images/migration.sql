@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "DesignImageType" AS ENUM ('BANGUNAN', 'DENAH');
+
+-- CreateTable
+CREATE TABLE "design_images" (
+    "id" TEXT NOT NULL,
+    "designId" TEXT NOT NULL,
+    "type" "DesignImageType" NOT NULL,
+    "url" TEXT NOT NULL,
+    "storageKey" TEXT,
+    "order" INTEGER NOT NULL DEFAULT 0,
+    "caption" TEXT,
+    "width" INTEGER,
+    "height" INTEGER,
+    "isCover" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "design_images_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "design_images_designId_type_order_idx" ON "design_images"("designId", "type", "order");
+
+-- AddForeignKey
+ALTER TABLE "design_images" ADD CONSTRAINT "design_images_designId_fkey" FOREIGN KEY ("designId") REFERENCES "designs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Konversi JSON array lama (foto_bangunan / foto_denah) ke design_images
+-- Urutan array dipertahankan, storageKey diambil dari public_id di URL Cloudinary (jika ada)
+INSERT INTO "design_images" ("id", "designId", "type", "url", "storageKey", "order", "updatedAt")
+SELECT
+    gen_random_uuid()::text,
+    src."designId",
+    src."type"::"DesignImageType",
+    src."url",
+    substring(src."url" from '/upload/(?:v[0-9]+/)?(.+)\.[a-zA-Z0-9]+$'),
+    (ROW_NUMBER() OVER (PARTITION BY src."designId", src."type" ORDER BY src."position") - 1)::int,
+    CURRENT_TIMESTAMP
+FROM (
+    SELECT d."id" AS "designId", 'BANGUNAN' AS "type", trim(e.value) AS "url", e.position
+    FROM "designs" d
+    CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN left(ltrim(d."foto_bangunan"), 1) = '[' THEN d."foto_bangunan"::jsonb ELSE '[]'::jsonb END
+    ) WITH ORDINALITY AS e(value, position)
+    UNION ALL
+    SELECT d."id", 'DENAH', trim(e.value), e.position
+    FROM "designs" d
+    CROSS JOIN LATERAL jsonb_array_elements_text(
+        CASE WHEN left(ltrim(d."foto_denah"), 1) = '[' THEN d."foto_denah"::jsonb ELSE '[]'::jsonb END
+    ) WITH ORDINALITY AS e(value, position)
+) src
+WHERE src."url" IS NOT NULL AND src."url" <> '';
+
+-- Foto bangunan pertama menjadi cover
+UPDATE "design_images" SET "isCover" = true WHERE "type" = 'BANGUNAN' AND "order" = 0;
+
+-- AlterTable
+ALTER TABLE "designs" DROP COLUMN "foto_bangunan",
+DROP COLUMN "foto_denah";
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "design_view_events" (
+    "id" TEXT NOT NULL,
+    "designId" TEXT NOT NULL,
+    "viewerType" "AccountType" NOT NULL,
+    "viewerId" TEXT NOT NULL,
+    "viewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "design_view_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "design_view_events_designId_viewedAt_idx" ON "design_view_events"("designId", "viewedAt");
+
+-- CreateIndex
+CREATE INDEX "design_view_events_viewedAt_idx" ON "design_view_events"("viewedAt");
+
+-- AddForeignKey
+ALTER TABLE "design_view_events" ADD CONSTRAINT "design_view_events_designId_fkey" FOREIGN KEY ("designId") REFERENCES "designs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "ViewTargetType" AS ENUM ('DESIGN', 'ARCHITECT_PROFILE');
+
+-- AlterTable
+ALTER TABLE "design_view_events" ADD COLUMN "referrer" TEXT;
+
+-- CreateTable
+CREATE TABLE "architect_profile_view_events" (
+    "id" TEXT NOT NULL,
+    "architectId" TEXT NOT NULL,
+    "viewerType" "AccountType" NOT NULL,
+    "viewerId" TEXT NOT NULL,
+    "referrer" TEXT,
+    "viewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "architect_profile_view_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "view_daily_rollups" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "targetType" "ViewTargetType" NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "architectId" TEXT NOT NULL,
+    "views" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "view_daily_rollups_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "architect_profile_view_events_architectId_viewedAt_idx" ON "architect_profile_view_events"("architectId", "viewedAt");
+
+-- CreateIndex
+CREATE INDEX "view_daily_rollups_architectId_date_idx" ON "view_daily_rollups"("architectId", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "view_daily_rollups_targetType_targetId_date_key" ON "view_daily_rollups"("targetType", "targetId", "date");
+
+-- AddForeignKey
+ALTER TABLE "architect_profile_view_events" ADD CONSTRAINT "architect_profile_view_events_architectId_fkey" FOREIGN KEY ("architectId") REFERENCES "architects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- AlterEnum
+ALTER TYPE "ViewTargetType" ADD VALUE 'ARSIPEDIA';
+
+-- CreateTable
+CREATE TABLE "anonymous_views" (
+    "id" TEXT NOT NULL,
+    "targetType" "ViewTargetType" NOT NULL,
+    "targetId" TEXT NOT NULL,
+    "visitorHash" TEXT NOT NULL,
+    "viewedCount" INTEGER NOT NULL DEFAULT 1,
+    "firstViewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastCountedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "anonymous_views_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "anonymous_views_targetType_targetId_visitorHash_key" ON "anonymous_views"("targetType", "targetId", "visitorHash");
+
+-- CreateIndex
+CREATE INDEX "anonymous_views_targetType_targetId_idx" ON "anonymous_views"("targetType", "targetId");
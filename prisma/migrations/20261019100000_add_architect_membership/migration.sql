@@ -0,0 +1,38 @@
+-- AlterEnum
+ALTER TYPE "ArchitectStatus" ADD VALUE 'EXPIRED';
+
+-- CreateEnum
+CREATE TYPE "TransactionType" AS ENUM ('REGISTRATION', 'RENEWAL');
+
+-- AlterTable
+ALTER TABLE "architects" ADD COLUMN "activeUntil" TIMESTAMP(3),
+ADD COLUMN "membershipReminderDay" INTEGER;
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "type" "TransactionType" NOT NULL DEFAULT 'REGISTRATION',
+ADD COLUMN "periodStart" TIMESTAMP(3),
+ADD COLUMN "periodEnd" TIMESTAMP(3);
+
+-- Backfill: transaksi SUCCESS lama = periode 1 tahun sejak dibayar
+UPDATE "transactions"
+SET "periodStart" = COALESCE("paidAt", "createdAt"),
+    "periodEnd" = COALESCE("paidAt", "createdAt") + INTERVAL '1 year'
+WHERE "status" = 'SUCCESS';
+
+-- Backfill: arsitek ACTIVE mendapat activeUntil dari pembayaran terakhir,
+-- minimal 30 hari dari sekarang supaya sempat menerima reminder sebelum expired
+UPDATE "architects" a
+SET "activeUntil" = GREATEST(
+    COALESCE(
+        (SELECT MAX(t."periodEnd") FROM "transactions" t WHERE t."architectId" = a."id" AND t."status" = 'SUCCESS'),
+        a."createdAt" + INTERVAL '1 year'
+    ),
+    NOW() + INTERVAL '30 days'
+)
+WHERE a."status" = 'ACTIVE';
+
+-- CreateIndex
+CREATE INDEX "architects_status_activeUntil_idx" ON "architects"("status", "activeUntil");
+
+-- CreateIndex
+CREATE INDEX "transactions_architectId_type_status_idx" ON "transactions"("architectId", "type", "status");
@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "PromoDiscountType" AS ENUM ('PERCENTAGE', 'FIXED');
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "originalAmount" INTEGER,
+ADD COLUMN "discountAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "promoCodeId" TEXT;
+
+-- CreateTable
+CREATE TABLE "promo_codes" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "discountType" "PromoDiscountType" NOT NULL,
+    "discountValue" INTEGER NOT NULL,
+    "validFrom" TIMESTAMP(3),
+    "validUntil" TIMESTAMP(3),
+    "maxRedemptions" INTEGER,
+    "redemptionCount" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promo_codes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "promo_redemptions" (
+    "id" TEXT NOT NULL,
+    "promoCodeId" TEXT NOT NULL,
+    "architectId" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "discountAmount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "promo_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_codes_code_key" ON "promo_codes"("code");
+
+-- CreateIndex
+CREATE INDEX "promo_codes_isActive_idx" ON "promo_codes"("isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_redemptions_transactionId_key" ON "promo_redemptions"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "promo_redemptions_architectId_idx" ON "promo_redemptions"("architectId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "promo_redemptions_promoCodeId_architectId_key" ON "promo_redemptions"("promoCodeId", "architectId");
+
+-- AddForeignKey
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "promo_codes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promo_redemptions" ADD CONSTRAINT "promo_redemptions_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "promo_codes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promo_redemptions" ADD CONSTRAINT "promo_redemptions_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "TransactionStatus" ADD VALUE 'CANCELLED';
+ALTER TYPE "TransactionStatus" ADD VALUE 'REFUNDED';
+
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "refundedAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "refundReason" TEXT,
+ADD COLUMN "refundedAt" TIMESTAMP(3),
+ADD COLUMN "cancelReason" TEXT,
+ADD COLUMN "cancelledAt" TIMESTAMP(3);
@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "invoiceNumber" TEXT,
+ADD COLUMN "invoicedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "invoice_counters" (
+    "year" INTEGER NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "invoice_counters_pkey" PRIMARY KEY ("year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "transactions_invoiceNumber_key" ON "transactions"("invoiceNumber");
+
+-- Backfill: transaksi yang sudah dibayar diberi nomor berurutan per tahun (WIB) sesuai paidAt
+WITH numbered AS (
+    SELECT
+        "id",
+        COALESCE("paidAt", "createdAt") AS "issuedAt",
+        EXTRACT(YEAR FROM (COALESCE("paidAt", "createdAt") AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Jakarta'))::INTEGER AS "year",
+        ROW_NUMBER() OVER (
+            PARTITION BY EXTRACT(YEAR FROM (COALESCE("paidAt", "createdAt") AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Jakarta'))
+            ORDER BY COALESCE("paidAt", "createdAt"), "id"
+        ) AS "seq"
+    FROM "transactions"
+    WHERE "status" IN ('SUCCESS', 'REFUNDED')
+)
+UPDATE "transactions" t
+SET "invoiceNumber" = 'INV-' || n."year" || '-' || LPAD(n."seq"::TEXT, 5, '0'),
+    "invoicedAt" = n."issuedAt"
+FROM numbered n
+WHERE t."id" = n."id";
+
+INSERT INTO "invoice_counters" ("year", "lastNumber", "updatedAt")
+SELECT
+    SPLIT_PART("invoiceNumber", '-', 2)::INTEGER,
+    MAX(SPLIT_PART("invoiceNumber", '-', 3)::INTEGER),
+    CURRENT_TIMESTAMP
+FROM "transactions"
+WHERE "invoiceNumber" IS NOT NULL
+GROUP BY SPLIT_PART("invoiceNumber", '-', 2);
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "WebhookEventResult" AS ENUM ('RECEIVED', 'PROCESSED', 'IGNORED', 'DUPLICATE', 'FAILED', 'INVALID_SIGNATURE');
+
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT,
+    "providerTransactionId" TEXT,
+    "transactionStatus" TEXT,
+    "dedupeKey" TEXT,
+    "signatureValid" BOOLEAN NOT NULL,
+    "payload" JSONB NOT NULL,
+    "result" "WebhookEventResult" NOT NULL DEFAULT 'RECEIVED',
+    "error" TEXT,
+    "replayCount" INTEGER NOT NULL DEFAULT 0,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "transactionId" TEXT,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_orderId_idx" ON "webhook_events"("orderId");
+
+-- CreateIndex
+CREATE INDEX "webhook_events_dedupeKey_result_idx" ON "webhook_events"("dedupeKey", "result");
+
+-- CreateIndex
+CREATE INDEX "webhook_events_result_idx" ON "webhook_events"("result");
+
+-- CreateIndex
+CREATE INDEX "webhook_events_createdAt_idx" ON "webhook_events"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "webhook_events" ADD CONSTRAINT "webhook_events_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
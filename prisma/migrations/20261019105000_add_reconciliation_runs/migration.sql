@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "ReconciliationTrigger" AS ENUM ('CRON', 'ADMIN');
+
+-- CreateTable
+CREATE TABLE "reconciliation_runs" (
+    "id" TEXT NOT NULL,
+    "trigger" "ReconciliationTrigger" NOT NULL DEFAULT 'CRON',
+    "triggeredById" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "checkedCount" INTEGER NOT NULL DEFAULT 0,
+    "mismatchCount" INTEGER NOT NULL DEFAULT 0,
+    "fixedCount" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "items" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "reconciliation_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reconciliation_runs_startedAt_idx" ON "reconciliation_runs"("startedAt");
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "StatusEntityType" AS ENUM ('TRANSACTION', 'ARCHITECT');
+
+-- CreateEnum
+CREATE TYPE "StatusChangeSource" AS ENUM ('WEBHOOK', 'ADMIN', 'CRON', 'RECONCILIATION', 'SYSTEM');
+
+-- CreateTable
+CREATE TABLE "status_changes" (
+    "id" TEXT NOT NULL,
+    "entityType" "StatusEntityType" NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "source" "StatusChangeSource" NOT NULL,
+    "actorId" TEXT,
+    "reason" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "transactionId" TEXT,
+    "architectId" TEXT,
+
+    CONSTRAINT "status_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "status_changes_transactionId_createdAt_idx" ON "status_changes"("transactionId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "status_changes_architectId_createdAt_idx" ON "status_changes"("architectId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "status_changes" ADD CONSTRAINT "status_changes_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "transactions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "status_changes" ADD CONSTRAINT "status_changes_architectId_fkey" FOREIGN KEY ("architectId") REFERENCES "architects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,89 @@
+-- CreateTable
+CREATE TABLE "skills" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "skills_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "skill_aliases" (
+    "id" TEXT NOT NULL,
+    "skillId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "skill_aliases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "architect_skills" (
+    "architectId" TEXT NOT NULL,
+    "skillId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "architect_skills_pkey" PRIMARY KEY ("architectId","skillId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "skills_slug_key" ON "skills"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "skill_aliases_slug_key" ON "skill_aliases"("slug");
+
+-- CreateIndex
+CREATE INDEX "skill_aliases_skillId_idx" ON "skill_aliases"("skillId");
+
+-- CreateIndex
+CREATE INDEX "architect_skills_skillId_idx" ON "architect_skills"("skillId");
+
+-- AddForeignKey
+ALTER TABLE "skill_aliases" ADD CONSTRAINT "skill_aliases_skillId_fkey" FOREIGN KEY ("skillId") REFERENCES "skills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "architect_skills" ADD CONSTRAINT "architect_skills_architectId_fkey" FOREIGN KEY ("architectId") REFERENCES "architects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "architect_skills" ADD CONSTRAINT "architect_skills_skillId_fkey" FOREIGN KEY ("skillId") REFERENCES "skills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Normalisasi keahlianKhusus lama (JSON array string) ke skills + architect_skills
+-- slug = huruf kecil tanpa spasi/tanda baca (sama dengan SkillService.toSlug), jadi
+-- "AutoCAD", "autocad" dan "Auto Cad" menjadi satu skill; nama kanonik = ejaan yang paling sering dipakai
+CREATE TEMP TABLE "legacy_skills" AS
+SELECT
+    a."id" AS "architectId",
+    trim(e.value) AS "name",
+    lower(regexp_replace(e.value, '[^a-zA-Z0-9]+', '', 'g')) AS "slug"
+FROM "architects" a
+CROSS JOIN LATERAL jsonb_array_elements_text(
+    CASE WHEN left(ltrim(a."keahlianKhusus"), 1) = '[' THEN a."keahlianKhusus"::jsonb ELSE '[]'::jsonb END
+) AS e(value);
+
+DELETE FROM "legacy_skills" WHERE "slug" = '';
+
+INSERT INTO "skills" ("id", "name", "slug", "updatedAt")
+SELECT DISTINCT ON (s."slug")
+    gen_random_uuid()::text,
+    s."name",
+    s."slug",
+    CURRENT_TIMESTAMP
+FROM (
+    SELECT "slug", "name", COUNT(*) AS "uses"
+    FROM "legacy_skills"
+    GROUP BY "slug", "name"
+) s
+ORDER BY s."slug", s."uses" DESC, s."name";
+
+INSERT INTO "architect_skills" ("architectId", "skillId")
+SELECT DISTINCT l."architectId", s."id"
+FROM "legacy_skills" l
+JOIN "skills" s ON s."slug" = l."slug";
+
+DROP TABLE "legacy_skills";
+
+-- AlterTable
+ALTER TABLE "architects" DROP COLUMN "keahlianKhusus";
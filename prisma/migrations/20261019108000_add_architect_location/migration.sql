@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "RegionType" AS ENUM ('PROVINCE', 'CITY', 'REGENCY');
+
+-- CreateTable
+CREATE TABLE "regions" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "RegionType" NOT NULL,
+    "parentId" TEXT,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+
+    CONSTRAINT "regions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "architect_service_areas" (
+    "architectId" TEXT NOT NULL,
+    "regionId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "architect_service_areas_pkey" PRIMARY KEY ("architectId","regionId")
+);
+
+-- AlterTable
+ALTER TABLE "architects" ADD COLUMN "cityId" TEXT,
+ADD COLUMN "latitude" DOUBLE PRECISION,
+ADD COLUMN "longitude" DOUBLE PRECISION,
+ADD COLUMN "provinceId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "regions_parentId_idx" ON "regions"("parentId");
+
+-- CreateIndex
+CREATE INDEX "regions_type_idx" ON "regions"("type");
+
+-- CreateIndex
+CREATE INDEX "architect_service_areas_regionId_idx" ON "architect_service_areas"("regionId");
+
+-- CreateIndex
+CREATE INDEX "architects_provinceId_idx" ON "architects"("provinceId");
+
+-- CreateIndex
+CREATE INDEX "architects_cityId_idx" ON "architects"("cityId");
+
+-- AddForeignKey
+ALTER TABLE "regions" ADD CONSTRAINT "regions_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "regions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "architects" ADD CONSTRAINT "architects_provinceId_fkey" FOREIGN KEY ("provinceId") REFERENCES "regions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "architects" ADD CONSTRAINT "architects_cityId_fkey" FOREIGN KEY ("cityId") REFERENCES "regions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "architect_service_areas" ADD CONSTRAINT "architect_service_areas_architectId_fkey" FOREIGN KEY ("architectId") REFERENCES "architects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "architect_service_areas" ADD CONSTRAINT "architect_service_areas_regionId_fkey" FOREIGN KEY ("regionId") REFERENCES "regions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "CertificationStatus" AS ENUM ('PENDING', 'VERIFIED', 'REJECTED');
+
+-- AlterTable
+-- Sertifikasi yang sudah ada belum pernah direview, jadi masuk antrian sebagai PENDING
+ALTER TABLE "certifications" ADD COLUMN "verificationStatus" "CertificationStatus" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN "reviewedById" TEXT,
+ADD COLUMN "reviewedAt" TIMESTAMP(3),
+ADD COLUMN "rejectionReason" TEXT;
+
+-- CreateIndex
+CREATE INDEX "certifications_verificationStatus_createdAt_idx" ON "certifications"("verificationStatus", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "certifications" ADD CONSTRAINT "certifications_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
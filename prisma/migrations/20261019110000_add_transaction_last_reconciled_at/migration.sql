@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "transactions" ADD COLUMN "lastReconciledAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "transactions_status_lastReconciledAt_idx" ON "transactions"("status", "lastReconciledAt");
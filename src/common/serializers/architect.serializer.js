@@ -0,0 +1,107 @@
+/**
+ * Architect Serializer
+ * - public: profil di direktori (tanpa kontak, status akun, membership)
+ * - owner: profil milik arsitek yang login
+ * - admin: semua kecuali password
+ * - summary: info singkat arsitek yang di-embed di design
+ */
+
+const BaseSerializer = require('./base.serializer');
+const certificationSerializer = require('./certification.serializer');
+const designSerializer = require('./design.serializer');
+const transactionSerializer = require('./transaction.serializer');
+
+const SUMMARY_FIELDS = ['id', 'name', 'tahunPengalaman', 'areaPengalaman'];
+const OWNER_FIELDS = ['latitude', 'longitude', 'email', 'phone', 'status', 'emailVerified', 'emailVerifiedAt', 'activeUntil', 'updatedAt'];
+const ADMIN_FIELDS = ['membershipReminderDay', '_count'];
+
+class ArchitectSerializer extends BaseSerializer {
+  /**
+   * Skill kanonik dari relasi ArchitectSkill (atau hasil serialize sebelumnya)
+   */
+  skills(architect) {
+    if (architect.skills === undefined) return undefined;
+    return architect.skills.map((link) => {
+      const skill = link.skill || link;
+      return { id: skill.id, name: skill.name, slug: skill.slug };
+    });
+  }
+
+  /**
+   * Wilayah ringkas; serviceAreas bisa berupa relasi ArchitectServiceArea atau hasil serialize sebelumnya
+   */
+  region(region) {
+    if (!region) return region;
+    return { id: region.id, name: region.name, type: region.type };
+  }
+
+  serviceAreas(architect) {
+    if (architect.serviceAreas === undefined) return undefined;
+    return architect.serviceAreas.map((area) => this.region(area.region || area));
+  }
+
+  portfolioLinks(links, withTimestamps = false) {
+    if (links === undefined) return undefined;
+    return links.map((link) =>
+      this.compact({
+        id: link.id,
+        url: link.url,
+        order: link.order,
+        createdAt: withTimestamps ? link.createdAt : undefined,
+      })
+    );
+  }
+
+  summaryView(architect) {
+    return {
+      ...this.pick(architect, SUMMARY_FIELDS),
+      profilePictureUrl: this.fileUrl(architect, 'profilePictureUrl'),
+    };
+  }
+
+  publicView(architect) {
+    const skills = this.skills(architect);
+
+    return {
+      ...this.summaryView(architect),
+      skills,
+      keahlianKhusus: skills && skills.map((skill) => skill.name), // nama saja, untuk client lama
+      province: this.region(architect.province),
+      city: this.region(architect.city),
+      serviceAreas: this.serviceAreas(architect),
+      distanceKm: architect.distanceKm, // hanya ada di radius search
+      // sertifikasi yang ditolak admin tidak ditampilkan di profil publik
+      certifications: this.relation(
+        certificationSerializer,
+        architect.certifications && architect.certifications.filter((cert) => cert.verificationStatus !== 'REJECTED'),
+        'public'
+      ),
+      portfolioLinks: this.portfolioLinks(architect.portfolioLinks),
+      designs: this.relation(designSerializer, architect.designs, 'summary'),
+      designCount: architect._count?.designs ?? architect.designCount,
+      viewCount: architect._count?.profileViewEvents ?? architect.viewCount,
+      createdAt: architect.createdAt,
+    };
+  }
+
+  ownerView(architect) {
+    return {
+      ...this.publicView(architect),
+      ...this.pick(architect, OWNER_FIELDS),
+      certifications: this.relation(certificationSerializer, architect.certifications, 'owner'),
+    };
+  }
+
+  adminView(architect) {
+    return {
+      ...this.ownerView(architect),
+      ...this.pick(architect, ADMIN_FIELDS),
+      certifications: this.relation(certificationSerializer, architect.certifications, 'admin'),
+      portfolioLinks: this.portfolioLinks(architect.portfolioLinks, true),
+      designs: this.relation(designSerializer, architect.designs, 'admin'),
+      transactions: this.relation(transactionSerializer, architect.transactions, 'admin'),
+    };
+  }
+}
+
+module.exports = new ArchitectSerializer();
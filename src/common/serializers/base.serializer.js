@@ -0,0 +1,76 @@
+/**
+ * Base Serializer
+ * Whitelist field per view (public / owner / admin) supaya response tidak pernah
+ * membawa field privat (password, token, file dokumen, dsb) walaupun repository
+ * mengembalikan row Prisma lengkap.
+ *
+ * View idempotent: aman dipanggil untuk row mentah maupun hasil serialize sebelumnya,
+ * dan field yang tidak ada di row (select sebagian) tidak dimunculkan.
+ */
+
+const FileUploadHelper = require('../../utils/file-upload-helper');
+
+class BaseSerializer {
+  /**
+   * Serialize satu entity
+   * @param {Object|null} entity - Row Prisma / object hasil format
+   * @param {String} view - Nama view (public, owner, admin, summary)
+   * @returns {Object|null} - Object berisi field yang diizinkan untuk view tersebut
+   */
+  serialize(entity, view = 'public') {
+    if (!entity) return null;
+
+    const build = this[`${view}View`];
+    if (typeof build !== 'function') {
+      throw new Error(`${this.constructor.name} has no "${view}" view`);
+    }
+
+    return this.compact(build.call(this, entity));
+  }
+
+  /**
+   * Serialize array entity (null/undefined -> [])
+   */
+  many(list, view = 'public') {
+    return (list || []).map((entity) => this.serialize(entity, view));
+  }
+
+  /**
+   * Serialize hasil findWithPagination ({ data, pagination })
+   */
+  page(result, view = 'public') {
+    return { ...result, data: this.many(result?.data, view) };
+  }
+
+  /**
+   * Ambil field yang ada di entity saja
+   */
+  pick(entity, fields) {
+    return fields.reduce((acc, field) => {
+      if (entity[field] !== undefined) acc[field] = entity[field];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Path upload -> URL (undefined kalau field tidak di-select)
+   */
+  fileUrl(entity, field) {
+    if (entity[field] === undefined) return undefined;
+    return FileUploadHelper.getFileUrl(entity[field]);
+  }
+
+  /**
+   * Relasi hanya di-serialize kalau ikut di-include
+   */
+  relation(serializer, value, view) {
+    if (value === undefined) return undefined;
+    return Array.isArray(value) ? serializer.many(value, view) : serializer.serialize(value, view);
+  }
+
+  compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+  }
+}
+
+module.exports = BaseSerializer;
@@ -0,0 +1,43 @@
+/**
+ * Certification Serializer
+ * Berkas sertifikat (scan dokumen) hanya untuk pemilik & admin.
+ * Publik hanya melihat badge verified (status PENDING / REJECTED & alasan penolakan tidak ditampilkan).
+ */
+
+const BaseSerializer = require('./base.serializer');
+
+const PUBLIC_FIELDS = ['id', 'certificationName', 'penerbit', 'year'];
+const REVIEW_FIELDS = ['verificationStatus', 'reviewedAt', 'rejectionReason'];
+
+class CertificationSerializer extends BaseSerializer {
+  publicView(certification) {
+    return {
+      ...this.pick(certification, PUBLIC_FIELDS),
+      verified: certification.verificationStatus === undefined
+        ? certification.verified
+        : certification.verificationStatus === 'VERIFIED',
+    };
+  }
+
+  ownerView(certification) {
+    return {
+      ...this.publicView(certification),
+      ...this.pick(certification, REVIEW_FIELDS),
+      berkasUrl: this.fileUrl(certification, 'berkasUrl'),
+      createdAt: certification.createdAt,
+      updatedAt: certification.updatedAt,
+    };
+  }
+
+  adminView(certification) {
+    return {
+      ...this.ownerView(certification),
+      architectId: certification.architectId,
+      reviewedById: certification.reviewedById,
+      reviewedBy: certification.reviewedBy && this.pick(certification.reviewedBy, ['id', 'fullName']),
+      architect: certification.architect && this.pick(certification.architect, ['id', 'name', 'email']),
+    };
+  }
+}
+
+module.exports = new CertificationSerializer();
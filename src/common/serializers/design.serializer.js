@@ -0,0 +1,80 @@
+/**
+ * Design Serializer
+ * foto_bangunan / foto_denah (array URL) tetap ada untuk backward compatibility
+ */
+
+const BaseSerializer = require('./base.serializer');
+const FileUploadHelper = require('../../utils/file-upload-helper');
+
+const IMAGE_TYPES = {
+  BANGUNAN: 'BANGUNAN',
+  DENAH: 'DENAH',
+};
+
+const SUMMARY_FIELDS = ['id', 'title', 'kategori', 'createdAt'];
+
+class DesignSerializer extends BaseSerializer {
+  /**
+   * Design lengkap dengan images + cover (dipakai semua endpoint design)
+   */
+  publicView(design) {
+    const images = [...(design.images || [])].sort(
+      (a, b) => a.type.localeCompare(b.type) || a.order - b.order
+    );
+    const urlsOf = (type) =>
+      images.filter((img) => img.type === type).map((img) => FileUploadHelper.getFileUrl(img.url));
+
+    const cover =
+      images.find((img) => img.isCover) ||
+      images.find((img) => img.type === IMAGE_TYPES.BANGUNAN) ||
+      null;
+
+    // lazy require: architect.serializer juga me-require serializer ini
+    const architectSerializer = require('./architect.serializer');
+
+    return {
+      id: design.id,
+      title: design.title,
+      description: design.description,
+      kategori: design.kategori,
+      luas_bangunan: design.luas_bangunan,
+      luas_tanah: design.luas_tanah,
+      foto_bangunan: urlsOf(IMAGE_TYPES.BANGUNAN),
+      foto_denah: urlsOf(IMAGE_TYPES.DENAH),
+      coverImage: cover ? FileUploadHelper.getFileUrl(cover.url) : null,
+      images: images.map((img) => ({
+        id: img.id,
+        type: img.type,
+        url: FileUploadHelper.getFileUrl(img.url),
+        order: img.order,
+        caption: img.caption,
+        width: img.width,
+        height: img.height,
+        isCover: cover ? img.id === cover.id : false,
+      })),
+      architect: this.relation(architectSerializer, design.architect, 'summary'),
+      createdAt: design.createdAt,
+      updatedAt: design.updatedAt,
+    };
+  }
+
+  ownerView(design) {
+    return {
+      ...this.publicView(design),
+      architectId: design.architectId,
+    };
+  }
+
+  adminView(design) {
+    return this.ownerView(design);
+  }
+
+  /**
+   * Ringkas (list design di profil arsitek)
+   */
+  summaryView(design) {
+    return this.pick(design, SUMMARY_FIELDS);
+  }
+}
+
+module.exports = new DesignSerializer();
@@ -0,0 +1,19 @@
+/**
+ * Serializers
+ * Semua response entity (Architect, User, Design, Transaction, Certification)
+ * lewat sini supaya field privat tidak bocor ke endpoint publik
+ */
+
+const architectSerializer = require('./architect.serializer');
+const certificationSerializer = require('./certification.serializer');
+const designSerializer = require('./design.serializer');
+const transactionSerializer = require('./transaction.serializer');
+const userSerializer = require('./user.serializer');
+
+module.exports = {
+  architectSerializer,
+  certificationSerializer,
+  designSerializer,
+  transactionSerializer,
+  userSerializer,
+};
@@ -0,0 +1,61 @@
+/**
+ * Transaction Serializer
+ * - public: halaman pembayaran (diakses lewat payment token)
+ * - owner: riwayat pembayaran arsitek
+ * - admin: lengkap termasuk token & response gateway untuk debugging
+ */
+
+const BaseSerializer = require('./base.serializer');
+
+const PUBLIC_FIELDS = ['orderId', 'type', 'amount', 'originalAmount', 'discountAmount', 'status', 'expiredAt'];
+
+const OWNER_FIELDS = [
+  'id',
+  'paymentMethod',
+  'invoiceNumber',
+  'paidAt',
+  'periodStart',
+  'periodEnd',
+  'refundedAmount',
+  'refundedAt',
+  'cancelledAt',
+  'createdAt',
+];
+
+const ADMIN_FIELDS = [
+  'architectId',
+  'paymentToken',
+  'snapToken',
+  'promoCodeId',
+  'invoicedAt',
+  'refundReason',
+  'cancelReason',
+  'midtransResponse',
+  'updatedAt',
+];
+
+class TransactionSerializer extends BaseSerializer {
+  publicView(transaction) {
+    return this.pick(transaction, PUBLIC_FIELDS);
+  }
+
+  ownerView(transaction) {
+    return {
+      ...this.publicView(transaction),
+      ...this.pick(transaction, OWNER_FIELDS),
+    };
+  }
+
+  adminView(transaction) {
+    // lazy require: architect.serializer juga me-require serializer ini
+    const architectSerializer = require('./architect.serializer');
+
+    return {
+      ...this.ownerView(transaction),
+      ...this.pick(transaction, ADMIN_FIELDS),
+      architect: this.relation(architectSerializer, transaction.architect, 'admin'),
+    };
+  }
+}
+
+module.exports = new TransactionSerializer();
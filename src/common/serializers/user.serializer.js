@@ -0,0 +1,33 @@
+/**
+ * User Serializer
+ * - public: identitas yang boleh tampil ke user lain
+ * - owner: profil milik user yang login
+ * - admin: sama dengan owner (password tidak pernah ikut)
+ */
+
+const BaseSerializer = require('./base.serializer');
+
+const PUBLIC_FIELDS = ['id', 'username', 'fullName'];
+const OWNER_FIELDS = ['email', 'emailVerified', 'emailVerifiedAt', 'createdAt', 'updatedAt'];
+
+class UserSerializer extends BaseSerializer {
+  publicView(user) {
+    return {
+      ...this.pick(user, PUBLIC_FIELDS),
+      profilePictureUrl: this.fileUrl(user, 'profilePictureUrl'),
+    };
+  }
+
+  ownerView(user) {
+    return {
+      ...this.publicView(user),
+      ...this.pick(user, OWNER_FIELDS),
+    };
+  }
+
+  adminView(user) {
+    return this.ownerView(user);
+  }
+}
+
+module.exports = new UserSerializer();
@@ -55,9 +55,10 @@ class EmailService {
    * @param {String} options.subject - Email subject
    * @param {String} options.html - HTML content
    * @param {String} options.text - Plain text content (optional)
+   * @param {Array} options.attachments - Nodemailer attachments (optional)
    * @returns {Promise<Object>} - Email info
    */
-  async sendEmail({ to, subject, html, text = '' }) {
+  async sendEmail({ to, subject, html, text = '', attachments = [] }) {
     try {
       if (!this.transporter) {
         throw new Error('Email transporter not initialized');
@@ -69,6 +70,7 @@ class EmailService {
         subject,
         text,
         html,
+        ...(attachments.length > 0 ? { attachments } : {}),
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -175,9 +177,10 @@ class EmailService {
   /**
    * Send Welcome Email (after payment success)
    * @param {Object} architect - Architect data
+   * @param {Array} attachments - Invoice PDF (optional)
    * @returns {Promise<Object>} - Email info
    */
-  async sendWelcomeEmail(architect) {
+  async sendWelcomeEmail(architect, attachments = []) {
     const loginUrl = `${process.env.FRONTEND_URL}/login`;
     
     const html = `
@@ -262,6 +265,7 @@ class EmailService {
       subject: '🎉 Selamat! Akun HaloSitek Anda Telah Aktif',
       html,
       text: `Selamat ${architect.name}! Pembayaran berhasil dan akun Anda telah aktif. Silakan login di ${loginUrl}`,
+      attachments,
     });
   }
 
@@ -391,6 +395,510 @@ class EmailService {
       text: `Halo ${architect.name}, link pembayaran untuk Order ID ${orderId} telah kadaluarsa. Silakan daftar ulang di ${registerUrl}`,
     });
   }
+
+  /**
+   * Send Password Reset Email
+   * @param {Object} recipient - { email, name }
+   * @param {String} resetUrl - Link reset password
+   * @param {Date} expiresAt - Waktu kadaluarsa link
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendPasswordResetEmail(recipient, resetUrl, expiresAt) {
+    const expiresText = new Date(expiresAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .button { display: inline-block; padding: 12px 30px; background: #2563eb; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .warning { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔑 Reset Password</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${recipient.name}</h2>
+            
+            <p>Kami menerima permintaan untuk mereset password akun HaloSitek Anda.</p>
+            
+            <div style="text-align: center;">
+              <a href="${resetUrl}" class="button">Reset Password</a>
+            </div>
+            
+            <div class="warning">
+              <strong>⚠️ Penting:</strong><br>
+              Link ini hanya dapat digunakan satu kali dan berlaku hingga ${expiresText} WIB.
+            </div>
+            
+            <p>Jika Anda tidak merasa meminta reset password, abaikan email ini. Password Anda tidak akan berubah.</p>
+            
+            <p>Salam,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>Email ini dikirim otomatis. Mohon tidak membalas email ini.</p>
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: recipient.email,
+      subject: '🔑 Reset Password Akun HaloSitek',
+      html,
+      text: `Halo ${recipient.name}, gunakan link berikut untuk mereset password Anda (berlaku hingga ${expiresText} WIB): ${resetUrl}`,
+    });
+  }
+
+  /**
+   * Send Email Verification Code
+   * @param {Object} recipient - { email, name }
+   * @param {String} code - Kode verifikasi 6 digit
+   * @param {String} verifyUrl - Link verifikasi (berisi kode)
+   * @param {Date} expiresAt - Waktu kadaluarsa kode
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendVerificationEmail(recipient, code, verifyUrl, expiresAt) {
+    const expiresText = new Date(expiresAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .code-box { background: white; border: 1px solid #e5e7eb; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center; font-size: 32px; letter-spacing: 8px; font-weight: bold; }
+          .button { display: inline-block; padding: 12px 30px; background: #2563eb; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>✉️ Verifikasi Email</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${recipient.name}! 👋</h2>
+            
+            <p>Masukkan kode berikut untuk memverifikasi email akun HaloSitek Anda:</p>
+            
+            <div class="code-box">${code}</div>
+            
+            <p>Atau klik tombol di bawah ini:</p>
+            
+            <div style="text-align: center;">
+              <a href="${verifyUrl}" class="button">Verifikasi Email</a>
+            </div>
+            
+            <p>Kode ini berlaku hingga ${expiresText} WIB. Jika Anda tidak merasa mendaftar di HaloSitek, abaikan email ini.</p>
+            
+            <p>Salam,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>Email ini dikirim otomatis. Mohon tidak membalas email ini.</p>
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: recipient.email,
+      subject: '✉️ Kode Verifikasi Email HaloSitek',
+      html,
+      text: `Halo ${recipient.name}, kode verifikasi email Anda: ${code} (berlaku hingga ${expiresText} WIB). Link verifikasi: ${verifyUrl}`,
+    });
+  }
+
+  /**
+   * Send Membership Reminder Email (sebelum habis / saat grace period)
+   * @param {Object} architect - Architect data
+   * @param {Object} membership - { activeUntil, graceUntil, inGracePeriod, daysRemaining }
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendMembershipReminderEmail(architect, membership) {
+    const renewUrl = `${process.env.FRONTEND_URL}/architect/membership`;
+    const formatDate = (date) => new Date(date).toLocaleDateString('id-ID', { timeZone: 'Asia/Jakarta', dateStyle: 'long' });
+    const activeUntilText = formatDate(membership.activeUntil);
+    const graceUntilText = formatDate(membership.graceUntil);
+
+    const message = membership.inGracePeriod
+      ? `Membership Anda telah berakhir pada ${activeUntilText}. Akun masih aktif dalam masa tenggang hingga ${graceUntilText}.`
+      : `Membership Anda akan berakhir dalam ${membership.daysRemaining} hari (${activeUntilText}).`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .button { display: inline-block; padding: 12px 30px; background: #2563eb; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .warning-box { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔔 Perpanjang Membership</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${architect.name}</h2>
+            
+            <div class="warning-box">
+              <strong>${message}</strong>
+            </div>
+            
+            <p>Perpanjang membership agar profil dan desain Anda tetap tampil untuk calon klien. Setelah masa tenggang (${graceUntilText}) berakhir, akun akan dinonaktifkan sampai membership diperpanjang.</p>
+            
+            <div style="text-align: center;">
+              <a href="${renewUrl}" class="button">Perpanjang Sekarang</a>
+            </div>
+            
+            <p>Salam,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>Email ini dikirim otomatis. Mohon tidak membalas email ini.</p>
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: architect.email,
+      subject: '🔔 Membership HaloSitek Anda Akan Berakhir',
+      html,
+      text: `Halo ${architect.name}, ${message} Perpanjang di ${renewUrl}`,
+    });
+  }
+
+  /**
+   * Send Membership Expired Email (lewat grace period)
+   * @param {Object} architect - Architect data
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendMembershipExpiredEmail(architect) {
+    const loginUrl = `${process.env.FRONTEND_URL}/login`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #f59e0b; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .button { display: inline-block; padding: 12px 30px; background: #2563eb; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⏰ Membership Berakhir</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${architect.name}</h2>
+            
+            <p>Masa membership dan masa tenggang akun HaloSitek Anda telah berakhir. Profil dan desain Anda tidak lagi tampil di halaman publik.</p>
+            
+            <p>Data Anda tetap tersimpan. Login dan lakukan pembayaran perpanjangan untuk mengaktifkan kembali akun Anda.</p>
+            
+            <div style="text-align: center;">
+              <a href="${loginUrl}" class="button">Aktifkan Kembali</a>
+            </div>
+            
+            <p>Salam,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: architect.email,
+      subject: '⏰ Membership HaloSitek Anda Telah Berakhir',
+      html,
+      text: `Halo ${architect.name}, membership HaloSitek Anda telah berakhir. Login di ${loginUrl} untuk perpanjang dan mengaktifkan kembali akun Anda.`,
+    });
+  }
+
+  /**
+   * Send Membership Renewed Email (renewal payment success)
+   * @param {Object} architect - Architect data
+   * @param {Date} activeUntil - Akhir periode membership baru
+   * @param {Array} attachments - Invoice PDF (optional)
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendMembershipRenewedEmail(architect, activeUntil, attachments = []) {
+    const activeUntilText = new Date(activeUntil).toLocaleDateString('id-ID', { timeZone: 'Asia/Jakarta', dateStyle: 'long' });
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #10b981; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .success-box { background: #d1fae5; border-left: 4px solid #10b981; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>✅ Membership Diperpanjang</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${architect.name}</h2>
+            
+            <div class="success-box">
+              <strong>Pembayaran perpanjangan berhasil.</strong><br>
+              Membership Anda aktif hingga ${activeUntilText}.
+            </div>
+            
+            <p>Terima kasih telah terus bersama HaloSitek.</p>
+            
+            <p>Salam,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>Email ini dikirim otomatis. Mohon tidak membalas email ini.</p>
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: architect.email,
+      subject: '✅ Membership HaloSitek Anda Telah Diperpanjang',
+      html,
+      text: `Halo ${architect.name}, pembayaran perpanjangan berhasil. Membership Anda aktif hingga ${activeUntilText}.`,
+      attachments,
+    });
+  }
+
+  /**
+   * Send Transaction Cancelled Email
+   * @param {Object} architect - Architect data
+   * @param {Object} transaction - Transaction yang dibatalkan
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendTransactionCancelledEmail(architect, transaction) {
+    const reasonHtml = transaction.cancelReason
+      ? `<p><strong>Alasan:</strong> ${transaction.cancelReason}</p>`
+      : '';
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #6b7280; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .info-box { background: #f3f4f6; border-left: 4px solid #6b7280; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Transaksi Dibatalkan</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${architect.name}</h2>
+            
+            <div class="info-box">
+              <strong>Transaksi dengan Order ID: ${transaction.orderId} telah dibatalkan oleh admin.</strong>
+            </div>
+            
+            ${reasonHtml}
+            
+            <p>Link pembayaran untuk transaksi ini tidak dapat digunakan lagi. Hubungi customer support kami jika Anda memerlukan bantuan.</p>
+            
+            <p>Terima kasih,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: architect.email,
+      subject: 'Transaksi Dibatalkan - HaloSitek',
+      html,
+      text: `Halo ${architect.name}, transaksi dengan Order ID ${transaction.orderId} telah dibatalkan oleh admin.${transaction.cancelReason ? ` Alasan: ${transaction.cancelReason}` : ''}`,
+    });
+  }
+
+  /**
+   * Send Refund Email
+   * @param {Object} architect - Architect data
+   * @param {Object} transaction - Transaction setelah refund
+   * @param {Number} refundAmount - Nominal refund kali ini
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendRefundEmail(architect, transaction, refundAmount) {
+    const isFullRefund = transaction.refundedAmount >= transaction.amount;
+    const refundText = `Rp ${refundAmount.toLocaleString('id-ID')}`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #667eea; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .info-box { background: #e0e7ff; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>💸 Refund Diproses</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${architect.name}</h2>
+            
+            <div class="info-box">
+              <strong>Refund ${isFullRefund ? 'penuh' : 'sebagian'} sebesar ${refundText}</strong> untuk Order ID: ${transaction.orderId} telah diproses.
+            </div>
+            
+            <p><strong>Alasan:</strong> ${transaction.refundReason}</p>
+            
+            <p>Dana akan dikembalikan ke metode pembayaran yang Anda gunakan. Waktu pengembalian dana mengikuti kebijakan masing-masing penyedia pembayaran.</p>
+            
+            <p>Terima kasih,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: architect.email,
+      subject: '💸 Refund Pembayaran HaloSitek',
+      html,
+      text: `Halo ${architect.name}, refund sebesar ${refundText} untuk Order ID ${transaction.orderId} telah diproses. Alasan: ${transaction.refundReason}`,
+    });
+  }
+
+  /**
+   * Send Certification Review Email (hasil verifikasi sertifikasi oleh admin)
+   * @param {Object} architect - Architect data
+   * @param {Object} certification - Certification setelah review
+   * @returns {Promise<Object>} - Email info
+   */
+  async sendCertificationReviewEmail(architect, certification) {
+    const verified = certification.verificationStatus === 'VERIFIED';
+    const color = verified ? '#10b981' : '#ef4444';
+    const title = verified ? '✅ Sertifikasi Terverifikasi' : 'Sertifikasi Ditolak';
+    const certText = `${certification.certificationName} (${certification.penerbit}, ${certification.year})`;
+
+    const bodyHtml = verified
+      ? '<p>Sertifikasi ini sekarang tampil dengan badge <strong>verified</strong> di profil publik Anda.</p>'
+      : `<p><strong>Alasan:</strong> ${certification.rejectionReason}</p>
+            <p>Sertifikasi yang ditolak tidak ditampilkan di profil publik. Anda dapat memperbaiki data atau mengunggah ulang berkas sertifikasi dari halaman profil, lalu sertifikasi akan direview kembali.</p>`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: ${color}; color: white; padding: 20px; text-align: center; }
+          .content { background: #f9fafb; padding: 30px; }
+          .info-box { background: #f3f4f6; border-left: 4px solid ${color}; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${title}</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Halo, ${architect.name}</h2>
+            
+            <div class="info-box">
+              <strong>${certText}</strong> telah ${verified ? 'diverifikasi' : 'ditolak'} oleh admin HaloSitek.
+            </div>
+            
+            ${bodyHtml}
+            
+            <p>Terima kasih,<br><strong>Tim HaloSitek</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>&copy; 2024 HaloSitek. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: architect.email,
+      subject: verified ? '✅ Sertifikasi Anda Terverifikasi - HaloSitek' : 'Sertifikasi Anda Ditolak - HaloSitek',
+      html,
+      text: verified
+        ? `Halo ${architect.name}, sertifikasi ${certText} telah diverifikasi dan tampil dengan badge verified di profil publik Anda.`
+        : `Halo ${architect.name}, sertifikasi ${certText} ditolak. Alasan: ${certification.rejectionReason}`,
+    });
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,251 @@
+/**
+ * Fake Payment Provider
+ * Gateway simulasi untuk development & testing lokal (tanpa akun Midtrans)
+ *
+ * - createCharge mengembalikan URL halaman checkout simulasi (/api/payment/fake/checkout/:token)
+ * - simulate() mengubah status order & membuat webhook bertanda tangan berformat Midtrans
+ * - deliverWebhook() mengirim webhook tersebut ke /api/webhooks/payment
+ * Order disimpan di memory, jadi hilang saat server restart.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const PaymentProvider = require('./payment-provider');
+const { PaymentError } = require('../../../errors/app-errors');
+
+// action simulasi -> { transaction_status, status_code, fraud_status }
+const SIMULATED_ACTIONS = {
+  success: { transactionStatus: 'settlement', statusCode: '200', fraudStatus: 'accept' },
+  failure: { transactionStatus: 'deny', statusCode: '202', fraudStatus: 'deny' },
+  expire: { transactionStatus: 'expire', statusCode: '407', fraudStatus: null },
+};
+
+const PAYMENT_TYPES = ['bank_transfer', 'gopay', 'shopeepay', 'credit_card', 'qris', 'cstore'];
+
+class FakeProvider extends PaymentProvider {
+  constructor() {
+    super('fake');
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Fake payment provider cannot be used in production');
+    }
+
+    this.serverKey = process.env.PAYMENT_FAKE_SERVER_KEY || 'fake-server-key';
+    this.orders = new Map();
+  }
+
+  getBackendUrl() {
+    return (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  }
+
+  getWebhookUrl() {
+    return process.env.PAYMENT_FAKE_WEBHOOK_URL || `${this.getBackendUrl()}/api/webhooks/payment`;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getClientConfig() {
+    return { clientKey: 'fake-client-key', snapJsUrl: null };
+  }
+
+  getSimulatedActions() {
+    return Object.keys(SIMULATED_ACTIONS);
+  }
+
+  getPaymentTypes() {
+    return PAYMENT_TYPES;
+  }
+
+  /**
+   * Cari order by order ID atau checkout token
+   * @param {String} key - Order ID / token
+   * @returns {Object|null} - Order
+   */
+  findOrder(key) {
+    if (this.orders.has(key)) return this.orders.get(key);
+
+    for (const order of this.orders.values()) {
+      if (order.token === key) return order;
+    }
+    return null;
+  }
+
+  getOrderOrFail(key) {
+    const order = this.findOrder(key);
+    if (!order) {
+      throw new PaymentError('Transaction not found', 404);
+    }
+    return order;
+  }
+
+  async createCharge({ orderId, amount, customerDetails, itemDetails }) {
+    const token = crypto.randomBytes(16).toString('hex');
+
+    this.orders.set(orderId, {
+      orderId,
+      token,
+      amount,
+      customerDetails: customerDetails || {},
+      itemDetails: itemDetails || [],
+      transactionId: crypto.randomUUID(),
+      transactionStatus: 'pending',
+      statusCode: '201',
+      fraudStatus: null,
+      paymentType: null,
+      refundedAmount: 0,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    console.log('✅ Fake payment created:', orderId);
+
+    return {
+      snapToken: token,
+      redirectUrl: `${this.getBackendUrl()}/api/payment/fake/checkout/${token}`,
+    };
+  }
+
+  /**
+   * Payload berformat notifikasi Midtrans (bertanda tangan)
+   * @param {Object} order - Order
+   * @returns {Object} - Notification
+   */
+  buildNotification(order) {
+    const grossAmount = `${Math.round(order.amount)}.00`;
+
+    return {
+      transaction_time: order.createdAt.toISOString().replace('T', ' ').slice(0, 19),
+      transaction_status: order.transactionStatus,
+      transaction_id: order.transactionId,
+      status_message: `Fake payment ${order.transactionStatus}`,
+      status_code: order.statusCode,
+      signature_key: this.createSignature(order.orderId, order.statusCode, grossAmount),
+      payment_type: order.paymentType,
+      order_id: order.orderId,
+      gross_amount: grossAmount,
+      fraud_status: order.fraudStatus,
+      currency: 'IDR',
+      ...(order.transactionStatus === 'settlement'
+        ? { settlement_time: order.updatedAt.toISOString().replace('T', ' ').slice(0, 19) }
+        : {}),
+    };
+  }
+
+  async getStatus(orderId) {
+    return this.buildNotification(this.getOrderOrFail(orderId));
+  }
+
+  /**
+   * Simulasikan hasil pembayaran customer
+   * @param {String} key - Order ID / checkout token
+   * @param {String} action - success | failure | expire
+   * @param {Object} options - { paymentType }
+   * @returns {Object} - Notification bertanda tangan
+   */
+  simulate(key, action, { paymentType } = {}) {
+    const result = SIMULATED_ACTIONS[action];
+    if (!result) {
+      throw new PaymentError(`Action must be one of: ${this.getSimulatedActions().join(', ')}`);
+    }
+
+    const order = this.getOrderOrFail(key);
+    if (order.transactionStatus !== 'pending') {
+      throw new PaymentError(`Transaction is already ${order.transactionStatus}`, 409);
+    }
+
+    if (paymentType && !PAYMENT_TYPES.includes(paymentType)) {
+      throw new PaymentError(`paymentType must be one of: ${PAYMENT_TYPES.join(', ')}`);
+    }
+
+    Object.assign(order, {
+      transactionStatus: result.transactionStatus,
+      statusCode: result.statusCode,
+      fraudStatus: result.fraudStatus,
+      paymentType: paymentType || order.paymentType || 'bank_transfer',
+      updatedAt: new Date(),
+    });
+
+    return this.buildNotification(order);
+  }
+
+  /**
+   * Kirim webhook ke endpoint webhook aplikasi (seperti Midtrans memanggil kita)
+   * Tidak melempar error, hasil pengiriman dikembalikan ke pemanggil
+   * @param {Object} notification - Notification
+   * @returns {Promise<Object>} - { delivered, url, statusCode, response, error }
+   */
+  async deliverWebhook(notification) {
+    const url = this.getWebhookUrl();
+
+    try {
+      const response = await axios.post(url, notification, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000,
+        validateStatus: () => true,
+      });
+
+      const delivered = response.status >= 200 && response.status < 300;
+      if (!delivered) {
+        console.warn(`⚠️ Fake webhook ${notification.order_id} returned HTTP ${response.status}`);
+      }
+
+      return { delivered, url, statusCode: response.status, response: response.data };
+    } catch (error) {
+      console.error('❌ Failed to deliver fake webhook:', error.message);
+      return { delivered: false, url, statusCode: null, error: error.message };
+    }
+  }
+
+  async cancel(orderId) {
+    const order = this.getOrderOrFail(orderId);
+    if (order.transactionStatus !== 'pending') {
+      throw new PaymentError(`Transaction is already ${order.transactionStatus}`, 412);
+    }
+
+    Object.assign(order, { transactionStatus: 'cancel', statusCode: '200', updatedAt: new Date() });
+    console.log('✅ Fake payment cancelled:', orderId);
+    return this.buildNotification(order);
+  }
+
+  async expire(orderId) {
+    const order = this.getOrderOrFail(orderId);
+    if (order.transactionStatus !== 'pending') {
+      throw new PaymentError(`Transaction is already ${order.transactionStatus}`, 412);
+    }
+
+    Object.assign(order, { transactionStatus: 'expire', statusCode: '407', updatedAt: new Date() });
+    console.log('✅ Fake payment expired:', orderId);
+    return this.buildNotification(order);
+  }
+
+  async refund(orderId, { refundKey, amount, reason }) {
+    const order = this.getOrderOrFail(orderId);
+    if (!['settlement', 'partial_refund'].includes(order.transactionStatus)) {
+      throw new PaymentError('Only settled transactions can be refunded');
+    }
+
+    const remaining = order.amount - order.refundedAmount;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > remaining) {
+      throw new PaymentError(`Refund amount must be between 1 and ${remaining}`);
+    }
+
+    order.refundedAmount += amount;
+    order.transactionStatus = order.refundedAmount === order.amount ? 'refund' : 'partial_refund';
+    order.updatedAt = new Date();
+
+    console.log('✅ Fake payment refunded:', orderId, amount);
+    return {
+      status_code: '200',
+      status_message: 'Success, refund request is approved',
+      order_id: orderId,
+      transaction_status: order.transactionStatus,
+      refund_key: refundKey,
+      refund_amount: `${amount}.00`,
+      reason,
+    };
+  }
+}
+
+module.exports = FakeProvider;
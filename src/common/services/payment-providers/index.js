@@ -0,0 +1,35 @@
+/**
+ * Payment Providers
+ * Pilih driver payment gateway dari PAYMENT_PROVIDER (default: midtrans)
+ */
+
+const PaymentProvider = require('./payment-provider');
+const MidtransProvider = require('./midtrans.provider');
+const FakeProvider = require('./fake.provider');
+
+const PROVIDERS = {
+  midtrans: MidtransProvider,
+  fake: FakeProvider,
+};
+
+/**
+ * @param {String} name - Nama driver (midtrans | fake)
+ * @returns {PaymentProvider}
+ */
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  const key = String(name || 'midtrans').trim().toLowerCase();
+  const Provider = PROVIDERS[key];
+
+  if (!Provider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider();
+}
+
+module.exports = {
+  PaymentProvider,
+  MidtransProvider,
+  FakeProvider,
+  createPaymentProvider,
+};
@@ -0,0 +1,212 @@
+/**
+ * Midtrans Payment Provider
+ * Handle Midtrans Snap API & Core API
+ */
+
+const axios = require('axios');
+const PaymentProvider = require('./payment-provider');
+const { PaymentError, ExternalServiceError } = require('../../../errors/app-errors');
+
+const ENABLED_PAYMENTS = [
+  'credit_card',
+  'bca_va',
+  'bni_va',
+  'bri_va',
+  'mandiri_va',
+  'permata_va',
+  'other_va',
+  'gopay',
+  'shopeepay',
+  'qris',
+  'indomaret',
+  'alfamart',
+];
+
+class MidtransProvider extends PaymentProvider {
+  constructor() {
+    super('midtrans');
+
+    this.serverKey = process.env.MIDTRANS_SERVER_KEY;
+    this.clientKey = process.env.MIDTRANS_CLIENT_KEY;
+    this.isProduction = process.env.MIDTRANS_IS_PRODUCTION === 'true';
+
+    // API URLs
+    this.snapApiUrl = this.isProduction
+      ? 'https://app.midtrans.com/snap/v1/transactions'
+      : 'https://app.sandbox.midtrans.com/snap/v1/transactions';
+
+    this.coreApiUrl = this.isProduction
+      ? 'https://api.midtrans.com/v2'
+      : 'https://api.sandbox.midtrans.com/v2';
+
+    // Validate configuration
+    if (!this.serverKey) {
+      console.warn('⚠️ MIDTRANS_SERVER_KEY not configured');
+    }
+  }
+
+  getAuthHeaders() {
+    const authString = Buffer.from(`${this.serverKey}:`).toString('base64');
+    return { Authorization: `Basic ${authString}` };
+  }
+
+  isConfigured() {
+    return !!(this.serverKey && this.clientKey);
+  }
+
+  getClientConfig() {
+    return {
+      clientKey: this.clientKey,
+      snapJsUrl: this.isProduction
+        ? 'https://app.midtrans.com/snap/snap.js'
+        : 'https://app.sandbox.midtrans.com/snap/snap.js',
+    };
+  }
+
+  /**
+   * Create Midtrans Snap Transaction
+   * @param {Object} params - { orderId, amount, customerDetails, itemDetails }
+   * @returns {Promise<Object>} - Snap token and redirect URL
+   */
+  async createCharge({ orderId, amount, customerDetails, itemDetails }) {
+    try {
+      // Prepare item details (default jika tidak ada)
+      const items = itemDetails || [
+        {
+          id: 'ARCH_REGISTRATION',
+          price: amount,
+          quantity: 1,
+          name: 'Registrasi Akun Arsitek HaloSitek',
+        },
+      ];
+
+      // Snap API request body
+      const requestBody = {
+        transaction_details: {
+          order_id: orderId,
+          gross_amount: amount,
+        },
+        item_details: items,
+        customer_details: customerDetails,
+        credit_card: {
+          secure: true, // Enable 3D Secure
+        },
+        enabled_payments: ENABLED_PAYMENTS,
+      };
+
+      // Call Midtrans Snap API
+      const response = await axios.post(this.snapApiUrl, requestBody, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
+        },
+      });
+
+      const { token, redirect_url } = response.data;
+
+      console.log('✅ Snap transaction created:', orderId);
+
+      return {
+        snapToken: token,
+        redirectUrl: redirect_url,
+      };
+    } catch (error) {
+      console.error('❌ Midtrans Snap API error:', error.response?.data || error.message);
+
+      if (error.response) {
+        throw new PaymentError(
+          `Midtrans error: ${error.response.data?.error_messages?.[0] || 'Unknown error'}`,
+          error.response.status
+        );
+      }
+
+      throw new ExternalServiceError('Failed to create payment transaction', 'Midtrans');
+    }
+  }
+
+  async getStatus(orderId) {
+    try {
+      const response = await axios.get(`${this.coreApiUrl}/${orderId}/status`, {
+        headers: this.getAuthHeaders(),
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to get transaction status:', error.message);
+
+      if (error.response?.status === 404) {
+        throw new PaymentError('Transaction not found', 404);
+      }
+
+      throw new ExternalServiceError('Failed to get transaction status', 'Midtrans');
+    }
+  }
+
+  async cancel(orderId) {
+    try {
+      const response = await axios.post(
+        `${this.coreApiUrl}/${orderId}/cancel`,
+        {},
+        { headers: this.getAuthHeaders() }
+      );
+
+      console.log('✅ Transaction cancelled:', orderId);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to cancel transaction:', error.message);
+
+      // 404 = customer belum memilih metode pembayaran di Snap
+      if (error.response?.status === 404) {
+        throw new PaymentError('Transaction not found', 404);
+      }
+
+      throw new ExternalServiceError('Failed to cancel transaction', 'Midtrans');
+    }
+  }
+
+  async expire(orderId) {
+    try {
+      const response = await axios.post(
+        `${this.coreApiUrl}/${orderId}/expire`,
+        {},
+        { headers: this.getAuthHeaders() }
+      );
+
+      console.log('✅ Transaction expired:', orderId);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to expire transaction:', error.message);
+      throw new ExternalServiceError('Failed to expire transaction', 'Midtrans');
+    }
+  }
+
+  async refund(orderId, { refundKey, amount, reason }) {
+    try {
+      const response = await axios.post(
+        `${this.coreApiUrl}/${orderId}/refund`,
+        {
+          refund_key: refundKey,
+          amount,
+          reason,
+        },
+        { headers: this.getAuthHeaders() }
+      );
+
+      // Midtrans bisa membalas HTTP 200 dengan status_code error di body
+      const statusCode = String(response.data?.status_code || '200');
+      if (!statusCode.startsWith('2')) {
+        throw new PaymentError(response.data?.status_message || 'Refund rejected by Midtrans');
+      }
+
+      console.log('✅ Transaction refunded:', orderId, amount);
+      return response.data;
+    } catch (error) {
+      if (error instanceof PaymentError) throw error;
+
+      console.error('❌ Failed to refund transaction:', error.message);
+      throw new ExternalServiceError('Failed to refund transaction', 'Midtrans');
+    }
+  }
+}
+
+module.exports = MidtransProvider;
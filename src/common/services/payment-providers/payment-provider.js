@@ -0,0 +1,194 @@
+/**
+ * Payment Provider (base)
+ * Kontrak yang wajib diimplementasikan setiap driver payment gateway
+ *
+ * Format notifikasi/status yang dipakai seluruh aplikasi = format Midtrans
+ * (order_id, status_code, gross_amount, transaction_status, fraud_status, payment_type, signature_key).
+ * Driver lain wajib mengirim webhook & response status dengan format yang sama.
+ */
+
+const crypto = require('crypto');
+
+const PAYMENT_METHOD_MAP = {
+  bank_transfer: 'BANK_TRANSFER',
+  echannel: 'BANK_TRANSFER',
+  permata: 'BANK_TRANSFER',
+  gopay: 'E_WALLET',
+  shopeepay: 'E_WALLET',
+  credit_card: 'CREDIT_CARD',
+  qris: 'QRIS',
+  cstore: 'RETAIL_OUTLET',
+};
+
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+    this.serverKey = null;
+  }
+
+  /**
+   * Map status gateway ke status internal
+   * @param {Object} mid - Notifikasi / response status
+   * @returns {Object} - { status, shouldActivate }
+   */
+  static mapStatus(mid) {
+    const ts = mid?.transaction_status;
+    const fraud = mid?.fraud_status;
+
+    // default
+    let status = 'PENDING';
+    let shouldActivate = false;
+
+    if (ts === 'settlement') {
+      status = 'SUCCESS';
+      shouldActivate = true;
+    } else if (ts === 'capture') {
+      if (fraud === 'accept') {
+        status = 'SUCCESS';
+        shouldActivate = true;
+      } else if (fraud === 'challenge') {
+        status = 'PENDING';
+      } else {
+        status = 'FAILED';
+      }
+    } else if (['deny', 'cancel', 'expire'].includes(ts)) {
+      status = 'FAILED';
+    } else if (ts === 'pending') {
+      status = 'PENDING';
+    }
+
+    return { status, shouldActivate };
+  }
+
+  /**
+   * Map payment_type ke enum PaymentMethod
+   * @param {String} paymentType - payment_type dari gateway
+   * @returns {String} - PaymentMethod
+   */
+  static mapPaymentMethod(paymentType) {
+    return PAYMENT_METHOD_MAP[String(paymentType || '').toLowerCase()] || 'OTHER';
+  }
+
+  /**
+   * Signature notifikasi: SHA512(order_id+status_code+gross_amount+server_key)
+   * @returns {String} - Hex digest
+   */
+  createSignature(orderId, statusCode, grossAmount) {
+    return crypto
+      .createHash('sha512')
+      .update(`${orderId}${statusCode}${grossAmount}${this.serverKey}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verify signature notifikasi
+   * @returns {Boolean} - True if signature valid
+   */
+  verifySignature(orderId, statusCode, grossAmount, signatureKey) {
+    try {
+      if (!this.serverKey || typeof signatureKey !== 'string') return false;
+
+      const expected = Buffer.from(this.createSignature(orderId, statusCode, grossAmount));
+      const received = Buffer.from(signatureKey);
+
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    } catch (error) {
+      console.error('❌ Signature verification failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Verify webhook (field wajib + signature)
+   * @param {Object} notification - Payload webhook
+   * @returns {Boolean} - True if authentic
+   */
+  verifyWebhook(notification) {
+    const { order_id, status_code, gross_amount, signature_key } = notification || {};
+
+    if (!order_id || !status_code || !gross_amount || !signature_key) {
+      console.error('❌ Missing required webhook fields');
+      return false;
+    }
+
+    return this.verifySignature(order_id, status_code, gross_amount, signature_key);
+  }
+
+  /**
+   * Parse notifikasi / response status ke bentuk internal (tanpa verifikasi signature)
+   * @param {Object} notification - Payload gateway
+   * @returns {Object} - { orderId, status, shouldActivate, paymentType, paymentMethod, ... }
+   */
+  parseNotification(notification) {
+    const { status, shouldActivate } = PaymentProvider.mapStatus(notification);
+
+    return {
+      orderId: notification.order_id,
+      status,
+      shouldActivate,
+      paymentType: notification.payment_type,
+      paymentMethod: PaymentProvider.mapPaymentMethod(notification.payment_type),
+      transactionStatus: notification.transaction_status,
+      fraudStatus: notification.fraud_status,
+      rawNotification: notification,
+    };
+  }
+
+  // ============================================
+  // DRIVER METHODS (wajib di-override)
+  // ============================================
+
+  /**
+   * @returns {Boolean} - Driver siap dipakai
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Config untuk frontend
+   * @returns {Object} - { clientKey, snapJsUrl }
+   */
+  getClientConfig() {
+    return { clientKey: null, snapJsUrl: null };
+  }
+
+  /**
+   * Buat charge / halaman pembayaran
+   * @param {Object} params - { orderId, amount, customerDetails, itemDetails }
+   * @returns {Promise<Object>} - { snapToken, redirectUrl }
+   */
+  async createCharge(params) {
+    throw new Error(`${this.name} provider does not implement createCharge`);
+  }
+
+  /**
+   * Status transaksi di gateway
+   * @param {String} orderId - Order ID
+   * @returns {Promise<Object>} - Payload status (format notifikasi)
+   * @throws {PaymentError} - 404 kalau transaksi belum ada di gateway
+   */
+  async getStatus(orderId) {
+    throw new Error(`${this.name} provider does not implement getStatus`);
+  }
+
+  async cancel(orderId) {
+    throw new Error(`${this.name} provider does not implement cancel`);
+  }
+
+  async expire(orderId) {
+    throw new Error(`${this.name} provider does not implement expire`);
+  }
+
+  /**
+   * Refund (full / partial)
+   * @param {String} orderId - Order ID
+   * @param {Object} params - { refundKey, amount, reason }
+   * @returns {Promise<Object>} - Refund result
+   */
+  async refund(orderId, params) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+}
+
+module.exports = PaymentProvider;
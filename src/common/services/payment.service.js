@@ -1,34 +1,34 @@
 /**
  * Payment Service
- * Handle Midtrans Snap API integration
+ * Facade payment gateway, driver dipilih dari PAYMENT_PROVIDER (midtrans | fake)
  */
 
-const axios = require('axios');
-const { PaymentError, ExternalServiceError } = require('../../errors/app-errors');
+const { PaymentProvider, createPaymentProvider } = require('./payment-providers');
+const { PaymentError } = require('../../errors/app-errors');
 
 class PaymentService {
   constructor() {
-    this.serverKey = process.env.MIDTRANS_SERVER_KEY;
-    this.clientKey = process.env.MIDTRANS_CLIENT_KEY;
-    this.isProduction = process.env.MIDTRANS_IS_PRODUCTION === 'true';
-
-    // API URLs
-    this.snapApiUrl = this.isProduction
-      ? 'https://app.midtrans.com/snap/v1/transactions'
-      : 'https://app.sandbox.midtrans.com/snap/v1/transactions';
+    this.provider = createPaymentProvider(process.env.PAYMENT_PROVIDER);
+  }
 
-    this.coreApiUrl = this.isProduction
-      ? 'https://api.midtrans.com/v2'
-      : 'https://api.sandbox.midtrans.com/v2';
+  /**
+   * Nama driver aktif
+   * @returns {String} - midtrans | fake
+   */
+  getProviderName() {
+    return this.provider.name;
+  }
 
-    // Validate configuration
-    if (!this.serverKey) {
-      console.warn('⚠️ MIDTRANS_SERVER_KEY not configured');
-    }
+  /**
+   * Driver aktif (dipakai route simulasi fake provider)
+   * @returns {PaymentProvider}
+   */
+  getProvider() {
+    return this.provider;
   }
 
   /**
-   * Create Midtrans Snap Transaction
+   * Create payment (Snap token / halaman checkout)
    * @param {Object} params - Transaction parameters
    * @param {String} params.orderId - Unique order ID
    * @param {Number} params.amount - Transaction amount
@@ -37,80 +37,7 @@ class PaymentService {
    * @returns {Promise<Object>} - Snap token and redirect URL
    */
   async createSnapTransaction(params) {
-    try {
-      const { orderId, amount, customerDetails, itemDetails } = params;
-
-      // Prepare transaction details
-      const transactionDetails = {
-        order_id: orderId,
-        gross_amount: amount,
-      };
-
-      // Prepare item details (default jika tidak ada)
-      const items = itemDetails || [
-        {
-          id: 'ARCH_REGISTRATION',
-          price: amount,
-          quantity: 1,
-          name: 'Registrasi Akun Arsitek HaloSitek',
-        },
-      ];
-
-      // Snap API request body
-      const requestBody = {
-        transaction_details: transactionDetails,
-        item_details: items,
-        customer_details: customerDetails,
-        credit_card: {
-          secure: true, // Enable 3D Secure
-        },
-        enabled_payments: [
-          'credit_card',
-          'bca_va',
-          'bni_va',
-          'bri_va',
-          'mandiri_va',
-          'permata_va',
-          'other_va',
-          'gopay',
-          'shopeepay',
-          'qris',
-          'indomaret',
-          'alfamart',
-        ],
-      };
-
-      // Create authorization header
-      const authString = Buffer.from(`${this.serverKey}:`).toString('base64');
-
-      // Call Midtrans Snap API
-      const response = await axios.post(this.snapApiUrl, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Basic ${authString}`,
-        },
-      });
-
-      const { token, redirect_url } = response.data;
-
-      console.log('✅ Snap transaction created:', orderId);
-
-      return {
-        snapToken: token,
-        redirectUrl: redirect_url,
-      };
-    } catch (error) {
-      console.error('❌ Midtrans Snap API error:', error.response?.data || error.message);
-
-      if (error.response) {
-        throw new PaymentError(
-          `Midtrans error: ${error.response.data?.error_messages?.[0] || 'Unknown error'}`,
-          error.response.status
-        );
-      }
-
-      throw new ExternalServiceError('Failed to create payment transaction', 'Midtrans');
-    }
+    return await this.provider.createCharge(params);
   }
 
   /**
@@ -119,25 +46,7 @@ class PaymentService {
    * @returns {Promise<Object>} - Transaction status
    */
   async getTransactionStatus(orderId) {
-    try {
-      const authString = Buffer.from(`${this.serverKey}:`).toString('base64');
-
-      const response = await axios.get(`${this.coreApiUrl}/${orderId}/status`, {
-        headers: {
-          Authorization: `Basic ${authString}`,
-        },
-      });
-
-      return response.data;
-    } catch (error) {
-      console.error('❌ Failed to get transaction status:', error.message);
-
-      if (error.response?.status === 404) {
-        throw new PaymentError('Transaction not found', 404);
-      }
-
-      throw new ExternalServiceError('Failed to get transaction status', 'Midtrans');
-    }
+    return await this.provider.getStatus(orderId);
   }
 
   /**
@@ -145,88 +54,44 @@ class PaymentService {
    * @param {String} orderId - Order ID
    * @param {String} statusCode - Status code
    * @param {String} grossAmount - Gross amount
-   * @param {String} signatureKey - Signature from Midtrans
+   * @param {String} signatureKey - Signature from payment gateway
    * @returns {Boolean} - True if signature valid
    */
   verifyWebhookSignature(orderId, statusCode, grossAmount, signatureKey) {
-    try {
-      const crypto = require('crypto');
-
-      // Create hash: SHA512(order_id+status_code+gross_amount+server_key)
-      const string = `${orderId}${statusCode}${grossAmount}${this.serverKey}`;
-      const hash = crypto.createHash('sha512').update(string).digest('hex');
+    return this.provider.verifySignature(orderId, statusCode, grossAmount, signatureKey);
+  }
 
-      return hash === signatureKey;
-    } catch (error) {
-      console.error('❌ Signature verification failed:', error.message);
-      return false;
-    }
+  /**
+   * Verify webhook notification (field wajib + signature)
+   * @param {Object} notification - Webhook notification
+   * @returns {Boolean} - True if authentic
+   */
+  verifyWebhook(notification) {
+    return this.provider.verifyWebhook(notification);
   }
 
   /**
    * Process Webhook Notification
-   * Determine transaction status dari Midtrans webhook
-   * @param {Object} notification - Webhook notification dari Midtrans
+   * Determine transaction status dari webhook
+   * @param {Object} notification - Webhook notification
    * @returns {Object} - { status, shouldActivate }
    */
   processWebhookNotification(notification) {
-    const {
-      order_id,
-      transaction_status,
-      fraud_status,
-      payment_type,
-      gross_amount,
-      signature_key,
-      status_code,
-    } = notification;
-
-    // Verify signature
-    const isValid = this.verifyWebhookSignature(
-      order_id,
-      status_code,
-      gross_amount,
-      signature_key
-    );
-
-    if (!isValid) {
+    if (!this.verifyWebhook(notification)) {
       throw new PaymentError('Invalid webhook signature');
     }
 
-    // Determine final status
-    let finalStatus = 'PENDING';
-    let shouldActivateAccount = false;
-
-    if (transaction_status === 'capture') {
-      if (fraud_status === 'accept') {
-        finalStatus = 'SUCCESS';
-        shouldActivateAccount = true;
-      } else if (fraud_status === 'challenge') {
-        finalStatus = 'PENDING';
-      } else {
-        finalStatus = 'FAILED';
-      }
-    } else if (transaction_status === 'settlement') {
-      finalStatus = 'SUCCESS';
-      shouldActivateAccount = true;
-    } else if (
-      transaction_status === 'cancel' ||
-      transaction_status === 'deny' ||
-      transaction_status === 'expire'
-    ) {
-      finalStatus = 'FAILED';
-    } else if (transaction_status === 'pending') {
-      finalStatus = 'PENDING';
-    }
+    return this.parseTransactionStatus(notification);
+  }
 
-    return {
-      orderId: order_id,
-      status: finalStatus,
-      shouldActivate: shouldActivateAccount,
-      paymentType: payment_type,
-      transactionStatus: transaction_status,
-      fraudStatus: fraud_status,
-      rawNotification: notification,
-    };
+  /**
+   * Map notifikasi / response GET status ke status internal (tanpa verifikasi signature)
+   * Dipakai webhook (setelah signature valid) dan reconciliation (response dari API kita sendiri)
+   * @param {Object} notification - Payload gateway
+   * @returns {Object} - { orderId, status, shouldActivate, paymentType, paymentMethod, ... }
+   */
+  parseTransactionStatus(notification) {
+    return this.provider.parseNotification(notification);
   }
 
   /**
@@ -235,25 +100,20 @@ class PaymentService {
    * @returns {Promise<Object>} - Cancel result
    */
   async cancelTransaction(orderId) {
-    try {
-      const authString = Buffer.from(`${this.serverKey}:`).toString('base64');
-
-      const response = await axios.post(
-        `${this.coreApiUrl}/${orderId}/cancel`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${authString}`,
-          },
-        }
-      );
+    return await this.provider.cancel(orderId);
+  }
 
-      console.log('✅ Transaction cancelled:', orderId);
-      return response.data;
-    } catch (error) {
-      console.error('❌ Failed to cancel transaction:', error.message);
-      throw new ExternalServiceError('Failed to cancel transaction', 'Midtrans');
-    }
+  /**
+   * Refund Transaction (full / partial)
+   * @param {String} orderId - Order ID
+   * @param {Object} params - Refund parameters
+   * @param {String} params.refundKey - Unique refund key (idempotency)
+   * @param {Number} params.amount - Refund amount
+   * @param {String} params.reason - Refund reason
+   * @returns {Promise<Object>} - Refund result
+   */
+  async refundTransaction(orderId, params) {
+    return await this.provider.refund(orderId, params);
   }
 
   /**
@@ -262,25 +122,7 @@ class PaymentService {
    * @returns {Promise<Object>} - Expire result
    */
   async expireTransaction(orderId) {
-    try {
-      const authString = Buffer.from(`${this.serverKey}:`).toString('base64');
-
-      const response = await axios.post(
-        `${this.coreApiUrl}/${orderId}/expire`,
-        {},
-        {
-          headers: {
-            Authorization: `Basic ${authString}`,
-          },
-        }
-      );
-
-      console.log('✅ Transaction expired:', orderId);
-      return response.data;
-    } catch (error) {
-      console.error('❌ Failed to expire transaction:', error.message);
-      throw new ExternalServiceError('Failed to expire transaction', 'Midtrans');
-    }
+    return await this.provider.expire(orderId);
   }
 
   /**
@@ -318,7 +160,7 @@ class PaymentService {
   }
 
   /**
-   * Format amount untuk Midtrans (harus integer, no decimal)
+   * Format amount untuk gateway (harus integer, no decimal)
    * @param {Number} amount - Amount
    * @returns {Number} - Formatted amount
    */
@@ -327,21 +169,19 @@ class PaymentService {
   }
 
   /**
-   * Check if Midtrans is configured
+   * Check if payment gateway is configured
    * @returns {Boolean} - True if configured
    */
   isConfigured() {
-    return !!(this.serverKey && this.clientKey);
+    return this.provider.isConfigured();
   }
 
   /**
-   * Get Snap.js URL for frontend
-   * @returns {String} - Snap.js URL
+   * Get Snap.js URL for frontend (null untuk fake provider, pakai redirectUrl)
+   * @returns {String|null} - Snap.js URL
    */
   getSnapJsUrl() {
-    return this.isProduction
-      ? 'https://app.midtrans.com/snap/snap.js'
-      : 'https://app.sandbox.midtrans.com/snap/snap.js';
+    return this.provider.getClientConfig().snapJsUrl;
   }
 
   /**
@@ -349,38 +189,21 @@ class PaymentService {
    * @returns {String} - Client key
    */
   getClientKey() {
-    return this.clientKey;
+    return this.provider.getClientConfig().clientKey;
   }
 
-  mapMidtransToInternalStatus(mid) {
-    const ts = mid?.transaction_status;
-    const fraud = mid?.fraud_status;
-
-    // default
-    let status = "PENDING";
-    let shouldActivate = false;
-
-    if (ts === "settlement") {
-      status = "SUCCESS";
-      shouldActivate = true;
-    } else if (ts === "capture") {
-      if (fraud === "accept") {
-        status = "SUCCESS";
-        shouldActivate = true;
-      } else if (fraud === "challenge") {
-        status = "PENDING";
-      } else {
-        status = "FAILED";
-      }
-    } else if (["deny", "cancel", "expire"].includes(ts)) {
-      status = "FAILED";
-    } else if (ts === "pending") {
-      status = "PENDING";
-    }
-
-    return { status, shouldActivate };
+  /**
+   * Map payment_type ke enum PaymentMethod
+   * @param {String} paymentType - payment_type dari gateway
+   * @returns {String} - PaymentMethod
+   */
+  mapPaymentMethod(paymentType) {
+    return PaymentProvider.mapPaymentMethod(paymentType);
   }
 
+  mapMidtransToInternalStatus(mid) {
+    return PaymentProvider.mapStatus(mid);
+  }
 }
 
-module.exports = new PaymentService();
\ No newline at end of file
+module.exports = new PaymentService();
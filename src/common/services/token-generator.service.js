@@ -60,6 +60,16 @@ class TokenGeneratorService {
     return crypto.randomBytes(length).toString('hex');
   }
 
+  /**
+   * Hash Token (SHA-256)
+   * Token disimpan dalam bentuk hash, bukan plain text
+   * @param {String} token - Plain token
+   * @returns {String} - Hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
   /**
    * Validate Order ID format
    * @param {String} orderId - Order ID to validate
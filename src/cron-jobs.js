@@ -1,25 +1,130 @@
 /**
  * Cron Jobs
  * Schedule periodic tasks
+ *
+ * Server biasa (src/server.js): dijadwalkan dengan node-cron lewat startCronJobs().
+ * Vercel (api/index.js): tidak ada proses yang hidup terus, jadi job yang sama dipanggil
+ * Vercel Cron lewat GET /api/cron/:job (jadwal di vercel.json, dijaga CRON_SECRET).
  */
 
 const cron = require('node-cron');
-const { webhookService } = require('./domains/architects/services');
+const {
+  webhookService,
+  membershipService,
+  paymentReconciliationService,
+} = require('./domains/architects/services');
+const ArsipediaService = require('./domains/arsipedia/services/arsipedia.service');
+const viewAnalyticsService = require('./domains/views/services/view-analytics.service');
+
+const jobs = {
+  /**
+   * Check expired transactions every hour
+   * Schedule: At minute 0 of every hour
+   */
+  'expired-transactions': {
+    schedule: '0 * * * *',
+    async run() {
+      console.log('⏰ Running expired transactions check...');
+      const result = await webhookService.handleExpiredTransactions();
+      console.log(`✅ Processed ${result.count} expired transactions`);
+      return result;
+    },
+  },
+
+  /**
+   * Reconcile stuck PENDING transactions with Midtrans every 10 minutes
+   * Schedule: Every 10th minute
+   */
+  'reconcile-payments': {
+    schedule: '*/10 * * * *',
+    async run() {
+      const result = await paymentReconciliationService.reconcile();
+      if (!result.skipped && result.mismatchCount > 0) {
+        console.log(`✅ Reconciled payments: ${result.fixedCount}/${result.mismatchCount} mismatches fixed`);
+      }
+      return result;
+    },
+  },
+
+  /**
+   * Publish scheduled arsipedia entries every 5 minutes
+   * Schedule: Every 5th minute
+   */
+  'publish-arsipedia': {
+    schedule: '*/5 * * * *',
+    async run() {
+      const result = await ArsipediaService.publishScheduled();
+      if (result.count > 0) {
+        console.log(`✅ Published ${result.count} scheduled arsipedia entries`);
+      }
+      return result;
+    },
+  },
+
+  /**
+   * Roll up view events into daily counts every hour
+   * Schedule: At minute 15 of every hour
+   */
+  'rollup-views': {
+    schedule: '15 * * * *',
+    async run() {
+      const result = await viewAnalyticsService.rollupRecentDays();
+      console.log(`✅ View analytics rolled up for ${result.days.join(', ')}`);
+      return result;
+    },
+  },
+
+  /**
+   * Send membership renewal reminders every day
+   * Schedule: At 09:00 every day
+   */
+  'membership-reminders': {
+    schedule: '0 9 * * *',
+    async run() {
+      const result = await membershipService.sendRenewalReminders();
+      console.log(`✅ Sent ${result.count} membership reminder emails`);
+      return result;
+    },
+  },
+
+  /**
+   * Move memberships past the grace period to EXPIRED every hour
+   * Schedule: At minute 30 of every hour
+   */
+  'expire-memberships': {
+    schedule: '30 * * * *',
+    async run() {
+      const result = await membershipService.expireLapsedMemberships();
+      if (result.count > 0) {
+        console.log(`✅ Expired ${result.count} architect memberships`);
+      }
+      return result;
+    },
+  },
+};
 
 /**
- * Check expired transactions every hour
- * Schedule: At minute 0 of every hour
+ * Jadwalkan semua job di proses ini (error dicatat, tidak menghentikan server)
+ * @returns {Object} - { [name]: ScheduledTask }
  */
-const checkExpiredTransactions = cron.schedule('0 * * * *', async () => {
-  try {
-    console.log('⏰ Running expired transactions check...');
-    const result = await webhookService.handleExpiredTransactions();
-    console.log(`✅ Processed ${result.count} expired transactions`);
-  } catch (error) {
-    console.error('❌ Cron job failed:', error.message);
+function startCronJobs() {
+  const tasks = {};
+
+  for (const [name, job] of Object.entries(jobs)) {
+    tasks[name] = cron.schedule(job.schedule, async () => {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`❌ Cron job ${name} failed:`, error.message);
+      }
+    });
   }
-});
+
+  console.log(`⏰ ${Object.keys(tasks).length} cron jobs scheduled`);
+  return tasks;
+}
 
 module.exports = {
-  checkExpiredTransactions,
-};
\ No newline at end of file
+  jobs,
+  startCronJobs,
+};
@@ -0,0 +1,39 @@
+/**
+ * Cron Routes
+ * Endpoint untuk Vercel Cron (deployment serverless tidak menjalankan node-cron).
+ * Vercel mengirim header "Authorization: Bearer <CRON_SECRET>".
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+const { jobs } = require('./cron-jobs');
+const ResponseFormatter = require('./utils/response-formatter');
+const { AuthenticationError, NotFoundError } = require('./errors/app-errors');
+
+const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret || ''}`);
+  const received = Buffer.from(req.headers.authorization || '');
+
+  if (!secret || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return next(new AuthenticationError('Invalid cron secret'));
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/cron/:job
+ * @desc    Jalankan satu cron job (nama job = key di src/cron-jobs.js, jadwal di vercel.json)
+ * @access  Vercel Cron (CRON_SECRET)
+ */
+router.get('/:job', verifyCronSecret, async (req, res) => {
+  const job = Object.hasOwn(jobs, req.params.job) ? jobs[req.params.job] : null;
+  if (!job) throw new NotFoundError('Cron job not found');
+
+  const result = await job.run();
+  return ResponseFormatter.success(res, result, `Cron job ${req.params.job} completed`);
+});
+
+module.exports = router;
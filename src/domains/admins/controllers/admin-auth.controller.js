@@ -5,6 +5,8 @@
 
 const adminAuthService = require('../services/admin-auth.service');
 const ResponseFormatter = require('../../../utils/response-formatter');
+const RequestContext = require('../../../utils/request-context');
+const { passwordResetService } = require('../../auth/services');
 
 class AdminAuthController {
   /**
@@ -14,7 +16,10 @@ class AdminAuthController {
   async login(req, res, next) {
     try {
       const { email, password } = req.body;
-      const result = await adminAuthService.login({ email, password });
+      const result = await adminAuthService.login(
+        { email, password },
+        RequestContext.fromRequest(req)
+      );
       return ResponseFormatter.success(res, result.data, result.message);
     } catch (error) {
       next(error);
@@ -81,7 +86,10 @@ class AdminAuthController {
   async refreshToken(req, res, next) {
     try {
       const { refreshToken } = req.body;
-      const result = await adminAuthService.refreshAccessToken(refreshToken);
+      const result = await adminAuthService.refreshAccessToken(
+        refreshToken,
+        RequestContext.fromRequest(req)
+      );
       return ResponseFormatter.success(res, result.data, 'Token refreshed successfully');
     } catch (error) {
       next(error);
@@ -96,13 +104,31 @@ class AdminAuthController {
   async logout(req, res, next) {
     try {
       const adminId = req.user.id;
-      const result = await adminAuthService.logout(adminId);
+      const result = await adminAuthService.logout(adminId, {
+        sessionId: req.user.sid,
+        refreshToken: req.body?.refreshToken,
+      });
       return ResponseFormatter.success(res, null, result.message);
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Logout All Devices
+   * POST /api/admins/auth/logout-all
+   * Protected - Requires JWT token (ADMIN role)
+   */
+  async logoutAll(req, res, next) {
+    try {
+      const adminId = req.user.id;
+      const result = await adminAuthService.logoutAll(adminId);
+      return ResponseFormatter.success(res, result.data, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Current Admin Info (from token)
    * GET /api/admins/auth/me
@@ -183,6 +209,36 @@ class AdminAuthController {
       next(error);
     }
   }
+
+  /**
+   * Forgot Password
+   * POST /api/admins/auth/forgot-password
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const result = await passwordResetService.requestReset('ADMIN', req.body.email);
+
+      return ResponseFormatter.success(res, null, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reset Password
+   * POST /api/admins/auth/reset-password
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
+
+      const result = await passwordResetService.resetPassword('ADMIN', { token, newPassword });
+
+      return ResponseFormatter.success(res, null, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AdminAuthController();
\ No newline at end of file
@@ -39,6 +39,20 @@ router.post('/auth/add', authMiddleware.verifyAdmin, adminAuthController.addAdmi
  */
 router.post('/auth/refresh-token', adminAuthController.refreshToken);
 
+/**
+ * @route   POST /api/admins/auth/forgot-password
+ * @desc    Request password reset link via email
+ * @access  Public
+ */
+router.post('/auth/forgot-password', adminAuthController.forgotPassword);
+
+/**
+ * @route   POST /api/admins/auth/reset-password
+ * @desc    Reset password using token from email
+ * @access  Public
+ */
+router.post('/auth/reset-password', adminAuthController.resetPassword);
+
 /**
  * @route   GET /api/admins/auth/profile
  * @desc    Get admin profile
@@ -85,6 +99,13 @@ router.post(
  */
 router.post('/auth/logout', authMiddleware.verifyAdmin, adminAuthController.logout);
 
+/**
+ * @route   POST /api/admins/auth/logout-all
+ * @desc    Logout from all devices (revoke all sessions)
+ * @access  Private (Admins only)
+ */
+router.post('/auth/logout-all', authMiddleware.verifyAdmin, adminAuthController.logoutAll);
+
 /**
  * @route   GET /api/admins/auth/dashboard
  * @desc    Get dashboard statistics
@@ -5,6 +5,7 @@
  */
 
 const { adminRepository } = require('../repositories');
+const { passwordResetService, sessionService } = require('../../auth/services');
 
 const PasswordHasher = require('../../../utils/password-hasher');
 const JWTHelper = require('../../../utils/jwt-helper');
@@ -23,9 +24,10 @@ class AdminAuthService {
   /**
    * Login admin
    * @param {Object} credentials - { email, password }
+   * @param {Object} context - { userAgent, ipAddress } untuk session
    * @returns {Promise<Object>} - Login result with tokens
    */
-  async login(credentials) {
+  async login(credentials, context = {}) {
     try {
       const { email, password } = credentials;
 
@@ -48,17 +50,18 @@ class AdminAuthService {
         throw new AuthenticationError('Invalid email or password');
       }
 
-      // Generate tokens
+      // Generate tokens (refresh token disimpan sebagai session)
+      const { sessionId, refreshToken } = await sessionService.createSession(
+        'ADMIN',
+        admin.id,
+        context
+      );
+
       const accessToken = JWTHelper.generateAccessToken({
         id: admin.id,
         email: admin.email,
         role: admin.role, // ✅ ambil dari database: ADMIN / SUPER_ADMIN
-      });
-
-
-      const refreshToken = JWTHelper.generateRefreshToken({
-        id: admin.id,
-        email: admin.email,
+        sessionId,
       });
 
       console.log('✅ Admin logged in:', admin.email);
@@ -300,6 +303,10 @@ class AdminAuthService {
       // Update admin
       await adminRepository.updateProfile(targetAdminId, updateData);
 
+      if (updateData.password) {
+        await passwordResetService.invalidateTokens("ADMIN", targetAdminId);
+      }
+
       console.log("✏️ Admin updated:", targetAdminId);
 
       // Ambil data terbaru (tanpa password)
@@ -393,6 +400,9 @@ class AdminAuthService {
         password: hashedPassword,
       });
 
+      // Invalidate reset token yang masih aktif
+      await passwordResetService.invalidateTokens('ADMIN', adminId);
+
       console.log('✅ Admin password changed:', admin.email);
 
       return {
@@ -406,37 +416,32 @@ class AdminAuthService {
   }
 
   /**
-   * Refresh access token
+   * Refresh access token (rotasi refresh token)
    * @param {String} refreshToken - Refresh token
-   * @returns {Promise<Object>} - New access token
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - New access token & refresh token
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, context = {}) {
     try {
-      if (!refreshToken) {
-        throw new AuthenticationError('Refresh token is required');
-      }
-
-      // Verify refresh token
-      const decoded = JWTHelper.verifyToken(refreshToken);
-
-      if (decoded.type !== 'refresh') {
-        throw new AuthenticationError('Invalid refresh token');
-      }
+      // Rotate refresh token (token lama tidak bisa dipakai lagi)
+      const rotated = await sessionService.rotate('ADMIN', refreshToken, context);
 
       // Get admin
-      const admin = await adminRepository.findByIdOrFail(decoded.id);
+      const admin = await adminRepository.findByIdOrFail(rotated.accountId);
 
       // Generate new access token
       const newAccessToken = JWTHelper.generateAccessToken({
         id: admin.id,
         email: admin.email,
-        role: 'ADMIN',
+        role: admin.role,
+        sessionId: rotated.sessionId,
       });
 
       return {
         success: true,
         data: {
           accessToken: newAccessToken,
+          refreshToken: rotated.refreshToken,
         },
       };
     } catch (error) {
@@ -446,13 +451,15 @@ class AdminAuthService {
   }
 
   /**
-   * Logout
+   * Logout - revoke session (refresh token) device ini
    * @param {String} adminId - Admin ID
+   * @param {Object} options - { sessionId, refreshToken }
    * @returns {Promise<Object>} - Result
    */
-  async logout(adminId) {
+  async logout(adminId, options = {}) {
     try {
-      // TODO: Implement token blacklist if needed
+      await sessionService.revokeSession('ADMIN', adminId, options);
+
       console.log('✅ Admin logged out:', adminId);
 
       return {
@@ -465,6 +472,28 @@ class AdminAuthService {
     }
   }
 
+  /**
+   * Logout dari semua device
+   * @param {String} adminId - Admin ID
+   * @returns {Promise<Object>} - Result
+   */
+  async logoutAll(adminId) {
+    try {
+      const revokedCount = await sessionService.revokeAllSessions('ADMIN', adminId);
+
+      console.log('✅ Admin logged out from all devices:', adminId);
+
+      return {
+        success: true,
+        message: 'Logged out from all devices successfully',
+        data: { revokedCount },
+      };
+    } catch (error) {
+      console.error('❌ Admin logout all failed:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get dashboard statistics (for admin panel)
    * @returns {Promise<Object>} - Statistics
@@ -480,11 +509,13 @@ class AdminAuthService {
           prisma.architect.count({ where: { status: 'UNPAID' } }),
           prisma.architect.count({ where: { status: 'ACTIVE' } }),
           prisma.architect.count({ where: { status: 'BANNED' } }),
+          prisma.architect.count({ where: { status: 'EXPIRED' } }),
           prisma.architect.count(),
-        ]).then(([unpaid, active, banned, total]) => ({
+        ]).then(([unpaid, active, banned, expired, total]) => ({
           unpaid,
           active,
           banned,
+          expired,
           total,
         })),
 
@@ -494,18 +525,23 @@ class AdminAuthService {
           prisma.transaction.count({ where: { status: 'SUCCESS' } }),
           prisma.transaction.count({ where: { status: 'FAILED' } }),
           prisma.transaction.count({ where: { status: 'EXPIRED' } }),
+          prisma.transaction.count({ where: { status: 'CANCELLED' } }),
+          prisma.transaction.count({ where: { status: 'REFUNDED' } }),
           prisma.transaction.count(),
           prisma.transaction.aggregate({
-            where: { status: 'SUCCESS' },
-            _sum: { amount: true },
+            where: { status: { in: ['SUCCESS', 'REFUNDED'] } },
+            _sum: { amount: true, refundedAmount: true },
           }),
-        ]).then(([pending, success, failed, expired, total, sumResult]) => ({
+        ]).then(([pending, success, failed, expired, cancelled, refunded, total, sumResult]) => ({
           pending,
           success,
           failed,
           expired,
+          cancelled,
+          refunded,
           total,
-          totalAmount: sumResult._sum.amount || 0,
+          totalAmount: (sumResult._sum.amount || 0) - (sumResult._sum.refundedAmount || 0),
+          totalRefunded: sumResult._sum.refundedAmount || 0,
         })),
 
         // User stats
@@ -0,0 +1,41 @@
+const { certificationReviewService } = require("../services");
+
+class AdminCertificationController {
+    async queue(req, res, next) {
+        try {
+            const data = await certificationReviewService.queue(req.query);
+            res.json({ success: true, message: "Certification review queue fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async detail(req, res, next) {
+        try {
+            const data = await certificationReviewService.detail(req.params.id);
+            res.json({ success: true, message: "Certification detail fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async verify(req, res, next) {
+        try {
+            const data = await certificationReviewService.verify(req.params.id, req.user?.id || null);
+            res.json({ success: true, message: "Certification verified", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async reject(req, res, next) {
+        try {
+            const data = await certificationReviewService.reject(req.params.id, req.body || {}, req.user?.id || null);
+            res.json({ success: true, message: "Certification rejected", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+}
+
+module.exports = new AdminCertificationController();
@@ -0,0 +1,41 @@
+const { promoCodeService } = require("../services");
+
+class AdminPromoCodeController {
+    async list(req, res, next) {
+        try {
+            const data = await promoCodeService.list(req.query);
+            res.json({ success: true, message: "Promo codes fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async detail(req, res, next) {
+        try {
+            const data = await promoCodeService.detail(req.params.id);
+            res.json({ success: true, message: "Promo code detail fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async create(req, res, next) {
+        try {
+            const data = await promoCodeService.create(req.body || {}, req.user?.id || null);
+            res.status(201).json({ success: true, message: "Promo code created", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async update(req, res, next) {
+        try {
+            const data = await promoCodeService.update(req.params.id, req.body || {});
+            res.json({ success: true, message: "Promo code updated", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+}
+
+module.exports = new AdminPromoCodeController();
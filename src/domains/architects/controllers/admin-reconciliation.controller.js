@@ -0,0 +1,35 @@
+const { paymentReconciliationService } = require("../services");
+
+class AdminReconciliationController {
+    async list(req, res, next) {
+        try {
+            const data = await paymentReconciliationService.listRuns(req.query);
+            res.json({ success: true, message: "Reconciliation reports fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async detail(req, res, next) {
+        try {
+            const data = await paymentReconciliationService.getRun(req.params.id);
+            res.json({ success: true, message: "Reconciliation report fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async run(req, res, next) {
+        try {
+            const data = await paymentReconciliationService.reconcile({
+                trigger: "ADMIN",
+                triggeredById: req.user?.id || null,
+            });
+            res.json({ success: true, message: data.skipped ? data.message : "Reconciliation completed", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+}
+
+module.exports = new AdminReconciliationController();
@@ -0,0 +1,68 @@
+const { skillService } = require("../services");
+
+class AdminSkillController {
+    async list(req, res, next) {
+        try {
+            const data = await skillService.list(req.query);
+            res.json({ success: true, message: "Skills fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async detail(req, res, next) {
+        try {
+            const data = await skillService.detail(req.params.id);
+            res.json({ success: true, message: "Skill detail fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async create(req, res, next) {
+        try {
+            const data = await skillService.create(req.body || {});
+            res.status(201).json({ success: true, message: "Skill created", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async rename(req, res, next) {
+        try {
+            const data = await skillService.rename(req.params.id, req.body || {});
+            res.json({ success: true, message: "Skill updated", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async addAlias(req, res, next) {
+        try {
+            const data = await skillService.addAlias(req.params.id, req.body || {});
+            res.status(201).json({ success: true, message: "Skill alias added", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async removeAlias(req, res, next) {
+        try {
+            const data = await skillService.removeAlias(req.params.id, req.params.aliasId);
+            res.json({ success: true, message: "Skill alias removed", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async merge(req, res, next) {
+        try {
+            const data = await skillService.merge(req.params.id, req.body || {});
+            res.json({ success: true, message: "Skills merged", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+}
+
+module.exports = new AdminSkillController();
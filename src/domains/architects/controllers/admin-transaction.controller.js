@@ -1,9 +1,11 @@
 const service = require("../services/admin-transaction.service");
+const invoiceService = require("../services/invoice.service");
+const { transactionSerializer } = require("../../../common/serializers");
 
 class AdminTransactionController {
     async list(req, res, next) {
         try {
-            const data = await service.list(req.query);
+            const data = transactionSerializer.page(await service.list(req.query), "admin");
             res.json({ success: true, message: "Transactions fetched", data });
         } catch (e) {
             next(e);
@@ -12,7 +14,7 @@ class AdminTransactionController {
 
     async detail(req, res, next) {
         try {
-            const data = await service.detail(req.params.id);
+            const data = transactionSerializer.serialize(await service.detail(req.params.id), "admin");
             res.json({ success: true, message: "Transaction detail fetched", data });
         } catch (e) {
             next(e);
@@ -21,12 +23,53 @@ class AdminTransactionController {
 
     async updateStatus(req, res, next) {
         try {
-            const data = await service.updateStatus(req.params.id, req.body?.status);
+            const tx = await service.updateStatus(req.params.id, req.body || {}, req.user?.id || null);
+            const data = transactionSerializer.serialize(tx, "admin");
             res.json({ success: true, message: "Transaction status updated", data });
         } catch (e) {
             next(e);
         }
     }
+
+    async timeline(req, res, next) {
+        try {
+            const data = await service.timeline(req.params.id);
+            res.json({ success: true, message: "Transaction timeline fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async invoice(req, res, next) {
+        try {
+            const invoice = await invoiceService.getInvoice(req.params.id);
+            res.setHeader("Content-Type", "application/pdf");
+            res.setHeader("Content-Disposition", `attachment; filename="${invoice.filename}"`);
+            res.send(invoice.content);
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async cancel(req, res, next) {
+        try {
+            const tx = await service.cancel(req.params.id, req.body || {}, req.user?.id || null);
+            const data = transactionSerializer.serialize(tx, "admin");
+            res.json({ success: true, message: "Transaction cancelled", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async refund(req, res, next) {
+        try {
+            const result = await service.refund(req.params.id, req.body || {}, req.user?.id || null);
+            const data = { ...result, transaction: transactionSerializer.serialize(result.transaction, "admin") };
+            res.json({ success: true, message: "Refund recorded", data });
+        } catch (e) {
+            next(e);
+        }
+    }
 }
 
 module.exports = new AdminTransactionController();
@@ -0,0 +1,32 @@
+const { webhookService } = require("../services");
+
+class AdminWebhookEventController {
+    async list(req, res, next) {
+        try {
+            const data = await webhookService.listEvents(req.query);
+            res.json({ success: true, message: "Webhook events fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async detail(req, res, next) {
+        try {
+            const data = await webhookService.getEvent(req.params.id);
+            res.json({ success: true, message: "Webhook event detail fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async replay(req, res, next) {
+        try {
+            const data = await webhookService.replayEvent(req.params.id, req.user?.id || null);
+            res.json({ success: true, message: "Webhook event replayed", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+}
+
+module.exports = new AdminWebhookEventController();
@@ -1,9 +1,10 @@
 const adminArchitectService = require("../services/architect-admin.service");
+const { architectSerializer } = require("../../../common/serializers");
 
 class AdminArchitectController {
     async list(req, res, next) {
         try {
-            const data = await adminArchitectService.list(req.query);
+            const data = architectSerializer.page(await adminArchitectService.list(req.query), "admin");
             res.json({ success: true, message: "Architects fetched", data });
         } catch (e) {
             next(e);
@@ -12,7 +13,7 @@ class AdminArchitectController {
 
     async detail(req, res, next) {
         try {
-            const data = await adminArchitectService.detail(req.params.id);
+            const data = architectSerializer.serialize(await adminArchitectService.detail(req.params.id), "admin");
             res.json({ success: true, message: "Architect detail fetched", data });
         } catch (e) {
             next(e);
@@ -21,13 +22,23 @@ class AdminArchitectController {
 
     async updateStatus(req, res, next) {
         try {
-            const data = await adminArchitectService.updateStatus(req.params.id, req.body?.status);
+            const architect = await adminArchitectService.updateStatus(req.params.id, req.body || {}, req.user?.id || null);
+            const data = architectSerializer.serialize(architect, "admin");
             res.json({ success: true, message: "Architect status updated", data });
         } catch (e) {
             next(e);
         }
     }
 
+    async timeline(req, res, next) {
+        try {
+            const data = await adminArchitectService.timeline(req.params.id, req.query);
+            res.json({ success: true, message: "Architect timeline fetched", data });
+        } catch (e) {
+            next(e);
+        }
+    }
+
     async remove(req, res, next) {
         try {
             await adminArchitectService.remove(req.params.id);
@@ -4,7 +4,11 @@
    */
 
   const architectAuthService = require('../services/architect-auth.service');
+  const membershipService = require('../services/membership.service');
+  const invoiceService = require('../services/invoice.service');
   const ResponseFormatter = require('../../../utils/response-formatter');
+  const RequestContext = require('../../../utils/request-context');
+  const { passwordResetService, emailVerificationService } = require('../../auth/services');
 
   class ArchitectAuthController {
     /**
@@ -15,11 +19,14 @@
       try {
         const { email, password } = req.body;
 
-        const result = await architectAuthService.login({ email, password });
+        const result = await architectAuthService.login(
+          { email, password },
+          RequestContext.fromRequest(req)
+        );
 
-        // Jika account UNPAID (payment required)
+        // Jika account UNPAID / membership EXPIRED (payment required)
         if (!result.success && result.paymentRequired) {
-          return ResponseFormatter.forbidden(res, result.message);
+          return ResponseFormatter.forbidden(res, result.message, result.data);
         }
 
         return ResponseFormatter.success(res, result.data, result.message);
@@ -101,7 +108,10 @@
       try {
         const { refreshToken } = req.body;
 
-        const result = await architectAuthService.refreshAccessToken(refreshToken);
+        const result = await architectAuthService.refreshAccessToken(
+          refreshToken,
+          RequestContext.fromRequest(req)
+        );
 
         return ResponseFormatter.success(res, result.data, 'Token refreshed successfully');
       } catch (error) {
@@ -118,7 +128,10 @@
       try {
         const architectId = req.user.id; // From JWT token
 
-        const result = await architectAuthService.logout(architectId);
+        const result = await architectAuthService.logout(architectId, {
+          sessionId: req.user.sid,
+          refreshToken: req.body?.refreshToken,
+        });
 
         return ResponseFormatter.success(res, null, result.message);
       } catch (error) {
@@ -126,6 +139,23 @@
       }
     }
 
+    /**
+     * Logout All Devices
+     * POST /api/architects/auth/logout-all
+     * Protected - Requires JWT token
+     */
+    async logoutAll(req, res, next) {
+      try {
+        const architectId = req.user.id; // From JWT token
+
+        const result = await architectAuthService.logoutAll(architectId);
+
+        return ResponseFormatter.success(res, result.data, result.message);
+      } catch (error) {
+        next(error);
+      }
+    }
+
     /**
      * Get Dashboard Statistics
      * GET /api/architects/auth/dashboard
@@ -143,6 +173,70 @@
       }
     }
 
+    /**
+     * Get Membership Status
+     * GET /api/architects/auth/membership
+     * Protected - Requires JWT token
+     */
+    async getMembership(req, res, next) {
+      try {
+        const result = await membershipService.getMembership(req.user.id);
+
+        return ResponseFormatter.success(res, result, 'Membership retrieved successfully');
+      } catch (error) {
+        next(error);
+      }
+    }
+
+    /**
+     * Renew Membership (buat transaksi renewal)
+     * POST /api/architects/auth/membership/renew
+     * Protected - Requires JWT token
+     */
+    async renewMembership(req, res, next) {
+      try {
+        const result = await membershipService.createRenewal(req.user.id);
+
+        return ResponseFormatter.success(res, result, 'Renewal payment created successfully');
+      } catch (error) {
+        next(error);
+      }
+    }
+
+    /**
+     * Download Invoice PDF
+     * GET /api/architects/auth/transactions/:id/invoice
+     * Protected - Requires JWT token
+     */
+    async downloadInvoice(req, res, next) {
+      try {
+        const invoice = await invoiceService.getInvoice(req.params.id, { architectId: req.user.id });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.filename}"`);
+        return res.send(invoice.content);
+      } catch (error) {
+        next(error);
+      }
+    }
+
+    /**
+     * Get View Analytics
+     * GET /api/architects/auth/analytics?from=&to=&granularity=day|week
+     * Protected - Requires JWT token
+     */
+    async getAnalytics(req, res, next) {
+      try {
+        const architectId = req.user.id; // From JWT token
+
+        const analytics = await architectAuthService.getAnalytics(architectId, req.query);
+
+        return ResponseFormatter.success(res, analytics, 'Analytics retrieved successfully');
+      } catch (error) {
+        next(error);
+      }
+    }
+
     /**
      * Get Current User Info (from token)
      * GET /api/architects/auth/me
@@ -159,6 +253,67 @@
         next(error);
       }
     }
+
+    /**
+     * Forgot Password
+     * POST /api/architects/auth/forgot-password
+     */
+    async forgotPassword(req, res, next) {
+      try {
+        const result = await passwordResetService.requestReset('ARCHITECT', req.body.email);
+
+        return ResponseFormatter.success(res, null, result.message);
+      } catch (error) {
+        next(error);
+      }
+    }
+
+    /**
+     * Reset Password
+     * POST /api/architects/auth/reset-password
+     */
+    async resetPassword(req, res, next) {
+      try {
+        const { token, newPassword } = req.body;
+
+        const result = await passwordResetService.resetPassword('ARCHITECT', { token, newPassword });
+
+        return ResponseFormatter.success(res, null, result.message);
+      } catch (error) {
+        next(error);
+      }
+    }
+
+    /**
+     * Verify Email
+     * POST /api/architects/auth/verify-email
+     * Body: { email, code }
+     */
+    async verifyEmail(req, res, next) {
+      try {
+        const { email, code } = req.body;
+
+        const result = await emailVerificationService.confirm('ARCHITECT', { email, code });
+
+        return ResponseFormatter.success(res, null, result.message);
+      } catch (error) {
+        next(error);
+      }
+    }
+
+    /**
+     * Resend Verification Code
+     * POST /api/architects/auth/resend-verification
+     */
+    async resendVerification(req, res, next) {
+      try {
+        const result = await emailVerificationService.resendVerification('ARCHITECT', req.body.email);
+
+        return ResponseFormatter.success(res, null, result.message);
+      } catch (error) {
+        next(error);
+      }
+    }
   }
 
   module.exports = new ArchitectAuthController();
\ No newline at end of file
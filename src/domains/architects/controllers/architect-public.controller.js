@@ -1,18 +1,23 @@
 const ResponseFormatter = require("../../../utils/response-formatter");
-const architectRepository = require("../repositories/architect.repository");
+const { architectRepository } = require("../repositories");
+const architectDirectoryService = require("../services/architect-directory.service");
+const { architectSerializer, designSerializer } = require("../../../common/serializers");
 
 class ArchitectPublicController {
+    /**
+     * GET /api/architects/public
+     * Query: q, skills (comma separated), skillMatch (any|all), minExperience, area,
+     * hasCertification, kategori, sort (newest|experience|views|designs), page, limit
+     */
     async list(req, res, next) {
         try {
-            const page = parseInt(req.query.page || "1", 10);
-            const limit = parseInt(req.query.limit || "10", 10);
-            const q = (req.query.q || "").trim();
+            const { facets, filters, ...result } = await architectDirectoryService.search(req.query);
 
-            const result = q
-                ? await architectRepository.search(q, { page, limit })
-                : await architectRepository.findActiveArchitects({ page, limit });
-
-            return ResponseFormatter.success(res, result, "Architect list retrieved successfully");
+            return ResponseFormatter.success(
+                res,
+                { ...architectSerializer.page(result, "public"), facets, filters },
+                "Architect list retrieved successfully"
+            );
         } catch (err) {
             next(err);
         }
@@ -30,7 +35,15 @@ class ArchitectPublicController {
                 return ResponseFormatter.notFound(res, "Architect not found");
             }
 
-            return ResponseFormatter.success(res, architect, "Architect detail retrieved successfully");
+            // designs: foto dari tabel design_images, format sama dengan endpoint design
+            return ResponseFormatter.success(
+                res,
+                {
+                    ...architectSerializer.serialize(architect, "public"),
+                    designs: designSerializer.many(architect.designs, "public"),
+                },
+                "Architect detail retrieved successfully"
+            );
         } catch (err) {
             next(err);
         }
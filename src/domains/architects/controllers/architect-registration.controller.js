@@ -3,7 +3,7 @@
  * Handle HTTP requests untuk architect registration
  */
 
-const { architectRegistrationService } = require('../services');
+const { architectRegistrationService, promoCodeService } = require('../services');
 const ResponseFormatter = require('../../../utils/response-formatter');
 
 class ArchitectRegistrationController {
@@ -29,11 +29,15 @@ class ArchitectRegistrationController {
         professionalInfo: {
           tahunPengalaman: req.body.tahunPengalaman ? parseInt(req.body.tahunPengalaman) : null,
           areaPengalaman: req.body.areaPengalaman || null,
-          keahlianKhusus: req.body.keahlianKhusus 
-            ? (Array.isArray(req.body.keahlianKhusus) 
-                ? req.body.keahlianKhusus 
-                : JSON.parse(req.body.keahlianKhusus))
-            : [],
+          // array / JSON string / dipisah koma (dinormalisasi SkillService)
+          keahlianKhusus: req.body.keahlianKhusus || [],
+        },
+        location: {
+          provinceId: req.body.provinceId,
+          cityId: req.body.cityId,
+          latitude: req.body.latitude,
+          longitude: req.body.longitude,
+          serviceAreas: req.body.serviceAreas,
         },
         certifications: [],
         portfolioLinks: req.body.portfolioLinks 
@@ -41,6 +45,7 @@ class ArchitectRegistrationController {
               ? req.body.portfolioLinks 
               : JSON.parse(req.body.portfolioLinks))
           : [],
+        promoCode: req.body.promoCode || null,
       };
 
       // Parse certifications if provided
@@ -83,21 +88,51 @@ class ArchitectRegistrationController {
     }
   }
 
+  /**
+   * Get registration pricing (optional ?promoCode=)
+   * GET /api/architects/pricing
+   */
+  async getPricing(req, res, next) {
+    try {
+      const pricing = await promoCodeService.getRegistrationPricing(req.query.promoCode || null);
+
+      return ResponseFormatter.success(res, pricing, 'Pricing retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Resend payment link
    * POST /api/architects/payment/resend
    */
   async resendPaymentLink(req, res, next) {
     try {
-      const { email } = req.body;
+      const { email, promoCode } = req.body;
 
       if (!email) {
         return ResponseFormatter.badRequest(res, 'Email is required');
       }
 
-      const result = await architectRegistrationService.resendPaymentLink(email);
+      const result = await architectRegistrationService.resendPaymentLink(email, promoCode || null);
+
+      return ResponseFormatter.success(res, result.data, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Buat transaksi pembayaran baru untuk arsitek UNPAID (link lama expired / gagal)
+   * POST /api/architects/payment/retry
+   */
+  async retryPayment(req, res, next) {
+    try {
+      const { email, password, promoCode } = req.body;
+
+      const result = await architectRegistrationService.retryPayment({ email, password }, promoCode || null);
 
-      return ResponseFormatter.success(res, null, result.message);
+      return ResponseFormatter.success(res, result.data, result.message);
     } catch (error) {
       next(error);
     }
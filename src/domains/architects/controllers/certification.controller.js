@@ -5,6 +5,7 @@
 
 const certificationService = require('../services/certification.service');
 const ResponseFormatter = require('../../../utils/response-formatter');
+const { certificationSerializer } = require('../../../common/serializers');
 
 class CertificationController {
 
@@ -61,7 +62,12 @@ class CertificationController {
 
       const certification = await certificationService.getCertificationById(id);
 
-      return ResponseFormatter.success(res, certification, 'Certification retrieved successfully');
+      // Endpoint publik: berkas sertifikat tidak ikut
+      return ResponseFormatter.success(
+        res,
+        certificationSerializer.serialize(certification, 'public'),
+        'Certification retrieved successfully'
+      );
     } catch (error) {
       next(error);
     }
@@ -5,6 +5,8 @@
 
 const designService = require('../services/design.service');
 const ResponseFormatter = require('../../../utils/response-formatter');
+const RequestContext = require('../../../utils/request-context');
+const VisitorFingerprint = require('../../../utils/visitor-fingerprint');
 
 class DesignController {
   /**
@@ -42,7 +44,10 @@ class DesignController {
 
       const viewer = req.user || null;
 
-      const design = await designService.getDesignById(id, true, viewer);
+      const design = await designService.getDesignById(id, true, viewer, {
+        referrer: RequestContext.referrerOf(req),
+        visitorHash: viewer ? null : VisitorFingerprint.resolve(req, res).visitorHash,
+      });
 
       return ResponseFormatter.success(res, design, 'Design retrieved successfully');
     } catch (error) {
@@ -212,6 +217,43 @@ class DesignController {
     }
   }
 
+  /**
+   * Get popular designs (all-time views)
+   * GET /api/designs/popular
+   * Public
+   */
+  async getPopularDesigns(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+      const designs = await designService.getPopularDesigns(limit);
+
+      return ResponseFormatter.success(res, designs, 'Popular designs retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get trending designs (time-decayed views)
+   * GET /api/designs/trending?window=7d
+   * Public
+   */
+  async getTrendingDesigns(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+      const designs = await designService.getTrendingDesigns({
+        window: req.query.window || '7d',
+        limit,
+      });
+
+      return ResponseFormatter.success(res, designs, 'Trending designs retrieved successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Update design
    * PUT /api/architects/auth/designs/:id
@@ -255,6 +297,78 @@ class DesignController {
     }
   }
 
+  /**
+   * Add images to design
+   * POST /api/designs/architect/my-designs/:id/images
+   * Protected - Requires architect authentication
+   */
+  async addImages(req, res, next) {
+    try {
+      const architectId = req.user.id; // From JWT
+      const { id } = req.params;
+
+      const design = await designService.addImages(id, architectId, req.body, req.files || []);
+
+      return ResponseFormatter.created(res, design, 'Design images added successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove image from design
+   * DELETE /api/designs/architect/my-designs/:id/images/:imageId
+   * Protected - Requires architect authentication
+   */
+  async removeImage(req, res, next) {
+    try {
+      const architectId = req.user.id; // From JWT
+      const { id, imageId } = req.params;
+
+      const design = await designService.removeImage(id, architectId, imageId);
+
+      return ResponseFormatter.success(res, design, 'Design image removed successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reorder design images
+   * PUT /api/designs/architect/my-designs/:id/images/order
+   * Protected - Requires architect authentication
+   */
+  async reorderImages(req, res, next) {
+    try {
+      const architectId = req.user.id; // From JWT
+      const { id } = req.params;
+
+      const design = await designService.reorderImages(id, architectId, req.body);
+
+      return ResponseFormatter.success(res, design, 'Design images reordered successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set design cover image
+   * PUT /api/designs/architect/my-designs/:id/images/:imageId/cover
+   * Protected - Requires architect authentication
+   */
+  async setCoverImage(req, res, next) {
+    try {
+      const architectId = req.user.id; // From JWT
+      const { id, imageId } = req.params;
+
+      const design = await designService.setCoverImage(id, architectId, imageId);
+
+      return ResponseFormatter.success(res, design, 'Design cover image updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get design statistics
    * GET /api/architects/auth/designs/statistics
@@ -0,0 +1,183 @@
+/**
+ * Fake Payment Controller
+ * Halaman checkout simulasi & trigger webhook untuk PAYMENT_PROVIDER=fake
+ */
+
+const paymentService = require('../../../common/services/payment.service');
+const ResponseFormatter = require('../../../utils/response-formatter');
+const { PaymentError } = require('../../../errors/app-errors');
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[ch]);
+
+const formatRupiah = (amount) => `Rp ${Number(amount || 0).toLocaleString('id-ID')}`;
+
+class FakePaymentController {
+  /**
+   * Route simulasi hanya tersedia kalau fake provider aktif
+   */
+  ensureFakeProvider(req, res, next) {
+    if (paymentService.getProviderName() !== 'fake') {
+      return ResponseFormatter.notFound(res, 'Route not found');
+    }
+    next();
+  }
+
+  /**
+   * Simulated checkout page
+   * GET /api/payment/fake/checkout/:token
+   */
+  async showCheckout(req, res, next) {
+    try {
+      const provider = paymentService.getProvider();
+      const order = provider.findOrder(req.params.token);
+
+      if (!order || order.token !== req.params.token) {
+        return res.status(404).type('html').send(renderPage('Pembayaran tidak ditemukan', '<p>Token checkout tidak valid atau server sudah restart.</p>'));
+      }
+
+      return res.type('html').send(renderCheckout(order, provider.getPaymentTypes()));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Submit checkout simulasi (form), kirim webhook lalu redirect ke frontend
+   * POST /api/payment/fake/checkout/:token
+   */
+  async submitCheckout(req, res, next) {
+    try {
+      const provider = paymentService.getProvider();
+      const { action, paymentType } = req.body || {};
+      const order = provider.findOrder(req.params.token);
+
+      if (!order || order.token !== req.params.token) {
+        return res.status(404).type('html').send(renderPage('Pembayaran tidak ditemukan', '<p>Token checkout tidak valid atau server sudah restart.</p>'));
+      }
+
+      let notification;
+      try {
+        notification = provider.simulate(order.orderId, action, { paymentType });
+      } catch (error) {
+        if (!(error instanceof PaymentError)) throw error;
+        return res.status(error.statusCode).type('html').send(renderPage('Simulasi gagal', `<p>${escapeHtml(error.message)}</p>`));
+      }
+
+      const delivery = await provider.deliverWebhook(notification);
+
+      if (!delivery.delivered) {
+        return res.status(502).type('html').send(renderPage(
+          'Webhook gagal dikirim',
+          `<p>Status order <b>${escapeHtml(notification.order_id)}</b> sudah <b>${escapeHtml(notification.transaction_status)}</b> di fake gateway, ` +
+          `tapi webhook ke <code>${escapeHtml(delivery.url)}</code> gagal (${escapeHtml(delivery.error || `HTTP ${delivery.statusCode}`)}).</p>` +
+          '<p>Transaksi akan tersinkron lewat payment reconciliation.</p>'
+        ));
+      }
+
+      const redirectBase = action === 'success'
+        ? process.env.PAYMENT_SUCCESS_URL
+        : process.env.PAYMENT_FAILED_URL;
+
+      if (!redirectBase) {
+        return res.type('html').send(renderPage('Simulasi selesai', `<p>Order <b>${escapeHtml(notification.order_id)}</b>: ${escapeHtml(notification.transaction_status)}</p>`));
+      }
+
+      const redirectUrl = new URL(redirectBase);
+      redirectUrl.searchParams.set('order_id', notification.order_id);
+      redirectUrl.searchParams.set('transaction_status', notification.transaction_status);
+
+      return res.redirect(303, redirectUrl.toString());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Simulate payment result + kirim webhook (untuk test / script)
+   * POST /api/payment/fake/simulate
+   * Body: { orderId, action: success|failure|expire, paymentType?, deliver? }
+   */
+  async simulate(req, res, next) {
+    try {
+      const provider = paymentService.getProvider();
+      const { orderId, action, paymentType, deliver = true } = req.body || {};
+
+      if (!orderId) {
+        return ResponseFormatter.badRequest(res, 'orderId is required');
+      }
+
+      const notification = provider.simulate(orderId, action, { paymentType });
+      const delivery = deliver === false || deliver === 'false'
+        ? null
+        : await provider.deliverWebhook(notification);
+
+      return ResponseFormatter.success(res, { notification, delivery }, 'Payment simulated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - HaloSitek Fake Payment</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f3f4f6; color: #111827; margin: 0; padding: 40px 16px; }
+    .card { max-width: 480px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 32px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+    .badge { display: inline-block; background: #fef3c7; color: #92400e; font-size: 12px; padding: 4px 8px; border-radius: 4px; }
+    table { width: 100%; margin: 16px 0; border-collapse: collapse; }
+    td { padding: 6px 0; border-bottom: 1px solid #e5e7eb; }
+    td:last-child { text-align: right; }
+    select, button { width: 100%; padding: 12px; margin-top: 8px; border-radius: 6px; font-size: 15px; }
+    select { border: 1px solid #d1d5db; }
+    button { border: 0; color: #fff; cursor: pointer; }
+    .success { background: #059669; } .failure { background: #dc2626; } .expire { background: #6b7280; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <span class="badge">FAKE PAYMENT GATEWAY</span>
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+function renderCheckout(order, paymentTypes) {
+  const items = order.itemDetails
+    .map((item) => `<tr><td>${escapeHtml(item.name)}</td><td>${formatRupiah(item.price * (item.quantity || 1))}</td></tr>`)
+    .join('');
+
+  if (order.transactionStatus !== 'pending') {
+    return renderPage('Checkout', `<p>Order <b>${escapeHtml(order.orderId)}</b> sudah <b>${escapeHtml(order.transactionStatus)}</b>.</p>`);
+  }
+
+  return renderPage('Checkout', `
+    <p>Order ID: <b>${escapeHtml(order.orderId)}</b><br>${escapeHtml(order.customerDetails.email || '')}</p>
+    <table>
+      ${items}
+      <tr><td><b>Total</b></td><td><b>${formatRupiah(order.amount)}</b></td></tr>
+    </table>
+    <form method="post">
+      <select name="paymentType">
+        ${paymentTypes.map((type) => `<option value="${type}">${type}</option>`).join('')}
+      </select>
+      <button class="success" name="action" value="success">Bayar (settlement)</button>
+      <button class="failure" name="action" value="failure">Tolak (deny)</button>
+      <button class="expire" name="action" value="expire">Kedaluwarsa (expire)</button>
+    </form>`);
+}
+
+module.exports = new FakePaymentController();
@@ -5,8 +5,7 @@
 
 const paymentService = require('../../../common/services/payment.service');
 const ResponseFormatter = require('../../../utils/response-formatter');
-const { transactionRepository, architectRepository } = require('../repositories');
-const { mapMidtransToInternalStatus } = require('../../../common/services/payment.service');
+
 class PaymentController {
   /**
    * Get available payment methods
@@ -22,39 +21,6 @@ class PaymentController {
     }
   }
 
-  async getTransactionStatus(req, res, next) {
-    try {
-      const { orderId } = req.params;
-
-      const mid = await paymentService.getTransactionStatus(orderId);
-
-      const { status, shouldActivate } = mapMidtransToInternalStatus(mid);
-
-      // reconcile ke DB lokal
-      const tx = await transactionRepository.findByOrderId(orderId); // kalau belum ada, buat method ini
-      if (tx) {
-        if (status === "SUCCESS") {
-          await transactionRepository.markAsSuccess(orderId, (mid.payment_type || "OTHER").toUpperCase(), mid);
-          if (shouldActivate) {
-            await architectRepository.activateAccount(tx.architectId);
-          }
-        } else if (status === "FAILED") {
-          await transactionRepository.markAsFailed(orderId, mid); // optional
-        }
-      }
-
-      return ResponseFormatter.success(res, {
-        orderId,
-        status,                       // <- ini yang FE kamu butuhkan
-        transaction_status: mid.transaction_status,
-        fraud_status: mid.fraud_status,
-        payment_type: mid.payment_type,
-      }, 'Transaction status retrieved successfully');
-    } catch (error) {
-      next(error);
-    }
-  }
-
   /**
    * Get payment configuration for frontend
    * GET /api/payment/config
@@ -65,6 +31,7 @@ class PaymentController {
         clientKey: paymentService.getClientKey(),
         snapJsUrl: paymentService.getSnapJsUrl(),
         isConfigured: paymentService.isConfigured(),
+        provider: paymentService.getProviderName(),
       };
 
       return ResponseFormatter.success(res, config, 'Payment config retrieved successfully');
@@ -0,0 +1,30 @@
+const ResponseFormatter = require("../../../utils/response-formatter");
+const { regionService } = require("../services");
+
+class RegionController {
+    /**
+     * GET /api/regions?type=&parentId=&q=
+     */
+    async list(req, res, next) {
+        try {
+            const data = await regionService.list(req.query);
+            return ResponseFormatter.success(res, data, "Regions retrieved successfully");
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    /**
+     * GET /api/regions/:id
+     */
+    async detail(req, res, next) {
+        try {
+            const data = await regionService.detail(req.params.id);
+            return ResponseFormatter.success(res, data, "Region retrieved successfully");
+        } catch (err) {
+            next(err);
+        }
+    }
+}
+
+module.exports = new RegionController();
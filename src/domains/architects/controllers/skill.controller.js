@@ -0,0 +1,18 @@
+const ResponseFormatter = require("../../../utils/response-formatter");
+const { skillService } = require("../services");
+
+class SkillController {
+    /**
+     * GET /api/skills/autocomplete?q=aut&limit=10
+     */
+    async autocomplete(req, res, next) {
+        try {
+            const data = await skillService.autocomplete(req.query);
+            return ResponseFormatter.success(res, data, "Skills retrieved successfully");
+        } catch (err) {
+            next(err);
+        }
+    }
+}
+
+module.exports = new SkillController();
@@ -15,17 +15,14 @@ class WebhookController {
     try {
       console.log('📥 Received Midtrans webhook');
 
-      // Verify webhook authenticity
-      const isAuthentic = webhookService.verifyWebhookAuthenticity(req.body);
+      // Simpan event, verify signature, dedupe, lalu proses
+      const result = await webhookService.receiveMidtransWebhook(req.body);
 
-      if (!isAuthentic) {
+      if (result.invalidSignature) {
         console.error('❌ Invalid webhook signature');
         return ResponseFormatter.badRequest(res, 'Invalid webhook signature');
       }
 
-      // Process webhook
-      const result = await webhookService.processMidtransWebhook(req.body);
-
       console.log('✅ Webhook processed:', result.orderId);
 
       // Always return 200 to Midtrans
@@ -39,17 +36,19 @@ class WebhookController {
   }
 
   /**
-   * Get webhook statistics (Admin only)
-   * GET /api/webhooks/statistics
+   * Get payments report (Admin only)
+   * GET /api/webhooks/statistics?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
    */
   async getStatistics(req, res, next) {
     try {
-      const { startDate, endDate } = req.query;
+      const { from, to, startDate, endDate, granularity } = req.query;
 
-      const stats = await webhookService.getWebhookStatistics(
-        startDate ? new Date(startDate) : null,
-        endDate ? new Date(endDate) : null
-      );
+      // startDate / endDate = nama parameter lama
+      const stats = await webhookService.getWebhookStatistics({
+        from: from || startDate,
+        to: to || endDate,
+        granularity,
+      });
 
       return ResponseFormatter.success(res, stats, 'Statistics retrieved successfully');
     } catch (error) {
@@ -63,7 +62,10 @@ class WebhookController {
    */
   async checkExpiredTransactions(req, res, next) {
     try {
-      const result = await webhookService.handleExpiredTransactions();
+      const result = await webhookService.handleExpiredTransactions({
+        source: 'ADMIN',
+        actorId: req.user?.id || null,
+      });
 
       return ResponseFormatter.success(res, result, result.message);
     } catch (error) {
@@ -3,9 +3,27 @@
  * Handle database operations untuk Architect model
  */
 
+const { Prisma } = require('@prisma/client');
 const prisma = require('../../../config/prisma-client');
 const BaseRepository = require('./base-repository');
-const { ConflictError, NotFoundError } = require('../../../errors/app-errors');
+const { ConflictError, NotFoundError, DatabaseError } = require('../../../errors/app-errors');
+
+// Skill kanonik arsitek (urut nama)
+const SKILLS_INCLUDE = {
+  include: { skill: { select: { id: true, name: true, slug: true } } },
+  orderBy: { skill: { name: 'asc' } },
+};
+
+// Lokasi arsitek: provinsi, kota/kabupaten & wilayah layanan
+const REGION_SELECT = { select: { id: true, name: true, type: true } };
+const LOCATION_INCLUDE = {
+  province: REGION_SELECT,
+  city: REGION_SELECT,
+  serviceAreas: {
+    include: { region: REGION_SELECT },
+    orderBy: { region: { name: 'asc' } },
+  },
+};
 
 class ArchitectRepository extends BaseRepository {
   constructor() {
@@ -43,9 +61,11 @@ class ArchitectRepository extends BaseRepository {
    * @param {Object} architectData - Architect data
    * @param {Array} certifications - Certifications data (optional)
    * @param {Array} portfolioLinks - Portfolio links data (optional)
+   * @param {Array<String>} skillIds - Skill kanonik (optional)
+   * @param {Array<String>} serviceAreaIds - Kode wilayah layanan (optional)
    * @returns {Promise<Object>} - Created architect with relations
    */
-  async createWithRelations(architectData, certifications = [], portfolioLinks = []) {
+  async createWithRelations(architectData, certifications = [], portfolioLinks = [], skillIds = []) {
     try {
       // Check if email already exists
       const emailExists = await this.isEmailExists(architectData.email);
@@ -63,10 +83,18 @@ class ArchitectRepository extends BaseRepository {
           portfolioLinks: portfolioLinks.length > 0 ? {
             create: portfolioLinks,
           } : undefined,
+          skills: skillIds.length > 0 ? {
+            create: skillIds.map((skillId) => ({ skillId })),
+          } : undefined,
+          serviceAreas: serviceAreaIds.length > 0 ? {
+            create: serviceAreaIds.map((regionId) => ({ regionId })),
+          } : undefined,
         },
         include: {
           certifications: true,
           portfolioLinks: true,
+          skills: SKILLS_INCLUDE,
+          ...LOCATION_INCLUDE,
         },
       });
 
@@ -92,46 +120,108 @@ class ArchitectRepository extends BaseRepository {
       portfolioLinks: {
         orderBy: { order: 'asc' },
       },
+      skills: SKILLS_INCLUDE,
+      ...LOCATION_INCLUDE,
       transactions: {
         orderBy: { createdAt: 'desc' },
       },
       designs: {
         orderBy: { createdAt: 'desc' },
+        include: {
+          images: { orderBy: [{ type: 'asc' }, { order: 'asc' }] },
+        },
       },
     });
   }
 
   /**
-   * Update architect status
+   * Update status hanya kalau status saat ini masih salah satu dari fromStatuses (atomic)
+   * Perubahan status dicatat ke StatusChange di DB transaction yang sama
    * @param {String} id - Architect ID
-   * @param {String} status - New status (UNPAID, ACTIVE, BANNED)
+   * @param {Array<String>} fromStatuses - Status asal yang diizinkan
+   * @param {Object} data - Data update (termasuk status baru)
+   * @param {Object} change - { source, actorId, reason, metadata } untuk riwayat status
+   * @param {Object} guard - Kondisi where tambahan (mis. activeUntil untuk expiry)
+   * @returns {Promise<Boolean>} - true kalau update diterapkan
+   */
+  async transitionStatus(id, fromStatuses, data, change = {}, guard = {}) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const current = await tx.architect.findUnique({ where: { id }, select: { status: true } });
+        if (!current || !fromStatuses.includes(current.status)) return false;
+
+        const result = await tx.architect.updateMany({
+          where: { ...guard, id, status: current.status },
+          data,
+        });
+        if (result.count === 0) return false;
+
+        if (data.status && data.status !== current.status) {
+          await tx.statusChange.create({
+            data: {
+              entityType: 'ARCHITECT',
+              architectId: id,
+              fromStatus: current.status,
+              toStatus: data.status,
+              source: change.source || 'SYSTEM',
+              actorId: change.actorId || null,
+              reason: change.reason || null,
+              metadata: change.metadata || undefined,
+            },
+          });
+        }
+        return true;
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to update architect status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Perpanjang / potong periode membership tanpa mengubah status
+   * @param {String} id - Architect ID
+   * @param {Date} activeUntil - Akhir periode membership
    * @returns {Promise<Object>} - Updated architect
    */
-  async updateStatus(id, status) {
-    return await this.update(id, { status });
+  async setMembershipPeriod(id, activeUntil) {
+    return await this.update(id, { activeUntil, membershipReminderDay: null });
+  }
+
+  /**
+   * Find ACTIVE architects whose membership ends before a date
+   * @param {Date} before - Batas activeUntil
+   * @returns {Promise<Array>} - Array of architects
+   */
+  async findMembershipsEndingBefore(before) {
+    return await this.findAll(
+      {
+        status: 'ACTIVE',
+        activeUntil: { not: null, lte: before },
+      },
+      {},
+      { activeUntil: 'asc' }
+    );
   }
 
   /**
-   * Activate architect account (after payment)
+   * Simpan reminder membership terakhir yang terkirim
    * @param {String} id - Architect ID
+   * @param {Number} day - H-n reminder (0 = sudah lewat activeUntil / grace)
    * @returns {Promise<Object>} - Updated architect
    */
-  async activateAccount(id) {
-    return await this.update(id, {
-      status: 'ACTIVE',
-      emailVerified: true,
-      emailVerifiedAt: new Date(),
-    });
+  async setMembershipReminderDay(id, day) {
+    return await this.update(id, { membershipReminderDay: day });
   }
 
   /**
-   * Ban architect account
+   * Verify architect email
    * @param {String} id - Architect ID
    * @returns {Promise<Object>} - Updated architect
    */
-  async banAccount(id) {
+  async verifyEmail(id) {
     return await this.update(id, {
-      status: 'BANNED',
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
     });
   }
 
@@ -162,6 +252,138 @@ class ArchitectRepository extends BaseRepository {
     });
   }
 
+  /**
+   * Direktori publik (where & orderBy dibentuk architect-directory.service)
+   * @param {Object} options - { where, orderBy, page, limit }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async findDirectory({ where, orderBy, page, limit }) {
+    return await this.findWithPagination({
+      where,
+      orderBy,
+      page,
+      limit,
+      include: {
+        certifications: {
+          orderBy: { year: 'desc' },
+        },
+        portfolioLinks: {
+          orderBy: { order: 'asc' },
+        },
+        skills: SKILLS_INCLUDE,
+        ...LOCATION_INCLUDE,
+        designs: {
+          select: {
+            id: true,
+            title: true,
+            kategori: true,
+          },
+        },
+        _count: {
+          select: { designs: true, profileViewEvents: true },
+        },
+      },
+    });
+  }
+
+  /**
+   * ID semua arsitek yang cocok (untuk sort jarak, paginasi dilakukan di service)
+   * @param {Object} where - Where lengkap direktori
+   * @returns {Promise<Array<String>>}
+   */
+  async findDirectoryIds(where) {
+    const rows = await this.model.findMany({ where, select: { id: true } });
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Jumlah arsitek yang cocok (facet count direktori)
+   * @param {Object} where - Where direktori
+   * @returns {Promise<Number>}
+   */
+  async countDirectory(where) {
+    return await this.model.count({ where });
+  }
+
+  /**
+   * Jumlah arsitek per skill, terbanyak dulu
+   * @param {Object} where - Where direktori (tanpa filter skill)
+   * @param {Number} take - Maksimal jumlah skill
+   * @returns {Promise<Array>} - [{ value, count }]
+   */
+  async countDirectorySkills(where, take) {
+    const groups = await prisma.architectSkill.groupBy({
+      by: ['skillId'],
+      where: { architect: where },
+      _count: { architectId: true },
+      orderBy: { _count: { architectId: 'desc' } },
+      take,
+    });
+
+    const skills = await prisma.skill.findMany({
+      where: { id: { in: groups.map((group) => group.skillId) } },
+      select: { id: true, name: true },
+    });
+    const names = new Map(skills.map((skill) => [skill.id, skill.name]));
+
+    return groups
+      .filter((group) => names.has(group.skillId))
+      .map((group) => ({ value: names.get(group.skillId), count: group._count.architectId }));
+  }
+
+  /**
+   * Jumlah arsitek per area pengalaman (ejaan apa adanya), terbanyak dulu
+   * @param {Object} where - Where direktori (tanpa filter area)
+   * @param {Number} take - Maksimal jumlah nilai
+   * @returns {Promise<Array>} - [{ value, count }]
+   */
+  async countDirectoryAreas(where, take) {
+    const groups = await this.model.groupBy({
+      by: ['areaPengalaman'],
+      where: { AND: [where, { areaPengalaman: { not: null } }] },
+      _count: { areaPengalaman: true },
+      orderBy: { _count: { areaPengalaman: 'desc' } },
+      take,
+    });
+
+    return groups.map((group) => ({ value: group.areaPengalaman, count: group._count.areaPengalaman }));
+  }
+
+  /**
+   * Jumlah arsitek per bucket pengalaman (tahunPengalaman >= min) dalam satu query
+   * @param {Array<String>} ids - ID arsitek yang cocok (tanpa filter pengalaman)
+   * @param {Array<Number>} mins - Batas bawah tiap bucket
+   * @returns {Promise<Array>} - [{ min, count }]
+   */
+  async countDirectoryExperience(ids, mins) {
+    const buckets = mins.map((min) => Prisma.sql`COUNT(*) FILTER (WHERE "tahunPengalaman" >= ${min}::int)::int`);
+    const [row] = await prisma.$queryRaw`
+      SELECT ARRAY[${Prisma.join(buckets)}] AS "counts"
+      FROM "architects"
+      WHERE "id" = ANY(${ids}::text[])
+    `;
+
+    return mins.map((min, index) => ({ min, count: row.counts[index] }));
+  }
+
+  /**
+   * Jumlah arsitek per kategori design (case-insensitive, satu arsitek dihitung sekali per kategori)
+   * Label pakai ejaan yang paling sering dipakai
+   * @param {Array<String>} ids - ID arsitek yang cocok (tanpa filter kategori)
+   * @param {Number} take - Maksimal jumlah kategori
+   * @returns {Promise<Array>} - [{ value, count }]
+   */
+  async countDirectoryKategori(ids, take) {
+    return await prisma.$queryRaw`
+      SELECT mode() WITHIN GROUP (ORDER BY trim(d."kategori")) AS "value", COUNT(DISTINCT d."architectId")::int AS "count"
+      FROM "designs" d
+      WHERE d."architectId" = ANY(${ids}::text[]) AND trim(d."kategori") <> ''
+      GROUP BY lower(trim(d."kategori"))
+      ORDER BY "count" DESC, "value" ASC
+      LIMIT ${take}::int
+    `;
+  }
+
   /**
    * Find architects by status
    * @param {String} status - Status (UNPAID, ACTIVE, BANNED)
@@ -193,7 +415,6 @@ class ArchitectRepository extends BaseRepository {
           {
             OR: [
               { name: { contains: searchTerm, mode: 'insensitive' } },
-              { email: { contains: searchTerm, mode: 'insensitive' } },
               { areaPengalaman: { contains: searchTerm, mode: 'insensitive' } },
             ],
           },
@@ -251,14 +472,15 @@ class ArchitectRepository extends BaseRepository {
    * @returns {Promise<Object>} - { unpaid, active, banned, total }
    */
   async countByStatus() {
-    const [unpaid, active, banned, total] = await Promise.all([
+    const [unpaid, active, banned, expired, total] = await Promise.all([
       this.count({ status: 'UNPAID' }),
       this.count({ status: 'ACTIVE' }),
       this.count({ status: 'BANNED' }),
+      this.count({ status: 'EXPIRED' }),
       this.count(),
     ]);
 
-    return { unpaid, active, banned, total };
+    return { unpaid, active, banned, expired, total };
   }
 
   /**
@@ -317,6 +539,35 @@ class ArchitectRepository extends BaseRepository {
     // Prisma akan otomatis delete related data karena onDelete: Cascade
     return await this.delete(id);
   }
+
+  /**
+   * Arsitek ACTIVE dalam radius dari satu titik (haversine), terdekat dulu
+   * @param {Number} latitude - Latitude titik pusat
+   * @param {Number} longitude - Longitude titik pusat
+   * @param {Number} radiusKm - Radius (km)
+   * @returns {Promise<Array>} - [{ id, distanceKm }]
+   */
+  async findIdsWithinRadius(latitude, longitude, radiusKm) {
+    try {
+      return await prisma.$queryRaw`
+        SELECT "id", "distanceKm"
+        FROM (
+          SELECT
+            "id",
+            6371 * acos(LEAST(1, GREATEST(-1,
+              cos(radians(${latitude}::float8)) * cos(radians("latitude")) * cos(radians("longitude") - radians(${longitude}::float8))
+              + sin(radians(${latitude}::float8)) * sin(radians("latitude"))
+            ))) AS "distanceKm"
+          FROM "architects"
+          WHERE "status" = 'ACTIVE' AND "latitude" IS NOT NULL AND "longitude" IS NOT NULL
+        ) d
+        WHERE "distanceKm" <= ${radiusKm}::float8
+        ORDER BY "distanceKm" ASC
+      `;
+    } catch (error) {
+      throw new DatabaseError(`Failed to search architects by radius: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new ArchitectRepository();
\ No newline at end of file
@@ -7,6 +7,12 @@ const prisma = require('../../../config/prisma-client');
 const BaseRepository = require('./base-repository');
 const { NotFoundError, DatabaseError } = require('../../../errors/app-errors');
 
+// Data untuk antrian & detail review admin
+const REVIEW_INCLUDE = {
+  architect: { select: { id: true, name: true, email: true } },
+  reviewedBy: { select: { id: true, fullName: true } },
+};
+
 class CertificationRepository extends BaseRepository {
   constructor() {
     super(prisma.certification, 'Certification');
@@ -203,6 +209,66 @@ class CertificationRepository extends BaseRepository {
       penerbitList,
     };
   }
+
+  /**
+   * Antrian review admin (paling lama dulu)
+   * @param {Object} options - { where, page, limit }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async findReviewQueue({ where = {}, page = 1, limit = 20 } = {}) {
+    return await this.findWithPagination({
+      where,
+      include: REVIEW_INCLUDE,
+      orderBy: { createdAt: 'asc' },
+      page,
+      limit,
+    });
+  }
+
+  async findByIdForReview(id) {
+    return await this.findById(id, REVIEW_INCLUDE);
+  }
+
+  /**
+   * Jumlah sertifikasi per status verifikasi
+   * @returns {Promise<Object>} - { PENDING, VERIFIED, REJECTED }
+   */
+  async countByVerificationStatus() {
+    try {
+      const rows = await prisma.certification.groupBy({
+        by: ['verificationStatus'],
+        _count: { _all: true },
+      });
+
+      return rows.reduce(
+        (counts, row) => ({ ...counts, [row.verificationStatus]: row._count._all }),
+        { PENDING: 0, VERIFIED: 0, REJECTED: 0 }
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to count certifications by status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Simpan hasil review hanya kalau status belum berubah sejak dibaca (atomic)
+   * @param {String} id - Certification ID
+   * @param {String} fromStatus - Status saat dibaca
+   * @param {Object} data - { verificationStatus, reviewedById, reviewedAt, rejectionReason }
+   * @returns {Promise<Object|null>} - Certification setelah review, null kalau keduluan request lain
+   */
+  async recordReview(id, fromStatus, data) {
+    try {
+      const result = await prisma.certification.updateMany({
+        where: { id, verificationStatus: fromStatus },
+        data,
+      });
+      if (result.count === 0) return null;
+
+      return await this.findByIdForReview(id);
+    } catch (error) {
+      throw new DatabaseError(`Failed to record certification review: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new CertificationRepository();
\ No newline at end of file
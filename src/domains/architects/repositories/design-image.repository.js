@@ -0,0 +1,123 @@
+/**
+ * Design Image Repository
+ * Handle database operations untuk DesignImage model (foto bangunan & denah)
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('./base-repository');
+const { DatabaseError } = require('../../../errors/app-errors');
+
+class DesignImageRepository extends BaseRepository {
+  constructor() {
+    super(prisma.designImage, 'DesignImage');
+  }
+
+  /**
+   * Find images of a design (ordered)
+   * @param {String} designId - Design ID
+   * @param {String} type - BANGUNAN | DENAH (optional)
+   * @returns {Promise<Array>} - Images
+   */
+  async findByDesignId(designId, type = null) {
+    return await this.findAll(
+      { designId, ...(type ? { type } : {}) },
+      {},
+      [{ type: 'asc' }, { order: 'asc' }]
+    );
+  }
+
+  /**
+   * Get next order number for a design + type
+   * @param {String} designId - Design ID
+   * @param {String} type - BANGUNAN | DENAH
+   * @returns {Promise<Number>} - Next order
+   */
+  async getNextOrder(designId, type) {
+    try {
+      const result = await prisma.designImage.aggregate({
+        where: { designId, type },
+        _max: { order: true },
+      });
+      const max = result._max.order;
+      return max === null || max === undefined ? 0 : max + 1;
+    } catch (error) {
+      throw new DatabaseError(`Failed to get next image order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create multiple images for a design
+   * @param {String} designId - Design ID
+   * @param {Array} images - [{ type, url, storageKey, order, caption, width, height }]
+   * @returns {Promise<Object>} - { count }
+   */
+  async createManyForDesign(designId, images) {
+    if (!images.length) return { count: 0 };
+    try {
+      return await prisma.designImage.createMany({
+        data: images.map((img) => ({ ...img, designId })),
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to create design images: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete images by IDs (scoped ke design)
+   * @param {String} designId - Design ID
+   * @param {Array<String>} ids - Image IDs
+   * @returns {Promise<Object>} - { count }
+   */
+  async deleteByIds(designId, ids) {
+    if (!ids.length) return { count: 0 };
+    return await this.deleteMany({ designId, id: { in: ids } });
+  }
+
+  /**
+   * Update order beberapa image sekaligus
+   * @param {String} designId - Design ID
+   * @param {Array} items - [{ id, order }]
+   * @returns {Promise<Array>} - Updated images
+   */
+  async updateOrders(designId, items) {
+    if (!items.length) return [];
+    try {
+      return await prisma.$transaction(
+        items.map(({ id, order }) =>
+          prisma.designImage.update({
+            where: { id, designId },
+            data: { order },
+          })
+        )
+      );
+    } catch (error) {
+      throw new DatabaseError(`Failed to reorder design images: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set cover image (cover lama otomatis dilepas)
+   * @param {String} designId - Design ID
+   * @param {String} imageId - Image ID
+   * @returns {Promise<Object>} - Updated image
+   */
+  async setCover(designId, imageId) {
+    try {
+      const [, cover] = await prisma.$transaction([
+        prisma.designImage.updateMany({
+          where: { designId, isCover: true },
+          data: { isCover: false },
+        }),
+        prisma.designImage.update({
+          where: { id: imageId, designId },
+          data: { isCover: true },
+        }),
+      ]);
+      return cover;
+    } catch (error) {
+      throw new DatabaseError(`Failed to set cover image: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DesignImageRepository();
@@ -7,6 +7,13 @@ const prisma = require('../../../config/prisma-client');
 const BaseRepository = require('./base-repository');
 const { NotFoundError, DatabaseError } = require('../../../errors/app-errors');
 
+// Semua query design ikut membawa images (urut per type lalu order)
+const IMAGES_INCLUDE = {
+  images: {
+    orderBy: [{ type: 'asc' }, { order: 'asc' }],
+  },
+};
+
 class DesignRepository extends BaseRepository {
   constructor() {
     super(prisma.design, 'Design');
@@ -16,13 +23,18 @@ class DesignRepository extends BaseRepository {
    * Create design for architect
    * @param {String} architectId - Architect ID
    * @param {Object} designData - Design data
+   * @param {Array} images - Images to create ({ type, url, storageKey, order, ... })
    * @returns {Promise<Object>} - Created design
    */
-  async createForArchitect(architectId, designData) {
+  async createForArchitect(architectId, designData, images = []) {
     try {
-      const design = await this.create({
-        architectId,
-        ...designData,
+      const design = await prisma.design.create({
+        data: {
+          architectId,
+          ...designData,
+          images: { create: images },
+        },
+        include: IMAGES_INCLUDE,
       });
       return design;
     } catch (error) {
@@ -35,20 +47,33 @@ class DesignRepository extends BaseRepository {
   // VIEWS (per design)
   // =========================
 
-  async recordViewByUser(userId, designId) {
-    return prisma.viewedDesignUser.upsert({
-      where: { userId_designId: { userId, designId } },
-      create: { userId, designId, viewedCount: 1 },
-      update: { viewedCount: { increment: 1 } },
-    });
+  // counter kumulatif + event ber-timestamp (untuk trending) ditulis bersamaan
+  async recordViewByUser(userId, designId, referrer = null) {
+    const [counter] = await prisma.$transaction([
+      prisma.viewedDesignUser.upsert({
+        where: { userId_designId: { userId, designId } },
+        create: { userId, designId, viewedCount: 1 },
+        update: { viewedCount: { increment: 1 } },
+      }),
+      prisma.designViewEvent.create({
+        data: { designId, viewerType: 'USER', viewerId: userId, referrer },
+      }),
+    ]);
+    return counter;
   }
 
-  async recordViewByArchitect(architectId, designId) {
-    return prisma.viewedDesignArchitect.upsert({
-      where: { architectId_designId: { architectId, designId } },
-      create: { architectId, designId, viewedCount: 1 },
-      update: { viewedCount: { increment: 1 } },
-    });
+  async recordViewByArchitect(architectId, designId, referrer = null) {
+    const [counter] = await prisma.$transaction([
+      prisma.viewedDesignArchitect.upsert({
+        where: { architectId_designId: { architectId, designId } },
+        create: { architectId, designId, viewedCount: 1 },
+        update: { viewedCount: { increment: 1 } },
+      }),
+      prisma.designViewEvent.create({
+        data: { designId, viewerType: 'ARCHITECT', viewerId: architectId, referrer },
+      }),
+    ]);
+    return counter;
   }
 
   async getViewsSummary(designId) {
@@ -133,6 +158,7 @@ class DesignRepository extends BaseRepository {
         architectId,
         ...options.where,
       },
+      include: IMAGES_INCLUDE,
       orderBy: options.orderBy || { createdAt: 'desc' },
     });
   }
@@ -144,6 +170,7 @@ class DesignRepository extends BaseRepository {
    */
   async findByIdWithArchitect(id) {
     return await this.findById(id, {
+      ...IMAGES_INCLUDE,
       architect: {
         select: {
           id: true,
@@ -165,7 +192,27 @@ class DesignRepository extends BaseRepository {
    * @returns {Promise<Object>} - Updated design
    */
   async updateDesign(id, data) {
-    return await this.update(id, data);
+    try {
+      return await prisma.design.update({
+        where: { id },
+        data,
+        include: IMAGES_INCLUDE,
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        throw new NotFoundError('Design not found');
+      }
+      throw new DatabaseError(`Failed to update Design: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find design by ID (with images) or throw
+   * @param {String} id - Design ID
+   * @returns {Promise<Object>} - Design with images
+   */
+  async findByIdWithImagesOrFail(id) {
+    return await this.findByIdOrFail(id, IMAGES_INCLUDE);
   }
 
   /**
@@ -254,6 +301,7 @@ class DesignRepository extends BaseRepository {
         take: Number(limit),
         orderBy: { createdAt: "desc" },
         include: {
+          ...IMAGES_INCLUDE,
           architect: {
             select: {
               id: true,
@@ -294,6 +342,7 @@ class DesignRepository extends BaseRepository {
         kategori: { equals: kategori, mode: 'insensitive' },
       },
       include: {
+        ...IMAGES_INCLUDE,
         architect: {
           select: {
             id: true,
@@ -317,6 +366,7 @@ class DesignRepository extends BaseRepository {
         take: limit,
         orderBy: { createdAt: 'desc' },
         include: {
+          ...IMAGES_INCLUDE,
           architect: {
             select: {
               id: true,
@@ -334,14 +384,80 @@ class DesignRepository extends BaseRepository {
   }
 
   /**
-   * Find popular designs (most viewed or featured)
-   * For now, just return latest
-   * TODO: Add view count or featured flag
+   * Find designs by IDs (urutan mengikuti array ids)
+   * @param {Array<String>} ids - Design IDs
+   * @returns {Promise<Array>} - Designs with images & architect
+   */
+  async findManyByIdsOrdered(ids) {
+    if (!ids.length) return [];
+    try {
+      const designs = await prisma.design.findMany({
+        where: { id: { in: ids } },
+        include: {
+          ...IMAGES_INCLUDE,
+          architect: {
+            select: {
+              id: true,
+              name: true,
+              profilePictureUrl: true,
+              tahunPengalaman: true,
+              areaPengalaman: true,
+            },
+          },
+        },
+      });
+      const byId = new Map(designs.map((d) => [d.id, d]));
+      return ids.map((id) => byId.get(id)).filter(Boolean);
+    } catch (error) {
+      throw new DatabaseError(`Failed to find designs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ranking all-time dari counter ViewedDesignUser + ViewedDesignArchitect
    * @param {Number} limit - Number of designs
-   * @returns {Promise<Array>} - Array of designs
+   * @returns {Promise<Array>} - [{ designId, totalViews }]
+   */
+  async findPopularIds(limit = 10) {
+    try {
+      return await prisma.$queryRaw`
+        SELECT v."designId", SUM(v."viewedCount")::int AS "totalViews"
+        FROM (
+          SELECT "designId", "viewedCount" FROM "ViewedDesignUser"
+          UNION ALL
+          SELECT "designId", "viewedCount" FROM "ViewedDesignArchitect"
+        ) v
+        GROUP BY v."designId"
+        HAVING SUM(v."viewedCount") > 0
+        ORDER BY "totalViews" DESC, v."designId" ASC
+        LIMIT ${limit}
+      `;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find popular designs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ranking trending dari design_view_events dengan time decay
+   * score = SUM(0.5 ^ (umur_view_jam / halfLifeHours))
+   * @param {Object} options - { since, halfLifeHours, limit }
+   * @returns {Promise<Array>} - [{ designId, score, views }]
    */
-  async findPopular(limit = 10) {
-    return await this.findLatest(limit);
+  async findTrendingIds({ since, halfLifeHours, limit = 10 }) {
+    try {
+      return await prisma.$queryRaw`
+        SELECT e."designId",
+          SUM(POWER(0.5, EXTRACT(EPOCH FROM (NOW() - e."viewedAt")) / 3600.0 / ${halfLifeHours}))::float AS "score",
+          COUNT(*)::int AS "views"
+        FROM "design_view_events" e
+        WHERE e."viewedAt" >= ${since}
+        GROUP BY e."designId"
+        ORDER BY "score" DESC, "views" DESC
+        LIMIT ${limit}
+      `;
+    } catch (error) {
+      throw new DatabaseError(`Failed to find trending designs: ${error.message}`);
+    }
   }
 
   /**
@@ -388,6 +504,7 @@ class DesignRepository extends BaseRepository {
     return await this.findWithPagination({
       ...options,
       include: {
+        ...IMAGES_INCLUDE,
         architect: {
           select: {
             id: true,
@@ -8,6 +8,13 @@ const certificationRepository = require('./certification.repository');
 const portfolioLinkRepository = require('./portfolio-link.repository');
 const transactionRepository = require('./transaction.repository');
 const designRepository = require('./design.repository'); // NEW
+const designImageRepository = require('./design-image.repository');
+const promoCodeRepository = require('./promo-code.repository');
+const webhookEventRepository = require('./webhook-event.repository');
+const reconciliationRunRepository = require('./reconciliation-run.repository');
+const statusChangeRepository = require('./status-change.repository');
+const skillRepository = require('./skill.repository');
+const regionRepository = require('./region.repository');
 
 module.exports = {
   architectRepository,
@@ -15,4 +22,11 @@ module.exports = {
   portfolioLinkRepository,
   transactionRepository,
   designRepository, // NEW
+  designImageRepository,
+  promoCodeRepository,
+  webhookEventRepository,
+  reconciliationRunRepository,
+  statusChangeRepository,
+  skillRepository,
+  regionRepository,
 };
\ No newline at end of file
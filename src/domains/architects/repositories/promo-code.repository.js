@@ -0,0 +1,133 @@
+/**
+ * Promo Code Repository
+ * Handle database operations untuk PromoCode & PromoRedemption
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('./base-repository');
+const { DatabaseError, BadRequestError } = require('../../../errors/app-errors');
+
+class PromoCodeRepository extends BaseRepository {
+  constructor() {
+    super(prisma.promoCode, 'PromoCode');
+  }
+
+  /**
+   * Find promo code by code (case-insensitive, disimpan uppercase)
+   * @param {String} code - Promo code
+   * @returns {Promise<Object|null>} - Promo code
+   */
+  async findByCode(code) {
+    return await this.findOne({ code: String(code).trim().toUpperCase() });
+  }
+
+  /**
+   * Check apakah arsitek sudah pernah memakai kode ini
+   * @param {String} promoCodeId - Promo code ID
+   * @param {String} architectId - Architect ID
+   * @returns {Promise<Boolean>}
+   */
+  async hasRedeemed(promoCodeId, architectId) {
+    try {
+      const count = await prisma.promoRedemption.count({
+        where: { promoCodeId, architectId },
+      });
+      return count > 0;
+    } catch (error) {
+      throw new DatabaseError(`Failed to check promo redemption: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buat transaksi sekaligus reservasi kuota promo (atomic)
+   * @param {Object} transactionData - Data transaction (sudah berisi amount setelah diskon)
+   * @param {Object} promo - { promoCodeId, discountAmount }
+   * @returns {Promise<Object>} - Created transaction
+   * @throws {BadRequestError} - Kuota habis / kode sudah dipakai arsitek ini
+   */
+  async createTransactionWithRedemption(transactionData, promo) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const reserved = await tx.promoCode.updateMany({
+          where: {
+            id: promo.promoCodeId,
+            isActive: true,
+            OR: [
+              { maxRedemptions: null },
+              { redemptionCount: { lt: prisma.promoCode.fields.maxRedemptions } },
+            ],
+          },
+          data: { redemptionCount: { increment: 1 } },
+        });
+
+        if (reserved.count === 0) {
+          throw new BadRequestError('Promo code has reached its redemption limit');
+        }
+
+        const transaction = await tx.transaction.create({
+          data: { ...transactionData, promoCodeId: promo.promoCodeId },
+        });
+
+        await tx.promoRedemption.create({
+          data: {
+            promoCodeId: promo.promoCodeId,
+            architectId: transaction.architectId,
+            transactionId: transaction.id,
+            discountAmount: promo.discountAmount,
+          },
+        });
+
+        return transaction;
+      });
+    } catch (error) {
+      if (error instanceof BadRequestError) throw error;
+      if (error.code === 'P2002') {
+        throw new BadRequestError('Promo code has already been used');
+      }
+      throw new DatabaseError(`Failed to create transaction with promo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lepas reservasi promo untuk transaksi yang gagal / expired
+   * @param {String} transactionId - Transaction ID
+   * @returns {Promise<Boolean>} - true kalau ada redemption yang dilepas
+   */
+  async releaseRedemption(transactionId) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const redemption = await tx.promoRedemption.findUnique({ where: { transactionId } });
+        if (!redemption) return false;
+
+        await tx.promoRedemption.delete({ where: { id: redemption.id } });
+        await tx.promoCode.updateMany({
+          where: { id: redemption.promoCodeId, redemptionCount: { gt: 0 } },
+          data: { redemptionCount: { decrement: 1 } },
+        });
+        return true;
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to release promo redemption: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find promo code with redemptions (admin detail)
+   * @param {String} id - Promo code ID
+   * @returns {Promise<Object>} - Promo code
+   */
+  async findByIdWithRedemptionsOrFail(id) {
+    return await this.findByIdOrFail(id, {
+      redemptions: {
+        orderBy: { createdAt: 'desc' },
+        include: {
+          transaction: {
+            select: { id: true, orderId: true, status: true, amount: true, createdAt: true },
+          },
+        },
+      },
+    });
+  }
+}
+
+module.exports = new PromoCodeRepository();
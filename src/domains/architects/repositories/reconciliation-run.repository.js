@@ -0,0 +1,28 @@
+/**
+ * Reconciliation Run Repository
+ * Handle database operations untuk ReconciliationRun (laporan payment reconciliation)
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('./base-repository');
+
+class ReconciliationRunRepository extends BaseRepository {
+  constructor() {
+    super(prisma.reconciliationRun, 'ReconciliationRun');
+  }
+
+  /**
+   * Simpan hasil akhir run
+   * @param {String} id - Run ID
+   * @param {Object} report - { checkedCount, mismatchCount, fixedCount, errorCount, items, error }
+   * @returns {Promise<Object>} - Updated run
+   */
+  async finish(id, report) {
+    return await this.update(id, {
+      ...report,
+      finishedAt: new Date(),
+    });
+  }
+}
+
+module.exports = new ReconciliationRunRepository();
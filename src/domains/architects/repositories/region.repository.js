@@ -0,0 +1,61 @@
+/**
+ * Region Repository
+ * Handle database operations untuk Region (referensi wilayah) & ArchitectServiceArea
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('./base-repository');
+const { DatabaseError } = require('../../../errors/app-errors');
+
+class RegionRepository extends BaseRepository {
+  constructor() {
+    super(prisma.region, 'Region');
+  }
+
+  /**
+   * Daftar wilayah untuk dropdown
+   * @param {Object} where - Filter (type, parentId, name)
+   * @returns {Promise<Array>} - Regions (urut nama)
+   */
+  async findForList(where) {
+    try {
+      return await prisma.region.findMany({
+        where,
+        select: { id: true, name: true, type: true, parentId: true, latitude: true, longitude: true },
+        orderBy: { name: 'asc' },
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to list regions: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {Array<String>} ids - Kode wilayah
+   * @returns {Promise<Array>}
+   */
+  async findByIds(ids) {
+    if (!ids.length) return [];
+    return await this.findAll({ id: { in: ids } });
+  }
+
+  /**
+   * Ganti semua wilayah layanan arsitek
+   * @param {String} architectId - Architect ID
+   * @param {Array<String>} regionIds - Kode wilayah
+   */
+  async setServiceAreas(architectId, regionIds) {
+    try {
+      await prisma.$transaction([
+        prisma.architectServiceArea.deleteMany({ where: { architectId } }),
+        prisma.architectServiceArea.createMany({
+          data: regionIds.map((regionId) => ({ architectId, regionId })),
+          skipDuplicates: true,
+        }),
+      ]);
+    } catch (error) {
+      throw new DatabaseError(`Failed to update service areas: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new RegionRepository();
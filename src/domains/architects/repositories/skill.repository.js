@@ -0,0 +1,202 @@
+/**
+ * Skill Repository
+ * Handle database operations untuk Skill, SkillAlias & ArchitectSkill
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('./base-repository');
+const { DatabaseError } = require('../../../errors/app-errors');
+
+const WITH_ALIASES = {
+  aliases: { orderBy: { name: 'asc' } },
+  _count: { select: { architects: true } },
+};
+
+class SkillRepository extends BaseRepository {
+  constructor() {
+    super(prisma.skill, 'Skill');
+  }
+
+  /**
+   * Skill kanonik untuk slug (cocok ke slug skill atau slug alias)
+   * @param {Array<String>} slugs - Slug hasil SkillService.toSlug
+   * @returns {Promise<Array>} - Skills (dengan aliases)
+   */
+  async findBySlugs(slugs) {
+    if (!slugs.length) return [];
+    return await this.findAll(
+      {
+        OR: [{ slug: { in: slugs } }, { aliases: { some: { slug: { in: slugs } } } }],
+      },
+      { aliases: true }
+    );
+  }
+
+  /**
+   * Slug sudah dipakai skill atau alias lain?
+   * @param {String} slug - Slug
+   * @returns {Promise<Boolean>}
+   */
+  async isSlugTaken(slug) {
+    try {
+      const [skills, aliases] = await Promise.all([
+        prisma.skill.count({ where: { slug } }),
+        prisma.skillAlias.count({ where: { slug } }),
+      ]);
+      return skills + aliases > 0;
+    } catch (error) {
+      throw new DatabaseError(`Failed to check skill slug: ${error.message}`);
+    }
+  }
+
+  /**
+   * Buat skill baru, atau ambil yang sudah ada dengan slug sama (aman untuk request paralel)
+   * @param {String} name - Nama skill
+   * @param {String} slug - Slug
+   * @returns {Promise<Object>} - Skill
+   */
+  async findOrCreate(name, slug) {
+    try {
+      return await prisma.skill.upsert({
+        where: { slug },
+        create: { name, slug },
+        update: {},
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to create skill: ${error.message}`);
+    }
+  }
+
+  /**
+   * Autocomplete: nama / slug / alias diawali query, paling banyak dipakai dulu
+   * @param {String} query - Teks yang diketik
+   * @param {String} slug - Slug dari query
+   * @param {Number} limit - Maksimal hasil
+   * @returns {Promise<Array>}
+   */
+  async search(query, slug, limit) {
+    try {
+      const or = [{ name: { contains: query, mode: 'insensitive' } }];
+      if (slug) {
+        or.push({ slug: { startsWith: slug } }, { aliases: { some: { slug: { startsWith: slug } } } });
+      }
+
+      return await prisma.skill.findMany({
+        where: { OR: or },
+        include: { _count: { select: { architects: true } } },
+        orderBy: [{ architects: { _count: 'desc' } }, { name: 'asc' }],
+        take: limit,
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to search skills: ${error.message}`);
+    }
+  }
+
+  /**
+   * Daftar skill untuk admin (dengan alias & jumlah arsitek)
+   * @param {Object} options - { where, page, limit }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async findWithAliases({ where = {}, page = 1, limit = 50 } = {}) {
+    return await this.findWithPagination({
+      where,
+      include: WITH_ALIASES,
+      orderBy: { name: 'asc' },
+      page,
+      limit,
+    });
+  }
+
+  async findByIdWithAliases(id) {
+    return await this.findById(id, WITH_ALIASES);
+  }
+
+  /**
+   * Tambah alias
+   * @param {String} skillId - Skill ID
+   * @param {Object} data - { name, slug }
+   * @returns {Promise<Object>} - Alias
+   */
+  async createAlias(skillId, { name, slug }) {
+    try {
+      return await prisma.skillAlias.create({ data: { skillId, name, slug } });
+    } catch (error) {
+      throw new DatabaseError(`Failed to create skill alias: ${error.message}`);
+    }
+  }
+
+  async findAlias(skillId, aliasId) {
+    try {
+      return await prisma.skillAlias.findFirst({ where: { id: aliasId, skillId } });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find skill alias: ${error.message}`);
+    }
+  }
+
+  async deleteAlias(aliasId) {
+    try {
+      return await prisma.skillAlias.delete({ where: { id: aliasId } });
+    } catch (error) {
+      throw new DatabaseError(`Failed to delete skill alias: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gabungkan source ke target (atomic):
+   * arsitek dipindah ke target, alias source ikut pindah, nama source jadi alias target
+   * @param {Object} source - Skill yang dihapus
+   * @param {Object} target - Skill kanonik
+   * @returns {Promise<Number>} - Jumlah arsitek yang dipindah
+   */
+  async merge(source, target) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const links = await tx.architectSkill.findMany({
+          where: { skillId: source.id },
+          select: { architectId: true },
+        });
+
+        const moved = await tx.architectSkill.createMany({
+          data: links.map(({ architectId }) => ({ architectId, skillId: target.id })),
+          skipDuplicates: true, // arsitek yang sudah punya target
+        });
+
+        await tx.skillAlias.updateMany({
+          where: { skillId: source.id },
+          data: { skillId: target.id },
+        });
+
+        // hapus dulu supaya slug source bisa dipakai alias (architect_skills ikut terhapus via cascade)
+        await tx.skill.delete({ where: { id: source.id } });
+        await tx.skillAlias.create({
+          data: { skillId: target.id, name: source.name, slug: source.slug },
+        });
+
+        return moved.count;
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to merge skills: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ganti semua skill arsitek
+   * @param {String} architectId - Architect ID
+   * @param {Array<String>} skillIds - Skill IDs
+   */
+  async setArchitectSkills(architectId, skillIds) {
+    try {
+      await prisma.$transaction([
+        prisma.architectSkill.deleteMany({ where: { architectId } }),
+        prisma.architectSkill.createMany({
+          data: skillIds.map((skillId) => ({ architectId, skillId })),
+          skipDuplicates: true,
+        }),
+      ]);
+    } catch (error) {
+      throw new DatabaseError(`Failed to update architect skills: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SkillRepository();
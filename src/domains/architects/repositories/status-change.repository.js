@@ -0,0 +1,60 @@
+/**
+ * Status Change Repository
+ * Handle database operations untuk StatusChange (riwayat status Transaction / Architect)
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('./base-repository');
+const { DatabaseError } = require('../../../errors/app-errors');
+
+class StatusChangeRepository extends BaseRepository {
+  constructor() {
+    super(prisma.statusChange, 'StatusChange');
+  }
+
+  /**
+   * Riwayat status satu transaksi (kronologis)
+   * @param {String} transactionId - Transaction ID
+   * @returns {Promise<Array>} - Array of status changes
+   */
+  async findByTransactionId(transactionId) {
+    return await this.findAll({ transactionId }, {}, { createdAt: 'asc' });
+  }
+
+  /**
+   * Riwayat status arsitek + semua transaksinya (terbaru dulu)
+   * @param {String} architectId - Architect ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async findByArchitectId(architectId, { page = 1, limit = 50 } = {}) {
+    return await this.findWithPagination({
+      where: { architectId },
+      include: {
+        transaction: { select: { id: true, orderId: true, type: true, amount: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      page,
+      limit,
+    });
+  }
+
+  /**
+   * Nama admin untuk kolom actor di timeline
+   * @param {Array<String>} ids - Admin IDs
+   * @returns {Promise<Array>} - [{ id, fullName, email }]
+   */
+  async findActors(ids) {
+    if (!ids.length) return [];
+    try {
+      return await prisma.admin.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, fullName: true, email: true },
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find status change actors: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new StatusChangeRepository();
@@ -7,6 +7,23 @@ const prisma = require('../../../config/prisma-client');
 const BaseRepository = require('./base-repository');
 const { DatabaseError, NotFoundError } = require('../../../errors/app-errors');
 
+class InvoiceAlreadyAssigned extends Error {}
+
+// Baris StatusChange untuk transaksi (architectId ikut disimpan untuk timeline arsitek)
+function buildStatusChange(id, current, toStatus, change) {
+  return {
+    entityType: 'TRANSACTION',
+    transactionId: id,
+    architectId: current.architectId,
+    fromStatus: current.status,
+    toStatus,
+    source: change.source || 'SYSTEM',
+    actorId: change.actorId || null,
+    reason: change.reason || null,
+    metadata: change.metadata || undefined,
+  };
+}
+
 class TransactionRepository extends BaseRepository {
   constructor() {
     super(prisma.transaction, 'Transaction');
@@ -78,6 +95,63 @@ class TransactionRepository extends BaseRepository {
     });
   }
 
+  /**
+   * Find transaction with data untuk invoice (buyer & promo)
+   * @param {String} id - Transaction ID
+   * @returns {Promise<Object|null>} - Transaction
+   */
+  async findForInvoice(id) {
+    return await this.findById(id, {
+      architect: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          phone: true,
+        },
+      },
+      promoCode: {
+        select: { code: true },
+      },
+    });
+  }
+
+  /**
+   * Beri nomor invoice berurutan per tahun (INV-{tahun}-{00001})
+   * Counter & transaksi di-update dalam satu DB transaction supaya nomor tidak loncat
+   * @param {String} id - Transaction ID
+   * @param {Number} year - Tahun invoice
+   * @param {Date} issuedAt - Tanggal invoice
+   * @returns {Promise<Object|null>} - Updated transaction (null kalau sudah punya nomor)
+   */
+  async assignInvoiceNumber(id, year, issuedAt) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const counter = await tx.invoiceCounter.upsert({
+          where: { year },
+          create: { year, lastNumber: 1 },
+          update: { lastNumber: { increment: 1 } },
+        });
+
+        const invoiceNumber = `INV-${year}-${String(counter.lastNumber).padStart(5, '0')}`;
+        const result = await tx.transaction.updateMany({
+          where: { id, invoiceNumber: null },
+          data: { invoiceNumber, invoicedAt: issuedAt },
+        });
+
+        if (result.count === 0) {
+          // sudah diberi nomor oleh proses lain -> rollback counter
+          throw new InvoiceAlreadyAssigned();
+        }
+
+        return await tx.transaction.findUnique({ where: { id } });
+      });
+    } catch (error) {
+      if (error instanceof InvoiceAlreadyAssigned) return null;
+      throw new DatabaseError(`Failed to assign invoice number: ${error.message}`);
+    }
+  }
+
   /**
    * Find transactions by architect ID
    * @param {String} architectId - Architect ID
@@ -91,6 +165,68 @@ class TransactionRepository extends BaseRepository {
     );
   }
 
+  /**
+   * Find PENDING transaction yang masih bisa dibayar
+   * @param {String} architectId - Architect ID
+   * @param {String} type - REGISTRATION | RENEWAL
+   * @returns {Promise<Object|null>} - Transaction
+   */
+  async findOpenByArchitect(architectId, type) {
+    try {
+      return await prisma.transaction.findFirst({
+        where: {
+          architectId,
+          type,
+          status: 'PENDING',
+          expiredAt: { gt: new Date() },
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find open transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find semua transaksi PENDING arsitek (termasuk yang link-nya sudah lewat expiredAt)
+   * @param {String} architectId - Architect ID
+   * @param {String} type - REGISTRATION | RENEWAL
+   * @returns {Promise<Array>} - Array of transactions
+   */
+  async findPendingByArchitect(architectId, type) {
+    return await this.findAll(
+      { architectId, type, status: 'PENDING' },
+      {},
+      { createdAt: 'desc' }
+    );
+  }
+
+  /**
+   * Jumlah transaksi yang dibuat sejak waktu tertentu (rate limit retry payment)
+   * @param {String} architectId - Architect ID
+   * @param {String} type - REGISTRATION | RENEWAL
+   * @param {Date} since - Batas waktu
+   * @returns {Promise<Number>} - Count
+   */
+  async countCreatedSince(architectId, type, since) {
+    return await this.count({
+      architectId,
+      type,
+      createdAt: { gte: since },
+    });
+  }
+
+  /**
+   * Simpan periode membership yang dibayar transaksi
+   * @param {String} id - Transaction ID
+   * @param {Date} periodStart - Awal periode
+   * @param {Date} periodEnd - Akhir periode
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async setMembershipPeriod(id, periodStart, periodEnd) {
+    return await this.update(id, { periodStart, periodEnd });
+  }
+
   /**
    * Find pending transactions
    * @returns {Promise<Array>} - Array of pending transactions
@@ -127,20 +263,44 @@ class TransactionRepository extends BaseRepository {
   }
 
   /**
-   * Update transaction status
-   * @param {String} id - Transaction ID
-   * @param {String} status - New status (PENDING, SUCCESS, FAILED, EXPIRED)
-   * @returns {Promise<Object>} - Updated transaction
+   * Find transaksi yang perlu dicek ulang ke Midtrans (reconciliation)
+   * Urut dari yang belum pernah / paling lama tidak dicek, supaya semua kandidat kebagian
+   * walaupun jumlahnya lebih banyak dari batch
+   * @param {Object} options - { pendingBefore, expiredAfter, limit }
+   * @returns {Promise<Array>} - PENDING yang dibuat sebelum pendingBefore + EXPIRED yang expired setelah expiredAfter
    */
-  async updateStatus(id, status) {
-    const updateData = { status };
-
-    // Set paidAt if status is SUCCESS
-    if (status === 'SUCCESS') {
-      updateData.paidAt = new Date();
+  async findForReconciliation({ pendingBefore, expiredAfter, limit }) {
+    try {
+      return await prisma.transaction.findMany({
+        where: {
+          OR: [
+            { status: 'PENDING', createdAt: { lte: pendingBefore } },
+            { status: 'EXPIRED', expiredAt: { gte: expiredAfter } },
+          ],
+        },
+        orderBy: [{ lastReconciledAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }],
+        take: limit,
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find transactions for reconciliation: ${error.message}`);
     }
+  }
 
-    return await this.update(id, updateData);
+  /**
+   * Catat waktu cek reconciliation (run berikutnya mendahulukan transaksi lain)
+   * @param {Array<String>} ids - Transaction IDs yang sudah dicek
+   * @param {Date} reconciledAt - Waktu run
+   * @returns {Promise<Object>} - { count }
+   */
+  async markReconciled(ids, reconciledAt) {
+    try {
+      return await prisma.transaction.updateMany({
+        where: { id: { in: ids } },
+        data: { lastReconciledAt: reconciledAt },
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to mark transactions as reconciled: ${error.message}`);
+    }
   }
 
   /**
@@ -171,80 +331,124 @@ class TransactionRepository extends BaseRepository {
   }
 
   /**
-   * Mark transaction as success
-   * @param {String} orderId - Order ID
-   * @param {String} paymentMethod - Payment method used
-   * @param {Object} midtransResponse - Midtrans response
-   * @returns {Promise<Object>} - Updated transaction
+   * Update status hanya kalau status saat ini masih salah satu dari fromStatuses (atomic)
+   * Perubahan status dicatat ke StatusChange di DB transaction yang sama
+   * @param {String} id - Transaction ID
+   * @param {Array<String>} fromStatuses - Status asal yang diizinkan
+   * @param {Object} data - Data update (termasuk status baru)
+   * @param {Object} change - { source, actorId, reason, metadata } untuk riwayat status
+   * @returns {Promise<Boolean>} - true kalau update diterapkan
    */
-  async markAsSuccess(orderId, paymentMethod, midtransResponse = null) {
+  async transitionStatus(id, fromStatuses, data, change = {}) {
     try {
-      const transaction = await prisma.transaction.update({
-        where: { orderId },
-        data: {
-          status: 'SUCCESS',
-          paymentMethod: paymentMethod || 'OTHER',
-          paidAt: new Date(),
-          midtransResponse,
-        },
-        include: {
-          architect: true,
-        },
+      return await prisma.$transaction(async (tx) => {
+        const current = await tx.transaction.findUnique({
+          where: { id },
+          select: { status: true, architectId: true },
+        });
+        if (!current || !fromStatuses.includes(current.status)) return false;
+
+        const result = await tx.transaction.updateMany({
+          where: { id, status: current.status },
+          data,
+        });
+        if (result.count === 0) return false;
+
+        if (data.status && data.status !== current.status) {
+          await tx.statusChange.create({
+            data: buildStatusChange(id, current, data.status, change),
+          });
+        }
+        return true;
       });
-      return transaction;
     } catch (error) {
-      if (error.code === 'P2025') {
-        throw new NotFoundError(`Transaction with order ID ${orderId} not found`);
-      }
-      throw new DatabaseError(`Failed to mark transaction as success: ${error.message}`);
+      throw new DatabaseError(`Failed to update transaction status: ${error.message}`);
     }
   }
 
   /**
-   * Mark transaction as failed
-   * @param {String} orderId - Order ID
-   * @param {Object} midtransResponse - Midtrans response
-   * @returns {Promise<Object>} - Updated transaction
+   * Mark PENDING transaction as cancelled
+   * @param {String} id - Transaction ID
+   * @param {String} reason - Cancel reason
+   * @param {Object} change - { source, actorId } untuk riwayat status
+   * @returns {Promise<Object|null>} - Updated transaction (null kalau sudah tidak PENDING)
    */
-  async markAsFailed(orderId, midtransResponse = null) {
+  async markAsCancelled(id, reason, change = {}) {
     try {
-      const transaction = await prisma.transaction.update({
-        where: { orderId },
-        data: {
-          status: 'FAILED',
-          midtransResponse,
-        },
+      const applied = await prisma.$transaction(async (tx) => {
+        const current = await tx.transaction.findUnique({
+          where: { id },
+          select: { status: true, architectId: true },
+        });
+        if (!current || current.status !== 'PENDING') return false;
+
+        const result = await tx.transaction.updateMany({
+          where: { id, status: 'PENDING' },
+          data: {
+            status: 'CANCELLED',
+            cancelReason: reason,
+            cancelledAt: new Date(),
+          },
+        });
+        if (result.count === 0) return false;
+
+        await tx.statusChange.create({
+          data: buildStatusChange(id, current, 'CANCELLED', { reason, ...change }),
+        });
+        return true;
       });
-      return transaction;
+
+      return applied ? await this.findById(id) : null;
     } catch (error) {
-      if (error.code === 'P2025') {
-        throw new NotFoundError(`Transaction with order ID ${orderId} not found`);
-      }
-      throw new DatabaseError(`Failed to mark transaction as failed: ${error.message}`);
+      throw new DatabaseError(`Failed to mark transaction as cancelled: ${error.message}`);
     }
   }
 
   /**
-   * Mark expired transactions
-   * Updates all PENDING transactions that passed expiredAt
-   * @returns {Promise<Object>} - { count: number }
+   * Catat refund (akumulatif) pada transaksi yang sudah dibayar
+   * Setiap refund (termasuk refund parsial berikutnya) masuk ke riwayat status
+   * @param {String} id - Transaction ID
+   * @param {Object} refund - { amount, reason, previousRefundedAmount }
+   * @param {Object} change - { source, actorId, metadata } untuk riwayat status
+   * @returns {Promise<Object|null>} - Updated transaction (null kalau ada refund lain yang masuk duluan)
    */
-  async markExpiredTransactions() {
+  async recordRefund(id, { amount, reason, previousRefundedAmount }, change = {}) {
     try {
-      const result = await prisma.transaction.updateMany({
-        where: {
-          status: 'PENDING',
-          expiredAt: {
-            lt: new Date(),
+      const applied = await prisma.$transaction(async (tx) => {
+        const current = await tx.transaction.findUnique({
+          where: { id },
+          select: { status: true, architectId: true },
+        });
+        if (!current || !['SUCCESS', 'REFUNDED'].includes(current.status)) return false;
+
+        const result = await tx.transaction.updateMany({
+          where: {
+            id,
+            status: current.status,
+            refundedAmount: previousRefundedAmount,
           },
-        },
-        data: {
-          status: 'EXPIRED',
-        },
+          data: {
+            status: 'REFUNDED',
+            refundedAmount: { increment: amount },
+            refundReason: reason,
+            refundedAt: new Date(),
+          },
+        });
+        if (result.count === 0) return false;
+
+        await tx.statusChange.create({
+          data: buildStatusChange(id, current, 'REFUNDED', {
+            reason,
+            ...change,
+            metadata: { amount, refundedAmount: previousRefundedAmount + amount, ...change.metadata },
+          }),
+        });
+        return true;
       });
-      return result;
+
+      return applied ? await this.findById(id) : null;
     } catch (error) {
-      throw new DatabaseError(`Failed to mark expired transactions: ${error.message}`);
+      throw new DatabaseError(`Failed to record refund: ${error.message}`);
     }
   }
 
@@ -253,11 +457,13 @@ class TransactionRepository extends BaseRepository {
    * @returns {Promise<Object>} - Statistics
    */
   async getStatistics() {
-    const [pending, success, failed, expired, totalAmount] = await Promise.all([
+    const [pending, success, failed, expired, cancelled, refunded, totalAmount] = await Promise.all([
       this.count({ status: 'PENDING' }),
       this.count({ status: 'SUCCESS' }),
       this.count({ status: 'FAILED' }),
       this.count({ status: 'EXPIRED' }),
+      this.count({ status: 'CANCELLED' }),
+      this.count({ status: 'REFUNDED' }),
       this.getTotalSuccessAmount(),
     ]);
 
@@ -266,29 +472,135 @@ class TransactionRepository extends BaseRepository {
       success,
       failed,
       expired,
-      total: pending + success + failed + expired,
+      cancelled,
+      refunded,
+      total: pending + success + failed + expired + cancelled + refunded,
       totalAmount,
     };
   }
 
   /**
-   * Get total amount from successful transactions
+   * Get total amount from paid transactions (dikurangi refund)
    * @returns {Promise<Number>} - Total amount
    */
   async getTotalSuccessAmount() {
     try {
       const result = await prisma.transaction.aggregate({
-        where: { status: 'SUCCESS' },
+        where: { status: { in: ['SUCCESS', 'REFUNDED'] } },
         _sum: {
           amount: true,
+          refundedAmount: true,
         },
       });
-      return result._sum.amount || 0;
+      return (result._sum.amount || 0) - (result._sum.refundedAmount || 0);
     } catch (error) {
       throw new DatabaseError(`Failed to calculate total amount: ${error.message}`);
     }
   }
 
+  // ============================================
+  // PAYMENTS REPORT
+  // ============================================
+
+  /**
+   * Jumlah transaksi per status (dibuat dalam rentang)
+   * @param {Date} from - Inklusif
+   * @param {Date} toExclusive - Eksklusif
+   * @returns {Promise<Array>} - [{ status, count }]
+   */
+  async countByStatus(from, toExclusive) {
+    try {
+      const rows = await prisma.transaction.groupBy({
+        by: ['status'],
+        where: { createdAt: { gte: from, lt: toExclusive } },
+        _count: { _all: true },
+      });
+      return rows.map((row) => ({ status: row.status, count: row._count._all }));
+    } catch (error) {
+      throw new DatabaseError(`Failed to count transactions by status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revenue per periode berdasarkan paidAt (UTC).
+   * Refund dihitung di periode pembayaran aslinya.
+   * @param {String} granularity - "day" | "week" | "month" (date_trunc, minggu mulai Senin)
+   * @returns {Promise<Array>} - [{ period, transactions, gross, refunded }]
+   */
+  async getRevenueByPeriod(from, toExclusive, granularity) {
+    try {
+      const rows = await prisma.$queryRaw`
+        SELECT date_trunc(${granularity}, t."paidAt")::date AS "period",
+          COUNT(*)::int AS "transactions",
+          COALESCE(SUM(t."amount"), 0)::bigint AS "gross",
+          COALESCE(SUM(t."refundedAmount"), 0)::bigint AS "refunded"
+        FROM "transactions" t
+        WHERE t."status" IN ('SUCCESS', 'REFUNDED')
+          AND t."paidAt" >= ${from} AND t."paidAt" < ${toExclusive}
+        GROUP BY 1
+        ORDER BY 1
+      `;
+      return rows.map((row) => ({
+        period: row.period,
+        transactions: row.transactions,
+        gross: Number(row.gross),
+        refunded: Number(row.refunded),
+      }));
+    } catch (error) {
+      throw new DatabaseError(`Failed to calculate revenue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Breakdown pembayaran berbayar per PaymentMethod (transaksi gratis dari promo tidak dihitung)
+   * @returns {Promise<Array>} - [{ paymentMethod, transactions, gross, refunded }]
+   */
+  async getPaymentMethodBreakdown(from, toExclusive) {
+    try {
+      const rows = await prisma.transaction.groupBy({
+        by: ['paymentMethod'],
+        where: {
+          status: { in: ['SUCCESS', 'REFUNDED'] },
+          amount: { gt: 0 },
+          paidAt: { gte: from, lt: toExclusive },
+        },
+        _count: { _all: true },
+        _sum: { amount: true, refundedAmount: true },
+      });
+      return rows.map((row) => ({
+        paymentMethod: row.paymentMethod,
+        transactions: row._count._all,
+        gross: row._sum.amount || 0,
+        refunded: row._sum.refundedAmount || 0,
+      }));
+    } catch (error) {
+      throw new DatabaseError(`Failed to calculate payment method breakdown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Waktu dari transaksi dibuat sampai dibayar (detik), transaksi gratis tidak dihitung
+   * @returns {Promise<Object>} - { transactions, averageSeconds, medianSeconds }
+   */
+  async getTimeToPayStats(from, toExclusive) {
+    try {
+      const [row] = await prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "transactions",
+          AVG(EXTRACT(EPOCH FROM (t."paidAt" - t."createdAt")))::float8 AS "averageSeconds",
+          percentile_cont(0.5) WITHIN GROUP (
+            ORDER BY EXTRACT(EPOCH FROM (t."paidAt" - t."createdAt"))
+          )::float8 AS "medianSeconds"
+        FROM "transactions" t
+        WHERE t."status" IN ('SUCCESS', 'REFUNDED')
+          AND t."amount" > 0
+          AND t."paidAt" >= ${from} AND t."paidAt" < ${toExclusive}
+      `;
+      return row;
+    } catch (error) {
+      throw new DatabaseError(`Failed to calculate time to pay: ${error.message}`);
+    }
+  }
+
   /**
    * Find successful transactions with pagination
    * @param {Object} options - Query options
@@ -0,0 +1,62 @@
+/**
+ * Webhook Event Repository
+ * Handle database operations untuk WebhookEvent (log notifikasi Midtrans)
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('./base-repository');
+const { DatabaseError } = require('../../../errors/app-errors');
+
+class WebhookEventRepository extends BaseRepository {
+  constructor() {
+    super(prisma.webhookEvent, 'WebhookEvent');
+  }
+
+  /**
+   * Cari event lain dengan dedupe key yang sama yang sudah selesai diproses
+   * @param {String} dedupeKey - {transaction_id}:{transaction_status}
+   * @param {String} excludeId - Event yang sedang diproses
+   * @returns {Promise<Object|null>} - Webhook event
+   */
+  async findCompletedByDedupeKey(dedupeKey, excludeId) {
+    return await this.findOne({
+      dedupeKey,
+      id: { not: excludeId },
+      result: { in: ['PROCESSED', 'IGNORED'] },
+    });
+  }
+
+  /**
+   * Simpan hasil pemrosesan event
+   * @param {String} id - Webhook event ID
+   * @param {String} result - WebhookEventResult
+   * @param {Object} extra - { error, transactionId }
+   * @returns {Promise<Object>} - Updated event
+   */
+  async markResult(id, result, extra = {}) {
+    return await this.update(id, {
+      result,
+      error: extra.error || null,
+      ...(extra.transactionId ? { transactionId: extra.transactionId } : {}),
+      processedAt: new Date(),
+    });
+  }
+
+  /**
+   * Increment replay counter
+   * @param {String} id - Webhook event ID
+   * @returns {Promise<Object>} - Updated event
+   */
+  async incrementReplayCount(id) {
+    try {
+      return await prisma.webhookEvent.update({
+        where: { id },
+        data: { replayCount: { increment: 1 } },
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to update webhook event: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new WebhookEventRepository();
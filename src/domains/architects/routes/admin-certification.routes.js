@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+
+const controller = require("../controllers/admin-certification.controller");
+const authMiddleware = require("../../../middlewares/auth.middleware");
+
+// GET /api/admin/certifications?status=PENDING|VERIFIED|REJECTED|ALL&architectId=&page=1&limit=20
+// Antrian review (default PENDING, paling lama dulu) + jumlah per status
+router.get("/", authMiddleware.verifyAdmin, controller.queue);
+
+// GET /api/admin/certifications/:id (termasuk berkas & arsitek)
+router.get("/:id", authMiddleware.verifyAdmin, controller.detail);
+
+// POST /api/admin/certifications/:id/verify
+router.post("/:id/verify", authMiddleware.verifyAdmin, controller.verify);
+
+// POST /api/admin/certifications/:id/reject { reason }
+router.post("/:id/reject", authMiddleware.verifyAdmin, controller.reject);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+
+const controller = require("../controllers/admin-promo-code.controller");
+const authMiddleware = require("../../../middlewares/auth.middleware");
+
+// GET /api/admin/promo-codes?search=HEMAT&isActive=true&page=1&limit=20
+router.get("/", authMiddleware.verifyAdmin, controller.list);
+
+// GET /api/admin/promo-codes/:id (termasuk daftar redemption)
+router.get("/:id", authMiddleware.verifyAdmin, controller.detail);
+
+// POST /api/admin/promo-codes { code, discountType: "PERCENTAGE|FIXED", discountValue, validFrom?, validUntil?, maxRedemptions? }
+router.post("/", authMiddleware.verifyAdmin, controller.create);
+
+// PATCH /api/admin/promo-codes/:id { ...field yang diubah, isActive }
+router.patch("/:id", authMiddleware.verifyAdmin, controller.update);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+
+const controller = require("../controllers/admin-reconciliation.controller");
+const authMiddleware = require("../../../middlewares/auth.middleware");
+
+// GET /api/admin/reconciliations?page=1&limit=20
+router.get("/", authMiddleware.verifyAdmin, controller.list);
+
+// POST /api/admin/reconciliations/run (jalankan manual)
+router.post("/run", authMiddleware.verifyAdmin, controller.run);
+
+// GET /api/admin/reconciliations/:id (mismatch & fix per transaksi)
+router.get("/:id", authMiddleware.verifyAdmin, controller.detail);
+
+module.exports = router;
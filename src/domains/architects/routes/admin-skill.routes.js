@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+
+const controller = require("../controllers/admin-skill.controller");
+const authMiddleware = require("../../../middlewares/auth.middleware");
+
+// GET /api/admin/skills?search=cad&page=1&limit=50 (dengan alias & jumlah arsitek)
+router.get("/", authMiddleware.verifyAdmin, controller.list);
+
+// GET /api/admin/skills/:id
+router.get("/:id", authMiddleware.verifyAdmin, controller.detail);
+
+// POST /api/admin/skills { name }
+router.post("/", authMiddleware.verifyAdmin, controller.create);
+
+// PATCH /api/admin/skills/:id { name } (ganti nama kanonik)
+router.patch("/:id", authMiddleware.verifyAdmin, controller.rename);
+
+// POST /api/admin/skills/:id/aliases { name }
+router.post("/:id/aliases", authMiddleware.verifyAdmin, controller.addAlias);
+
+// DELETE /api/admin/skills/:id/aliases/:aliasId
+router.delete("/:id/aliases/:aliasId", authMiddleware.verifyAdmin, controller.removeAlias);
+
+// POST /api/admin/skills/:id/merge { targetId } (skill :id dihapus, arsiteknya pindah ke target)
+router.post("/:id/merge", authMiddleware.verifyAdmin, controller.merge);
+
+module.exports = router;
@@ -10,7 +10,19 @@ router.get("/", authMiddleware.verifyAdmin, controller.list);
 // GET /api/admin/transactions/:id
 router.get("/:id", authMiddleware.verifyAdmin, controller.detail);
 
-// PATCH /api/admin/transactions/:id/status { status: "SUCCESS|PENDING|FAILED|EXPIRED" }
+// GET /api/admin/transactions/:id/invoice (PDF)
+router.get("/:id/invoice", authMiddleware.verifyAdmin, controller.invoice);
+
+// GET /api/admin/transactions/:id/timeline (riwayat perubahan status)
+router.get("/:id/timeline", authMiddleware.verifyAdmin, controller.timeline);
+
+// PATCH /api/admin/transactions/:id/status { status: "SUCCESS|FAILED|EXPIRED", reason? } (hanya transisi yang diizinkan)
 router.patch("/:id/status", authMiddleware.verifyAdmin, controller.updateStatus);
 
+// POST /api/admin/transactions/:id/cancel { reason? } (hanya PENDING)
+router.post("/:id/cancel", authMiddleware.verifyAdmin, controller.cancel);
+
+// POST /api/admin/transactions/:id/refund { amount?, reason, manual? } (amount kosong = refund penuh sisa)
+router.post("/:id/refund", authMiddleware.verifyAdmin, controller.refund);
+
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+
+const controller = require("../controllers/admin-webhook-event.controller");
+const authMiddleware = require("../../../middlewares/auth.middleware");
+
+// GET /api/admin/webhook-events?orderId=ARCH-&result=FAILED&signatureValid=true&page=1&limit=20
+router.get("/", authMiddleware.verifyAdmin, controller.list);
+
+// GET /api/admin/webhook-events/:id (termasuk raw payload)
+router.get("/:id", authMiddleware.verifyAdmin, controller.detail);
+
+// POST /api/admin/webhook-events/:id/replay
+router.post("/:id/replay", authMiddleware.verifyAdmin, controller.replay);
+
+module.exports = router;
@@ -10,7 +10,10 @@ router.get("/", authMiddleware.verifyAdmin, adminArchitectController.list);
 // GET /api/admin/architects/:id
 router.get("/:id", authMiddleware.verifyAdmin, adminArchitectController.detail);
 
-// PATCH /api/admin/architects/:id/status { status: "ACTIVE|UNPAID|BANNED" }
+// GET /api/admin/architects/:id/timeline?page=1&limit=50 (riwayat status arsitek + transaksinya)
+router.get("/:id/timeline", authMiddleware.verifyAdmin, adminArchitectController.timeline);
+
+// PATCH /api/admin/architects/:id/status { status: "ACTIVE|UNPAID|BANNED|EXPIRED", reason? } (hanya transisi yang diizinkan)
 router.patch("/:id/status", authMiddleware.verifyAdmin, adminArchitectController.updateStatus);
 
 // DELETE /api/admin/architects/:id (hapus + cleanup relasi/file)
@@ -24,6 +24,34 @@ router.post('/login', architectAuthController.login);
  */
 router.post('/refresh-token', architectAuthController.refreshToken);
 
+/**
+ * @route   POST /api/architects/auth/forgot-password
+ * @desc    Request password reset link via email
+ * @access  Public
+ */
+router.post('/forgot-password', architectAuthController.forgotPassword);
+
+/**
+ * @route   POST /api/architects/auth/reset-password
+ * @desc    Reset password using token from email
+ * @access  Public
+ */
+router.post('/reset-password', architectAuthController.resetPassword);
+
+/**
+ * @route   POST /api/architects/auth/verify-email
+ * @desc    Verify architect email with code from email
+ * @access  Public
+ */
+router.post('/verify-email', architectAuthController.verifyEmail);
+
+/**
+ * @route   POST /api/architects/auth/resend-verification
+ * @desc    Resend email verification code (rate-limited)
+ * @access  Public
+ */
+router.post('/resend-verification', architectAuthController.resendVerification);
+
 /**
  * @route   GET /api/architects/auth/profile
  * @desc    Get architect profile
@@ -80,6 +108,17 @@ router.post(
   architectAuthController.logout
 );
 
+/**
+ * @route   POST /api/architects/auth/logout-all
+ * @desc    Logout from all devices (revoke all sessions)
+ * @access  Private (ACTIVE architects only)
+ */
+router.post(
+  '/logout-all',
+  authMiddleware.verifyArchitect,
+  architectAuthController.logoutAll
+);
+
 /**
  * @route   GET /api/architects/auth/dashboard
  * @desc    Get dashboard statistics
@@ -91,4 +130,48 @@ router.get(
   architectAuthController.getDashboard
 );
 
+/**
+ * @route   GET /api/architects/auth/membership
+ * @desc    Get membership period, grace period & payment history
+ * @access  Private (ACTIVE architects only)
+ */
+router.get(
+  '/membership',
+  authMiddleware.verifyArchitect,
+  architectAuthController.getMembership
+);
+
+/**
+ * @route   POST /api/architects/auth/membership/renew
+ * @desc    Create renewal payment (EXPIRED architects get it from login)
+ * @access  Private (ACTIVE architects only)
+ */
+router.post(
+  '/membership/renew',
+  authMiddleware.verifyArchitect,
+  architectAuthController.renewMembership
+);
+
+/**
+ * @route   GET /api/architects/auth/transactions/:id/invoice
+ * @desc    Download invoice PDF for own paid transaction
+ * @access  Private (any architect except BANNED, incl. UNPAID / EXPIRED)
+ */
+router.get(
+  '/transactions/:id/invoice',
+  authMiddleware.verifyArchitectAccount,
+  architectAuthController.downloadInvoice
+);
+
+/**
+ * @route   GET /api/architects/auth/analytics
+ * @desc    Get profile & design view analytics (query: from, to, granularity=day|week)
+ * @access  Private (ACTIVE architects only)
+ */
+router.get(
+  '/analytics',
+  authMiddleware.verifyArchitect,
+  architectAuthController.getAnalytics
+);
+
 module.exports = router;
\ No newline at end of file
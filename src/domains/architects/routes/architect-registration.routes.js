@@ -21,6 +21,16 @@ router.post(
   architectRegistrationController.register
 );
 
+/**
+ * @route   GET /api/architects/pricing
+ * @desc    Get registration fee (query: promoCode untuk cek diskon)
+ * @access  Public
+ */
+router.get(
+  '/pricing',
+  architectRegistrationController.getPricing
+);
+
 /**
  * @route   GET /api/architects/payment/:token
  * @desc    Get payment info by token
@@ -42,6 +52,18 @@ router.post(
   architectRegistrationController.resendPaymentLink
 );
 
+/**
+ * @route   POST /api/architects/payment/retry
+ * @desc    Buat link pembayaran baru untuk akun UNPAID (transaksi PENDING lama dibatalkan)
+ * @body    { email, password, promoCode? }
+ * @access  Public (rate-limited per akun)
+ */
+router.post(
+  '/payment/retry',
+  RequestValidator.validateRetryPayment,
+  architectRegistrationController.retryPayment
+);
+
 // List/search architect aktif
 router.get("/public", architectPublicController.list);
 
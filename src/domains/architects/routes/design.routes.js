@@ -25,6 +25,9 @@ const uploadDesignImages = upload.fields([
   { name: "foto_denah", maxCount: 10 },
 ]);
 
+// Upload configuration for image management endpoints
+const uploadImages = upload.array("images", 10);
+
 // ============================================
 // ADMIN ROUTES (Admin only)
 // ============================================
@@ -70,6 +73,20 @@ router.get('/search', designController.searchDesigns);
  */
 router.get('/latest', designController.getLatestDesigns);
 
+/**
+ * @route   GET /api/designs/popular
+ * @desc    Get most viewed designs (all-time)
+ * @access  Public
+ */
+router.get('/popular', designController.getPopularDesigns);
+
+/**
+ * @route   GET /api/designs/trending?window=7d
+ * @desc    Get trending designs (views dalam window, time-decayed)
+ * @access  Public
+ */
+router.get('/trending', designController.getTrendingDesigns);
+
 /**
  * @route   GET /api/designs/category/:kategori
  * @desc    Get designs by category
@@ -100,6 +117,7 @@ router.get('/:id', authMiddleware.optionalAuth, designController.getDesignById);
 router.post(
   "/architect/my-designs",
   authMiddleware.verifyArchitect,
+  authMiddleware.requireVerifiedEmail,
   uploadDesignImages,
   designController.createDesign
 );
@@ -133,6 +151,7 @@ router.get(
 router.put(
   '/architect/my-designs/:id',
   authMiddleware.verifyArchitect,
+  authMiddleware.requireVerifiedEmail,
   uploadDesignImages,
   designController.updateDesign
 );
@@ -148,4 +167,57 @@ router.delete(
   designController.deleteDesign
 );
 
+// ============================================
+// DESIGN IMAGES (Architect only)
+// ============================================
+
+/**
+ * @route   POST /api/designs/architect/my-designs/:id/images
+ * @desc    Add images (multipart: images[], type=BANGUNAN|DENAH, captions JSON array)
+ * @access  Private (Architect only)
+ */
+router.post(
+  '/architect/my-designs/:id/images',
+  authMiddleware.verifyArchitect,
+  authMiddleware.requireVerifiedEmail,
+  uploadImages,
+  designController.addImages
+);
+
+/**
+ * @route   PUT /api/designs/architect/my-designs/:id/images/order
+ * @desc    Reorder images of one type (body: { type, imageIds: [] })
+ * @access  Private (Architect only)
+ */
+router.put(
+  '/architect/my-designs/:id/images/order',
+  authMiddleware.verifyArchitect,
+  authMiddleware.requireVerifiedEmail,
+  designController.reorderImages
+);
+
+/**
+ * @route   PUT /api/designs/architect/my-designs/:id/images/:imageId/cover
+ * @desc    Set cover image
+ * @access  Private (Architect only)
+ */
+router.put(
+  '/architect/my-designs/:id/images/:imageId/cover',
+  authMiddleware.verifyArchitect,
+  authMiddleware.requireVerifiedEmail,
+  designController.setCoverImage
+);
+
+/**
+ * @route   DELETE /api/designs/architect/my-designs/:id/images/:imageId
+ * @desc    Remove image
+ * @access  Private (Architect only)
+ */
+router.delete(
+  '/architect/my-designs/:id/images/:imageId',
+  authMiddleware.verifyArchitect,
+  authMiddleware.requireVerifiedEmail,
+  designController.removeImage
+);
+
 module.exports = router;
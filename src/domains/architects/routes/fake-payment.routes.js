@@ -0,0 +1,34 @@
+/**
+ * Fake Payment Routes
+ * Hanya aktif kalau PAYMENT_PROVIDER=fake (selain itu 404)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const fakePaymentController = require('../controllers/fake-payment.controller');
+
+router.use(fakePaymentController.ensureFakeProvider);
+
+/**
+ * @route   GET /api/payment/fake/checkout/:token
+ * @desc    Simulated checkout page (redirectUrl dari createCharge)
+ * @access  Public (development only)
+ */
+router.get('/checkout/:token', fakePaymentController.showCheckout);
+
+/**
+ * @route   POST /api/payment/fake/checkout/:token
+ * @desc    Submit simulated checkout, fire signed webhook & redirect to frontend
+ * @access  Public (development only)
+ */
+router.post('/checkout/:token', fakePaymentController.submitCheckout);
+
+/**
+ * @route   POST /api/payment/fake/simulate
+ * @desc    Simulate success/failure/expire and fire signed webhook to /api/webhooks/payment
+ * @access  Public (development only)
+ */
+router.post('/simulate', fakePaymentController.simulate);
+
+module.exports = router;
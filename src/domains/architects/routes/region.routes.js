@@ -0,0 +1,26 @@
+/**
+ * Region Routes
+ * Referensi wilayah Indonesia untuk dropdown lokasi (publik)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const regionController = require('../controllers/region.controller');
+
+/**
+ * @route   GET /api/regions?type=PROVINCE
+ * @route   GET /api/regions?parentId=32&q=band
+ * @desc    Daftar provinsi / kota / kabupaten (kota & kabupaten difilter per provinsi lewat parentId)
+ * @access  Public
+ */
+router.get('/', regionController.list);
+
+/**
+ * @route   GET /api/regions/:id
+ * @desc    Detail wilayah (kode Kemendagri, e.g. "32.73")
+ * @access  Public
+ */
+router.get('/:id', regionController.detail);
+
+module.exports = router;
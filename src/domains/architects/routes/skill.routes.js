@@ -0,0 +1,18 @@
+/**
+ * Skill Routes
+ * Taxonomy keahlian arsitek (publik)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const skillController = require('../controllers/skill.controller');
+
+/**
+ * @route   GET /api/skills/autocomplete?q=aut&limit=10
+ * @desc    Saran skill kanonik (cocok ke nama & alias), paling banyak dipakai dulu
+ * @access  Public
+ */
+router.get('/autocomplete', skillController.autocomplete);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 
 const webhookController = require('../controllers/webhook.controller');
+const authMiddleware = require('../../../middlewares/auth.middleware');
 
 /**
  * @route   POST /api/webhooks/midtrans
@@ -14,18 +15,26 @@ const webhookController = require('../controllers/webhook.controller');
  */
 router.post('/midtrans', webhookController.handleMidtransWebhook);
 
+/**
+ * @route   POST /api/webhooks/payment
+ * @desc    Handle payment notification dari driver aktif (PAYMENT_PROVIDER), format sama dengan Midtrans
+ * @access  Public (called by payment gateway / fake provider)
+ */
+router.post('/payment', webhookController.handleMidtransWebhook);
+
 /**
  * @route   GET /api/webhooks/statistics
- * @desc    Get webhook statistics
- * @access  Admin only (TODO: add auth middleware)
+ * @desc    Payments report: revenue per periode, konversi registrasi, metode pembayaran, time-to-pay
+ * @query   from, to (YYYY-MM-DD, default 30 hari terakhir), granularity (day|week|month)
+ * @access  Admin only
  */
-router.get('/statistics', webhookController.getStatistics);
+router.get('/statistics', authMiddleware.verifyAdmin, webhookController.getStatistics);
 
 /**
  * @route   POST /api/webhooks/check-expired
  * @desc    Manually check expired transactions
- * @access  Admin only (TODO: add auth middleware)
+ * @access  Admin only
  */
-router.post('/check-expired', webhookController.checkExpiredTransactions);
+router.post('/check-expired', authMiddleware.verifyAdmin, webhookController.checkExpiredTransactions);
 
 module.exports = router;
\ No newline at end of file
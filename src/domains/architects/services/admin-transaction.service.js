@@ -1,6 +1,21 @@
 const prisma = require("../../../config/prisma-client");
-const architectRepository = require("../repositories/architect.repository");
-const { BadRequestError, NotFoundError } = require("../../../errors/app-errors");
+const transactionRepository = require("../repositories/transaction.repository");
+const promoCodeRepository = require("../repositories/promo-code.repository");
+const membershipService = require("./membership.service");
+const invoiceService = require("./invoice.service");
+const paymentService = require("../../../common/services/payment.service");
+const emailService = require("../../../common/services/email.service");
+const statusTransitionService = require("./status-transition.service");
+const {
+    BadRequestError,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    PaymentError,
+} = require("../../../errors/app-errors");
+
+// CANCELLED / REFUNDED hanya lewat endpoint cancel / refund
+const MANUAL_STATUSES = ["SUCCESS", "FAILED", "EXPIRED"];
 
 class AdminTransactionService {
     async list({ page = 1, limit = 20, status, search, architectId }) {
@@ -46,25 +61,167 @@ class AdminTransactionService {
         return tx;
     }
 
-    async updateStatus(id, status) {
+    /**
+     * Ubah status manual (mengikuti state machine, tercatat di riwayat status)
+     * @param {String} id - Transaction ID
+     * @param {Object} body - { status, reason? }
+     * @param {String|null} adminId - Admin yang mengubah
+     */
+    async updateStatus(id, { status, reason } = {}, adminId = null) {
         if (!status) throw new BadRequestError("status is required");
         const s = String(status).toUpperCase();
+        if (!MANUAL_STATUSES.includes(s)) {
+            throw new BadRequestError(`status must be one of: ${MANUAL_STATUSES.join(", ")}`);
+        }
 
         const tx = await prisma.transaction.findUnique({ where: { id } });
         if (!tx) throw new NotFoundError("Transaction not found");
+        if (tx.status === s) {
+            throw new BadRequestError(`Transaction is already ${s}`);
+        }
+        statusTransitionService.assertTransition("TRANSACTION", tx.status, s, "ADMIN");
 
-        const updated = await prisma.transaction.update({
-            where: { id },
-            data: { status: s, paidAt: s === "SUCCESS" ? new Date() : tx.paidAt },
-        });
+        const change = {
+            source: "ADMIN",
+            actorId: adminId,
+            reason: reason ? String(reason).trim() : null,
+        };
+        const applied = await transactionRepository.transitionStatus(
+            id,
+            [tx.status],
+            { status: s, ...(s === "SUCCESS" ? { paidAt: new Date() } : {}) },
+            change
+        );
+        if (!applied) throw new ConflictError("Transaction status changed, please reload");
+
+        const updated = await transactionRepository.findById(id);
 
-        // RULE OPERASIONAL: transaksi SUCCESS => architect ACTIVE
+        // RULE OPERASIONAL: transaksi SUCCESS => membership arsitek aktif / diperpanjang
         if (s === "SUCCESS") {
-            await architectRepository.updateStatus(tx.architectId, "ACTIVE");
+            await membershipService.activateMembership(updated, new Date(), change);
+            await invoiceService.issueInvoice(updated);
+        } else if (tx.promoCodeId) {
+            // FAILED / EXPIRED: kuota promo dikembalikan seperti jalur webhook / cron
+            await promoCodeRepository.releaseRedemption(tx.id);
         }
 
         return updated;
     }
+
+    /**
+     * Batalkan transaksi PENDING (Midtrans cancel + status CANCELLED)
+     * @param {String} id - Transaction ID
+     * @param {Object} body - { reason }
+     * @param {String|null} adminId - Admin yang membatalkan
+     */
+    async cancel(id, { reason } = {}, adminId = null) {
+        const tx = await prisma.transaction.findUnique({ where: { id }, include: { architect: true } });
+        if (!tx) throw new NotFoundError("Transaction not found");
+        if (!statusTransitionService.canTransition("TRANSACTION", tx.status, "CANCELLED", "ADMIN")) {
+            throw new BadRequestError("Only PENDING transactions can be cancelled");
+        }
+
+        if (paymentService.isConfigured()) {
+            try {
+                await paymentService.cancelTransaction(tx.orderId);
+            } catch (error) {
+                // 404 = belum ada charge di Midtrans (Snap belum dipilih), cukup batalkan lokal
+                if (!(error instanceof PaymentError && error.statusCode === 404)) throw error;
+            }
+        }
+
+        const updated = await transactionRepository.markAsCancelled(id, reason ? String(reason).trim() : null, {
+            source: "ADMIN",
+            actorId: adminId,
+        });
+        if (!updated) throw new ConflictError("Transaction status changed, please reload");
+
+        if (tx.promoCodeId) {
+            await promoCodeRepository.releaseRedemption(tx.id);
+        }
+
+        try {
+            await emailService.sendTransactionCancelledEmail(tx.architect, updated);
+        } catch (emailError) {
+            console.error("⚠️ Failed to send cancellation email:", emailError.message);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Refund penuh / sebagian transaksi yang sudah dibayar
+     * @param {String} id - Transaction ID
+     * @param {Object} body - { amount?, reason, manual? } (amount default = sisa yang belum di-refund)
+     * @param {String|null} adminId - Admin yang melakukan refund
+     */
+    async refund(id, { amount, reason, manual } = {}, adminId = null) {
+        const tx = await prisma.transaction.findUnique({ where: { id }, include: { architect: true } });
+        if (!tx) throw new NotFoundError("Transaction not found");
+        if (!statusTransitionService.canTransition("TRANSACTION", tx.status, "REFUNDED", "ADMIN")) {
+            throw new BadRequestError("Only paid transactions can be refunded");
+        }
+
+        const remaining = tx.amount - tx.refundedAmount;
+        if (remaining <= 0) throw new BadRequestError("Transaction has been fully refunded");
+
+        const errors = [];
+        const refundAmount = amount === undefined || amount === null || amount === "" ? remaining : Number(amount);
+        if (!Number.isInteger(refundAmount) || refundAmount < 1 || refundAmount > remaining) {
+            errors.push({ field: "amount", message: `amount must be an integer between 1 and ${remaining}` });
+        }
+        const refundReason = reason ? String(reason).trim() : "";
+        if (!refundReason) errors.push({ field: "reason", message: "reason is required" });
+        if (errors.length > 0) throw new ValidationError("Validation failed", errors);
+
+        // manual = dana dikembalikan di luar Midtrans (mis. transfer bank), hanya dicatat
+        const isManual = manual === true || manual === "true";
+        if (!isManual) {
+            if (!paymentService.isConfigured()) {
+                throw new BadRequestError("Payment gateway is not configured, use manual refund");
+            }
+            // refundKey stabil: request ulang untuk refund yang sama (retry / double submit)
+            // dianggap idempotent oleh gateway, bukan refund kedua
+            await paymentService.refundTransaction(tx.orderId, {
+                refundKey: `${tx.id}-${tx.refundedAmount}-${refundAmount}`,
+                amount: refundAmount,
+                reason: refundReason,
+            });
+        }
+
+        const change = { source: "ADMIN", actorId: adminId };
+        const updated = await transactionRepository.recordRefund(
+            id,
+            {
+                amount: refundAmount,
+                reason: refundReason,
+                previousRefundedAmount: tx.refundedAmount,
+            },
+            { ...change, metadata: { manual: isManual } }
+        );
+        if (!updated) {
+            console.error(`❌ Refund for ${tx.orderId} was sent but not recorded (concurrent update)`);
+            throw new ConflictError("Transaction was updated by another request, please reload");
+        }
+
+        const fullyRefunded = updated.refundedAmount >= updated.amount;
+        let membership = null;
+        if (fullyRefunded) {
+            ({ membership } = await membershipService.revokeRefundedMembership(updated, new Date(), change));
+        }
+
+        try {
+            await emailService.sendRefundEmail(tx.architect, updated, refundAmount);
+        } catch (emailError) {
+            console.error("⚠️ Failed to send refund email:", emailError.message);
+        }
+
+        return { transaction: updated, refundAmount, fullyRefunded, manual: isManual, membership };
+    }
+
+    async timeline(id) {
+        return await statusTransitionService.getTransactionTimeline(id);
+    }
 }
 
 module.exports = new AdminTransactionService();
@@ -1,7 +1,8 @@
 const path = require("path");
 const architectRepository = require("../repositories/architect.repository");
+const statusTransitionService = require("./status-transition.service");
 const FileUploadHelper = require("../../../utils/file-upload-helper");
-const { BadRequestError, NotFoundError } = require("../../../errors/app-errors");
+const { BadRequestError, NotFoundError, ConflictError } = require("../../../errors/app-errors");
 
 /**
  * Hapus file upload aman:
@@ -39,6 +40,10 @@ class AdminArchitectService {
             include: {
                 certifications: true,
                 portfolioLinks: true,
+                skills: { include: { skill: true } },
+                province: true,
+                city: true,
+                serviceAreas: { include: { region: true } },
                 // kalau repo sudah include transactions, bagus
                 transactions: true,
             },
@@ -51,9 +56,39 @@ class AdminArchitectService {
         return a;
     }
 
-    async updateStatus(id, status) {
+    /**
+     * Ubah status manual (mengikuti state machine, tercatat di riwayat status)
+     * @param {String} id - Architect ID
+     * @param {Object} body - { status, reason? }
+     * @param {String|null} adminId - Admin yang mengubah
+     */
+    async updateStatus(id, { status, reason } = {}, adminId = null) {
         if (!status) throw new BadRequestError("status is required");
-        return architectRepository.updateStatus(id, String(status).toUpperCase());
+        const s = String(status).toUpperCase();
+        const statuses = statusTransitionService.getStatuses("ARCHITECT");
+        if (!statuses.includes(s)) {
+            throw new BadRequestError(`status must be one of: ${statuses.join(", ")}`);
+        }
+
+        const architect = await architectRepository.findById(id);
+        if (!architect) throw new NotFoundError("Architect not found");
+        if (architect.status === s) {
+            throw new BadRequestError(`Architect is already ${s}`);
+        }
+        statusTransitionService.assertTransition("ARCHITECT", architect.status, s, "ADMIN");
+
+        const applied = await architectRepository.transitionStatus(id, [architect.status], { status: s }, {
+            source: "ADMIN",
+            actorId: adminId,
+            reason: reason ? String(reason).trim() : null,
+        });
+        if (!applied) throw new ConflictError("Architect status changed, please reload");
+
+        return architectRepository.findById(id);
+    }
+
+    async timeline(id, query = {}) {
+        return statusTransitionService.getArchitectTimeline(id, query);
     }
 
     async remove(id) {
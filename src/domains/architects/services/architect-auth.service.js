@@ -8,11 +8,20 @@ const {
   certificationRepository,
   portfolioLinkRepository,
   transactionRepository,
+  skillRepository,
+  regionRepository,
 } = require('../repositories');
+const { passwordResetService, sessionService } = require('../../auth/services');
+const viewAnalyticsService = require('../../views/services/view-analytics.service');
+const membershipService = require('./membership.service');
+const skillService = require('./skill.service');
+const regionService = require('./region.service');
+const certificationReviewService = require('./certification-review.service');
 
 const PasswordHasher = require('../../../utils/password-hasher');
 const JWTHelper = require('../../../utils/jwt-helper');
 const FileUploadHelper = require('../../../utils/file-upload-helper');
+const { architectSerializer } = require('../../../common/serializers');
 
 const {
   ValidationError,
@@ -25,9 +34,10 @@ class ArchitectAuthService {
   /**
    * Login architect
    * @param {Object} credentials - { email, password }
+   * @param {Object} context - { userAgent, ipAddress } untuk session
    * @returns {Promise<Object>} - Login result with tokens
    */
-  async login(credentials) {
+  async login(credentials, context = {}) {
     try {
       const { email, password } = credentials;
 
@@ -85,7 +95,7 @@ class ArchitectAuthService {
         }
 
         throw new AuthenticationError(
-          'Account not activated. Please register again to get payment link.'
+          'Account not activated. Please request a new payment link.'
         );
       }
 
@@ -95,17 +105,41 @@ class ArchitectAuthService {
         );
       }
 
-      // Generate tokens
+      if (architect.status === 'EXPIRED') {
+        // Membership habis -> kembalikan link pembayaran renewal
+        const renewal = await membershipService.createRenewal(architect.id);
+
+        return {
+          success: false,
+          paymentRequired: true,
+          membershipExpired: true,
+          message: 'Membership expired. Please renew your membership.',
+          data: {
+            architect: {
+              id: architect.id,
+              name: architect.name,
+              email: architect.email,
+              status: architect.status,
+            },
+            membership: renewal.membership,
+            payment: renewal.payment,
+          },
+        };
+      }
+
+      // Generate tokens (refresh token disimpan sebagai session)
+      const { sessionId, refreshToken } = await sessionService.createSession(
+        'ARCHITECT',
+        architect.id,
+        context
+      );
+
       const accessToken = JWTHelper.generateAccessToken({
         id: architect.id,
         email: architect.email,
         role: 'ARCHITECT',
         status: architect.status,
-      });
-
-      const refreshToken = JWTHelper.generateRefreshToken({
-        id: architect.id,
-        email: architect.email,
+        sessionId,
       });
 
       console.log('✅ Architect logged in:', architect.email);
@@ -114,15 +148,8 @@ class ArchitectAuthService {
         success: true,
         message: 'Login successful',
         data: {
-          architect: {
-            id: architect.id,
-            name: architect.name,
-            email: architect.email,
-            phone: architect.phone,
-            profilePictureUrl: architect.profilePictureUrl,
-            status: architect.status,
-            emailVerified: architect.emailVerified,
-          },
+          architect: architectSerializer.serialize(architect, 'owner'),
+          membership: membershipService.getMembershipInfo(architect),
           tokens: {
             accessToken,
             refreshToken,
@@ -148,52 +175,7 @@ class ArchitectAuthService {
         throw new NotFoundError('Architect not found');
       }
 
-      // Parse keahlianKhusus from JSON string
-      let keahlianKhusus = [];
-      if (architect.keahlianKhusus) {
-        try {
-          keahlianKhusus = JSON.parse(architect.keahlianKhusus);
-        } catch (e) {
-          keahlianKhusus = [];
-        }
-      }
-
-      return {
-        id: architect.id,
-        email: architect.email,
-        name: architect.name,
-        phone: architect.phone,
-        profilePictureUrl: architect.profilePictureUrl
-          ? FileUploadHelper.getFileUrl(architect.profilePictureUrl)
-          : null,
-        tahunPengalaman: architect.tahunPengalaman,
-        areaPengalaman: architect.areaPengalaman,
-        keahlianKhusus,
-        status: architect.status,
-        emailVerified: architect.emailVerified,
-        emailVerifiedAt: architect.emailVerifiedAt,
-        certifications: architect.certifications.map((cert) => ({
-          id: cert.id,
-          certificationName: cert.certificationName,
-          penerbit: cert.penerbit,
-          year: cert.year,
-          berkasUrl: FileUploadHelper.getFileUrl(cert.berkasUrl),
-          createdAt: cert.createdAt,
-        })),
-        portfolioLinks: architect.portfolioLinks.map((link) => ({
-          id: link.id,
-          url: link.url,
-          order: link.order,
-        })),
-        designs: architect.designs?.map((design) => ({
-          id: design.id,
-          title: design.title,
-          kategori: design.kategori,
-          createdAt: design.createdAt,
-        })) || [],
-        createdAt: architect.createdAt,
-        updatedAt: architect.updatedAt,
-      };
+      return architectSerializer.serialize(architect, 'owner');
     } catch (error) {
       console.error('❌ Failed to get profile:', error.message);
       throw error;
@@ -227,13 +209,14 @@ class ArchitectAuthService {
         updateData.areaPengalaman = profileData.areaPengalaman;
       }
 
-      // Handle keahlianKhusus
-      if (profileData.keahlianKhusus) {
-        const keahlian = Array.isArray(profileData.keahlianKhusus)
-          ? profileData.keahlianKhusus
-          : JSON.parse(profileData.keahlianKhusus);
-        updateData.keahlianKhusus = JSON.stringify(keahlian);
-      }
+      // Handle keahlianKhusus (dipetakan ke skill kanonik, divalidasi sebelum ada yang diubah)
+      const skills = profileData.keahlianKhusus !== undefined
+        ? await skillService.resolveSkills(profileData.keahlianKhusus)
+        : null;
+
+      // Handle lokasi (provinsi, kota/kabupaten, lat/lng, wilayah layanan)
+      const location = await regionService.resolveLocation(profileData, architect);
+      Object.assign(updateData, location.data);
 
       // Handle profile picture upload
       if (files.profilePicture) {
@@ -250,6 +233,13 @@ class ArchitectAuthService {
         updateData
       );
 
+      if (skills) {
+        await skillRepository.setArchitectSkills(architectId, skills.map((skill) => skill.id));
+      }
+      if (location.serviceAreaIds) {
+        await regionRepository.setServiceAreas(architectId, location.serviceAreaIds);
+      }
+
       // Handle certifications update
       if (profileData.certifications || files.certifications) {
         await this.updateCertifications(
@@ -289,6 +279,9 @@ class ArchitectAuthService {
         ? certificationsData
         : JSON.parse(certificationsData);
 
+      // Hasil review lama dipertahankan untuk sertifikasi yang tidak berubah
+      const previous = await certificationRepository.findByArchitectId(architectId);
+
       // Delete all existing certifications
       await certificationRepository.deleteByArchitectId(architectId);
 
@@ -303,7 +296,10 @@ class ArchitectAuthService {
       }));
 
       if (newCertifications.length > 0) {
-        await certificationRepository.createMany(architectId, newCertifications);
+        await certificationRepository.createMany(
+          architectId,
+          certificationReviewService.carryOverReviews(previous, newCertifications)
+        );
       }
 
       console.log('✅ Certifications updated');
@@ -386,6 +382,9 @@ class ArchitectAuthService {
         password: hashedPassword,
       });
 
+      // Invalidate reset token yang masih aktif
+      await passwordResetService.invalidateTokens('ARCHITECT', architectId);
+
       console.log('✅ Password changed:', architect.email);
 
       return {
@@ -399,28 +398,24 @@ class ArchitectAuthService {
   }
 
   /**
-   * Refresh access token
+   * Refresh access token (rotasi refresh token)
    * @param {String} refreshToken - Refresh token
-   * @returns {Promise<Object>} - New access token
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - New access token & refresh token
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, context = {}) {
     try {
-      if (!refreshToken) {
-        throw new AuthenticationError('Refresh token is required');
-      }
-
-      // Verify refresh token
-      const decoded = JWTHelper.verifyToken(refreshToken);
-
-      if (decoded.type !== 'refresh') {
-        throw new AuthenticationError('Invalid refresh token');
-      }
+      // Rotate refresh token (token lama tidak bisa dipakai lagi)
+      const rotated = await sessionService.rotate('ARCHITECT', refreshToken, context);
 
       // Get architect
-      const architect = await architectRepository.findByIdOrFail(decoded.id);
+      const architect = await architectRepository.findByIdOrFail(rotated.accountId);
 
       // Check status
       if (architect.status !== 'ACTIVE') {
+        await sessionService.revokeSession('ARCHITECT', architect.id, {
+          sessionId: rotated.sessionId,
+        });
         throw new AuthenticationError('Account is not active');
       }
 
@@ -430,12 +425,14 @@ class ArchitectAuthService {
         email: architect.email,
         role: 'ARCHITECT',
         status: architect.status,
+        sessionId: rotated.sessionId,
       });
 
       return {
         success: true,
         data: {
           accessToken: newAccessToken,
+          refreshToken: rotated.refreshToken,
         },
       };
     } catch (error) {
@@ -445,15 +442,14 @@ class ArchitectAuthService {
   }
 
   /**
-   * Logout (optional - for token blacklist implementation)
+   * Logout - revoke session (refresh token) device ini
    * @param {String} architectId - Architect ID
+   * @param {Object} options - { sessionId, refreshToken }
    * @returns {Promise<Object>} - Result
    */
-  async logout(architectId) {
+  async logout(architectId, options = {}) {
     try {
-      // TODO: Implement token blacklist if needed
-      // For now, just return success
-      // Client should delete token from storage
+      await sessionService.revokeSession('ARCHITECT', architectId, options);
 
       console.log('✅ Architect logged out:', architectId);
 
@@ -467,6 +463,28 @@ class ArchitectAuthService {
     }
   }
 
+  /**
+   * Logout dari semua device
+   * @param {String} architectId - Architect ID
+   * @returns {Promise<Object>} - Result
+   */
+  async logoutAll(architectId) {
+    try {
+      const revokedCount = await sessionService.revokeAllSessions('ARCHITECT', architectId);
+
+      console.log('✅ Architect logged out from all devices:', architectId);
+
+      return {
+        success: true,
+        message: 'Logged out from all devices successfully',
+        data: { revokedCount },
+      };
+    } catch (error) {
+      console.error('❌ Logout all failed:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get architect dashboard statistics
    * @param {String} architectId - Architect ID
@@ -482,6 +500,26 @@ class ArchitectAuthService {
       throw error;
     }
   }
+
+  /**
+   * Get architect view analytics (time-series profil & design)
+   * @param {String} architectId - Architect ID
+   * @param {Object} query - { from, to, granularity }
+   * @returns {Promise<Object>} - Dashboard statistics + analytics
+   */
+  async getAnalytics(architectId, query = {}) {
+    try {
+      const [stats, analytics] = await Promise.all([
+        architectRepository.getStatistics(architectId),
+        viewAnalyticsService.getArchitectAnalytics(architectId, query),
+      ]);
+
+      return { stats, ...analytics };
+    } catch (error) {
+      console.error('❌ Failed to get analytics:', error.message);
+      throw error;
+    }
+  }
 }
 
 module.exports = new ArchitectAuthService();
\ No newline at end of file
@@ -0,0 +1,336 @@
+/**
+ * Architect Directory Service
+ * Pencarian publik arsitek: filter (skill, pengalaman, area, sertifikasi, kategori design),
+ * lokasi (wilayah & radius dari titik), sorting, dan facet count untuk sidebar filter di frontend.
+ *
+ * Facet dihitung per filter dengan semua filter lain tetap aktif (filter itu sendiri diabaikan),
+ * supaya frontend bisa menampilkan jumlah hasil kalau opsi tersebut dipilih.
+ * Semua facet dihitung di database (count / groupBy / raw query), tidak memuat data arsitek.
+ */
+
+const { architectRepository, regionRepository } = require('../repositories');
+const skillService = require('./skill.service');
+const { ValidationError } = require('../../../errors/app-errors');
+
+const SORTS = {
+  newest: [{ createdAt: 'desc' }],
+  experience: [{ tahunPengalaman: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }],
+  views: [{ profileViewEvents: { _count: 'desc' } }, { createdAt: 'desc' }],
+  designs: [{ designs: { _count: 'desc' } }, { createdAt: 'desc' }],
+  distance: null, // urut jarak dari lat/lng, dipaginasi di service
+};
+const SKILL_MATCHES = ['any', 'all'];
+const EXPERIENCE_BUCKETS = [1, 3, 5, 10];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_FACET_VALUES = 30;
+// Area (teks bebas) digabung case-insensitive di service, jadi ambil kandidat lebih banyak
+const FACET_CANDIDATES = MAX_FACET_VALUES * 4;
+const DEFAULT_RADIUS_KM = 25;
+// Filter / facet sertifikasi hanya menghitung sertifikasi yang sudah diverifikasi admin
+const VERIFIED_CERTIFICATIONS = { verificationStatus: 'VERIFIED' };
+const MAX_RADIUS_KM = 500;
+
+class ArchitectDirectoryService {
+  /**
+   * Normalisasi query string direktori
+   * @param {Object} query - { q, skills, skillMatch, minExperience, area, hasCertification, kategori,
+   *                           region, lat, lng, radiusKm, sort, page, limit }
+   * @returns {Object} - Filter yang sudah divalidasi
+   */
+  parseQuery(query = {}) {
+    const errors = [];
+
+    const skills = (Array.isArray(query.skills) ? query.skills : String(query.skills || '').split(','))
+      .map((skill) => String(skill).trim())
+      .filter(Boolean);
+
+    const skillMatch = String(query.skillMatch || 'any').toLowerCase();
+    if (!SKILL_MATCHES.includes(skillMatch)) {
+      errors.push({ field: 'skillMatch', message: `skillMatch must be one of: ${SKILL_MATCHES.join(', ')}` });
+    }
+
+    let minExperience = null;
+    if (query.minExperience !== undefined && query.minExperience !== '') {
+      minExperience = Number(query.minExperience);
+      if (!Number.isInteger(minExperience) || minExperience < 0) {
+        errors.push({ field: 'minExperience', message: 'minExperience must be a non-negative integer' });
+      }
+    }
+
+    let hasCertification = null;
+    if (query.hasCertification !== undefined && query.hasCertification !== '') {
+      const value = String(query.hasCertification).toLowerCase();
+      if (['true', '1'].includes(value)) hasCertification = true;
+      else if (['false', '0'].includes(value)) hasCertification = false;
+      else errors.push({ field: 'hasCertification', message: 'hasCertification must be true or false' });
+    }
+
+    // Radius search: lat & lng wajib berpasangan, radiusKm opsional
+    let near = null;
+    const hasLat = query.lat !== undefined && query.lat !== '';
+    const hasLng = query.lng !== undefined && query.lng !== '';
+    if (hasLat || hasLng) {
+      const latitude = Number(query.lat);
+      const longitude = Number(query.lng);
+      const radiusKm = query.radiusKm === undefined || query.radiusKm === '' ? DEFAULT_RADIUS_KM : Number(query.radiusKm);
+
+      if (!hasLat || !hasLng) {
+        errors.push({ field: 'lat', message: 'lat and lng must be provided together' });
+      } else if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        errors.push({ field: 'lat', message: 'lat must be between -90 and 90 and lng between -180 and 180' });
+      }
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        errors.push({ field: 'radiusKm', message: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}` });
+      }
+      near = { latitude, longitude, radiusKm };
+    }
+
+    const sort = String(query.sort || 'newest').toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(SORTS, sort)) {
+      errors.push({ field: 'sort', message: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+    } else if (sort === 'distance' && !near) {
+      errors.push({ field: 'sort', message: 'sort=distance requires lat and lng' });
+    }
+
+    if (errors.length) throw new ValidationError('Validation failed', errors);
+
+    return {
+      q: String(query.q || '').trim() || null,
+      skills,
+      skillMatch,
+      minExperience,
+      area: String(query.area || '').trim() || null,
+      hasCertification,
+      kategori: String(query.kategori || '').trim() || null,
+      region: String(query.region || '').trim() || null,
+      near,
+      sort,
+      page: Math.max(1, parseInt(query.page, 10) || 1),
+      limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)),
+    };
+  }
+
+  /**
+   * Where dasar: hanya arsitek ACTIVE + pencarian teks (tanpa email) + lokasi
+   * Lokasi tidak punya facet, jadi ikut membatasi facet count.
+   */
+  buildBaseWhere(filters) {
+    const and = [{ status: 'ACTIVE' }];
+
+    if (filters.regionIds) {
+      // Berdomisili di wilayah itu, atau melayani wilayah itu / provinsinya / kota di dalamnya
+      const [regionId] = filters.regionIds;
+      and.push({
+        OR: [
+          { provinceId: regionId },
+          { cityId: regionId },
+          {
+            serviceAreas: {
+              some: {
+                OR: [{ regionId: { in: filters.regionIds } }, { region: { parentId: regionId } }],
+              },
+            },
+          },
+        ],
+      });
+    }
+    if (filters.distances) {
+      and.push({ id: { in: [...filters.distances.keys()] } });
+    }
+
+    if (filters.q) {
+      and.push({
+        OR: [
+          { name: { contains: filters.q, mode: 'insensitive' } },
+          { areaPengalaman: { contains: filters.q, mode: 'insensitive' } },
+          { skills: { some: { skill: { name: { contains: filters.q, mode: 'insensitive' } } } } },
+        ],
+      });
+    }
+
+    return and;
+  }
+
+  /**
+   * Where lengkap untuk listing
+   * Skill dicocokkan lewat slug kanonik (filters.skillSlugs, alias sudah diterjemahkan)
+   * @param {Object} filters - Hasil parseQuery
+   * @param {String|null} except - Filter yang diabaikan (untuk facet filter itu sendiri)
+   */
+  buildWhere(filters, except = null) {
+    const and = this.buildBaseWhere(filters);
+
+    if (except !== 'skills' && filters.skillSlugs.length) {
+      and.push(
+        filters.skillMatch === 'all'
+          ? { AND: filters.skillSlugs.map((slug) => ({ skills: { some: { skill: { slug } } } })) }
+          : { skills: { some: { skill: { slug: { in: filters.skillSlugs } } } } }
+      );
+    }
+    if (except !== 'minExperience' && filters.minExperience !== null) {
+      and.push({ tahunPengalaman: { gte: filters.minExperience } });
+    }
+    if (except !== 'area' && filters.area) {
+      and.push({ areaPengalaman: { contains: filters.area, mode: 'insensitive' } });
+    }
+    if (except !== 'hasCertification' && filters.hasCertification !== null) {
+      and.push({
+        certifications: filters.hasCertification ? { some: VERIFIED_CERTIFICATIONS } : { none: VERIFIED_CERTIFICATIONS },
+      });
+    }
+    if (except !== 'kategori' && filters.kategori) {
+      and.push({ designs: { some: { kategori: { equals: filters.kategori, mode: 'insensitive' } } } });
+    }
+
+    return { AND: and };
+  }
+
+  /**
+   * Search direktori publik
+   * @param {Object} query - Query string
+   * @returns {Promise<Object>} - { data, pagination, facets, filters }
+   */
+  async search(query = {}) {
+    const filters = this.parseQuery(query);
+    filters.skillSlugs = await skillService.canonicalSlugs(filters.skills);
+    await this.resolveLocationFilters(filters);
+
+    const where = this.buildWhere(filters);
+    const [result, facets] = await Promise.all([
+      filters.sort === 'distance'
+        ? this.findByDistance(where, filters)
+        : architectRepository.findDirectory({
+          where,
+          orderBy: SORTS[filters.sort],
+          page: filters.page,
+          limit: filters.limit,
+        }),
+      this.buildFacets(filters),
+    ]);
+
+    if (filters.distances) {
+      result.data = result.data.map((architect) => ({
+        ...architect,
+        distanceKm: Math.round(filters.distances.get(architect.id) * 10) / 10,
+      }));
+    }
+
+    const { page, limit, skillSlugs, regionIds, distances, ...applied } = filters;
+
+    return {
+      ...result,
+      facets,
+      filters: applied,
+    };
+  }
+
+  /**
+   * Wilayah -> [id, parentId]; titik -> Map(id arsitek -> jarak km) dalam radius
+   * @throws {ValidationError} - Kode wilayah tidak dikenal
+   */
+  async resolveLocationFilters(filters) {
+    if (filters.region) {
+      const region = await regionRepository.findById(filters.region);
+      if (!region) {
+        throw new ValidationError('Validation failed', [{ field: 'region', message: 'Unknown region' }]);
+      }
+      filters.regionIds = [region.id, region.parentId].filter(Boolean);
+    }
+
+    if (filters.near) {
+      const { latitude, longitude, radiusKm } = filters.near;
+      const rows = await architectRepository.findIdsWithinRadius(latitude, longitude, radiusKm);
+      filters.distances = new Map(rows.map((row) => [row.id, Number(row.distanceKm)]));
+    }
+  }
+
+  /**
+   * Sort jarak: ambil semua ID yang cocok (sudah dibatasi radius), urutkan, lalu paginasi
+   */
+  async findByDistance(where, filters) {
+    const ids = (await architectRepository.findDirectoryIds(where))
+      .sort((a, b) => filters.distances.get(a) - filters.distances.get(b));
+
+    const { page, limit } = filters;
+    const pageIds = ids.slice((page - 1) * limit, page * limit);
+    const totalPages = Math.ceil(ids.length / limit);
+
+    const result = pageIds.length
+      ? await architectRepository.findDirectory({ where: { id: { in: pageIds } }, page: 1, limit })
+      : { data: [] };
+
+    return {
+      data: pageIds.map((id) => result.data.find((architect) => architect.id === id)).filter(Boolean),
+      pagination: {
+        page,
+        limit,
+        totalItems: ids.length,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Gabungkan nilai teks bebas case-insensitive (label pakai ejaan dengan jumlah terbanyak)
+   * @param {Array} entries - [{ value, count }] urut count desc
+   * @returns {Array} - [{ value, count }] maksimal MAX_FACET_VALUES
+   */
+  mergeValues(entries) {
+    const merged = new Map();
+    entries.forEach(({ value, count }) => {
+      const label = String(value || '').trim();
+      const key = label.toLowerCase();
+      if (!key) return;
+      const entry = merged.get(key) || { value: label, count: 0 };
+      entry.count += count;
+      merged.set(key, entry);
+    });
+
+    return [...merged.values()]
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, MAX_FACET_VALUES);
+  }
+
+  /**
+   * Facet yang dihitung dengan raw query (SQL tidak bisa memakai where Prisma):
+   * ambil dulu ID arsitek yang cocok, lalu hitung semua nilai sekaligus
+   */
+  async countExperience(where) {
+    const ids = await architectRepository.findDirectoryIds(where);
+    return await architectRepository.countDirectoryExperience(ids, EXPERIENCE_BUCKETS);
+  }
+
+  async countKategori(where) {
+    const ids = await architectRepository.findDirectoryIds(where);
+    return await architectRepository.countDirectoryKategori(ids, MAX_FACET_VALUES);
+  }
+
+  async buildFacets(filters) {
+    const certificationWhere = this.buildWhere(filters, 'hasCertification');
+
+    const [skills, experience, areas, withCertification, certificationTotal, kategori] = await Promise.all([
+      architectRepository.countDirectorySkills(this.buildWhere(filters, 'skills'), MAX_FACET_VALUES),
+      this.countExperience(this.buildWhere(filters, 'minExperience')),
+      architectRepository.countDirectoryAreas(this.buildWhere(filters, 'area'), FACET_CANDIDATES),
+      architectRepository.countDirectory({ AND: [certificationWhere, { certifications: { some: VERIFIED_CERTIFICATIONS } }] }),
+      architectRepository.countDirectory(certificationWhere),
+      this.countKategori(this.buildWhere(filters, 'kategori')),
+    ]);
+
+    return {
+      skills: [...skills].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      experience,
+      areas: this.mergeValues(areas),
+      certification: {
+        with: withCertification,
+        without: certificationTotal - withCertification,
+      },
+      kategori,
+    };
+  }
+}
+
+module.exports = new ArchitectDirectoryService();
@@ -8,17 +8,30 @@ const {
   certificationRepository,
   portfolioLinkRepository,
   transactionRepository,
+  promoCodeRepository,
 } = require('../repositories');
 
 const PasswordHasher = require('../../../utils/password-hasher');
 const TokenGeneratorService = require('../../../common/services/token-generator.service');
 const paymentService = require('../../../common/services/payment.service');
 const emailService = require('../../../common/services/email.service');
+const { transactionSerializer } = require('../../../common/serializers');
+const { emailVerificationService } = require('../../auth/services');
+const membershipService = require('./membership.service');
+const promoCodeService = require('./promo-code.service');
+const invoiceService = require('./invoice.service');
+const webhookService = require('./webhook.service');
+const skillService = require('./skill.service');
+const regionService = require('./region.service');
 
 const {
   ValidationError,
   ConflictError,
   BadRequestError,
+  AuthenticationError,
+  AuthorizationError,
+  TooManyRequestsError,
+  PaymentError,
 } = require('../../../errors/app-errors');
 
 class ArchitectRegistrationService {
@@ -47,7 +60,13 @@ class ArchitectRegistrationService {
         throw new ConflictError('Email sudah terdaftar');
       }
 
-      // Step 3: Hash password
+      // Step 3: Hitung harga (validasi kode promo sebelum akun dibuat)
+      const quote = await promoCodeService.quoteRegistration(registrationData.promoCode);
+
+      // Step 3a: Validasi lokasi (provinsi, kota/kabupaten, lat/lng, wilayah layanan)
+      const location = await regionService.resolveLocation(registrationData.location || {});
+
+      // Step 3b: Hash password
       const hashedPassword = await PasswordHasher.hash(
         registrationData.basicInfo.password
       );
@@ -61,9 +80,7 @@ class ArchitectRegistrationService {
         profilePictureUrl: registrationData.basicInfo.profilePictureUrl || null,
         tahunPengalaman: registrationData.professionalInfo?.tahunPengalaman || null,
         areaPengalaman: registrationData.professionalInfo?.areaPengalaman || null,
-        keahlianKhusus: registrationData.professionalInfo?.keahlianKhusus
-          ? JSON.stringify(registrationData.professionalInfo.keahlianKhusus)
-          : null,
+        ...location.data,
         status: 'UNPAID',
         emailVerified: false,
       };
@@ -82,91 +99,77 @@ class ArchitectRegistrationService {
         order: index,
       }));
 
+      // Step 6b: Petakan keahlian ke skill kanonik ("autocad" -> "AutoCAD")
+      const skills = await skillService.resolveSkills(registrationData.professionalInfo?.keahlianKhusus);
+
       // Step 7: Create architect with relations (in transaction)
       const architect = await architectRepository.createWithRelations(
         architectData,
         certifications,
-        portfolioLinks
+        portfolioLinks,
+        skills.map((skill) => skill.id),
+        location.serviceAreaIds || []
       );
 
       console.log('✅ Architect created:', architect.id);
 
-      // Step 8: Generate payment token and order ID
-      const orderId = TokenGeneratorService.generateOrderId();
-      const paymentToken = TokenGeneratorService.generatePaymentToken();
-      const expiredAt = TokenGeneratorService.getPaymentExpiryDate();
-      const amount = parseInt(process.env.ARCHITECT_REGISTRATION_FEE) || 500000;
+      // Step 8-10: Create transaction (Snap token kalau ada yang perlu dibayar)
+      const {
+        transaction,
+        snapToken,
+        snapRedirectUrl,
+        activated,
+      } = await this.createRegistrationTransaction(architect, quote);
 
-      // Step 9: Create Midtrans Snap transaction
-      let snapToken = null;
-      let snapRedirectUrl = null;
+      console.log('✅ Transaction created:', transaction.id);
 
-      if (paymentService.isConfigured()) {
+      // Step 11: Send payment link email (tidak perlu kalau promo 100%)
+      if (!activated) {
         try {
-          const snapResult = await paymentService.createSnapTransaction({
-            orderId,
-            amount,
-            customerDetails: {
-              first_name: architect.name,
-              email: architect.email,
-              phone: architect.phone,
-            },
-          });
-
-          snapToken = snapResult.snapToken;
-          snapRedirectUrl = snapResult.redirectUrl;
-
-          console.log('✅ Midtrans Snap token created');
+          await emailService.sendPaymentLinkEmail(
+            architect,
+            transaction.paymentToken,
+            transaction.orderId,
+            transaction.amount
+          );
+          console.log('✅ Payment link email sent');
         } catch (error) {
-          console.error('❌ Failed to create Snap token:', error.message);
-          // Continue without Snap token (can be created later)
+          console.error('❌ Failed to send email:', error.message);
+          // Continue even if email fails
         }
       }
 
-      // Step 10: Save transaction to database
-      const transaction = await transactionRepository.createTransaction({
-        architectId: architect.id,
-        orderId,
-        paymentToken,
-        snapToken,
-        amount,
-        status: 'PENDING',
-        expiredAt,
-      });
-
-      console.log('✅ Transaction created:', transaction.id);
-
-      // Step 11: Send payment link email
+      // Step 12: Send email verification code
       try {
-        await emailService.sendPaymentLinkEmail(
-          architect,
-          paymentToken,
-          orderId,
-          amount
-        );
-        console.log('✅ Payment link email sent');
+        await emailVerificationService.sendVerification('ARCHITECT', architect);
       } catch (error) {
-        console.error('❌ Failed to send email:', error.message);
-        // Continue even if email fails
+        console.error('❌ Failed to send verification email:', error.message);
+        // Continue even if email fails (bisa resend)
       }
 
-      // Step 12: Return response
+      // Step 13: Return response
       return {
         success: true,
-        message: 'Registrasi berhasil. Silakan cek email untuk link pembayaran.',
+        message: activated
+          ? 'Registrasi berhasil. Akun Anda sudah aktif dengan kode promo.'
+          : 'Registrasi berhasil. Silakan cek email untuk link pembayaran.',
         data: {
           architect: {
             id: architect.id,
             name: architect.name,
             email: architect.email,
-            status: architect.status,
+            status: activated ? 'ACTIVE' : architect.status,
           },
           payment: {
-            orderId,
-            paymentToken,
-            amount,
-            expiredAt,
-            paymentUrl: `${process.env.FRONTEND_URL}/payment/${paymentToken}`,
+            orderId: transaction.orderId,
+            paymentToken: transaction.paymentToken,
+            amount: transaction.amount,
+            originalAmount: transaction.originalAmount,
+            discountAmount: transaction.discountAmount,
+            promoCode: quote.promoCode?.code || null,
+            status: transaction.status,
+            expiredAt: transaction.expiredAt,
+            paymentUrl: activated ? null : `${process.env.FRONTEND_URL}/payment/${transaction.paymentToken}`,
             snapToken: snapToken,
             snapRedirectUrl: snapRedirectUrl,
           },
@@ -178,6 +181,82 @@ class ArchitectRegistrationService {
     }
   }
 
+  /**
+   * Create registration transaction dari quote harga
+   * Promo dengan sisa bayar Rp 0 langsung SUCCESS + aktivasi tanpa Midtrans
+   * @param {Object} architect - Architect
+   * @param {Object} quote - Hasil promoCodeService.quoteRegistration
+   * @returns {Promise<Object>} - { transaction, snapToken, snapRedirectUrl, activated }
+   */
+  async createRegistrationTransaction(architect, quote) {
+    const orderId = TokenGeneratorService.generateOrderId();
+    const paymentToken = TokenGeneratorService.generatePaymentToken();
+    const expiredAt = TokenGeneratorService.getPaymentExpiryDate();
+    const isFree = quote.amount === 0;
+
+    let snapToken = null;
+    let snapRedirectUrl = null;
+
+    if (!isFree && paymentService.isConfigured()) {
+      try {
+        const snapResult = await paymentService.createSnapTransaction({
+          orderId,
+          amount: quote.amount,
+          customerDetails: {
+            first_name: architect.name,
+            email: architect.email,
+            phone: architect.phone,
+          },
+          itemDetails: promoCodeService.buildItemDetails(quote),
+        });
+
+        snapToken = snapResult.snapToken;
+        snapRedirectUrl = snapResult.redirectUrl;
+
+        console.log('✅ Midtrans Snap token created');
+      } catch (error) {
+        console.error('❌ Failed to create Snap token:', error.message);
+        // Continue without Snap token (can be created later)
+      }
+    }
+
+    const transactionData = {
+      architectId: architect.id,
+      orderId,
+      paymentToken,
+      snapToken,
+      ...promoCodeService.toTransactionAmounts(quote),
+      status: isFree ? 'SUCCESS' : 'PENDING',
+      expiredAt,
+      ...(isFree ? { paymentMethod: 'OTHER', paidAt: new Date() } : {}),
+    };
+
+    const transaction = quote.promoCode
+      ? await promoCodeRepository.createTransactionWithRedemption(transactionData, {
+        promoCodeId: quote.promoCode.id,
+        discountAmount: quote.discountAmount,
+      })
+      : await transactionRepository.createTransaction(transactionData);
+
+    if (isFree) {
+      const { architect: activeArchitect } = await membershipService.activateMembership(transaction, new Date(), {
+        source: 'SYSTEM',
+        reason: 'Registration fee fully covered by promo code',
+      });
+      const attachments = await invoiceService.getEmailAttachments(transaction);
+
+      try {
+        await emailService.sendWelcomeEmail(activeArchitect, attachments);
+      } catch (error) {
+        console.error('⚠️ Failed to send welcome email:', error.message);
+      }
+
+      console.log('🎟️ Account activated with 100% promo code:', quote.promoCode.code);
+    }
+
+    return { transaction, snapToken, snapRedirectUrl, activated: isFree };
+  }
+
   /**
    * Validate registration data
    * @param {Object} data - Registration data
@@ -231,6 +310,13 @@ class ArchitectRegistrationService {
           message: 'Years of experience must be between 0 and 50',
         });
       }
+
+      try {
+        errors.push(...skillService.validateNames(skillService.parseNames(data.professionalInfo.keahlianKhusus)));
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors.push(...error.errors);
+      }
     }
 
     // Validate certifications
@@ -323,6 +409,9 @@ class ArchitectRegistrationService {
             email: architect.email,
             phone: architect.phone,
           },
+          itemDetails: transaction.type === 'RENEWAL'
+            ? membershipService.getRenewalItemDetails(transaction.amount)
+            : undefined,
         });
 
         snapToken = snapResult.snapToken;
@@ -345,10 +434,7 @@ class ArchitectRegistrationService {
         email: architect.email,
       },
       transaction: {
-        orderId: transaction.orderId,
-        amount: transaction.amount,
-        status: transaction.status,
-        expiredAt: transaction.expiredAt,
+        ...transactionSerializer.serialize(transaction, 'public'),
         snapToken,
         snapRedirectUrl,
       },
@@ -361,10 +447,12 @@ class ArchitectRegistrationService {
 
   /**
    * Resend payment link email
+   * Kalau promoCode dikirim, transaksi lama diganti transaksi baru dengan harga diskon
    * @param {String} email - Architect email
+   * @param {String|null} promoCode - Kode promo (optional)
    * @returns {Promise<Object>} - Result
    */
-  async resendPaymentLink(email) {
+  async resendPaymentLink(email, promoCode = null) {
     // Find architect by email
     const architect = await architectRepository.findByEmail(email);
 
@@ -376,8 +464,15 @@ class ArchitectRegistrationService {
       throw new BadRequestError('Account already active');
     }
 
+    // Promo hanya untuk pembayaran registrasi (bukan renewal arsitek EXPIRED)
+    if (promoCode && architect.status !== 'UNPAID') {
+      throw new BadRequestError('Promo codes can only be applied to registration payments');
+    }
+
     // Get latest pending transaction
-    const transaction = await transactionRepository.getLatestByArchitect(architect.id);
+    let transaction = promoCode
+      ? await transactionRepository.findOpenByArchitect(architect.id, 'REGISTRATION')
+      : await transactionRepository.getLatestByArchitect(architect.id);
 
     if (!transaction) {
       throw new BadRequestError('No pending transaction found');
@@ -389,7 +484,58 @@ class ArchitectRegistrationService {
 
     // Check if expired
     if (TokenGeneratorService.isPaymentExpired(transaction.expiredAt)) {
-      throw new BadRequestError('Payment link has expired. Please register again.');
+      throw new BadRequestError('Payment link has expired. Please request a new payment link.');
+    }
+
+    if (promoCode) {
+      if (transaction.promoCodeId) {
+        throw new BadRequestError('A promo code has already been applied to this payment');
+      }
+
+      const quote = await promoCodeService.quoteRegistration(promoCode, {
+        architectId: architect.id,
+      });
+
+      // Order ID lama sudah terdaftar di Midtrans dengan harga penuh -> ganti transaksi.
+      // Order lama diselesaikan di gateway dulu (sudah dibayar -> diterapkan, masih pending -> dibatalkan),
+      // baru transaksi promo dibuat, supaya tidak ada aktivasi ganda / dua order yang bisa dibayar
+      const { paid } = await this.settlePendingTransaction(transaction);
+
+      if (paid) {
+        return {
+          success: true,
+          message: 'Payment has already been received. Your account is now active.',
+          data: { activated: true, amount: transaction.amount },
+        };
+      }
+
+      let result = null;
+      try {
+        result = await this.createRegistrationTransaction(architect, quote);
+        await transactionRepository.markAsCancelled(
+          transaction.id,
+          'Replaced by a new transaction after applying a promo code',
+          { source: 'SYSTEM' }
+        );
+      } catch (error) {
+        // Transaksi promo yang sudah dibuat dibatalkan lagi (redemption dilepas)
+        if (result && !result.activated) {
+          await this.replacePendingTransaction(result.transaction, 'Promo code replacement failed').catch((cleanupError) => {
+            console.error('❌ Failed to cancel promo transaction:', cleanupError.message);
+          });
+        }
+        throw error;
+      }
+
+      transaction = result.transaction;
+
+      if (result.activated) {
+        return {
+          success: true,
+          message: 'Promo code applied. Your account is now active.',
+          data: { activated: true, amount: 0 },
+        };
+      }
     }
 
     // Resend email
@@ -403,8 +549,205 @@ class ArchitectRegistrationService {
     return {
       success: true,
       message: 'Payment link has been resent to your email',
+      data: {
+        activated: false,
+        amount: transaction.amount,
+        originalAmount: transaction.originalAmount,
+        discountAmount: transaction.discountAmount,
+      },
     };
   }
+
+  /**
+   * Retry payment untuk arsitek UNPAID yang link pembayarannya sudah expired / gagal
+   * Transaksi PENDING lama dibatalkan, lalu dibuat transaksi baru (orderId, paymentToken, Snap token baru)
+   * @param {Object} credentials - { email, password }
+   * @param {String|null} promoCode - Kode promo (optional)
+   * @returns {Promise<Object>} - Result
+   */
+  async retryPayment({ email, password } = {}, promoCode = null) {
+    if (!email || !password) {
+      throw new ValidationError('Email and password are required');
+    }
+
+    const architect = await architectRepository.findByEmail(email);
+    const isPasswordValid = architect && (await PasswordHasher.compare(password, architect.password));
+
+    if (!isPasswordValid) {
+      throw new AuthenticationError('Invalid email or password');
+    }
+
+    if (architect.status === 'BANNED') {
+      throw new AuthorizationError('Account has been banned. Please contact support.');
+    }
+
+    if (architect.status !== 'UNPAID') {
+      throw new BadRequestError('Registration has already been paid');
+    }
+
+    await this.assertRetryAllowed(architect.id);
+
+    // Kode promo dicek dulu supaya transaksi lama tidak dibatalkan kalau kodenya tidak valid
+    if (promoCode) {
+      await promoCodeService.quoteRegistration(promoCode);
+    }
+
+    const pendingTransactions = await transactionRepository.findPendingByArchitect(architect.id, 'REGISTRATION');
+
+    for (const pending of pendingTransactions) {
+      const { paid } = await this.replacePendingTransaction(pending);
+
+      if (paid) {
+        return {
+          success: true,
+          message: 'Payment has already been received. Your account is now active.',
+          data: { activated: true, payment: null },
+        };
+      }
+    }
+
+    const quote = await promoCodeService.quoteRegistration(promoCode, { architectId: architect.id });
+    const {
+      transaction,
+      snapToken,
+      snapRedirectUrl,
+      activated,
+    } = await this.createRegistrationTransaction(architect, quote);
+
+    console.log(`🔁 Payment retry ${transaction.orderId} for architect ${architect.id}`);
+
+    if (!activated) {
+      try {
+        await emailService.sendPaymentLinkEmail(
+          architect,
+          transaction.paymentToken,
+          transaction.orderId,
+          transaction.amount
+        );
+      } catch (error) {
+        console.error('❌ Failed to send email:', error.message);
+      }
+    }
+
+    return {
+      success: true,
+      message: activated
+        ? 'Promo code applied. Your account is now active.'
+        : 'A new payment link has been created. Please check your email.',
+      data: {
+        activated,
+        payment: {
+          orderId: transaction.orderId,
+          paymentToken: transaction.paymentToken,
+          amount: transaction.amount,
+          originalAmount: transaction.originalAmount,
+          discountAmount: transaction.discountAmount,
+          promoCode: quote.promoCode?.code || null,
+          status: transaction.status,
+          expiredAt: transaction.expiredAt,
+          paymentUrl: activated ? null : `${process.env.FRONTEND_URL}/payment/${transaction.paymentToken}`,
+          snapToken,
+          snapRedirectUrl,
+        },
+      },
+    };
+  }
+
+  /**
+   * Rate limit retry payment: cooldown sejak transaksi terakhir + maksimal transaksi baru per jam
+   * @param {String} architectId - Architect ID
+   * @throws {TooManyRequestsError} - Jika melebihi batas
+   */
+  async assertRetryAllowed(architectId) {
+    const cooldownSeconds = parseInt(process.env.PAYMENT_RETRY_COOLDOWN_SECONDS) || 60;
+    const maxPerHour = parseInt(process.env.PAYMENT_RETRY_MAX_PER_HOUR) || 3;
+
+    const latest = await transactionRepository.getLatestByArchitect(architectId);
+
+    if (latest) {
+      const elapsedSeconds = (Date.now() - new Date(latest.createdAt).getTime()) / 1000;
+
+      if (elapsedSeconds < cooldownSeconds) {
+        const waitSeconds = Math.ceil(cooldownSeconds - elapsedSeconds);
+        throw new TooManyRequestsError(
+          `Please wait ${waitSeconds} seconds before requesting a new payment link`
+        );
+      }
+    }
+
+    const createdLastHour = await transactionRepository.countCreatedSince(
+      architectId,
+      'REGISTRATION',
+      new Date(Date.now() - 60 * 60 * 1000)
+    );
+
+    if (createdLastHour >= maxPerHour) {
+      throw new TooManyRequestsError('Too many payment links requested. Please try again later');
+    }
+  }
+
+  /**
+   * Selesaikan order PENDING di gateway sebelum diganti
+   * Status dicek dulu ke gateway: pembayaran yang ternyata sudah masuk diterapkan (seperti reconciliation),
+   * charge yang masih pending dibatalkan supaya tidak bisa dibayar dobel
+   * @param {Object} transaction - Transaction PENDING
+   * @returns {Promise<Object>} - { paid }
+   */
+  async settlePendingTransaction(transaction) {
+    if (!paymentService.isConfigured()) {
+      return { paid: false };
+    }
+
+    let processedData = null;
+
+    try {
+      const statusResponse = await paymentService.getTransactionStatus(transaction.orderId);
+      processedData = paymentService.parseTransactionStatus({
+        ...statusResponse,
+        order_id: statusResponse.order_id || transaction.orderId,
+      });
+    } catch (error) {
+      // 404 = customer belum memilih metode pembayaran di Snap, belum ada charge
+      if (!(error instanceof PaymentError && error.statusCode === 404)) throw error;
+    }
+
+    if (processedData?.status === 'SUCCESS') {
+      await webhookService.applyGatewayStatus(processedData, {
+        source: 'RECONCILIATION',
+        metadata: { paymentRetry: true },
+      });
+      return { paid: true };
+    }
+
+    if (processedData?.status === 'PENDING') {
+      await paymentService.cancelTransaction(transaction.orderId);
+    }
+
+    return { paid: false };
+  }
+
+  /**
+   * Batalkan transaksi PENDING yang akan diganti (gateway lalu database)
+   * @param {Object} transaction - Transaction PENDING
+   * @param {String} reason - Alasan pembatalan (riwayat status)
+   * @returns {Promise<Object>} - { paid }
+   */
+  async replacePendingTransaction(transaction, reason = 'Replaced by payment retry') {
+    const { paid } = await this.settlePendingTransaction(transaction);
+    if (paid) {
+      return { paid: true };
+    }
+
+    const cancelled = await transactionRepository.markAsCancelled(transaction.id, reason, {
+      source: 'SYSTEM',
+    });
+
+    if (cancelled && transaction.promoCodeId) {
+      await promoCodeRepository.releaseRedemption(transaction.id);
+    }
+
+    return { paid: false };
+  }
 }
 
 module.exports = new ArchitectRegistrationService();
\ No newline at end of file
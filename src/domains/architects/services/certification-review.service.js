@@ -0,0 +1,168 @@
+/**
+ * Certification Review Service
+ * Verifikasi sertifikasi arsitek oleh admin: antrian review, verify / reject,
+ * dan email hasil review ke arsitek.
+ */
+
+const { certificationRepository } = require('../repositories');
+const emailService = require('../../../common/services/email.service');
+const { certificationSerializer } = require('../../../common/serializers');
+const {
+  ValidationError,
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+} = require('../../../errors/app-errors');
+
+const STATUSES = ['PENDING', 'VERIFIED', 'REJECTED'];
+const MAX_REASON_LENGTH = 500;
+
+// Field review yang dikosongkan kalau sertifikasi harus direview ulang
+const PENDING_REVIEW = {
+  verificationStatus: 'PENDING',
+  reviewedById: null,
+  reviewedAt: null,
+  rejectionReason: null,
+};
+
+class CertificationReviewService {
+  /**
+   * Antrian review (default: PENDING, paling lama dulu)
+   * @param {Object} query - { status, architectId, page, limit }
+   * @returns {Promise<Object>} - { data, pagination, counts }
+   */
+  async queue({ status = 'PENDING', architectId, page = 1, limit = 20 } = {}) {
+    const where = {};
+
+    const value = String(status).toUpperCase();
+    if (value !== 'ALL') {
+      if (!STATUSES.includes(value)) {
+        throw new ValidationError('Validation failed', [
+          { field: 'status', message: `status must be one of: ${STATUSES.join(', ')}, ALL` },
+        ]);
+      }
+      where.verificationStatus = value;
+    }
+    if (architectId) where.architectId = architectId;
+
+    const [result, counts] = await Promise.all([
+      certificationRepository.findReviewQueue({
+        where,
+        page: Math.max(1, Number(page) || 1),
+        limit: Math.min(Number(limit) || 20, 100),
+      }),
+      certificationRepository.countByVerificationStatus(),
+    ]);
+
+    return { ...certificationSerializer.page(result, 'admin'), counts };
+  }
+
+  async detail(id) {
+    const certification = await certificationRepository.findByIdForReview(id);
+    if (!certification) throw new NotFoundError('Certification not found');
+    return certificationSerializer.serialize(certification, 'admin');
+  }
+
+  /**
+   * Setujui sertifikasi
+   * @param {String} id - Certification ID
+   * @param {String} adminId - Admin reviewer
+   */
+  async verify(id, adminId) {
+    return await this.review(id, 'VERIFIED', null, adminId);
+  }
+
+  /**
+   * Tolak sertifikasi (alasan wajib, dikirim ke arsitek)
+   * @param {String} id - Certification ID
+   * @param {Object} body - { reason }
+   * @param {String} adminId - Admin reviewer
+   */
+  async reject(id, { reason } = {}, adminId) {
+    const rejectionReason = reason ? String(reason).trim() : '';
+    if (!rejectionReason || rejectionReason.length > MAX_REASON_LENGTH) {
+      throw new ValidationError('Validation failed', [
+        { field: 'reason', message: `reason is required (max ${MAX_REASON_LENGTH} characters)` },
+      ]);
+    }
+
+    return await this.review(id, 'REJECTED', rejectionReason, adminId);
+  }
+
+  /**
+   * Keputusan boleh diubah (mis. VERIFIED -> REJECTED kalau belakangan ketahuan palsu),
+   * tapi tidak ke status yang sama
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async review(id, status, rejectionReason, adminId) {
+    const certification = await certificationRepository.findByIdForReview(id);
+    if (!certification) throw new NotFoundError('Certification not found');
+
+    if (certification.verificationStatus === status) {
+      throw new BadRequestError(`Certification is already ${status}`);
+    }
+
+    const reviewed = await certificationRepository.recordReview(id, certification.verificationStatus, {
+      verificationStatus: status,
+      reviewedById: adminId || null,
+      reviewedAt: new Date(),
+      rejectionReason,
+    });
+    if (!reviewed) {
+      throw new ConflictError('Certification was updated by another request, please reload');
+    }
+
+    console.log(`✅ Certification ${status}:`, id);
+
+    try {
+      await emailService.sendCertificationReviewEmail(reviewed.architect, reviewed);
+    } catch (emailError) {
+      console.error('⚠️ Failed to send certification review email:', emailError.message);
+    }
+
+    return certificationSerializer.serialize(reviewed, 'admin');
+  }
+
+  /**
+   * Data update untuk edit sertifikasi oleh arsitek: isi / berkas berubah -> review ulang
+   * @param {Object} certification - Sertifikasi saat ini
+   * @param {Object} data - Field yang akan diupdate
+   * @returns {Object} - data (+ reset review kalau perlu)
+   */
+  withReviewReset(certification, data) {
+    const changed = ['certificationName', 'penerbit', 'year', 'berkasUrl'].some(
+      (field) => data[field] !== undefined && data[field] !== certification[field]
+    );
+
+    return changed ? { ...data, ...PENDING_REVIEW } : data;
+  }
+
+  /**
+   * Sertifikasi yang dibuat ulang dari form profil (hapus semua + buat lagi):
+   * hasil review lama dipertahankan untuk sertifikasi yang isinya tidak berubah
+   * @param {Array} previous - Sertifikasi sebelum dihapus
+   * @param {Array} certifications - Data sertifikasi baru
+   * @returns {Array}
+   */
+  carryOverReviews(previous, certifications) {
+    return certifications.map((cert) => {
+      const same = previous.find((old) =>
+        old.certificationName === cert.certificationName &&
+        old.penerbit === cert.penerbit &&
+        old.year === cert.year &&
+        old.berkasUrl === cert.berkasUrl
+      );
+      if (!same) return cert;
+
+      return {
+        ...cert,
+        verificationStatus: same.verificationStatus,
+        reviewedById: same.reviewedById,
+        reviewedAt: same.reviewedAt,
+        rejectionReason: same.rejectionReason,
+      };
+    });
+  }
+}
+
+module.exports = new CertificationReviewService();
@@ -5,6 +5,8 @@
 
 const { certificationRepository, architectRepository } = require('../repositories');
 const FileUploadHelper = require('../../../utils/file-upload-helper');
+const { certificationSerializer } = require('../../../common/serializers');
+const certificationReviewService = require('./certification-review.service');
 const {
   ValidationError,
   NotFoundError,
@@ -156,10 +158,11 @@ class CertificationService {
         data.berkasUrl = await FileUploadHelper.persistFile(file, "architects/certifications");
       }
 
-
-
-      // Update certification
-      const updated = await certificationRepository.updateCertification(certificationId, data);
+      // Isi / berkas berubah -> kembali ke antrian review admin
+      const updated = await certificationRepository.updateCertification(
+        certificationId,
+        certificationReviewService.withReviewReset(certification, data)
+      );
 
       console.log('✅ Certification updated:', certificationId);
 
@@ -218,20 +221,12 @@ class CertificationService {
   }
 
   /**
-   * Format certification response
+   * Format certification response (view pemilik, termasuk berkas)
    * @param {Object} certification - Certification object
    * @returns {Object} - Formatted certification
    */
   formatCertificationResponse(certification) {
-    return {
-      id: certification.id,
-      certificationName: certification.certificationName,
-      penerbit: certification.penerbit,
-      year: certification.year,
-      berkasUrl: FileUploadHelper.getFileUrl(certification.berkasUrl),
-      createdAt: certification.createdAt,
-      updatedAt: certification.updatedAt,
-    };
+    return certificationSerializer.serialize(certification, 'owner');
   }
 }
 
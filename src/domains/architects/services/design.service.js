@@ -4,8 +4,11 @@
  */
 
 const designRepository = require('../repositories/design.repository');
+const designImageRepository = require('../repositories/design-image.repository');
 const { architectRepository } = require('../repositories');
 const FileUploadHelper = require('../../../utils/file-upload-helper');
+const { designSerializer } = require('../../../common/serializers');
+const viewService = require('../../views/services/view.service');
 const {
   ValidationError,
   NotFoundError,
@@ -13,6 +16,22 @@ const {
   BadRequestError,
 } = require('../../../errors/app-errors');
 
+const IMAGE_TYPES = {
+  BANGUNAN: 'BANGUNAN',
+  DENAH: 'DENAH',
+};
+
+// Field multipart lama -> type image
+const LEGACY_PHOTO_FIELDS = {
+  foto_bangunan: IMAGE_TYPES.BANGUNAN,
+  foto_denah: IMAGE_TYPES.DENAH,
+};
+
+const IMAGE_FOLDERS = {
+  BANGUNAN: 'designs/images',
+  DENAH: 'designs/denah',
+};
+
 class DesignService {
 
   parseIndexArray(val, { allowNull = false, expectedLen = null } = {}) {
@@ -58,73 +77,155 @@ class DesignService {
     return out;
   }
 
-  applyIndexedReplace(oldArr, newPaths, indices) {
-    const next = Array.isArray(oldArr) ? [...oldArr] : [];
-    const deleted = [];
+  /**
+   * Upload files lalu bentuk data DesignImage (belum disimpan ke DB)
+   * @param {Array} files - Multer files
+   * @param {String} type - BANGUNAN | DENAH
+   * @param {Object} options - { startOrder, captions }
+   * @returns {Promise<Array>} - [{ type, url, storageKey, width, height, order, caption }]
+   */
+  async persistImages(files = [], type, { startOrder = 0, captions = [] } = {}) {
+    const uploaded = await Promise.all(
+      files.map((f) => FileUploadHelper.persistImage(f, IMAGE_FOLDERS[type]))
+    );
+
+    return uploaded.filter(Boolean).map((img, i) => ({
+      ...img,
+      type,
+      order: startOrder + i,
+      caption: captions[i] || null,
+    }));
+  }
+
+  /**
+   * Hapus file storage milik images (best effort)
+   * @param {Array} images - DesignImage records
+   */
+  deleteImageFiles(images = []) {
+    images.forEach((img) => FileUploadHelper.safeDeleteFile(img.url, img.storageKey));
+  }
+
+  /**
+   * Terapkan update foto format lama (multipart foto_bangunan/foto_denah + indices)
+   * ke tabel design_images untuk satu type.
+   * - file baru + indices: replace posisi idx, selain itu append
+   * - file baru tanpa indices: replace semua (behaviour lama)
+   * - remove indices: dihapus setelah replace, supaya index tidak "geser"
+   * @param {Object} design - Design dengan images
+   * @param {String} type - BANGUNAN | DENAH
+   * @param {Object} ops - { files, indices, removeIndices }
+   * @returns {Promise<Boolean>} - True jika ada perubahan
+   */
+  async applyLegacyPhotoChanges(design, type, { files = [], indices, removeIndices = [] }) {
+    if (!files.length && !removeIndices.length) return false;
 
-    for (let i = 0; i < newPaths.length; i++) {
-      const idx = Array.isArray(indices) ? indices[i] : null;
-      const path = newPaths[i];
+    const current = (design.images || [])
+      .filter((img) => img.type === type)
+      .sort((a, b) => a.order - b.order);
 
-      if (Number.isInteger(idx) && idx >= 0 && idx < next.length) {
-        if (next[idx]) deleted.push(next[idx]);
-        next[idx] = path;
+    let slots = current.map((image) => ({ image }));
+
+    if (files.length > 0) {
+      if (indices === null) {
+        slots = files.map((file) => ({ file }));
       } else {
-        next.push(path);
+        files.forEach((file, i) => {
+          const idx = indices[i];
+          if (Number.isInteger(idx) && idx >= 0 && idx < slots.length) {
+            slots[idx] = { file };
+          } else {
+            slots.push({ file });
+          }
+        });
       }
     }
 
-    return { next, deleted };
+    Array.from(new Set(removeIndices))
+      .filter((idx) => idx < slots.length)
+      .sort((a, b) => b - a)
+      .forEach((idx) => slots.splice(idx, 1));
+
+    const newSlots = slots.filter((slot) => slot.file);
+    const uploaded = await this.persistImages(newSlots.map((slot) => slot.file), type);
+    newSlots.forEach((slot, i) => {
+      slot.upload = uploaded[i];
+    });
+
+    const keptIds = new Set(slots.filter((slot) => slot.image).map((slot) => slot.image.id));
+    const removed = current.filter((img) => !keptIds.has(img.id));
+
+    await designImageRepository.deleteByIds(design.id, removed.map((img) => img.id));
+    await designImageRepository.createManyForDesign(
+      design.id,
+      slots
+        .map((slot, order) => (slot.upload ? { ...slot.upload, order } : null))
+        .filter(Boolean)
+    );
+    await designImageRepository.updateOrders(
+      design.id,
+      slots
+        .map((slot, order) => (slot.image && slot.image.order !== order ? { id: slot.image.id, order } : null))
+        .filter(Boolean)
+    );
+
+    this.deleteImageFiles(removed);
+    return true;
   }
 
-  removeByIndices(arr, indices) {
-    const next = Array.isArray(arr) ? [...arr] : [];
-    const deleted = [];
+  /**
+   * Proses field foto format lama untuk semua type
+   * @param {Object} design - Design dengan images
+   * @param {Object} updateData - req.body
+   * @param {Object} files - { foto_bangunan: [], foto_denah: [] }
+   */
+  async applyLegacyPhotoUpdate(design, updateData, files = {}) {
+    for (const [field, type] of Object.entries(LEGACY_PHOTO_FIELDS)) {
+      const fieldFiles = files[field] || [];
 
-    const uniq = Array.from(new Set(indices))
-      .filter((n) => Number.isInteger(n) && n >= 0)
-      .sort((a, b) => b - a); // descending biar splice aman
+      const indices =
+        updateData[`${field}_indices`] !== undefined
+          ? this.parseIndexArray(updateData[`${field}_indices`], {
+            allowNull: true,
+            expectedLen: fieldFiles.length,
+          })
+          : null;
 
-    for (const idx of uniq) {
-      if (idx >= 0 && idx < next.length) {
-        const p = next[idx];
-        if (p) deleted.push(p);
-        next.splice(idx, 1);
-      }
-    }
+      const removeIndices =
+        this.parseIndexArray(
+          updateData[`remove_${field}_indices`] ?? updateData[`${field}_delete_indices`],
+          { allowNull: false }
+        ) || [];
 
-    return { next, deleted };
+      await this.applyLegacyPhotoChanges(design, type, { files: fieldFiles, indices, removeIndices });
+    }
   }
 
-
-  async recordDesignViewIfNeeded(viewer, design) {
+  /**
+   * Catat view design
+   * USER selalu dihitung, ARCHITECT dihitung kalau melihat desain arsitek lain,
+   * tanpa token (atau role lain) dihitung sebagai anonymous view (dedup per visitor)
+   * @param {Object} viewer - req.user (optional)
+   * @param {Object} design - Design
+   * @param {Object} context - { referrer, visitorHash }
+   */
+  async recordDesignViewIfNeeded(viewer, design, context = {}) {
     try {
-      if (!viewer?.id || !viewer?.role) return;
-
-      const role = String(viewer.role).toUpperCase();
+      const role = viewer?.id ? String(viewer.role || '').toUpperCase() : null;
 
-      // ✅ USER dihitung selalu
-      if (role === "USER") {
-        await prisma.viewedDesignUser.upsert({
-          where: { userId_designId: { userId: viewer.id, designId: design.id } },
-          create: { userId: viewer.id, designId: design.id, viewedCount: 1 },
-          update: { viewedCount: { increment: 1 } },
-        });
+      if (role === 'USER') {
+        await designRepository.recordViewByUser(viewer.id, design.id, context.referrer);
         return;
       }
 
-      // ✅ ARCHITECT dihitung kalau melihat desain arsitek lain
-      if (role === "ARCHITECT") {
+      if (role === 'ARCHITECT') {
         // jangan hitung self-view
         if (design.architectId === viewer.id) return;
+        await designRepository.recordViewByArchitect(viewer.id, design.id, context.referrer);
+        return;
+      }
 
-        await prisma.viewedDesignArchitect.upsert({
-          where: {
-            architectId_designId: { architectId: viewer.id, designId: design.id },
-          },
-          create: { architectId: viewer.id, designId: design.id, viewedCount: 1 },
-          update: { viewedCount: { increment: 1 } },
-        });
+      if (context.visitorHash) {
+        await viewService.recordAnonymousView('DESIGN', design.id, context.visitorHash);
       }
     } catch (e) {
       console.warn("⚠️ recordDesignViewIfNeeded failed:", e?.message);
@@ -168,17 +269,15 @@ class DesignService {
       // Verify architect exists
       await architectRepository.findByIdOrFail(architectId);
 
-      // Process uploaded files
-      const foto_bangunan = files.foto_bangunan || [];
-      const foto_denah = files.foto_denah || [];
-
-      const fotoBangunanPaths = await Promise.all(
-        foto_bangunan.map((f) => FileUploadHelper.persistFile(f, "designs/images"))
-      );
-      const fotoDenahPaths = await Promise.all(
-        foto_denah.map((f) => FileUploadHelper.persistFile(f, "designs/denah"))
-      );
+      // Upload foto (urutan sesuai urutan file)
+      const images = [
+        ...(await this.persistImages(files.foto_bangunan || [], IMAGE_TYPES.BANGUNAN)),
+        ...(await this.persistImages(files.foto_denah || [], IMAGE_TYPES.DENAH)),
+      ];
 
+      // Foto bangunan pertama jadi cover
+      const firstBangunan = images.find((img) => img.type === IMAGE_TYPES.BANGUNAN);
+      if (firstBangunan) firstBangunan.isCover = true;
 
       // Prepare design data
       const data = {
@@ -187,11 +286,9 @@ class DesignService {
         kategori: designData.kategori || null,
         luas_bangunan: designData.luas_bangunan || null,
         luas_tanah: designData.luas_tanah || null,
-        foto_bangunan: JSON.stringify(fotoBangunanPaths.filter(Boolean)),
-        foto_denah: JSON.stringify(fotoDenahPaths.filter(Boolean)),
       };
-      // Create design
-      const design = await designRepository.createForArchitect(architectId, data);
+      // Create design + images
+      const design = await designRepository.createForArchitect(architectId, data, images);
 
       console.log('✅ Design created:', design.id);
 
@@ -205,7 +302,7 @@ class DesignService {
 
   async adminUpdateDesign(designId, updateData, files = {}) {
     // Ambil design dulu
-    const design = await designRepository.findByIdOrFail(designId);
+    const design = await designRepository.findByIdWithImagesOrFail(designId);
 
     // Validasi (kalau title diubah)
     if (updateData.title !== undefined) {
@@ -219,140 +316,17 @@ class DesignService {
     if (updateData.luas_bangunan !== undefined) data.luas_bangunan = updateData.luas_bangunan;
     if (updateData.luas_tanah !== undefined) data.luas_tanah = updateData.luas_tanah;
 
-    // Handle replace foto_bangunan (kalau dikirim file baru)
-    // Handle foto_bangunan
-    // helper local di dalam updateDesign (atau jadikan method)
-    const safeParseArray = (val) => {
-      if (!val) return [];
-      try {
-        const parsed = typeof val === "string" ? JSON.parse(val) : val;
-        return Array.isArray(parsed) ? parsed : [];
-      } catch {
-        return [];
-      }
-    };
-
-    const uniqNums = (arr) =>
-      Array.from(new Set((arr || []).map((x) => Number(x)).filter((n) => Number.isFinite(n))));
-
-    async function persistList(files, folder) {
-      return await FileUploadHelper.persistFiles(files || [], folder);
-    }
-
-    function applyPhotoOps({ oldPaths, newFiles, indices, deleteIndices }) {
-      const base = [...oldPaths];
-      const toDelete = new Set();
-
-      // delete indices
-      uniqNums(deleteIndices).forEach((idx) => {
-        if (idx >= 0 && idx < base.length && base[idx]) {
-          toDelete.add(base[idx]);
-          base[idx] = null;
-        }
-      });
-
-      // indices for each uploaded file: replace index OR -1 append
-      const idxArr = (indices && indices.length) ? indices : null;
-
-      // BACKWARD COMPAT:
-      // kalau client tidak ngirim indices, anggap replace-all seperti behaviour lama
-      if (!idxArr) {
-        oldPaths.forEach((p) => toDelete.add(p));
-        return { nextPaths: newPaths, deletedPaths: Array.from(toDelete) };
-      }
-
-      newPaths.forEach((url, i) => {
-        const targetIdx = Number(idxArr[i]);
-        if (Number.isFinite(targetIdx) && targetIdx >= 0) {
-          if (targetIdx < base.length) {
-            if (base[targetIdx]) toDelete.add(base[targetIdx]);
-            base[targetIdx] = url;
-          } else {
-            base.push(url);
-          }
-        } else {
-          base.push(url);
-        }
-      });
-
-      const nextPaths = base.filter(Boolean);
-      return { nextPaths, deletedPaths: Array.from(toDelete) };
-    }
-
-    // ===== FOTO BANGUNAN =====
-    const oldBangunan = this.parseJsonArray(design.foto_bangunan);
-    const bangunanIndices = safeParseArray(updateData.foto_bangunan_indices);
-    const bangunanDelete = safeParseArray(updateData.foto_bangunan_delete_indices);
-
-    if (
-      (files.foto_bangunan && files.foto_bangunan.length > 0) ||
-      (bangunanDelete && bangunanDelete.length > 0)
-    ) {
-      const { nextPaths, deletedPaths } = applyPhotoOps({
-        oldPaths: oldBangunan,
-        newFiles: files.foto_bangunan || [],
-        indices: bangunanIndices,
-        deleteIndices: bangunanDelete,
-      });
-
-      // delete only affected files
-      deletedPaths.forEach((p) => FileUploadHelper.safeDeleteFile(p));
-
-      data.foto_bangunan = JSON.stringify(nextPaths);
-    }
-
-    // ===== FOTO DENAH =====
-    const oldDenah = this.parseJsonArray(design.foto_denah);
-    const denahIndices = safeParseArray(updateData.foto_denah_indices);
-    const denahDelete = safeParseArray(updateData.foto_denah_delete_indices);
-
-    if (
-      (files.foto_denah && files.foto_denah.length > 0) ||
-      (denahDelete && denahDelete.length > 0)
-    ) {
-      const { nextPaths, deletedPaths } = applyPhotoOps({
-        oldPaths: oldDenah,
-        newFiles: files.foto_denah || [],
-        indices: denahIndices,
-        deleteIndices: denahDelete,
-      });
-
-      deletedPaths.forEach((p) => FileUploadHelper.safeDeleteFile(p));
-
-      data.foto_denah = JSON.stringify(nextPaths);
-    }
-
-
-    // Handle foto_denah
-    if (files.foto_denah && files.foto_denah.length > 0) {
-      const oldFotoDenah = this.parseJsonArray(design.foto_denah);
-      const idxArr = this.parseIndexArray(updateData.foto_denah_indices);
-
-      if (idxArr) {
-        const nextArr = this.applyIndexedReplace(oldFotoDenah, files.foto_denah, idxArr);
-        data.foto_denah = JSON.stringify(nextArr);
-      } else {
-        // fallback: replace semua
-        oldFotoDenah.forEach((p) => FileUploadHelper.safeDeleteFile(p));
-        data.foto_denah = JSON.stringify(files.foto_denah.map((f) => f.path));
-      }
-    }
-
+    await this.applyLegacyPhotoUpdate(design, updateData, files);
 
     const updated = await designRepository.updateDesign(designId, data);
     return this.formatDesignResponse(updated);
   }
 
   async adminDeleteDesign(designId) {
-    const design = await designRepository.findByIdOrFail(designId);
-
-    const fotoBangunan = this.parseJsonArray(design.foto_bangunan);
-    const fotoDenah = this.parseJsonArray(design.foto_denah);
-
-    fotoBangunan.forEach(p => FileUploadHelper.safeDeleteFile(p));
-    fotoDenah.forEach(p => FileUploadHelper.safeDeleteFile(p));
+    const design = await designRepository.findByIdWithImagesOrFail(designId);
 
     await designRepository.deleteDesign(designId);
+    this.deleteImageFiles(design.images);
 
     return { success: true, message: 'Design deleted successfully' };
   }
@@ -393,40 +367,36 @@ class DesignService {
    * Get design by ID
    * @param {String} designId - Design ID
    * @param {Boolean} includeArchitect - Include architect info
+   * @param {Object} viewer - req.user (optional)
+   * @param {Object} context - { referrer, visitorHash } untuk view event
    * @returns {Promise<Object>} - Design data
    */
-  async getDesignById(designId, includeArchitect = false, viewer = null) {
+  async getDesignById(designId, includeArchitect = false, viewer = null, context = {}) {
     try {
       const design = includeArchitect
         ? await designRepository.findByIdWithArchitect(designId)
-        : await designRepository.findByIdOrFail(designId);
+        : await designRepository.findByIdWithImagesOrFail(designId);
 
       if (!design) {
         throw new NotFoundError("Design not found");
       }
 
-      if (viewer?.id && viewer?.role) {
-        const role = String(viewer.role).toUpperCase();
-
-        if (role === "USER") {
-          await designRepository.recordViewByUser(viewer.id, designId);
-        }
-
-        if (role === "ARCHITECT") {
-          if (viewer.id !== design.architectId) {
-            await designRepository.recordViewByArchitect(viewer.id, designId);
-          }
-        }
-      }
+      await this.recordDesignViewIfNeeded(viewer, design, context);
 
-      const views = await designRepository.getViewsSummary(designId);
+      const [views, anonymous] = await Promise.all([
+        designRepository.getViewsSummary(designId),
+        viewService.getAnonymousSummary('DESIGN', designId),
+      ]);
 
       const formatted = this.formatDesignResponse(design);
       return {
         ...formatted,
         views: views.totalViews,
         uniqueViewers: views.uniqueViewers,
-        viewsBreakdown: views.breakdown,
+        viewsBreakdown: {
+          ...views.breakdown,
+          anonymous: { views: anonymous.totalViews, unique: anonymous.uniqueVisitors },
+        },
       };
     } catch (error) {
       throw error;
@@ -478,11 +448,7 @@ class DesignService {
    */
   async updateDesign(designId, architectId, updateData, files = {}) {
     try {
-      const design = await designRepository.findByIdOrFail(designId);
-
-      if (design.architectId !== architectId) {
-        throw new AuthorizationError("You do not have permission to update this design");
-      }
+      const design = await this.getOwnedDesign(designId, architectId, "update");
 
       if (updateData.title) {
         this.validateDesignData(updateData);
@@ -495,104 +461,188 @@ class DesignService {
       if (updateData.luas_bangunan !== undefined) data.luas_bangunan = updateData.luas_bangunan;
       if (updateData.luas_tanah !== undefined) data.luas_tanah = updateData.luas_tanah;
 
-      // =========================
-      // FOTO (INDEXED UPDATE)
-      // =========================
-      let fotoBangunanArr = this.parseJsonArray(design.foto_bangunan);
-      let fotoDenahArr = this.parseJsonArray(design.foto_denah);
+      // Foto format lama (indexed update) tetap didukung
+      await this.applyLegacyPhotoUpdate(design, updateData, files);
 
-      let bangunanChanged = false;
-      let denahChanged = false;
+      const updatedDesign = await designRepository.updateDesign(designId, data);
 
-      const bangunanFiles = files.foto_bangunan || [];
-      const denahFiles = files.foto_denah || [];
+      console.log("✅ Design updated:", designId);
+      return this.formatDesignResponse(updatedDesign);
+    } catch (error) {
+      console.error("❌ Failed to update design:", error.message);
+      throw error;
+    }
+  }
 
-      // apakah field indices dikirim?
-      const hasBangunanIndicesField = updateData.foto_bangunan_indices !== undefined;
-      const hasDenahIndicesField = updateData.foto_denah_indices !== undefined;
+  /**
+   * Get design milik architect (dengan images)
+   * @param {String} designId - Design ID
+   * @param {String} architectId - Architect ID (for authorization)
+   * @param {String} action - Nama aksi untuk pesan error
+   * @returns {Promise<Object>} - Design with images
+   */
+  async getOwnedDesign(designId, architectId, action = "modify") {
+    const design = await designRepository.findByIdWithImagesOrFail(designId);
 
-      // 1) Replace/Append foto_bangunan
-      if (bangunanFiles.length > 0) {
-        const newPaths = bangunanFiles.map((f) => f.path);
+    if (design.architectId !== architectId) {
+      throw new AuthorizationError(`You do not have permission to ${action} this design`);
+    }
 
-        if (hasBangunanIndicesField) {
-          const indices = this.parseIndexArray(updateData.foto_bangunan_indices, {
-            allowNull: true,
-            expectedLen: newPaths.length,
-          });
+    return design;
+  }
 
-          const { next, deleted } = this.applyIndexedReplace(fotoBangunanArr, newPaths, indices || []);
-          deleted.forEach((p) => FileUploadHelper.safeDeleteFile(p));
+  /**
+   * Parse image type dari request
+   * @param {String} value - BANGUNAN | DENAH (case-insensitive)
+   * @returns {String} - Image type
+   */
+  parseImageType(value) {
+    const type = String(value || '').trim().toUpperCase();
+    if (!IMAGE_TYPES[type]) {
+      throw new ValidationError('Validation failed', [
+        { field: 'type', message: `type must be one of: ${Object.values(IMAGE_TYPES).join(', ')}` },
+      ]);
+    }
+    return type;
+  }
 
-          fotoBangunanArr = next;
-        } else {
-          // backward compat: kalau indices tidak dikirim, replace semua
-          fotoBangunanArr.forEach((p) => FileUploadHelper.safeDeleteFile(p));
-          fotoBangunanArr = newPaths;
-        }
+  /**
+   * Parse captions (JSON array string, array, atau satu string)
+   * @param {*} val - Captions dari multipart body
+   * @returns {Array<String>} - Captions
+   */
+  parseCaptions(val) {
+    if (val === undefined || val === null || val === '') return [];
+    if (Array.isArray(val)) return val.map((c) => (c ? String(c) : null));
 
-        bangunanChanged = true;
+    const s = String(val).trim();
+    if (s.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(s);
+        if (Array.isArray(parsed)) return parsed.map((c) => (c ? String(c) : null));
+      } catch {
+        // bukan JSON, pakai sebagai satu caption
       }
+    }
+    return [s];
+  }
 
-      // 2) Replace/Append foto_denah
-      if (denahFiles.length > 0) {
-        const newPaths = denahFiles.map((f) => f.path);
+  /**
+   * Tambah foto ke design (append di akhir urutan type tsb)
+   * @param {String} designId - Design ID
+   * @param {String} architectId - Architect ID (for authorization)
+   * @param {Object} input - { type, captions }
+   * @param {Array} files - Multer files
+   * @returns {Promise<Object>} - Updated design
+   */
+  async addImages(designId, architectId, input, files = []) {
+    const design = await this.getOwnedDesign(designId, architectId);
+    const type = this.parseImageType(input.type);
 
-        if (hasDenahIndicesField) {
-          const indices = this.parseIndexArray(updateData.foto_denah_indices, {
-            allowNull: true,
-            expectedLen: newPaths.length,
-          });
+    if (!files.length) {
+      throw new BadRequestError('At least one image file is required');
+    }
 
-          const { next, deleted } = this.applyIndexedReplace(fotoDenahArr, newPaths, indices || []);
-          deleted.forEach((p) => FileUploadHelper.safeDeleteFile(p));
+    const startOrder = await designImageRepository.getNextOrder(designId, type);
+    const images = await this.persistImages(files, type, {
+      startOrder,
+      captions: this.parseCaptions(input.captions ?? input.caption),
+    });
 
-          fotoDenahArr = next;
-        } else {
-          fotoDenahArr.forEach((p) => FileUploadHelper.safeDeleteFile(p));
-          fotoDenahArr = newPaths;
-        }
+    // Design tanpa cover: foto bangunan pertama yang ditambahkan jadi cover
+    const hasCover = design.images.some((img) => img.isCover);
+    if (!hasCover && type === IMAGE_TYPES.BANGUNAN) images[0].isCover = true;
 
-        denahChanged = true;
-      }
+    await designImageRepository.createManyForDesign(designId, images);
 
-      // 3) Delete per-index (setelah replace, supaya index tidak “geser”)
-      const rmBangunan = this.parseIndexArray(
-        updateData.remove_foto_bangunan_indices ?? updateData.foto_bangunan_delete_indices,
-        { allowNull: false }
-      );
-      if (Array.isArray(rmBangunan) && rmBangunan.length > 0) {
-        const { next, deleted } = this.removeByIndices(fotoBangunanArr, rmBangunan);
-        deleted.forEach((p) => FileUploadHelper.safeDeleteFile(p));
+    console.log(`✅ ${images.length} image(s) added to design:`, designId);
+    return this.formatDesignResponse(await designRepository.findByIdWithImagesOrFail(designId));
+  }
 
-        fotoBangunanArr = next;
-        bangunanChanged = true;
-      }
-      const rmDenah = this.parseIndexArray(
-        updateData.remove_foto_denah_indices ?? updateData.foto_denah_delete_indices,
-        { allowNull: false }
-      );
-      if (Array.isArray(rmDenah) && rmDenah.length > 0) {
-        const { next, deleted } = this.removeByIndices(fotoDenahArr, rmDenah);
-        deleted.forEach((p) => FileUploadHelper.safeDeleteFile(p));
+  /**
+   * Hapus satu foto dari design
+   * @param {String} designId - Design ID
+   * @param {String} architectId - Architect ID (for authorization)
+   * @param {String} imageId - Image ID
+   * @returns {Promise<Object>} - Updated design
+   */
+  async removeImage(designId, architectId, imageId) {
+    const design = await this.getOwnedDesign(designId, architectId);
 
-        fotoDenahArr = next;
-        denahChanged = true;
-      }
+    const image = design.images.find((img) => img.id === imageId);
+    if (!image) {
+      throw new NotFoundError('Design image not found');
+    }
 
-      if (bangunanChanged) data.foto_bangunan = JSON.stringify(fotoBangunanArr);
-      if (denahChanged) data.foto_denah = JSON.stringify(fotoDenahArr);
+    await designImageRepository.deleteByIds(designId, [imageId]);
 
-      const updatedDesign = await designRepository.updateDesign(designId, data);
+    // Rapikan urutan sisa foto dengan type yang sama
+    const remaining = design.images
+      .filter((img) => img.type === image.type && img.id !== imageId)
+      .sort((a, b) => a.order - b.order);
+    await designImageRepository.updateOrders(
+      designId,
+      remaining
+        .map((img, order) => (img.order !== order ? { id: img.id, order } : null))
+        .filter(Boolean)
+    );
 
-      console.log("✅ Design updated:", designId);
-      return this.formatDesignResponse(updatedDesign);
-    } catch (error) {
-      console.error("❌ Failed to update design:", error.message);
-      throw error;
+    this.deleteImageFiles([image]);
+
+    return this.formatDesignResponse(await designRepository.findByIdWithImagesOrFail(designId));
+  }
+
+  /**
+   * Atur ulang urutan foto untuk satu type
+   * @param {String} designId - Design ID
+   * @param {String} architectId - Architect ID (for authorization)
+   * @param {Object} input - { type, imageIds } (imageIds harus berisi semua foto type tsb)
+   * @returns {Promise<Object>} - Updated design
+   */
+  async reorderImages(designId, architectId, input) {
+    const design = await this.getOwnedDesign(designId, architectId);
+    const type = this.parseImageType(input.type);
+
+    const imageIds = Array.isArray(input.imageIds) ? input.imageIds.map(String) : [];
+    const currentIds = design.images.filter((img) => img.type === type).map((img) => img.id);
+
+    const isSameSet =
+      imageIds.length === currentIds.length &&
+      new Set(imageIds).size === imageIds.length &&
+      imageIds.every((id) => currentIds.includes(id));
+
+    if (!isSameSet) {
+      throw new ValidationError('Validation failed', [
+        { field: 'imageIds', message: `imageIds must contain every ${type} image of this design exactly once` },
+      ]);
     }
+
+    await designImageRepository.updateOrders(
+      designId,
+      imageIds.map((id, order) => ({ id, order }))
+    );
+
+    return this.formatDesignResponse(await designRepository.findByIdWithImagesOrFail(designId));
   }
 
+  /**
+   * Jadikan satu foto sebagai cover design
+   * @param {String} designId - Design ID
+   * @param {String} architectId - Architect ID (for authorization)
+   * @param {String} imageId - Image ID
+   * @returns {Promise<Object>} - Updated design
+   */
+  async setCoverImage(designId, architectId, imageId) {
+    const design = await this.getOwnedDesign(designId, architectId);
+
+    if (!design.images.some((img) => img.id === imageId)) {
+      throw new NotFoundError('Design image not found');
+    }
+
+    await designImageRepository.setCover(designId, imageId);
+
+    return this.formatDesignResponse(await designRepository.findByIdWithImagesOrFail(designId));
+  }
 
   /**
    * Delete design
@@ -603,21 +653,13 @@ class DesignService {
   async deleteDesign(designId, architectId) {
     try {
       // Check if design exists and belongs to architect
-      const design = await designRepository.findByIdOrFail(designId);
+      const design = await this.getOwnedDesign(designId, architectId, 'delete');
 
-      if (design.architectId !== architectId) {
-        throw new AuthorizationError('You do not have permission to delete this design');
-      }
+      // Delete design (images ikut terhapus via cascade)
+      await designRepository.deleteDesign(designId);
 
       // Delete uploaded files
-      const fotoBangunan = this.parseJsonArray(design.foto_bangunan);
-      const fotoDenah = this.parseJsonArray(design.foto_denah);
-
-      fotoBangunan.forEach(path => FileUploadHelper.deleteFile(path));
-      fotoDenah.forEach(path => FileUploadHelper.deleteFile(path));
-
-      // Delete design
-      await designRepository.deleteDesign(designId);
+      this.deleteImageFiles(design.images);
 
       console.log('✅ Design deleted:', designId);
 
@@ -729,6 +771,77 @@ class DesignService {
     }
   }
 
+  /**
+   * Get popular designs (all-time views)
+   * Kalau design yang punya views kurang dari limit, sisanya diisi design terbaru
+   * @param {Number} limit - Number of designs
+   * @returns {Promise<Array>} - Array of designs (+ views)
+   */
+  async getPopularDesigns(limit = 10) {
+    const ranked = await designRepository.findPopularIds(limit);
+    const viewsById = new Map(ranked.map((r) => [r.designId, r.totalViews]));
+
+    const designs = await designRepository.findManyByIdsOrdered(ranked.map((r) => r.designId));
+
+    if (designs.length < limit) {
+      const latest = await designRepository.findLatest(limit);
+      latest
+        .filter((d) => !viewsById.has(d.id))
+        .slice(0, limit - designs.length)
+        .forEach((d) => designs.push(d));
+    }
+
+    return designs.map((design) => ({
+      ...this.formatDesignResponse(design),
+      views: viewsById.get(design.id) || 0,
+    }));
+  }
+
+  /**
+   * Parse trending window, format "<angka>h" atau "<angka>d" (maks 90 hari)
+   * @param {String} window - e.g. "24h", "7d"
+   * @returns {Number} - Window dalam jam
+   */
+  parseTrendingWindow(window = '7d') {
+    const match = /^(\d+)([hd])$/i.exec(String(window).trim());
+    const hours = match ? parseInt(match[1], 10) * (match[2].toLowerCase() === 'd' ? 24 : 1) : NaN;
+
+    if (!hours || hours > 90 * 24) {
+      throw new ValidationError('Validation failed', [
+        { field: 'window', message: 'window must look like 24h or 7d (max 90d)' },
+      ]);
+    }
+
+    return hours;
+  }
+
+  /**
+   * Get trending designs: views dalam window dengan time decay
+   * Half-life default = 1/4 window, bisa diatur via DESIGN_TRENDING_HALF_LIFE_HOURS
+   * @param {Object} options - { window, limit }
+   * @returns {Promise<Array>} - Array of designs (+ trendingScore, windowViews)
+   */
+  async getTrendingDesigns({ window = '7d', limit = 10 } = {}) {
+    const windowHours = this.parseTrendingWindow(window);
+    const halfLifeHours =
+      parseFloat(process.env.DESIGN_TRENDING_HALF_LIFE_HOURS) || Math.max(1, windowHours / 4);
+
+    const ranked = await designRepository.findTrendingIds({
+      since: new Date(Date.now() - windowHours * 60 * 60 * 1000),
+      halfLifeHours,
+      limit,
+    });
+    const rankById = new Map(ranked.map((r) => [r.designId, r]));
+
+    const designs = await designRepository.findManyByIdsOrdered(ranked.map((r) => r.designId));
+
+    return designs.map((design) => ({
+      ...this.formatDesignResponse(design),
+      trendingScore: Number(rankById.get(design.id).score.toFixed(4)),
+      windowViews: rankById.get(design.id).views,
+    }));
+  }
+
   /**
    * Get design statistics for architect
    * @param {String} architectId - Architect ID
@@ -743,49 +856,12 @@ class DesignService {
   }
 
   /**
-   * Format design response with file URLs
-   * @param {Object} design - Design object
+   * Format design response with file URLs (lihat designSerializer)
+   * @param {Object} design - Design object (dengan images)
    * @returns {Object} - Formatted design
    */
   formatDesignResponse(design) {
-    const fotoBangunan = this.parseJsonArray(design.foto_bangunan);
-    const fotoDenah = this.parseJsonArray(design.foto_denah);
-
-    return {
-      id: design.id,
-      title: design.title,
-      description: design.description,
-      kategori: design.kategori,
-      luas_bangunan: design.luas_bangunan,
-      luas_tanah: design.luas_tanah,
-      foto_bangunan: fotoBangunan.map(path => FileUploadHelper.getFileUrl(path)),
-      foto_denah: fotoDenah.map(path => FileUploadHelper.getFileUrl(path)),
-      architect: design.architect ? {
-        id: design.architect.id,
-        name: design.architect.name,
-        profilePictureUrl: design.architect.profilePictureUrl
-          ? FileUploadHelper.getFileUrl(design.architect.profilePictureUrl)
-          : null,
-        tahunPengalaman: design.architect.tahunPengalaman,
-        areaPengalaman: design.architect.areaPengalaman,
-      } : undefined,
-      createdAt: design.createdAt,
-      updatedAt: design.updatedAt,
-    };
-  }
-
-  /**
-   * Parse JSON array safely
-   * @param {String} jsonString - JSON string
-   * @returns {Array} - Parsed array or empty array
-   */
-  parseJsonArray(jsonString) {
-    if (!jsonString) return [];
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      return [];
-    }
+    return designSerializer.serialize(design, 'public');
   }
 }
 
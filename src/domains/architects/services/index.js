@@ -13,10 +13,20 @@ const paymentService = require("../../../common/services/payment.service");
 const architectRegistrationService = require('./architect-registration.service');
 const architectAuthService = require('./architect-auth.service');
 const webhookService = require('./webhook.service');
+const membershipService = require('./membership.service');
+const promoCodeService = require('./promo-code.service');
+const invoiceService = require('./invoice.service');
+const paymentReconciliationService = require('./payment-reconciliation.service');
+const statusTransitionService = require('./status-transition.service');
+const paymentReportService = require('./payment-report.service');
+const architectDirectoryService = require('./architect-directory.service');
+const skillService = require('./skill.service');
+const regionService = require('./region.service');
 
 // NEW: Design, Certification, Portfolio Link Services
 const designService = require('./design.service');
 const certificationService = require('./certification.service');
+const certificationReviewService = require('./certification-review.service');
 const portfolioLinkService = require('./portfolio-link.service');
 
 module.exports = {
@@ -29,9 +39,19 @@ module.exports = {
   architectRegistrationService,
   architectAuthService,
   webhookService,
+  membershipService,
+  promoCodeService,
+  invoiceService,
+  paymentReconciliationService,
+  statusTransitionService,
+  paymentReportService,
+  architectDirectoryService,
+  skillService,
+  regionService,
 
   // NEW Services
   designService,
   certificationService,
+  certificationReviewService,
   portfolioLinkService,
 };
\ No newline at end of file
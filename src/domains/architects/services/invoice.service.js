@@ -0,0 +1,237 @@
+/**
+ * Invoice Service
+ * Handle penomoran invoice & generate PDF kwitansi untuk transaksi yang sudah dibayar
+ */
+
+const PDFDocument = require('pdfkit');
+
+const { transactionRepository } = require('../repositories');
+const { NotFoundError, BadRequestError } = require('../../../errors/app-errors');
+
+const INVOICEABLE_STATUSES = ['SUCCESS', 'REFUNDED'];
+const WIB_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+const ITEM_LABELS = {
+  REGISTRATION: 'Registrasi Akun Arsitek HaloSitek',
+  RENEWAL: 'Perpanjangan Membership Arsitek HaloSitek',
+};
+
+const PAYMENT_METHOD_LABELS = {
+  BANK_TRANSFER: 'Transfer Bank',
+  E_WALLET: 'E-Wallet',
+  CREDIT_CARD: 'Kartu Kredit',
+  QRIS: 'QRIS',
+  RETAIL_OUTLET: 'Retail Outlet',
+  OTHER: 'Lainnya',
+};
+
+class InvoiceService {
+  /**
+   * Tahun invoice mengikuti tanggal bayar (WIB)
+   * @param {Date} date - Tanggal invoice
+   * @returns {Number}
+   */
+  getInvoiceYear(date) {
+    return new Date(new Date(date).getTime() + WIB_OFFSET_MS).getUTCFullYear();
+  }
+
+  formatRupiah(amount) {
+    return `Rp ${Number(amount || 0).toLocaleString('id-ID')}`;
+  }
+
+  formatDate(date, withTime = false) {
+    return new Date(date).toLocaleString('id-ID', {
+      timeZone: 'Asia/Jakarta',
+      dateStyle: 'long',
+      ...(withTime ? { timeStyle: 'short' } : {}),
+    });
+  }
+
+  getFilename(transaction) {
+    return `${transaction.invoiceNumber}.pdf`;
+  }
+
+  /**
+   * Beri nomor invoice kalau belum ada (idempotent)
+   * @param {Object} transaction - Transaction SUCCESS
+   * @returns {Promise<Object>} - Transaction dengan invoiceNumber
+   */
+  async issueInvoice(transaction) {
+    if (transaction.invoiceNumber) {
+      return transaction;
+    }
+
+    const issuedAt = transaction.paidAt ? new Date(transaction.paidAt) : new Date();
+    const assigned = await transactionRepository.assignInvoiceNumber(
+      transaction.id,
+      this.getInvoiceYear(issuedAt),
+      issuedAt
+    );
+
+    return assigned || (await transactionRepository.findById(transaction.id));
+  }
+
+  /**
+   * Invoice PDF untuk download
+   * @param {String} transactionId - Transaction ID
+   * @param {Object} options - { architectId } untuk membatasi ke pemilik transaksi
+   * @returns {Promise<Object>} - { filename, content (Buffer), invoiceNumber }
+   */
+  async getInvoice(transactionId, options = {}) {
+    let transaction = await transactionRepository.findForInvoice(transactionId);
+
+    // transaksi milik arsitek lain dianggap tidak ada
+    if (!transaction || (options.architectId && transaction.architectId !== options.architectId)) {
+      throw new NotFoundError('Transaction not found');
+    }
+
+    if (!INVOICEABLE_STATUSES.includes(transaction.status)) {
+      throw new BadRequestError('Invoice is only available for paid transactions');
+    }
+
+    if (!transaction.invoiceNumber) {
+      await this.issueInvoice(transaction);
+      transaction = await transactionRepository.findForInvoice(transactionId);
+    }
+
+    return {
+      filename: this.getFilename(transaction),
+      content: await this.renderPdf(transaction),
+      invoiceNumber: transaction.invoiceNumber,
+    };
+  }
+
+  /**
+   * Terbitkan invoice & siapkan attachment email (nodemailer)
+   * Gagal generate invoice tidak boleh menggagalkan aktivasi, jadi error hanya di-log
+   * @param {Object} transaction - Transaction SUCCESS
+   * @returns {Promise<Array>} - [{ filename, content, contentType }] atau []
+   */
+  async getEmailAttachments(transaction) {
+    try {
+      await this.issueInvoice(transaction);
+      const invoice = await transactionRepository.findForInvoice(transaction.id);
+
+      return [
+        {
+          filename: this.getFilename(invoice),
+          content: await this.renderPdf(invoice),
+          contentType: 'application/pdf',
+        },
+      ];
+    } catch (error) {
+      console.error('⚠️ Failed to generate invoice attachment:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Render PDF kwitansi
+   * @param {Object} transaction - Transaction (findForInvoice)
+   * @returns {Promise<Buffer>} - PDF
+   */
+  renderPdf(transaction) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `Invoice ${transaction.invoiceNumber}`, Author: 'HaloSitek' },
+      });
+      const chunks = [];
+
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const architect = transaction.architect || {};
+      const originalAmount = transaction.originalAmount ?? transaction.amount + (transaction.discountAmount || 0);
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+
+      // Header
+      doc.fontSize(22).font('Helvetica-Bold').fillColor('#667eea').text('HaloSitek', left, 50);
+      doc.fontSize(10).font('Helvetica').fillColor('#6b7280').text('Platform Arsitek Indonesia');
+      doc.fontSize(16).font('Helvetica-Bold').fillColor('#111827').text('INVOICE / KWITANSI', left, 50, { align: 'right' });
+      doc.fontSize(10).font('Helvetica').fillColor('#374151').text(transaction.invoiceNumber, { align: 'right' });
+
+      doc.moveTo(left, 110).lineTo(right, 110).strokeColor('#e5e7eb').stroke();
+
+      // Detail invoice & pembeli
+      const detailTop = 125;
+      const rows = [
+        ['Nomor Invoice', transaction.invoiceNumber],
+        ['Tanggal', this.formatDate(transaction.invoicedAt || transaction.paidAt)],
+        ['Order ID', transaction.orderId],
+        ['Metode Pembayaran', PAYMENT_METHOD_LABELS[transaction.paymentMethod] || transaction.paymentMethod || '-'],
+        ['Dibayar Pada', transaction.paidAt ? this.formatDate(transaction.paidAt, true) : '-'],
+      ];
+      doc.fontSize(10);
+      rows.forEach(([label, value], i) => {
+        doc.font('Helvetica').fillColor('#6b7280').text(label, left, detailTop + i * 16, { width: 110 });
+        doc.font('Helvetica').fillColor('#111827').text(String(value), left + 115, detailTop + i * 16, { width: 160 });
+      });
+
+      const buyerLeft = 330;
+      doc.font('Helvetica-Bold').fillColor('#111827').text('Ditagihkan kepada', buyerLeft, detailTop);
+      doc.font('Helvetica').fillColor('#374151');
+      [architect.name, architect.email, architect.phone].filter(Boolean).forEach((line, i) => {
+        doc.text(line, buyerLeft, detailTop + 16 + i * 16, { width: right - buyerLeft });
+      });
+
+      // Item
+      const tableTop = 230;
+      doc.rect(left, tableTop, right - left, 22).fill('#f3f4f6');
+      doc.fillColor('#111827').font('Helvetica-Bold')
+        .text('Deskripsi', left + 10, tableTop + 7)
+        .text('Jumlah', left, tableTop + 7, { width: right - left - 10, align: 'right' });
+
+      let y = tableTop + 32;
+      const line = (label, value, options = {}) => {
+        doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(options.color || '#111827')
+          .text(label, left + 10, y, { width: 330 })
+          .text(value, left, y, { width: right - left - 10, align: 'right' });
+        y += options.gap || 20;
+      };
+
+      const period = transaction.periodStart && transaction.periodEnd
+        ? ` (${this.formatDate(transaction.periodStart)} - ${this.formatDate(transaction.periodEnd)})`
+        : '';
+      line(`${ITEM_LABELS[transaction.type] || ITEM_LABELS.REGISTRATION}${period}`, this.formatRupiah(originalAmount), { gap: 32 });
+
+      if (transaction.discountAmount > 0) {
+        const promo = transaction.promoCode?.code ? ` (${transaction.promoCode.code})` : '';
+        line(`Diskon promo${promo}`, `- ${this.formatRupiah(transaction.discountAmount)}`, { color: '#059669' });
+      }
+
+      doc.moveTo(left, y).lineTo(right, y).strokeColor('#e5e7eb').stroke();
+      y += 10;
+      line('Total Dibayar', this.formatRupiah(transaction.amount), { bold: true });
+
+      if (transaction.refundedAmount > 0) {
+        line(
+          `Refund${transaction.refundedAt ? ` (${this.formatDate(transaction.refundedAt)})` : ''}`,
+          `- ${this.formatRupiah(transaction.refundedAmount)}`,
+          { color: '#dc2626' }
+        );
+      }
+
+      // Status lunas
+      y += 20;
+      doc.font('Helvetica-Bold').fontSize(12)
+        .fillColor(transaction.status === 'REFUNDED' ? '#dc2626' : '#059669')
+        .text(transaction.status === 'REFUNDED' ? 'LUNAS - DIREFUND' : 'LUNAS', left, y);
+
+      // Footer
+      doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(
+        'Dokumen ini dibuat secara otomatis oleh sistem HaloSitek dan sah tanpa tanda tangan.',
+        left,
+        doc.page.height - 90,
+        { width: right - left, align: 'center' }
+      );
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,367 @@
+/**
+ * Membership Service
+ * Handle periode membership tahunan arsitek: aktivasi, renewal, reminder & expiry
+ */
+
+const {
+  architectRepository,
+  transactionRepository,
+} = require('../repositories');
+
+const TokenGeneratorService = require('../../../common/services/token-generator.service');
+const paymentService = require('../../../common/services/payment.service');
+const emailService = require('../../../common/services/email.service');
+const { transactionSerializer } = require('../../../common/serializers');
+const statusTransitionService = require('./status-transition.service');
+
+const { BadRequestError, AuthorizationError } = require('../../../errors/app-errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFUND_ACTIONS = ['REVOKE_PERIOD', 'EXPIRE', 'KEEP'];
+
+class MembershipService {
+  /**
+   * Membership config (env)
+   * @returns {Object} - { periodMonths, graceDays, reminderDays, renewalFee }
+   */
+  getConfig() {
+    const periodMonths = parseInt(process.env.MEMBERSHIP_PERIOD_MONTHS) || 12;
+    const graceDays = parseInt(process.env.MEMBERSHIP_GRACE_DAYS);
+    const reminderDays = String(process.env.MEMBERSHIP_REMINDER_DAYS || '30,7,1')
+      .split(',')
+      .map((d) => parseInt(d.trim()))
+      .filter((d) => Number.isInteger(d) && d > 0)
+      .sort((a, b) => b - a);
+
+    return {
+      periodMonths,
+      graceDays: Number.isInteger(graceDays) && graceDays >= 0 ? graceDays : 14,
+      reminderDays,
+      renewalFee:
+        parseInt(process.env.ARCHITECT_RENEWAL_FEE) ||
+        parseInt(process.env.ARCHITECT_REGISTRATION_FEE) ||
+        500000,
+    };
+  }
+
+  addMonths(date, months) {
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    return result;
+  }
+
+  /**
+   * Hitung periode baru. Renewal sebelum habis memperpanjang dari activeUntil lama,
+   * renewal setelah habis (grace / EXPIRED) mulai dari sekarang
+   * @param {Date|null} currentActiveUntil - activeUntil saat ini
+   * @param {Date} now - Waktu pembayaran
+   * @returns {Object} - { periodStart, periodEnd }
+   */
+  computeNextPeriod(currentActiveUntil, now = new Date()) {
+    const { periodMonths } = this.getConfig();
+    const current = currentActiveUntil ? new Date(currentActiveUntil) : null;
+    const periodStart = current && current > now ? current : now;
+
+    return { periodStart, periodEnd: this.addMonths(periodStart, periodMonths) };
+  }
+
+  /**
+   * Ringkasan status membership
+   * @param {Object} architect - Architect
+   * @param {Date} now - Waktu acuan
+   * @returns {Object} - Membership info
+   */
+  getMembershipInfo(architect, now = new Date()) {
+    const { graceDays } = this.getConfig();
+    const activeUntil = architect.activeUntil ? new Date(architect.activeUntil) : null;
+    const graceUntil = activeUntil ? new Date(activeUntil.getTime() + graceDays * DAY_MS) : null;
+
+    return {
+      status: architect.status,
+      activeUntil,
+      graceUntil,
+      inGracePeriod: Boolean(activeUntil && now > activeUntil && now <= graceUntil),
+      daysRemaining: activeUntil ? Math.ceil((activeUntil - now) / DAY_MS) : null,
+    };
+  }
+
+  /**
+   * Membership arsitek + riwayat pembayaran
+   * @param {String} architectId - Architect ID
+   * @returns {Promise<Object>} - { membership, transactions }
+   */
+  async getMembership(architectId) {
+    const architect = await architectRepository.findByIdOrFail(architectId);
+    const transactions = await transactionRepository.findByArchitectId(architectId);
+
+    return {
+      membership: this.getMembershipInfo(architect),
+      transactions: transactionSerializer.many(transactions, 'owner'),
+    };
+  }
+
+  getRenewalItemDetails(amount) {
+    const { periodMonths } = this.getConfig();
+    return [
+      {
+        id: 'ARCH_RENEWAL',
+        price: amount,
+        quantity: 1,
+        name: `Perpanjangan Membership Arsitek HaloSitek (${periodMonths} bulan)`,
+      },
+    ];
+  }
+
+  /**
+   * Aktifkan / perpanjang membership setelah pembayaran SUCCESS
+   * @param {Object} transaction - Transaction yang berhasil dibayar
+   * @param {Date} now - Waktu pembayaran
+   * @param {Object} change - { source, actorId } untuk riwayat status arsitek
+   * @returns {Promise<Object>} - { architect, periodStart, periodEnd }
+   */
+  async activateMembership(transaction, now = new Date(), change = { source: 'SYSTEM' }) {
+    const architect = await architectRepository.findByIdOrFail(transaction.architectId);
+    const { periodStart, periodEnd } = this.computeNextPeriod(architect.activeUntil, now);
+
+    await transactionRepository.setMembershipPeriod(transaction.id, periodStart, periodEnd);
+
+    // BANNED tetap BANNED (unban hanya oleh admin), periode yang dibayar tetap dicatat
+    const activated = architect.status !== 'ACTIVE' &&
+      statusTransitionService.canTransition('ARCHITECT', architect.status, 'ACTIVE', change.source) &&
+      (await architectRepository.transitionStatus(
+        architect.id,
+        [architect.status],
+        { status: 'ACTIVE', activeUntil: periodEnd, membershipReminderDay: null },
+        {
+          ...change,
+          reason: change.reason || `Payment ${transaction.orderId || transaction.id}`,
+          metadata: { transactionId: transaction.id, ...change.metadata },
+        }
+      ));
+
+    if (!activated) {
+      await architectRepository.setMembershipPeriod(architect.id, periodEnd);
+    }
+
+    const updated = await architectRepository.findByIdOrFail(architect.id);
+    return { architect: updated, periodStart, periodEnd };
+  }
+
+  /**
+   * Aturan status arsitek setelah refund penuh (REFUND_ARCHITECT_ACTION)
+   * - REVOKE_PERIOD (default): periode yang dibayar transaksi ini dipotong dari activeUntil
+   * - EXPIRE: membership langsung berakhir
+   * - KEEP: status & activeUntil tidak diubah
+   * @returns {String}
+   */
+  getRefundAction() {
+    const action = String(process.env.REFUND_ARCHITECT_ACTION || 'REVOKE_PERIOD').toUpperCase();
+    return REFUND_ACTIONS.includes(action) ? action : 'REVOKE_PERIOD';
+  }
+
+  /**
+   * Terapkan aturan refund ke membership arsitek
+   * @param {Object} transaction - Transaction yang sudah di-refund penuh
+   * @param {Date} now - Waktu acuan
+   * @param {Object} change - { source, actorId } untuk riwayat status arsitek
+   * @returns {Promise<Object>} - { action, architect, membership }
+   */
+  async revokeRefundedMembership(transaction, now = new Date(), change = { source: 'ADMIN' }) {
+    const action = this.getRefundAction();
+    const architect = await architectRepository.findByIdOrFail(transaction.architectId);
+
+    // BANNED tidak disentuh; KEEP = tidak ada perubahan
+    if (action === 'KEEP' || architect.status === 'BANNED') {
+      return { action, architect, membership: this.getMembershipInfo(architect, now) };
+    }
+
+    let activeUntil = now;
+    if (
+      action === 'REVOKE_PERIOD' &&
+      architect.activeUntil &&
+      transaction.periodStart &&
+      transaction.periodEnd
+    ) {
+      const periodMs = new Date(transaction.periodEnd) - new Date(transaction.periodStart);
+      activeUntil = new Date(new Date(architect.activeUntil).getTime() - periodMs);
+    }
+
+    // Masih ada sisa periode lain yang sudah dibayar => tetap ACTIVE
+    const status = activeUntil > now && architect.status === 'ACTIVE' ? 'ACTIVE' : 'EXPIRED';
+    const changed = status !== architect.status &&
+      statusTransitionService.canTransition('ARCHITECT', architect.status, status, change.source) &&
+      (await architectRepository.transitionStatus(
+        architect.id,
+        [architect.status],
+        { status, activeUntil, membershipReminderDay: null },
+        {
+          ...change,
+          reason: `Refund ${transaction.orderId || transaction.id}`,
+          metadata: { transactionId: transaction.id, refundAction: action },
+        }
+      ));
+
+    if (!changed) {
+      await architectRepository.setMembershipPeriod(architect.id, activeUntil);
+    }
+
+    const updated = await architectRepository.findByIdOrFail(architect.id);
+
+    return { action, architect: updated, membership: this.getMembershipInfo(updated, now) };
+  }
+
+  /**
+   * Buat (atau pakai ulang) transaksi renewal
+   * @param {String} architectId - Architect ID
+   * @returns {Promise<Object>} - Payment info
+   */
+  async createRenewal(architectId) {
+    const architect = await architectRepository.findByIdOrFail(architectId);
+
+    if (architect.status === 'BANNED') {
+      throw new AuthorizationError('Account has been banned. Please contact support.');
+    }
+
+    if (architect.status === 'UNPAID') {
+      throw new BadRequestError('Please complete your registration payment first');
+    }
+
+    let transaction = await transactionRepository.findOpenByArchitect(architect.id, 'RENEWAL');
+    let snapRedirectUrl = null;
+
+    if (!transaction) {
+      const { renewalFee: amount } = this.getConfig();
+      const orderId = TokenGeneratorService.generateOrderId();
+      const paymentToken = TokenGeneratorService.generatePaymentToken();
+      const expiredAt = TokenGeneratorService.getPaymentExpiryDate();
+
+      let snapToken = null;
+      if (paymentService.isConfigured()) {
+        try {
+          const snapResult = await paymentService.createSnapTransaction({
+            orderId,
+            amount,
+            customerDetails: {
+              first_name: architect.name,
+              email: architect.email,
+              phone: architect.phone,
+            },
+            itemDetails: this.getRenewalItemDetails(amount),
+          });
+
+          snapToken = snapResult.snapToken;
+          snapRedirectUrl = snapResult.redirectUrl;
+        } catch (error) {
+          console.error('❌ Failed to create renewal Snap token:', error.message);
+          // Continue without Snap token (dibuat ulang di halaman payment)
+        }
+      }
+
+      transaction = await transactionRepository.createTransaction({
+        architectId: architect.id,
+        orderId,
+        paymentToken,
+        snapToken,
+        amount,
+        type: 'RENEWAL',
+        status: 'PENDING',
+        expiredAt,
+      });
+
+      console.log('✅ Renewal transaction created:', transaction.orderId);
+    }
+
+    return {
+      membership: this.getMembershipInfo(architect),
+      payment: {
+        orderId: transaction.orderId,
+        paymentToken: transaction.paymentToken,
+        amount: transaction.amount,
+        expiredAt: transaction.expiredAt,
+        paymentUrl: `${process.env.FRONTEND_URL}/payment/${transaction.paymentToken}`,
+        snapToken: transaction.snapToken,
+        snapRedirectUrl,
+      },
+    };
+  }
+
+  /**
+   * Kirim reminder membership (cron)
+   * Satu email per hari reminder (MEMBERSHIP_REMINDER_DAYS) + satu saat masuk grace period
+   * @param {Date} now - Waktu acuan
+   * @returns {Promise<Object>} - { count }
+   */
+  async sendRenewalReminders(now = new Date()) {
+    const { reminderDays } = this.getConfig();
+    const maxDays = reminderDays[0] || 0;
+    const architects = await architectRepository.findMembershipsEndingBefore(
+      new Date(now.getTime() + maxDays * DAY_MS)
+    );
+
+    let count = 0;
+    for (const architect of architects) {
+      const info = this.getMembershipInfo(architect, now);
+
+      // 0 = sudah lewat activeUntil (grace period)
+      const dueDay = info.daysRemaining <= 0
+        ? 0
+        : reminderDays.filter((d) => d >= info.daysRemaining).pop();
+
+      if (dueDay === undefined) continue;
+
+      const lastSent = architect.membershipReminderDay;
+      if (lastSent !== null && lastSent !== undefined && lastSent <= dueDay) continue;
+
+      try {
+        await emailService.sendMembershipReminderEmail(architect, info);
+        await architectRepository.setMembershipReminderDay(architect.id, dueDay);
+        count++;
+      } catch (error) {
+        console.error(`⚠️ Failed to send membership reminder to ${architect.email}:`, error.message);
+      }
+    }
+
+    return { count };
+  }
+
+  /**
+   * Pindahkan membership yang lewat grace period ke EXPIRED (cron)
+   * @param {Date} now - Waktu acuan
+   * @returns {Promise<Object>} - { count }
+   */
+  async expireLapsedMemberships(now = new Date()) {
+    const { graceDays } = this.getConfig();
+    const cutoff = new Date(now.getTime() - graceDays * DAY_MS);
+
+    const lapsed = (await architectRepository.findMembershipsEndingBefore(cutoff))
+      .filter((a) => new Date(a.activeUntil) < cutoff);
+
+    let count = 0;
+    for (const architect of lapsed) {
+      // kondisi dicek ulang supaya renewal yang baru masuk tidak ikut ter-expire
+      const expired = await architectRepository.transitionStatus(
+        architect.id,
+        ['ACTIVE'],
+        { status: 'EXPIRED' },
+        {
+          source: 'CRON',
+          reason: 'Membership ended after grace period',
+          metadata: { activeUntil: architect.activeUntil },
+        },
+        { activeUntil: { lt: cutoff } }
+      );
+      if (!expired) continue;
+      count++;
+
+      try {
+        await emailService.sendMembershipExpiredEmail(architect);
+      } catch (error) {
+        console.error(`⚠️ Failed to send membership expired email to ${architect.email}:`, error.message);
+      }
+    }
+
+    return { count };
+  }
+}
+
+module.exports = new MembershipService();
@@ -0,0 +1,160 @@
+/**
+ * Payment Reconciliation Service
+ * Cek ulang status transaksi ke Midtrans untuk kasus webhook yang hilang
+ */
+
+const {
+  transactionRepository,
+  reconciliationRunRepository,
+} = require('../repositories');
+
+const paymentService = require('../../../common/services/payment.service');
+const webhookService = require('./webhook.service');
+
+const { PaymentError } = require('../../../errors/app-errors');
+
+const MINUTE_MS = 60 * 1000;
+
+class PaymentReconciliationService {
+  /**
+   * Reconciliation config (env)
+   * @returns {Object} - { pendingAfterMinutes, expiredLookbackHours, batchSize }
+   */
+  getConfig() {
+    const read = (name, fallback) => {
+      const value = parseInt(process.env[name]);
+      return Number.isInteger(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+      pendingAfterMinutes: read('RECONCILE_PENDING_AFTER_MINUTES', 15),
+      expiredLookbackHours: read('RECONCILE_EXPIRED_LOOKBACK_HOURS', 24),
+      batchSize: read('RECONCILE_BATCH_SIZE', 50) || 50,
+    };
+  }
+
+  /**
+   * Status lokal dan Midtrans dianggap beda?
+   * EXPIRED lokal vs FAILED / PENDING di Midtrans sama-sama "belum dibayar", bukan mismatch
+   * @param {String} localStatus - Status transaksi lokal
+   * @param {String} gatewayStatus - Status hasil mapping Midtrans
+   * @returns {Boolean}
+   */
+  isMismatch(localStatus, gatewayStatus) {
+    if (localStatus === gatewayStatus) return false;
+    if (localStatus === 'EXPIRED') return gatewayStatus === 'SUCCESS';
+    return true;
+  }
+
+  /**
+   * Jalankan reconciliation (cron / admin)
+   * @param {Object} options - { trigger: CRON|ADMIN, triggeredById, now }
+   * @returns {Promise<Object>} - ReconciliationRun ({ skipped: true } kalau Midtrans belum dikonfigurasi)
+   */
+  async reconcile({ trigger = 'CRON', triggeredById = null, now = new Date() } = {}) {
+    if (!paymentService.isConfigured()) {
+      return { skipped: true, message: 'Payment gateway is not configured' };
+    }
+
+    const { pendingAfterMinutes, expiredLookbackHours, batchSize } = this.getConfig();
+    const run = await reconciliationRunRepository.create({ trigger, triggeredById, startedAt: now });
+
+    const report = { checkedCount: 0, mismatchCount: 0, fixedCount: 0, errorCount: 0, items: [] };
+
+    try {
+      const transactions = await transactionRepository.findForReconciliation({
+        pendingBefore: new Date(now.getTime() - pendingAfterMinutes * MINUTE_MS),
+        expiredAfter: new Date(now.getTime() - expiredLookbackHours * 60 * MINUTE_MS),
+        limit: batchSize,
+      });
+
+      for (const transaction of transactions) {
+        const item = await this.reconcileTransaction(transaction, {
+          source: 'RECONCILIATION',
+          actorId: triggeredById,
+          metadata: { reconciliationRunId: run.id },
+        });
+        report.checkedCount++;
+
+        if (!item) continue;
+        if (item.action === 'ERROR') {
+          report.errorCount++;
+        } else {
+          report.mismatchCount++;
+          if (item.action === 'FIXED') report.fixedCount++;
+        }
+        report.items.push(item);
+      }
+
+      if (transactions.length) {
+        await transactionRepository.markReconciled(transactions.map((transaction) => transaction.id), now);
+      }
+    } catch (error) {
+      console.error('❌ Payment reconciliation failed:', error.message);
+      report.error = error.message;
+    }
+
+    return await reconciliationRunRepository.finish(run.id, report);
+  }
+
+  /**
+   * Cek satu transaksi ke Midtrans & terapkan lewat jalur yang sama dengan webhook
+   * @param {Object} transaction - Transaction PENDING / EXPIRED
+   * @param {Object} change - { source, actorId, metadata } untuk riwayat status
+   * @returns {Promise<Object|null>} - Item laporan (null kalau status cocok)
+   */
+  async reconcileTransaction(transaction, change = { source: 'RECONCILIATION' }) {
+    const item = {
+      transactionId: transaction.id,
+      orderId: transaction.orderId,
+      localStatus: transaction.status,
+    };
+
+    try {
+      const statusResponse = await paymentService.getTransactionStatus(transaction.orderId);
+      const processedData = paymentService.parseTransactionStatus({
+        ...statusResponse,
+        order_id: statusResponse.order_id || transaction.orderId,
+      });
+
+      if (!this.isMismatch(transaction.status, processedData.status)) {
+        return null;
+      }
+
+      const result = await webhookService.applyGatewayStatus(processedData, change);
+      const fixed = result.applied && result.status !== result.previousStatus;
+
+      if (fixed) {
+        console.log(`🔧 Reconciled ${transaction.orderId}: ${transaction.status} -> ${result.status}`);
+      }
+
+      return {
+        ...item,
+        gatewayStatus: processedData.status,
+        midtransStatus: processedData.transactionStatus,
+        action: fixed ? 'FIXED' : 'SKIPPED',
+      };
+    } catch (error) {
+      // 404 = customer belum memilih metode pembayaran di Snap, belum ada yang perlu dicocokkan
+      if (error instanceof PaymentError && error.statusCode === 404) {
+        return null;
+      }
+
+      return { ...item, action: 'ERROR', error: error.message };
+    }
+  }
+
+  async listRuns({ page = 1, limit = 20 } = {}) {
+    return await reconciliationRunRepository.findWithPagination({
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100),
+      orderBy: { startedAt: 'desc' },
+    });
+  }
+
+  async getRun(id) {
+    return await reconciliationRunRepository.findByIdOrFail(id);
+  }
+}
+
+module.exports = new PaymentReconciliationService();
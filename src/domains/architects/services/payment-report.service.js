@@ -0,0 +1,197 @@
+/**
+ * Payment Report Service
+ * Laporan pembayaran untuk admin: revenue per periode, konversi registrasi,
+ * breakdown metode pembayaran dan rata-rata waktu sampai dibayar.
+ * Semua periode dihitung dalam UTC (sama dengan view analytics).
+ */
+
+const { architectRepository, transactionRepository } = require('../repositories');
+const { ValidationError } = require('../../../errors/app-errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TRANSACTION_STATUSES = ['PENDING', 'SUCCESS', 'FAILED', 'EXPIRED', 'CANCELLED', 'REFUNDED'];
+const PAID_STATUSES = ['SUCCESS', 'REFUNDED'];
+
+const percentage = (part, total) => (total > 0 ? Number(((part / total) * 100).toFixed(2)) : 0);
+
+class PaymentReportService {
+  startOfUtcDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  // Senin 00:00 UTC / tanggal 1 (sama dengan date_trunc di PostgreSQL)
+  periodStart(date, granularity) {
+    const day = this.startOfUtcDay(date);
+    if (granularity === 'week') {
+      return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    }
+    if (granularity === 'month') {
+      return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    }
+    return day;
+  }
+
+  nextPeriod(date, granularity) {
+    if (granularity === 'month') {
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    }
+    return new Date(date.getTime() + (granularity === 'week' ? 7 : 1) * DAY_MS);
+  }
+
+  toKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  parseDate(value, field) {
+    const date = new Date(value);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(String(value)) || Number.isNaN(date.getTime())) {
+      throw new ValidationError('Validation failed', [
+        { field, message: `${field} must be a date (YYYY-MM-DD)` },
+      ]);
+    }
+    return this.startOfUtcDay(date);
+  }
+
+  /**
+   * Normalisasi query report (default 30 hari terakhir, per hari)
+   * @param {Object} query - { from, to, granularity }
+   * @returns {Object} - { from, to, toExclusive, granularity }
+   */
+  parseRange(query = {}) {
+    const granularity = String(query.granularity || 'day').toLowerCase();
+    if (!GRANULARITIES.includes(granularity)) {
+      throw new ValidationError('Validation failed', [
+        { field: 'granularity', message: `granularity must be one of: ${GRANULARITIES.join(', ')}` },
+      ]);
+    }
+
+    const to = query.to ? this.parseDate(query.to, 'to') : this.startOfUtcDay(new Date());
+    const from = query.from
+      ? this.parseDate(query.from, 'from')
+      : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+    if (from > to) {
+      throw new ValidationError('Validation failed', [
+        { field: 'from', message: 'from must be before or equal to to' },
+      ]);
+    }
+    if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      throw new ValidationError('Validation failed', [
+        { field: 'from', message: `Range cannot exceed ${MAX_RANGE_DAYS} days` },
+      ]);
+    }
+
+    return { from, to, toExclusive: new Date(to.getTime() + DAY_MS), granularity };
+  }
+
+  listPeriods(from, to, granularity) {
+    const periods = [];
+    for (let t = this.periodStart(from, granularity); t <= to; t = this.nextPeriod(t, granularity)) {
+      periods.push(this.toKey(t));
+    }
+    return periods;
+  }
+
+  /**
+   * Payments report
+   * @param {Object} query - { from, to, granularity }
+   * @returns {Promise<Object>} - { range, transactions, revenue, conversion, paymentMethods, timeToPay }
+   */
+  async getReport(query = {}) {
+    const { from, to, toExclusive, granularity } = this.parseRange(query);
+    const registeredWhere = { createdAt: { gte: from, lt: toExclusive } };
+
+    const [statusCounts, revenueRows, methodRows, timeToPay, registered, paidRegistrations] = await Promise.all([
+      transactionRepository.countByStatus(from, toExclusive),
+      transactionRepository.getRevenueByPeriod(from, toExclusive, granularity),
+      transactionRepository.getPaymentMethodBreakdown(from, toExclusive),
+      transactionRepository.getTimeToPayStats(from, toExclusive),
+      architectRepository.count(registeredWhere),
+      architectRepository.count({
+        ...registeredWhere,
+        transactions: { some: { type: 'REGISTRATION', status: { in: PAID_STATUSES } } },
+      }),
+    ]);
+
+    return {
+      range: { from: this.toKey(from), to: this.toKey(to), granularity },
+      transactions: this.buildStatusSummary(statusCounts),
+      revenue: this.buildRevenue(revenueRows, from, to, granularity),
+      conversion: {
+        registered,
+        paid: paidRegistrations,
+        rate: percentage(paidRegistrations, registered),
+      },
+      paymentMethods: this.buildPaymentMethods(methodRows),
+      timeToPay: {
+        transactions: timeToPay?.transactions || 0,
+        averageSeconds: timeToPay?.averageSeconds != null ? Math.round(timeToPay.averageSeconds) : null,
+        medianSeconds: timeToPay?.medianSeconds != null ? Math.round(timeToPay.medianSeconds) : null,
+      },
+    };
+  }
+
+  /**
+   * Jumlah per status + success rate (dibayar / transaksi yang sudah selesai)
+   */
+  buildStatusSummary(statusCounts) {
+    const counts = Object.fromEntries(TRANSACTION_STATUSES.map((s) => [s.toLowerCase(), 0]));
+    statusCounts.forEach(({ status, count }) => {
+      counts[status.toLowerCase()] = count;
+    });
+
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const paid = counts.success + counts.refunded;
+
+    return {
+      ...counts,
+      total,
+      successRate: percentage(paid, total - counts.pending),
+    };
+  }
+
+  buildRevenue(rows, from, to, granularity) {
+    const byPeriod = new Map(rows.map((row) => [this.toKey(row.period), row]));
+
+    const series = this.listPeriods(from, to, granularity).map((period) => {
+      const row = byPeriod.get(period) || { transactions: 0, gross: 0, refunded: 0 };
+      return {
+        period,
+        transactions: row.transactions,
+        gross: row.gross,
+        refunded: row.refunded,
+        net: row.gross - row.refunded,
+      };
+    });
+
+    const totals = series.reduce(
+      (acc, item) => ({
+        transactions: acc.transactions + item.transactions,
+        gross: acc.gross + item.gross,
+        refunded: acc.refunded + item.refunded,
+      }),
+      { transactions: 0, gross: 0, refunded: 0 }
+    );
+
+    return { ...totals, net: totals.gross - totals.refunded, series };
+  }
+
+  buildPaymentMethods(rows) {
+    const totalTransactions = rows.reduce((sum, row) => sum + row.transactions, 0);
+
+    return rows
+      .map((row) => ({
+        paymentMethod: row.paymentMethod || 'UNKNOWN', // dibayar sebelum metode pembayaran dicatat
+        transactions: row.transactions,
+        gross: row.gross,
+        net: row.gross - row.refunded,
+        share: percentage(row.transactions, totalTransactions),
+      }))
+      .sort((a, b) => b.transactions - a.transactions);
+  }
+}
+
+module.exports = new PaymentReportService();
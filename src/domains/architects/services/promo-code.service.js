@@ -0,0 +1,295 @@
+/**
+ * Promo Code Service
+ * Handle harga registrasi arsitek, validasi & perhitungan diskon kode promo
+ */
+
+const { promoCodeRepository } = require('../repositories');
+const {
+  ValidationError,
+  BadRequestError,
+  ConflictError,
+} = require('../../../errors/app-errors');
+
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+class PromoCodeService {
+  /**
+   * Biaya registrasi (ARCHITECT_REGISTRATION_FEE, default Rp 500.000)
+   * @returns {Number}
+   */
+  getRegistrationFee() {
+    return parseInt(process.env.ARCHITECT_REGISTRATION_FEE) || 500000;
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Hitung potongan (tidak pernah melebihi harga dasar)
+   * @param {Object} promoCode - PromoCode
+   * @param {Number} baseAmount - Harga sebelum diskon
+   * @returns {Number} - Discount amount (rupiah)
+   */
+  computeDiscount(promoCode, baseAmount) {
+    const discount = promoCode.discountType === 'PERCENTAGE'
+      ? Math.round((baseAmount * promoCode.discountValue) / 100)
+      : promoCode.discountValue;
+
+    return Math.max(0, Math.min(discount, baseAmount));
+  }
+
+  /**
+   * Validasi kode promo yang bisa dipakai saat ini
+   * @param {Object|null} promoCode - PromoCode
+   * @param {Date} now - Waktu acuan
+   * @throws {BadRequestError}
+   */
+  assertRedeemable(promoCode, now = new Date()) {
+    if (!promoCode || !promoCode.isActive) {
+      throw new BadRequestError('Promo code is invalid');
+    }
+    if (promoCode.validFrom && now < new Date(promoCode.validFrom)) {
+      throw new BadRequestError('Promo code is not active yet');
+    }
+    if (promoCode.validUntil && now > new Date(promoCode.validUntil)) {
+      throw new BadRequestError('Promo code has expired');
+    }
+    if (
+      promoCode.maxRedemptions !== null &&
+      promoCode.maxRedemptions !== undefined &&
+      promoCode.redemptionCount >= promoCode.maxRedemptions
+    ) {
+      throw new BadRequestError('Promo code has reached its redemption limit');
+    }
+  }
+
+  /**
+   * Hitung harga registrasi dengan (optional) kode promo
+   * @param {String|null} code - Kode promo dari request
+   * @param {Object} options - { architectId } untuk cek pemakaian per arsitek
+   * @returns {Promise<Object>} - { originalAmount, discountAmount, amount, promoCode }
+   */
+  async quoteRegistration(code, options = {}) {
+    const originalAmount = this.getRegistrationFee();
+    const normalized = this.normalizeCode(code);
+
+    if (!normalized) {
+      return { originalAmount, discountAmount: 0, amount: originalAmount, promoCode: null };
+    }
+
+    const promoCode = await promoCodeRepository.findByCode(normalized);
+    this.assertRedeemable(promoCode);
+
+    if (options.architectId && (await promoCodeRepository.hasRedeemed(promoCode.id, options.architectId))) {
+      throw new BadRequestError('Promo code has already been used');
+    }
+
+    const discountAmount = this.computeDiscount(promoCode, originalAmount);
+
+    return {
+      originalAmount,
+      discountAmount,
+      amount: originalAmount - discountAmount,
+      promoCode,
+    };
+  }
+
+  /**
+   * Snap item_details untuk quote (harga dasar + baris diskon negatif, total = gross_amount)
+   * @param {Object} quote - Hasil quoteRegistration
+   * @returns {Array} - item_details
+   */
+  buildItemDetails(quote) {
+    const items = [
+      {
+        id: 'ARCH_REGISTRATION',
+        price: quote.originalAmount,
+        quantity: 1,
+        name: 'Registrasi Akun Arsitek HaloSitek',
+      },
+    ];
+
+    if (quote.promoCode && quote.discountAmount > 0) {
+      items.push({
+        id: `PROMO_${quote.promoCode.code}`.slice(0, 50),
+        price: -quote.discountAmount,
+        quantity: 1,
+        name: `Diskon promo ${quote.promoCode.code}`,
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Data transaction dari quote (amount, originalAmount, discountAmount)
+   * @param {Object} quote - Hasil quoteRegistration
+   * @returns {Object}
+   */
+  toTransactionAmounts(quote) {
+    return {
+      amount: quote.amount,
+      originalAmount: quote.originalAmount,
+      discountAmount: quote.discountAmount,
+    };
+  }
+
+  /**
+   * Public pricing info (untuk form registrasi)
+   * @param {String|null} code - Kode promo (optional)
+   * @returns {Promise<Object>}
+   */
+  async getRegistrationPricing(code = null) {
+    const quote = await this.quoteRegistration(code);
+
+    return {
+      originalAmount: quote.originalAmount,
+      discountAmount: quote.discountAmount,
+      amount: quote.amount,
+      promoCode: quote.promoCode
+        ? {
+          code: quote.promoCode.code,
+          description: quote.promoCode.description,
+          discountType: quote.promoCode.discountType,
+          discountValue: quote.promoCode.discountValue,
+        }
+        : null,
+    };
+  }
+
+  // ============================================
+  // ADMIN
+  // ============================================
+
+  /**
+   * Validate & normalize admin input
+   * @param {Object} data - Request body
+   * @param {Object|null} existing - PromoCode lama (untuk update)
+   * @returns {Object} - Data siap simpan
+   */
+  validatePromoData(data, existing = null) {
+    const errors = [];
+    const result = {};
+    const isCreate = !existing;
+
+    if (isCreate || data.code !== undefined) {
+      const code = this.normalizeCode(data.code);
+      if (!CODE_PATTERN.test(code)) {
+        errors.push({ field: 'code', message: 'Code must be 3-32 characters (A-Z, 0-9, _ or -)' });
+      }
+      result.code = code;
+    }
+
+    if (data.description !== undefined) {
+      result.description = data.description ? String(data.description).trim() : null;
+    }
+
+    const discountType = data.discountType !== undefined
+      ? String(data.discountType).toUpperCase()
+      : existing?.discountType;
+    if (isCreate || data.discountType !== undefined) {
+      if (!DISCOUNT_TYPES.includes(discountType)) {
+        errors.push({ field: 'discountType', message: `discountType must be one of: ${DISCOUNT_TYPES.join(', ')}` });
+      }
+      result.discountType = discountType;
+    }
+
+    if (isCreate || data.discountValue !== undefined || data.discountType !== undefined) {
+      const value = Number(data.discountValue ?? existing?.discountValue);
+      if (!Number.isInteger(value) || value <= 0) {
+        errors.push({ field: 'discountValue', message: 'discountValue must be a positive integer' });
+      } else if (discountType === 'PERCENTAGE' && value > 100) {
+        errors.push({ field: 'discountValue', message: 'Percentage discount cannot exceed 100' });
+      }
+      result.discountValue = value;
+    }
+
+    for (const field of ['validFrom', 'validUntil']) {
+      if (data[field] === undefined) continue;
+      if (data[field] === null || data[field] === '') {
+        result[field] = null;
+        continue;
+      }
+      const date = new Date(data[field]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push({ field, message: `${field} must be a valid date` });
+      } else {
+        result[field] = date;
+      }
+    }
+
+    const validFrom = result.validFrom !== undefined ? result.validFrom : existing?.validFrom;
+    const validUntil = result.validUntil !== undefined ? result.validUntil : existing?.validUntil;
+    if (validFrom && validUntil && new Date(validFrom) >= new Date(validUntil)) {
+      errors.push({ field: 'validUntil', message: 'validUntil must be after validFrom' });
+    }
+
+    if (data.maxRedemptions !== undefined) {
+      if (data.maxRedemptions === null || data.maxRedemptions === '') {
+        result.maxRedemptions = null;
+      } else {
+        const max = Number(data.maxRedemptions);
+        if (!Number.isInteger(max) || max < 1) {
+          errors.push({ field: 'maxRedemptions', message: 'maxRedemptions must be a positive integer' });
+        } else if (existing && max < existing.redemptionCount) {
+          errors.push({ field: 'maxRedemptions', message: 'maxRedemptions cannot be lower than current redemptions' });
+        }
+        result.maxRedemptions = max;
+      }
+    }
+
+    if (data.isActive !== undefined) {
+      result.isActive = data.isActive === true || data.isActive === 'true';
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Validation failed', errors);
+    }
+
+    return result;
+  }
+
+  async list({ page = 1, limit = 20, search, isActive } = {}) {
+    const where = {};
+    if (search) where.code = { contains: this.normalizeCode(search) };
+    if (isActive !== undefined) where.isActive = isActive === true || isActive === 'true';
+
+    return await promoCodeRepository.findWithPagination({
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100),
+      where,
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  async detail(id) {
+    return await promoCodeRepository.findByIdWithRedemptionsOrFail(id);
+  }
+
+  async create(data, adminId = null) {
+    const promoData = this.validatePromoData(data);
+
+    if (await promoCodeRepository.findByCode(promoData.code)) {
+      throw new ConflictError('Promo code already exists');
+    }
+
+    return await promoCodeRepository.create({ ...promoData, createdById: adminId });
+  }
+
+  async update(id, data) {
+    const existing = await promoCodeRepository.findByIdOrFail(id);
+    const promoData = this.validatePromoData(data, existing);
+
+    if (promoData.code && promoData.code !== existing.code) {
+      if (await promoCodeRepository.findByCode(promoData.code)) {
+        throw new ConflictError('Promo code already exists');
+      }
+    }
+
+    return await promoCodeRepository.update(id, promoData);
+  }
+}
+
+module.exports = new PromoCodeService();
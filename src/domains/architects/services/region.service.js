@@ -0,0 +1,161 @@
+/**
+ * Region Service
+ * Referensi wilayah Indonesia (provinsi, kota, kabupaten) untuk dropdown,
+ * dan validasi lokasi arsitek (provinsi, kota/kabupaten, titik lat/lng, wilayah layanan).
+ */
+
+const { regionRepository } = require('../repositories');
+const { ValidationError, NotFoundError } = require('../../../errors/app-errors');
+
+const REGION_TYPES = ['PROVINCE', 'CITY', 'REGENCY'];
+const MAX_SERVICE_AREAS = 20;
+
+const isBlank = (value) => value === null || value === '';
+
+class RegionService {
+  /**
+   * Daftar wilayah
+   * @param {Object} query - { type, parentId, q }
+   * @returns {Promise<Array>}
+   */
+  async list({ type, parentId, q } = {}) {
+    const where = {};
+
+    if (type) {
+      const value = String(type).toUpperCase();
+      if (!REGION_TYPES.includes(value)) {
+        throw new ValidationError('Validation failed', [
+          { field: 'type', message: `type must be one of: ${REGION_TYPES.join(', ')}` },
+        ]);
+      }
+      where.type = value;
+    }
+    if (parentId) where.parentId = String(parentId);
+    if (q && String(q).trim()) {
+      where.name = { contains: String(q).trim(), mode: 'insensitive' };
+    }
+
+    return await regionRepository.findForList(where);
+  }
+
+  async detail(id) {
+    const region = await regionRepository.findById(id);
+    if (!region) throw new NotFoundError('Region not found');
+    return region;
+  }
+
+  /**
+   * Daftar kode wilayah layanan (array, JSON string, atau dipisah koma)
+   * @param {Array|String} input
+   * @returns {Array<String>}
+   */
+  parseIds(input) {
+    if (input === undefined || isBlank(input)) return [];
+
+    let ids = input;
+    if (!Array.isArray(ids)) {
+      const text = String(ids).trim();
+      try {
+        ids = text.startsWith('[') ? JSON.parse(text) : text.split(',');
+      } catch (e) {
+        throw new ValidationError('Validation failed', [
+          { field: 'serviceAreas', message: 'serviceAreas must be an array of region ids' },
+        ]);
+      }
+    }
+
+    return [...new Set(ids.map((id) => String(id || '').trim()).filter(Boolean))];
+  }
+
+  /**
+   * Parse koordinat (string dari form / number)
+   * @returns {Number|null|undefined} - undefined kalau tidak dikirim, null kalau dikosongkan
+   */
+  parseCoordinate(value, field, max, errors) {
+    if (value === undefined) return undefined;
+    if (isBlank(value)) return null;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || Math.abs(number) > max) {
+      errors.push({ field, message: `${field} must be a number between -${max} and ${max}` });
+      return undefined;
+    }
+    return number;
+  }
+
+  /**
+   * Validasi lokasi arsitek. Hanya field yang dikirim yang dikembalikan (aman untuk update parsial),
+   * string kosong / null mengosongkan field.
+   * - cityId harus kota/kabupaten; provinsi diisi otomatis dari kota kalau tidak dikirim
+   * - provinceId + cityId harus konsisten
+   * - latitude & longitude harus dikirim berpasangan
+   * @param {Object} input - { provinceId, cityId, latitude, longitude, serviceAreas }
+   * @param {Object} current - Lokasi arsitek saat ini (update profil)
+   * @returns {Promise<Object>} - { data, serviceAreaIds } (serviceAreaIds null = tidak diubah)
+   * @throws {ValidationError}
+   */
+  async resolveLocation(input = {}, current = {}) {
+    const errors = [];
+    const data = {};
+
+    const provinceId = input.provinceId === undefined ? undefined : String(input.provinceId ?? '').trim() || null;
+    const cityId = input.cityId === undefined ? undefined : String(input.cityId ?? '').trim() || null;
+    const serviceAreaIds = input.serviceAreas === undefined ? null : this.parseIds(input.serviceAreas);
+
+    const latitude = this.parseCoordinate(input.latitude, 'latitude', 90, errors);
+    const longitude = this.parseCoordinate(input.longitude, 'longitude', 180, errors);
+    if ((input.latitude === undefined) !== (input.longitude === undefined) || (latitude === null) !== (longitude === null)) {
+      errors.push({ field: 'latitude', message: 'latitude and longitude must be provided together' });
+    }
+
+    if (serviceAreaIds && serviceAreaIds.length > MAX_SERVICE_AREAS) {
+      errors.push({ field: 'serviceAreas', message: `Maximum ${MAX_SERVICE_AREAS} service areas` });
+    }
+
+    // Kota lama ikut dicek kalau provinsi diganti tanpa kirim kota
+    const currentCityId = provinceId !== undefined && cityId === undefined ? current.cityId : null;
+    const ids = [provinceId, cityId, currentCityId, ...(serviceAreaIds || [])].filter(Boolean);
+    const regions = new Map((await regionRepository.findByIds([...new Set(ids)])).map((r) => [r.id, r]));
+
+    const province = provinceId && regions.get(provinceId);
+    if (provinceId && (!province || province.type !== 'PROVINCE')) {
+      errors.push({ field: 'provinceId', message: 'provinceId must be a valid province' });
+    }
+
+    const city = cityId && regions.get(cityId);
+    if (cityId && (!city || city.type === 'PROVINCE')) {
+      errors.push({ field: 'cityId', message: 'cityId must be a valid city or regency' });
+    } else if (city && provinceId !== undefined && city.parentId !== provinceId) {
+      errors.push({ field: 'cityId', message: 'cityId is not in the selected province' });
+    }
+
+    if (serviceAreaIds) {
+      serviceAreaIds.forEach((id, index) => {
+        if (!regions.has(id)) {
+          errors.push({ field: `serviceAreas[${index}]`, message: `Unknown region: ${id}` });
+        }
+      });
+    }
+
+    if (errors.length) throw new ValidationError('Validation failed', errors);
+
+    if (provinceId !== undefined) {
+      data.provinceId = provinceId;
+      if (currentCityId && regions.get(currentCityId)?.parentId !== provinceId) {
+        data.cityId = null;
+      }
+    }
+    if (cityId !== undefined) {
+      data.cityId = cityId;
+      if (city) data.provinceId = city.parentId;
+    }
+    if (latitude !== undefined && longitude !== undefined) {
+      data.latitude = latitude;
+      data.longitude = longitude;
+    }
+
+    return { data, serviceAreaIds };
+  }
+}
+
+module.exports = new RegionService();
@@ -0,0 +1,249 @@
+/**
+ * Skill Service
+ * Taxonomy keahlian khusus arsitek: normalisasi input ke skill kanonik,
+ * autocomplete, dan pengelolaan alias / merge oleh admin.
+ */
+
+const { skillRepository } = require('../repositories');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  BadRequestError,
+} = require('../../../errors/app-errors');
+
+const MAX_SKILLS_PER_ARCHITECT = 20;
+const MAX_NAME_LENGTH = 50;
+const DEFAULT_AUTOCOMPLETE_LIMIT = 10;
+const MAX_AUTOCOMPLETE_LIMIT = 25;
+
+class SkillService {
+  /**
+   * Slug pembanding: huruf kecil tanpa spasi/tanda baca ("Auto Cad" -> "autocad")
+   * Harus sama dengan normalisasi di migration add_skills
+   * @param {String} name - Nama skill
+   * @returns {String}
+   */
+  toSlug(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+  }
+
+  /**
+   * Input keahlian (array, JSON string, atau dipisah koma) -> array nama unik per slug
+   * @param {Array|String} input - Input dari form registrasi / update profil
+   * @returns {Array<String>}
+   */
+  parseNames(input) {
+    if (input === undefined || input === null || input === '') return [];
+
+    let names = input;
+    if (!Array.isArray(names)) {
+      const text = String(names).trim();
+      try {
+        names = text.startsWith('[') ? JSON.parse(text) : text.split(',');
+      } catch (e) {
+        throw new ValidationError('Validation failed', [
+          { field: 'keahlianKhusus', message: 'keahlianKhusus must be an array of skill names' },
+        ]);
+      }
+    }
+
+    const seen = new Set();
+    return names
+      .map((name) => (typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : ''))
+      .filter((name) => {
+        const slug = this.toSlug(name);
+        if (!name || seen.has(slug || name)) return false;
+        seen.add(slug || name);
+        return true;
+      });
+  }
+
+  /**
+   * Validasi daftar nama skill
+   * @param {Array<String>} names - Hasil parseNames
+   * @returns {Array<Object>} - Errors ({ field, message })
+   */
+  validateNames(names, field = 'keahlianKhusus') {
+    const errors = [];
+
+    if (names.length > MAX_SKILLS_PER_ARCHITECT) {
+      errors.push({ field, message: `Maximum ${MAX_SKILLS_PER_ARCHITECT} skills` });
+    }
+    names.forEach((name, index) => {
+      if (name.length > MAX_NAME_LENGTH) {
+        errors.push({ field: `${field}[${index}]`, message: `Skill name must be at most ${MAX_NAME_LENGTH} characters` });
+      } else if (!this.toSlug(name)) {
+        errors.push({ field: `${field}[${index}]`, message: 'Skill name must contain letters or numbers' });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Petakan input ke skill kanonik (lewat slug / alias); skill yang belum ada dibuat
+   * @param {Array|String} input - Nama skill
+   * @returns {Promise<Array>} - Skills kanonik (urutan sesuai input, tanpa duplikat)
+   * @throws {ValidationError}
+   */
+  async resolveSkills(input) {
+    const names = this.parseNames(input);
+    const errors = this.validateNames(names);
+    if (errors.length) throw new ValidationError('Validation failed', errors);
+    if (!names.length) return [];
+
+    const slugs = names.map((name) => this.toSlug(name));
+    const existing = await skillRepository.findBySlugs(slugs);
+
+    const bySlug = new Map();
+    existing.forEach((skill) => {
+      bySlug.set(skill.slug, skill);
+      (skill.aliases || []).forEach((alias) => bySlug.set(alias.slug, skill));
+    });
+
+    const skills = [];
+    for (const [index, name] of names.entries()) {
+      const skill = bySlug.get(slugs[index]) || (await skillRepository.findOrCreate(name, slugs[index]));
+      if (!skills.some((s) => s.id === skill.id)) skills.push(skill);
+    }
+
+    return skills;
+  }
+
+  /**
+   * Slug kanonik untuk filter (alias diterjemahkan, yang tidak dikenal tetap dipakai apa adanya)
+   * @param {Array<String>} names - Nama skill dari query string
+   * @returns {Promise<Array<String>>}
+   */
+  async canonicalSlugs(names) {
+    const slugs = [...new Set(names.map((name) => this.toSlug(name)).filter(Boolean))];
+    if (!slugs.length) return [];
+
+    const skills = await skillRepository.findBySlugs(slugs);
+
+    return slugs.map((slug) => {
+      const skill = skills.find((s) => s.slug === slug || (s.aliases || []).some((a) => a.slug === slug));
+      return skill ? skill.slug : slug;
+    });
+  }
+
+  /**
+   * Autocomplete (publik)
+   * @param {Object} query - { q, limit }
+   * @returns {Promise<Array>} - [{ id, name, slug, architects }]
+   */
+  async autocomplete({ q, limit } = {}) {
+    const text = String(q || '').trim();
+    if (!text) return [];
+
+    const take = Math.min(MAX_AUTOCOMPLETE_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_AUTOCOMPLETE_LIMIT));
+    const skills = await skillRepository.search(text, this.toSlug(text), take);
+
+    return skills.map((skill) => ({
+      id: skill.id,
+      name: skill.name,
+      slug: skill.slug,
+      architects: skill._count?.architects || 0,
+    }));
+  }
+
+  async list({ page = 1, limit = 50, search } = {}) {
+    const where = {};
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { aliases: { some: { name: { contains: search, mode: 'insensitive' } } } },
+      ];
+    }
+
+    return await skillRepository.findWithAliases({
+      where,
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 50, 100),
+    });
+  }
+
+  async detail(id) {
+    const skill = await skillRepository.findByIdWithAliases(id);
+    if (!skill) throw new NotFoundError('Skill not found');
+    return skill;
+  }
+
+  validateName(name, field = 'name') {
+    const clean = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+    if (!clean) {
+      throw new ValidationError('Validation failed', [{ field, message: `${field} is required` }]);
+    }
+    const errors = this.validateNames([clean], field);
+    if (errors.length) {
+      throw new ValidationError('Validation failed', errors.map((e) => ({ ...e, field })));
+    }
+    return clean;
+  }
+
+  async create({ name } = {}) {
+    const clean = this.validateName(name);
+    const slug = this.toSlug(clean);
+
+    if (await skillRepository.isSlugTaken(slug)) {
+      throw new ConflictError('Skill or alias already exists');
+    }
+
+    return await skillRepository.create({ name: clean, slug });
+  }
+
+  /**
+   * Ganti nama kanonik (slug boleh berubah selama tidak bentrok)
+   */
+  async rename(id, { name } = {}) {
+    const skill = await this.detail(id);
+    const clean = this.validateName(name);
+    const slug = this.toSlug(clean);
+
+    if (slug !== skill.slug && (await skillRepository.isSlugTaken(slug))) {
+      throw new ConflictError('Skill or alias already exists');
+    }
+
+    return await skillRepository.update(id, { name: clean, slug });
+  }
+
+  async addAlias(id, { name } = {}) {
+    await this.detail(id);
+    const clean = this.validateName(name);
+    const slug = this.toSlug(clean);
+
+    if (await skillRepository.isSlugTaken(slug)) {
+      throw new ConflictError('Skill or alias already exists');
+    }
+
+    await skillRepository.createAlias(id, { name: clean, slug });
+    return await this.detail(id);
+  }
+
+  async removeAlias(id, aliasId) {
+    const alias = await skillRepository.findAlias(id, aliasId);
+    if (!alias) throw new NotFoundError('Skill alias not found');
+
+    await skillRepository.deleteAlias(aliasId);
+    return await this.detail(id);
+  }
+
+  /**
+   * Merge skill ke skill lain (mis. "Auto-CAD 2D" -> "AutoCAD")
+   * @param {String} id - Skill yang digabung (dihapus)
+   * @param {Object} body - { targetId }
+   * @returns {Promise<Object>} - { skill: target, movedArchitects }
+   */
+  async merge(id, { targetId } = {}) {
+    if (!targetId) throw new BadRequestError('targetId is required');
+    if (targetId === id) throw new BadRequestError('Cannot merge a skill into itself');
+
+    const [source, target] = await Promise.all([this.detail(id), this.detail(targetId)]);
+    const movedArchitects = await skillRepository.merge(source, target);
+
+    return { skill: await this.detail(target.id), movedArchitects };
+  }
+}
+
+module.exports = new SkillService();
@@ -0,0 +1,174 @@
+/**
+ * Status Transition Service
+ * State machine TransactionStatus / ArchitectStatus & timeline riwayat status
+ */
+
+const {
+  architectRepository,
+  transactionRepository,
+  statusChangeRepository,
+} = require('../repositories');
+
+const { BadRequestError } = require('../../../errors/app-errors');
+
+const SOURCES = ['WEBHOOK', 'ADMIN', 'CRON', 'RECONCILIATION', 'SYSTEM'];
+
+// Status dari payment gateway (notifikasi / cek ulang status) dianggap sumber kebenaran pembayaran
+const GATEWAY = ['WEBHOOK', 'RECONCILIATION'];
+
+// from -> to -> source yang boleh melakukan transisi
+const TRANSITIONS = {
+  TRANSACTION: {
+    PENDING: {
+      SUCCESS: [...GATEWAY, 'ADMIN'],
+      FAILED: [...GATEWAY, 'ADMIN'],
+      EXPIRED: ['CRON', 'ADMIN', 'SYSTEM'],
+      CANCELLED: ['ADMIN', 'SYSTEM'], // SYSTEM: diganti transaksi baru (retry payment)
+    },
+    // pembayaran yang masuk setelah gagal / expired hanya diterima kalau dikonfirmasi gateway
+    FAILED: { SUCCESS: GATEWAY },
+    EXPIRED: { SUCCESS: GATEWAY },
+    SUCCESS: { REFUNDED: ['ADMIN'] },
+    REFUNDED: { REFUNDED: ['ADMIN'] }, // refund parsial berikutnya
+    CANCELLED: {},
+  },
+  ARCHITECT: {
+    UNPAID: {
+      ACTIVE: [...GATEWAY, 'ADMIN', 'SYSTEM'],
+      BANNED: ['ADMIN'],
+    },
+    ACTIVE: {
+      EXPIRED: ['CRON', 'ADMIN'],
+      BANNED: ['ADMIN'],
+    },
+    EXPIRED: {
+      ACTIVE: [...GATEWAY, 'ADMIN'],
+      BANNED: ['ADMIN'],
+    },
+    BANNED: {
+      ACTIVE: ['ADMIN'],
+      EXPIRED: ['ADMIN'],
+      UNPAID: ['ADMIN'],
+    },
+  },
+};
+
+class StatusTransitionService {
+  getSources() {
+    return SOURCES;
+  }
+
+  getStatuses(entityType) {
+    return Object.keys(TRANSITIONS[entityType] || {});
+  }
+
+  /**
+   * @param {String} entityType - TRANSACTION | ARCHITECT
+   * @param {String} from - Status saat ini
+   * @param {String} to - Status tujuan
+   * @param {String} source - WEBHOOK | ADMIN | CRON | RECONCILIATION | SYSTEM
+   * @returns {Boolean}
+   */
+  canTransition(entityType, from, to, source) {
+    return (TRANSITIONS[entityType]?.[from]?.[to] || []).includes(source);
+  }
+
+  /**
+   * @throws {BadRequestError} - Transisi tidak diizinkan
+   */
+  assertTransition(entityType, from, to, source) {
+    if (!this.canTransition(entityType, from, to, source)) {
+      throw new BadRequestError(
+        `${entityType === 'ARCHITECT' ? 'Architect' : 'Transaction'} status cannot change from ${from} to ${to}`
+      );
+    }
+  }
+
+  /**
+   * Status asal yang boleh berpindah ke `to` oleh source (untuk update atomic)
+   * @returns {Array<String>}
+   */
+  allowedFrom(entityType, to, source) {
+    return Object.keys(TRANSITIONS[entityType] || {})
+      .filter((from) => this.canTransition(entityType, from, to, source));
+  }
+
+  /**
+   * Status tujuan yang boleh dipilih dari status saat ini (tombol aksi admin)
+   * @returns {Array<String>}
+   */
+  allowedTargets(entityType, from, source) {
+    return Object.keys(TRANSITIONS[entityType]?.[from] || {})
+      .filter((to) => to !== from && this.canTransition(entityType, from, to, source));
+  }
+
+  // ============================================
+  // TIMELINE
+  // ============================================
+
+  /**
+   * Timeline status transaksi (kronologis)
+   * @param {String} transactionId - Transaction ID
+   * @returns {Promise<Object>} - { transaction, allowedTransitions, changes }
+   */
+  async getTransactionTimeline(transactionId) {
+    const transaction = await transactionRepository.findByIdOrFail(transactionId);
+    const changes = await statusChangeRepository.findByTransactionId(transactionId);
+
+    return {
+      transaction: {
+        id: transaction.id,
+        orderId: transaction.orderId,
+        architectId: transaction.architectId,
+        type: transaction.type,
+        status: transaction.status,
+        createdAt: transaction.createdAt,
+      },
+      allowedTransitions: this.allowedTargets('TRANSACTION', transaction.status, 'ADMIN'),
+      changes: await this.withActors(changes),
+    };
+  }
+
+  /**
+   * Timeline status arsitek + transaksinya (terbaru dulu)
+   * @param {String} architectId - Architect ID
+   * @param {Object} query - { page, limit }
+   * @returns {Promise<Object>} - { architect, allowedTransitions, changes, pagination }
+   */
+  async getArchitectTimeline(architectId, { page = 1, limit = 50 } = {}) {
+    const architect = await architectRepository.findByIdOrFail(architectId);
+    const { data, pagination } = await statusChangeRepository.findByArchitectId(architectId, {
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 50, 100),
+    });
+
+    return {
+      architect: {
+        id: architect.id,
+        name: architect.name,
+        email: architect.email,
+        status: architect.status,
+        activeUntil: architect.activeUntil,
+        createdAt: architect.createdAt,
+      },
+      allowedTransitions: this.allowedTargets('ARCHITECT', architect.status, 'ADMIN'),
+      changes: await this.withActors(data),
+      pagination,
+    };
+  }
+
+  /**
+   * Lampirkan data admin (actor) ke setiap perubahan
+   * @param {Array} changes - StatusChange rows
+   * @returns {Promise<Array>}
+   */
+  async withActors(changes) {
+    const ids = [...new Set(changes.map((c) => c.actorId).filter(Boolean))];
+    const actors = await statusChangeRepository.findActors(ids);
+    const byId = new Map(actors.map((a) => [a.id, a]));
+
+    return changes.map((c) => ({ ...c, actor: c.actorId ? byId.get(c.actorId) || null : null }));
+  }
+}
+
+module.exports = new StatusTransitionService();
@@ -6,20 +6,110 @@
 const {
   architectRepository,
   transactionRepository,
+  promoCodeRepository,
+  webhookEventRepository,
 } = require('../repositories');
 
 const paymentService = require('../../../common/services/payment.service');
 const emailService = require('../../../common/services/email.service');
+const membershipService = require('./membership.service');
+const invoiceService = require('./invoice.service');
+const statusTransitionService = require('./status-transition.service');
+const paymentReportService = require('./payment-report.service');
 
-const { PaymentError, NotFoundError } = require('../../../errors/app-errors');
+const { NotFoundError, BadRequestError } = require('../../../errors/app-errors');
 
 class WebhookService {
   /**
-   * Process Midtrans webhook notification
+   * Terima notifikasi Midtrans: simpan ke WebhookEvent, dedupe, lalu proses
    * @param {Object} notification - Webhook notification dari Midtrans
+   * @returns {Promise<Object>} - Processing result ({ invalidSignature: true } kalau signature salah)
+   */
+  async receiveMidtransWebhook(notification) {
+    const signatureValid = this.verifyWebhookAuthenticity(notification);
+    const dedupeKey = this.getDedupeKey(notification);
+
+    const event = await webhookEventRepository.create({
+      orderId: notification?.order_id ? String(notification.order_id) : null,
+      providerTransactionId: notification?.transaction_id || null,
+      transactionStatus: notification?.transaction_status || null,
+      dedupeKey: signatureValid ? dedupeKey : null,
+      signatureValid,
+      payload: notification || {},
+      result: signatureValid ? 'RECEIVED' : 'INVALID_SIGNATURE',
+      processedAt: signatureValid ? null : new Date(),
+    });
+
+    if (!signatureValid) {
+      return { success: false, invalidSignature: true, message: 'Invalid webhook signature', eventId: event.id };
+    }
+
+    if (dedupeKey) {
+      const duplicateOf = await webhookEventRepository.findCompletedByDedupeKey(dedupeKey, event.id);
+      if (duplicateOf) {
+        console.log('⚠️ Duplicate webhook notification:', dedupeKey);
+        await webhookEventRepository.markResult(event.id, 'DUPLICATE', {
+          transactionId: duplicateOf.transactionId,
+        });
+        return {
+          success: true,
+          message: 'Duplicate notification ignored',
+          duplicate: true,
+          orderId: event.orderId,
+          eventId: event.id,
+        };
+      }
+    }
+
+    return await this.runEvent(event);
+  }
+
+  /**
+   * {transaction_id}:{transaction_status} (fallback ke order_id kalau transaction_id kosong)
+   * @param {Object} notification - Webhook notification
+   * @returns {String|null}
+   */
+  getDedupeKey(notification) {
+    const id = notification?.transaction_id || notification?.order_id;
+    if (!id || !notification?.transaction_status) return null;
+    return `${id}:${notification.transaction_status}`;
+  }
+
+  /**
+   * Proses payload event & simpan hasilnya
+   * @param {Object} event - WebhookEvent
+   * @param {Object} change - { source, actorId } untuk riwayat status (actorId = admin yang replay)
    * @returns {Promise<Object>} - Processing result
    */
-  async processMidtransWebhook(notification) {
+  async runEvent(event, change = { source: 'WEBHOOK' }) {
+    try {
+      const result = await this.processMidtransWebhook(event.payload, {
+        ...change,
+        metadata: { webhookEventId: event.id },
+      });
+
+      await webhookEventRepository.markResult(event.id, result.applied ? 'PROCESSED' : 'IGNORED', {
+        transactionId: result.transactionId,
+      });
+
+      return { ...result, eventId: event.id };
+    } catch (error) {
+      try {
+        await webhookEventRepository.markResult(event.id, 'FAILED', { error: error.message });
+      } catch (logError) {
+        console.error('⚠️ Failed to update webhook event:', logError.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process Midtrans webhook notification
+   * @param {Object} notification - Webhook notification dari Midtrans
+   * @param {Object} change - { source, actorId, metadata } untuk riwayat status
+   * @returns {Promise<Object>} - Processing result ({ applied } = status transaksi berubah)
+   */
+  async processMidtransWebhook(notification, change = { source: 'WEBHOOK' }) {
     try {
       console.log('📥 Processing webhook for order:', notification.order_id);
 
@@ -33,88 +123,146 @@ class WebhookService {
         shouldActivate: processedData.shouldActivate,
       });
 
-      // Step 2: Find transaction by order ID
-      const transaction = await transactionRepository.findByOrderId(processedData.orderId);
-
-      if (!transaction) {
-        throw new NotFoundError(`Transaction with order ID ${processedData.orderId} not found`);
-      }
+      // Step 2-4: Terapkan ke transaksi
+      const result = await this.applyGatewayStatus(processedData, change);
 
-      // Step 3: Check if transaction already processed
-      if (transaction.status === 'SUCCESS') {
-        console.log('⚠️ Transaction already processed as SUCCESS');
-        return {
-          success: true,
-          message: 'Transaction already processed',
-          alreadyProcessed: true,
-        };
-      }
+      console.log('✅ Webhook processed successfully');
+      return result;
+    } catch (error) {
+      console.error('❌ Webhook processing failed:', error.message);
+      throw error;
+    }
+  }
 
-      // Step 4: Update transaction
-      await transactionRepository.updateWithMidtransResponse(
-        processedData.orderId,
-        processedData.rawNotification
-      );
+  /**
+   * Daftar status asal yang boleh diubah oleh status gateway (state machine)
+   * Notifikasi yang datang terlambat / urutannya terbalik tidak pernah menurunkan status.
+   * PENDING tidak mengubah status, hanya menyimpan response terbaru.
+   * @param {String} status - Status internal hasil mapping gateway
+   * @param {String} source - WEBHOOK | RECONCILIATION
+   * @returns {Array<String>}
+   */
+  getAllowedFrom(status, source) {
+    if (status === 'PENDING') return ['PENDING'];
+    return statusTransitionService.allowedFrom('TRANSACTION', status, source);
+  }
 
-      // Step 5: Handle based on status
-      if (processedData.shouldActivate && processedData.status === 'SUCCESS') {
-        await this.handleSuccessfulPayment(transaction, processedData);
-      } else if (processedData.status === 'FAILED') {
-        await this.handleFailedPayment(transaction, processedData);
-      } else if (processedData.status === 'PENDING') {
-        await this.handlePendingPayment(transaction, processedData);
-      }
+  /**
+   * Terapkan status dari Midtrans ke transaksi lokal
+   * Dipakai webhook dan payment reconciliation supaya aturan transisinya sama
+   * @param {Object} processedData - Hasil paymentService.parseTransactionStatus
+   * @param {Object} change - { source: WEBHOOK|RECONCILIATION, actorId } untuk riwayat status
+   * @returns {Promise<Object>} - Result ({ applied } = status transaksi berubah)
+   */
+  async applyGatewayStatus(processedData, change = { source: 'WEBHOOK' }) {
+    // Step 2: Find transaction by order ID
+    const transaction = await transactionRepository.findByOrderId(processedData.orderId);
 
-      console.log('✅ Webhook processed successfully');
+    if (!transaction) {
+      throw new NotFoundError(`Transaction with order ID ${processedData.orderId} not found`);
+    }
 
+    // Step 3: Never downgrade (duplikat, out-of-order, atau sudah CANCELLED / REFUNDED oleh admin)
+    const allowedFrom = this.getAllowedFrom(processedData.status, change.source);
+    if (!allowedFrom.includes(transaction.status)) {
+      console.log(`⚠️ Ignoring ${processedData.status} notification, transaction already ${transaction.status}`);
       return {
         success: true,
-        message: 'Webhook processed successfully',
+        message: 'Transaction already processed',
+        alreadyProcessed: true,
+        applied: false,
         orderId: processedData.orderId,
-        status: processedData.status,
+        status: transaction.status,
+        transactionId: transaction.id,
       };
-    } catch (error) {
-      console.error('❌ Webhook processing failed:', error.message);
-      throw error;
     }
+
+    // Step 4: Handle based on status (update status atomic, hanya dari status asal yang diizinkan)
+    let applied = false;
+    if (processedData.shouldActivate && processedData.status === 'SUCCESS') {
+      applied = await this.handleSuccessfulPayment(transaction, processedData, change);
+    } else if (processedData.status === 'FAILED') {
+      applied = await this.handleFailedPayment(transaction, processedData, change);
+    } else if (processedData.status === 'PENDING') {
+      applied = await this.handlePendingPayment(transaction, processedData);
+    }
+
+    return {
+      success: true,
+      message: applied ? 'Webhook processed successfully' : 'Transaction already processed',
+      applied,
+      orderId: processedData.orderId,
+      status: processedData.status,
+      previousStatus: transaction.status,
+      transactionId: transaction.id,
+    };
+  }
+
+  getChangeMetadata(processedData, change = {}) {
+    return {
+      orderId: processedData.orderId,
+      transactionStatus: processedData.transactionStatus,
+      fraudStatus: processedData.fraudStatus,
+      paymentType: processedData.paymentType,
+      ...change.metadata,
+    };
   }
 
   /**
    * Handle successful payment
    * @param {Object} transaction - Transaction object
    * @param {Object} processedData - Processed webhook data
+   * @param {Object} change - { source, actorId } untuk riwayat status
+   * @returns {Promise<Boolean>} - false kalau transaksi sudah diproses request lain
    */
-  async handleSuccessfulPayment(transaction, processedData) {
+  async handleSuccessfulPayment(transaction, processedData, change = { source: 'WEBHOOK' }) {
     try {
       console.log('💰 Processing successful payment...');
 
       // Step 1: Mark transaction as success
-      await transactionRepository.markAsSuccess(
-        processedData.orderId,
-        processedData.paymentType.toUpperCase(),
-        processedData.rawNotification
+      const applied = await transactionRepository.transitionStatus(
+        transaction.id,
+        this.getAllowedFrom('SUCCESS', change.source),
+        {
+          status: 'SUCCESS',
+          paymentMethod: processedData.paymentMethod,
+          paidAt: new Date(),
+          midtransResponse: processedData.rawNotification,
+        },
+        { ...change, metadata: this.getChangeMetadata(processedData, change) }
       );
 
+      if (!applied) {
+        console.log('⚠️ Transaction already updated by another notification');
+        return false;
+      }
+
       console.log('✅ Transaction marked as SUCCESS');
 
-      // Step 2: Activate architect account
-      await architectRepository.activateAccount(transaction.architectId);
+      // Step 2: Activate architect account / extend membership period
+      const { architect, periodEnd } = await membershipService.activateMembership(transaction, new Date(), change);
 
-      console.log('✅ Architect account activated');
+      console.log('✅ Architect membership active until', periodEnd.toISOString());
 
-      // Step 3: Get architect data
-      const architect = await architectRepository.findByIdOrFail(transaction.architectId);
+      // Step 3: Issue invoice (PDF dilampirkan di email)
+      const attachments = await invoiceService.getEmailAttachments(transaction);
 
-      // Step 4: Send welcome email
+      // Step 4: Send welcome / renewal email
       try {
-        await emailService.sendWelcomeEmail(architect);
-        console.log('✅ Welcome email sent');
+        if (transaction.type === 'RENEWAL') {
+          await emailService.sendMembershipRenewedEmail(architect, periodEnd, attachments);
+          console.log('✅ Membership renewed email sent');
+        } else {
+          await emailService.sendWelcomeEmail(architect, attachments);
+          console.log('✅ Welcome email sent');
+        }
       } catch (emailError) {
-        console.error('⚠️ Failed to send welcome email:', emailError.message);
+        console.error('⚠️ Failed to send payment success email:', emailError.message);
         // Don't throw error, continue processing
       }
 
       console.log('🎉 Payment successful and account activated!');
+      return true;
     } catch (error) {
       console.error('❌ Failed to handle successful payment:', error.message);
       throw error;
@@ -125,19 +273,40 @@ class WebhookService {
    * Handle failed payment
    * @param {Object} transaction - Transaction object
    * @param {Object} processedData - Processed webhook data
+   * @param {Object} change - { source, actorId } untuk riwayat status
+   * @returns {Promise<Boolean>} - false kalau transaksi sudah tidak PENDING
    */
-  async handleFailedPayment(transaction, processedData) {
+  async handleFailedPayment(transaction, processedData, change = { source: 'WEBHOOK' }) {
     try {
       console.log('❌ Processing failed payment...');
 
       // Step 1: Mark transaction as failed
-      await transactionRepository.markAsFailed(
-        processedData.orderId,
-        processedData.rawNotification
+      const applied = await transactionRepository.transitionStatus(
+        transaction.id,
+        this.getAllowedFrom('FAILED', change.source),
+        {
+          status: 'FAILED',
+          midtransResponse: processedData.rawNotification,
+        },
+        {
+          ...change,
+          reason: `Payment ${processedData.transactionStatus || 'failed'}`,
+          metadata: this.getChangeMetadata(processedData, change),
+        }
       );
 
+      if (!applied) {
+        console.log('⚠️ Transaction already updated by another notification');
+        return false;
+      }
+
       console.log('✅ Transaction marked as FAILED');
 
+      // Kuota promo yang dipakai transaksi ini dikembalikan
+      if (transaction.promoCodeId) {
+        await promoCodeRepository.releaseRedemption(transaction.id);
+      }
+
       // Step 2: Get architect data
       const architect = await architectRepository.findByIdOrFail(transaction.architectId);
 
@@ -150,6 +319,7 @@ class WebhookService {
       }
 
       console.log('📧 Failed payment notification sent');
+      return true;
     } catch (error) {
       console.error('❌ Failed to handle failed payment:', error.message);
       throw error;
@@ -160,15 +330,21 @@ class WebhookService {
    * Handle pending payment
    * @param {Object} transaction - Transaction object
    * @param {Object} processedData - Processed webhook data
+   * @returns {Promise<Boolean>}
    */
   async handlePendingPayment(transaction, processedData) {
     try {
       console.log('⏳ Processing pending payment...');
 
-      // Just update transaction status, no email needed
-      await transactionRepository.updateStatus(transaction.id, 'PENDING');
+      // Status tetap PENDING, simpan response terbaru (mis. nomor VA), no email needed
+      const applied = await transactionRepository.transitionStatus(
+        transaction.id,
+        this.getAllowedFrom('PENDING'),
+        { midtransResponse: processedData.rawNotification }
+      );
 
-      console.log('✅ Transaction status updated to PENDING');
+      console.log('✅ Transaction kept as PENDING');
+      return applied;
     } catch (error) {
       console.error('❌ Failed to handle pending payment:', error.message);
       throw error;
@@ -178,9 +354,10 @@ class WebhookService {
   /**
    * Handle expired transactions (Cron job)
    * Check for expired pending transactions and mark them as EXPIRED
+   * @param {Object} change - { source, actorId } untuk riwayat status (default CRON)
    * @returns {Promise<Object>} - Result with count
    */
-  async handleExpiredTransactions() {
+  async handleExpiredTransactions(change = { source: 'CRON' }) {
     try {
       console.log('🔍 Checking for expired transactions...');
 
@@ -197,15 +374,26 @@ class WebhookService {
         };
       }
 
-      // Mark all as expired
-      const result = await transactionRepository.markExpiredTransactions();
-
-      console.log(`✅ Marked ${result.count} transactions as EXPIRED`);
-
-      // Send expired emails
+      let count = 0;
       for (const transaction of expiredTransactions) {
+        // Satu per satu & atomic: pembayaran yang baru masuk tidak ikut ter-expire
+        const applied = await transactionRepository.transitionStatus(
+          transaction.id,
+          ['PENDING'],
+          { status: 'EXPIRED' },
+          { ...change, reason: 'Payment window expired' }
+        );
+        if (!applied) continue;
+        count++;
+
+        if (transaction.promoCodeId) {
+          await promoCodeRepository.releaseRedemption(transaction.id);
+        }
+
+        // Send expired email
         try {
-          if (transaction.architect) {
+          // email expired berisi ajakan daftar ulang, tidak relevan untuk renewal
+          if (transaction.architect && transaction.type !== 'RENEWAL') {
             await emailService.sendPaymentExpiredEmail(
               transaction.architect,
               transaction.orderId
@@ -217,10 +405,12 @@ class WebhookService {
         }
       }
 
+      console.log(`✅ Marked ${count} transactions as EXPIRED`);
+
       return {
         success: true,
-        message: `Processed ${result.count} expired transactions`,
-        count: result.count,
+        message: `Processed ${count} expired transactions`,
+        count,
       };
     } catch (error) {
       console.error('❌ Failed to handle expired transactions:', error.message);
@@ -230,30 +420,13 @@ class WebhookService {
 
   /**
    * Verify webhook authenticity
-   * Check if webhook came from Midtrans
+   * Check if webhook came from the payment gateway (field wajib + signature)
    * @param {Object} notification - Webhook notification
    * @returns {Boolean} - True if authentic
    */
   verifyWebhookAuthenticity(notification) {
     try {
-      const {
-        order_id,
-        status_code,
-        gross_amount,
-        signature_key,
-      } = notification;
-
-      if (!order_id || !status_code || !gross_amount || !signature_key) {
-        console.error('❌ Missing required webhook fields');
-        return false;
-      }
-
-      return paymentService.verifyWebhookSignature(
-        order_id,
-        status_code,
-        gross_amount,
-        signature_key
-      );
+      return paymentService.verifyWebhook(notification);
     } catch (error) {
       console.error('❌ Webhook verification error:', error.message);
       return false;
@@ -261,38 +434,67 @@ class WebhookService {
   }
 
   /**
-   * Get webhook processing statistics
-   * @param {Date} startDate - Start date (optional)
-   * @param {Date} endDate - End date (optional)
-   * @returns {Promise<Object>} - Statistics
+   * Get payments statistics / report (admin)
+   * @param {Object} query - { from, to, granularity: day|week|month }
+   * @returns {Promise<Object>} - Payments report
    */
-  async getWebhookStatistics(startDate = null, endDate = null) {
+  async getWebhookStatistics(query = {}) {
+    return await paymentReportService.getReport(query);
+  }
+
+  // ============================================
+  // ADMIN: WEBHOOK EVENT LOG
+  // ============================================
+
+  /**
+   * List webhook events
+   * @param {Object} query - { page, limit, orderId, result, signatureValid, transactionId }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async listEvents({ page = 1, limit = 20, orderId, result, signatureValid, transactionId } = {}) {
     const where = {};
+    if (orderId) where.orderId = { contains: String(orderId), mode: 'insensitive' };
+    if (result) where.result = String(result).toUpperCase();
+    if (signatureValid !== undefined) where.signatureValid = signatureValid === true || signatureValid === 'true';
+    if (transactionId) where.transactionId = transactionId;
+
+    return await webhookEventRepository.findWithPagination({
+      page: Number(page) || 1,
+      limit: Math.min(Number(limit) || 20, 100),
+      where,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        transaction: { select: { id: true, orderId: true, status: true, architectId: true } },
+      },
+    });
+  }
+
+  async getEvent(id) {
+    return await webhookEventRepository.findByIdOrFail(id, {
+      transaction: { select: { id: true, orderId: true, status: true, architectId: true } },
+    });
+  }
+
+  /**
+   * Replay event (proses ulang payload yang tersimpan)
+   * Tetap aman untuk event yang sudah PROCESSED: transisi status tidak akan menurunkan / mengulang aktivasi
+   * @param {String} id - Webhook event ID
+   * @param {String|null} adminId - Admin yang menjalankan replay
+   * @returns {Promise<Object>} - { event, result }
+   */
+  async replayEvent(id, adminId = null) {
+    const event = await webhookEventRepository.findByIdOrFail(id);
 
-    if (startDate || endDate) {
-      where.createdAt = {};
-      if (startDate) where.createdAt.gte = startDate;
-      if (endDate) where.createdAt.lte = endDate;
+    if (!event.signatureValid) {
+      throw new BadRequestError('Cannot replay an event with an invalid signature');
     }
 
-    const [success, failed, pending, expired] = await Promise.all([
-      transactionRepository.count({ ...where, status: 'SUCCESS' }),
-      transactionRepository.count({ ...where, status: 'FAILED' }),
-      transactionRepository.count({ ...where, status: 'PENDING' }),
-      transactionRepository.count({ ...where, status: 'EXPIRED' }),
-    ]);
+    await webhookEventRepository.incrementReplayCount(event.id);
+    console.log(`🔁 Replaying webhook event ${event.id} (${event.dedupeKey})`);
 
-    const totalAmount = await transactionRepository.getTotalSuccessAmount();
+    const result = await this.runEvent(event, { source: 'WEBHOOK', actorId: adminId });
 
-    return {
-      success,
-      failed,
-      pending,
-      expired,
-      total: success + failed + pending + expired,
-      totalAmount,
-      successRate: success > 0 ? ((success / (success + failed)) * 100).toFixed(2) : 0,
-    };
+    return { event: await webhookEventRepository.findById(event.id), result };
   }
 }
 
@@ -19,6 +19,7 @@ class ArsipediaController {
 
       const payload = {
         ...req.body,
+        adminId: req.user.id, // author selalu dari token, bukan dari body
         imagePath: image ? await FileUploadHelper.persistFile(image, "arsipedia_images") : null,
       };
 
@@ -31,8 +32,26 @@ class ArsipediaController {
 
   async getAll(req, res, next) {
     try {
-      const result = await ArsipediaService.getAll();
-      return ResponseFormatter.success(res, result, "All Arsipedia fetched");
+      const result = await ArsipediaService.getAll(req.query);
+      return ResponseFormatter.paginated(res, result.data, result.pagination, "All Arsipedia fetched");
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getAllForAdmin(req, res, next) {
+    try {
+      const result = await ArsipediaService.getAllForAdmin(req.query);
+      return ResponseFormatter.paginated(res, result.data, result.pagination, "All Arsipedia fetched");
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  async getTags(req, res, next) {
+    try {
+      const result = await ArsipediaService.getTags();
+      return ResponseFormatter.success(res, result, "Arsipedia tags fetched");
     } catch (err) {
       next(err);
     }
@@ -40,7 +59,7 @@ class ArsipediaController {
 
   async getById(req, res, next) {
     try {
-      const result = await ArsipediaService.getById(req.params.id);
+      const result = await ArsipediaService.getPublishedById(req.params.id);
       return ResponseFormatter.success(res, result, "Arsipedia details fetched");
     } catch (err) {
       next(err);
@@ -49,7 +68,7 @@ class ArsipediaController {
 
   async update(req, res, next) {
     try {
-      const result = await ArsipediaService.update(req.params.id, req.body);
+      const result = await ArsipediaService.update(req.params.id, req.body, req.user);
       return ResponseFormatter.success(res, result, "Arsipedia updated");
     } catch (err) {
       next(err);
@@ -58,7 +77,7 @@ class ArsipediaController {
 
   async delete(req, res, next) {
     try {
-      const result = await ArsipediaService.delete(req.params.id);
+      const result = await ArsipediaService.delete(req.params.id, req.user);
       return ResponseFormatter.success(res, result, "Arsipedia deleted");
     } catch (err) {
       next(err);
@@ -1,6 +1,20 @@
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
 const prisma = new PrismaClient();
 
+// Harus sama dengan expression index "arsipedia_search_idx" di migration
+const SEARCH_VECTOR = Prisma.sql`to_tsvector('simple', coalesce(a."title", '') || ' ' || coalesce(a."content", ''))`;
+
+// tags disimpan sebagai JSON string; baris lama yang bukan array dianggap tanpa tag
+const TAG_ELEMENTS = Prisma.sql`jsonb_array_elements_text(
+  CASE WHEN left(ltrim(a."tags"), 1) = '[' THEN a."tags"::jsonb ELSE '[]'::jsonb END
+)`;
+
+const SORT_SQL = {
+  newest: Prisma.sql`a."publishedAt" DESC NULLS LAST, a."createdAt" DESC`,
+  oldest: Prisma.sql`a."publishedAt" ASC NULLS LAST, a."createdAt" ASC`,
+  title: Prisma.sql`a."title" ASC`,
+};
+
 class ArsipediaRepository {
   async create(data) {
     return prisma.arsipedia.create({ data });
@@ -12,6 +26,99 @@ class ArsipediaRepository {
     });
   }
 
+  /**
+   * Listing dengan full-text search, filter tag dan pagination
+   * @param {Object} params - { q, tag, status, page, limit, sort }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async search({ q, tag, status, page = 1, limit = 10, sort = "newest" } = {}) {
+    const conditions = [];
+    if (status) {
+      conditions.push(Prisma.sql`a."status" = ${status}::"ArsipediaStatus"`);
+    }
+    if (q) {
+      conditions.push(Prisma.sql`${SEARCH_VECTOR} @@ websearch_to_tsquery('simple', ${q})`);
+    }
+    if (tag) {
+      conditions.push(
+        Prisma.sql`EXISTS (SELECT 1 FROM ${TAG_ELEMENTS} AS t(tag) WHERE lower(trim(t.tag)) = lower(${tag}))`
+      );
+    }
+
+    const where = conditions.length ? Prisma.sql`WHERE ${Prisma.join(conditions, " AND ")}` : Prisma.empty;
+
+    const orderBy =
+      sort === "relevance" && q
+        ? Prisma.sql`ts_rank(${SEARCH_VECTOR}, websearch_to_tsquery('simple', ${q})) DESC, ${SORT_SQL.newest}`
+        : SORT_SQL[sort] || SORT_SQL.newest;
+
+    const skip = (page - 1) * limit;
+
+    const [data, countResult] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT a.* FROM "arsipedia" a
+        ${where}
+        ORDER BY ${orderBy}
+        LIMIT ${limit} OFFSET ${skip}
+      `,
+      prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "arsipedia" a ${where}`,
+    ]);
+
+    const totalItems = countResult[0]?.total || 0;
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        totalItems,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Hitung jumlah entry per tag (case-insensitive)
+   * @param {String} status - Filter status (opsional)
+   * @returns {Promise<Array>} - [{ tag, count }]
+   */
+  async countTags(status) {
+    const conditions = [Prisma.sql`trim(t.tag) <> ''`];
+    if (status) {
+      conditions.push(Prisma.sql`a."status" = ${status}::"ArsipediaStatus"`);
+    }
+
+    return prisma.$queryRaw`
+      SELECT min(trim(t.tag)) AS "tag", COUNT(DISTINCT a."id")::int AS "count"
+      FROM "arsipedia" a
+      CROSS JOIN LATERAL ${TAG_ELEMENTS} AS t(tag)
+      WHERE ${Prisma.join(conditions, " AND ")}
+      GROUP BY lower(trim(t.tag))
+      ORDER BY "count" DESC, "tag" ASC
+    `;
+  }
+
+  async findOne(where) {
+    return prisma.arsipedia.findFirst({ where });
+  }
+
+  async publishDue(now = new Date()) {
+    return prisma.arsipedia.updateMany({
+      where: {
+        status: "SCHEDULED",
+        scheduledFor: { lte: now },
+      },
+      data: {
+        status: "PUBLISHED",
+        publishedAt: now,
+        scheduledFor: null,
+      },
+    });
+  }
+
   async getById(id) {
     return prisma.arsipedia.findUnique({ where: { id } });
   }
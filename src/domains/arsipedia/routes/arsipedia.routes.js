@@ -2,11 +2,20 @@ const express = require("express");
 const router = express.Router();
 const ArsipediaController = require("../controllers/arsipedia.controller");
 const { uploadArsipediaImage } = require("../../../middlewares/upload-arsipedia.middleware");
+const authMiddleware = require("../../../middlewares/auth.middleware");
 
+// Public: hanya entry PUBLISHED (?q=&tag=&page=&limit=&sort=newest|oldest|title|relevance)
 router.get("/", ArsipediaController.getAll);
+router.get("/tags", ArsipediaController.getTags);
+
+// Admin listing: semua status (DRAFT, SCHEDULED, PUBLISHED, ARCHIVED), filter ?status= + query yang sama
+router.get("/admin", authMiddleware.verifyAdmin, ArsipediaController.getAllForAdmin);
+
 router.get("/:id", ArsipediaController.getById);
-router.post("/", uploadArsipediaImage, ArsipediaController.create);
-router.put("/:id", ArsipediaController.update);
-router.delete("/:id", ArsipediaController.delete);
+
+// Write endpoints: admin only (author diambil dari token)
+router.post("/", authMiddleware.verifyAdmin, uploadArsipediaImage, ArsipediaController.create);
+router.put("/:id", authMiddleware.verifyAdmin, ArsipediaController.update);
+router.delete("/:id", authMiddleware.verifyAdmin, ArsipediaController.delete);
 
 module.exports = router;
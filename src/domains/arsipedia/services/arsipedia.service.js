@@ -1,6 +1,13 @@
 const path = require("path");
 const fs = require("fs");
 
+const ARSIPEDIA_STATUS = Object.freeze({
+  DRAFT: "DRAFT",
+  SCHEDULED: "SCHEDULED",
+  PUBLISHED: "PUBLISHED",
+  ARCHIVED: "ARCHIVED",
+});
+
 function getRepo() {
   return require("../repositories/arsipedia.repository");
 }
@@ -32,6 +39,80 @@ function normalizeTagsToJsonString(tags) {
   return "[]";
 }
 
+/**
+ * Policy: hanya author (admin pembuat) atau SUPERADMIN yang boleh edit/hapus
+ * @param {Object} entry - Arsipedia entry
+ * @param {Object} requester - Admin dari JWT (req.user)
+ */
+function assertCanModify(entry, requester) {
+  if (!requester || !requester.id) {
+    const error = new Error("Authentication required");
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (requester.role === "SUPERADMIN") return;
+
+  if (entry.adminId !== requester.id) {
+    const error = new Error("Only the author or a SUPERADMIN can modify this entry");
+    error.statusCode = 403;
+    throw error;
+  }
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Normalisasi status + publishedAt/scheduledFor sesuai workflow publish
+ * - PUBLISHED: publishedAt diisi (dipertahankan jika sudah pernah publish)
+ * - SCHEDULED: scheduledFor wajib dan harus di masa depan
+ * - DRAFT/ARCHIVED: jadwal dibersihkan
+ * @param {Object} payload - Data dari request (multipart/json, nilai bisa string)
+ * @param {Object} existing - Entry lama (untuk update), null saat create
+ * @returns {Object} - Payload yang sudah dinormalisasi
+ */
+function normalizePublishFields(payload, existing = null) {
+  const result = { ...payload };
+  delete result.publishedAt; // publishedAt hanya diatur oleh server
+
+  if (result.scheduledFor !== undefined && result.status === undefined && existing) {
+    result.status = existing.status;
+  }
+
+  if (result.status === undefined) {
+    delete result.scheduledFor;
+    return result;
+  }
+
+  const status = parseStatus(result.status);
+  result.status = status;
+
+  if (status === ARSIPEDIA_STATUS.SCHEDULED) {
+    const scheduledFor = result.scheduledFor ? new Date(result.scheduledFor) : null;
+    if (!scheduledFor || Number.isNaN(scheduledFor.getTime())) {
+      throw badRequest("scheduledFor is required when status is SCHEDULED");
+    }
+    if (scheduledFor <= new Date()) {
+      throw badRequest("scheduledFor must be in the future");
+    }
+    result.scheduledFor = scheduledFor;
+    result.publishedAt = null;
+    return result;
+  }
+
+  result.scheduledFor = null;
+
+  if (status === ARSIPEDIA_STATUS.PUBLISHED) {
+    result.publishedAt = existing?.publishedAt || new Date();
+  }
+
+  return result;
+}
+
 async function create(data) {
   const ArsipediaRepository = getRepo();
 
@@ -51,13 +132,100 @@ async function create(data) {
     throw error;
   }
 
-  data.tags = normalizeTagsToJsonString(data.tags);
-  return ArsipediaRepository.create(data);
+  const payload = normalizePublishFields(data);
+  payload.tags = normalizeTagsToJsonString(payload.tags);
+  return ArsipediaRepository.create(payload);
 }
 
-async function getAll() {
+const SORT_OPTIONS = ["newest", "oldest", "title", "relevance"];
+const MAX_LIMIT = 100;
+
+function parseStatus(value) {
+  const status = String(value).trim().toUpperCase();
+  if (!ARSIPEDIA_STATUS[status]) {
+    throw badRequest(`Invalid status. Allowed: ${Object.values(ARSIPEDIA_STATUS).join(", ")}`);
+  }
+  return status;
+}
+
+/**
+ * Normalisasi query listing (q, tag, page, limit, sort)
+ * Default sort: relevance jika ada q, selain itu newest
+ * @param {Object} query - req.query
+ * @returns {Object} - Parameter untuk repository.search
+ */
+function parseListQuery(query = {}) {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const tag = typeof query.tag === "string" ? query.tag.trim() : "";
+
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || 10;
+  if (page < 1 || limit < 1) {
+    throw badRequest("page and limit must be positive integers");
+  }
+
+  const sort = query.sort ? String(query.sort).trim().toLowerCase() : q ? "relevance" : "newest";
+  if (!SORT_OPTIONS.includes(sort)) {
+    throw badRequest(`Invalid sort. Allowed: ${SORT_OPTIONS.join(", ")}`);
+  }
+
+  return {
+    q: q || undefined,
+    tag: tag || undefined,
+    page,
+    limit: Math.min(limit, MAX_LIMIT),
+    sort,
+  };
+}
+
+/**
+ * Listing publik: hanya entry PUBLISHED, dengan search/tag/pagination
+ * @param {Object} query - { q, tag, page, limit, sort }
+ * @returns {Promise<Object>} - { data, pagination }
+ */
+async function getAll(query = {}) {
+  const ArsipediaRepository = getRepo();
+  return ArsipediaRepository.search({
+    ...parseListQuery(query),
+    status: ARSIPEDIA_STATUS.PUBLISHED,
+  });
+}
+
+/**
+ * Listing admin: semua entry, opsional filter status
+ * @param {Object} query - { status, q, tag, page, limit, sort }
+ * @returns {Promise<Object>} - { data, pagination }
+ */
+async function getAllForAdmin(query = {}) {
+  const ArsipediaRepository = getRepo();
+  return ArsipediaRepository.search({
+    ...parseListQuery(query),
+    status: query.status ? parseStatus(query.status) : undefined,
+  });
+}
+
+/**
+ * Jumlah entry published per tag
+ * @returns {Promise<Array>} - [{ tag, count }]
+ */
+async function getTags() {
+  const ArsipediaRepository = getRepo();
+  return ArsipediaRepository.countTags(ARSIPEDIA_STATUS.PUBLISHED);
+}
+
+/**
+ * Detail publik: draft/scheduled/archived dianggap tidak ada
+ */
+async function getPublishedById(id) {
   const ArsipediaRepository = getRepo();
-  return ArsipediaRepository.getAll();
+
+  const data = await ArsipediaRepository.findOne({ id, status: ARSIPEDIA_STATUS.PUBLISHED });
+  if (!data) {
+    const error = new Error("Arsipedia entry not found");
+    error.statusCode = 404;
+    throw error;
+  }
+  return data;
 }
 
 async function getById(id) {
@@ -72,18 +240,28 @@ async function getById(id) {
   return data;
 }
 
-async function update(id, data) {
+async function update(id, data, requester) {
   const ArsipediaRepository = getRepo();
 
-  await getById(id);
-  data.tags = normalizeTagsToJsonString(data.tags);
-  return ArsipediaRepository.update(id, data);
+  const existing = await getById(id);
+  assertCanModify(existing, requester);
+
+  // author tidak bisa dipindah lewat update
+  const { adminId, ...rest } = data;
+  const payload = normalizePublishFields(rest, existing);
+
+  if (payload.tags !== undefined) {
+    payload.tags = normalizeTagsToJsonString(payload.tags);
+  }
+
+  return ArsipediaRepository.update(id, payload);
 }
 
-async function remove(id) {
+async function remove(id, requester) {
   const ArsipediaRepository = getRepo();
 
   const existing = await getById(id);
+  assertCanModify(existing, requester);
 
   if (existing?.imagePath) {
     const normalized = String(existing.imagePath).replace(/\\/g, "/");
@@ -101,11 +279,29 @@ async function remove(id) {
   return ArsipediaRepository.delete(id);
 }
 
+/**
+ * Publish semua entry SCHEDULED yang jadwalnya sudah lewat (dipanggil cron)
+ * @returns {Promise<Object>} - { count }
+ */
+async function publishScheduled(now = new Date()) {
+  const ArsipediaRepository = getRepo();
+  const result = await ArsipediaRepository.publishDue(now);
+  return { count: result.count };
+}
+
 module.exports = {
+  ARSIPEDIA_STATUS,
   normalizeTagsToJsonString,
+  normalizePublishFields,
+  parseListQuery,
+  assertCanModify,
   create,
   getAll,
+  getAllForAdmin,
+  getTags,
   getById,
+  getPublishedById,
   update,
   delete: remove,
+  publishScheduled,
 };
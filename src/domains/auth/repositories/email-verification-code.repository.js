@@ -0,0 +1,94 @@
+/**
+ * Email Verification Code Repository
+ * Handle database operations untuk EmailVerificationCode model
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('../../architects/repositories/base-repository');
+const { DatabaseError } = require('../../../errors/app-errors');
+
+class EmailVerificationCodeRepository extends BaseRepository {
+  constructor() {
+    super(prisma.emailVerificationCode, 'EmailVerificationCode');
+  }
+
+  /**
+   * Find kode terbaru yang belum dipakai & belum expired
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {String} accountId - Account ID
+   * @returns {Promise<Object|null>} - Code record or null
+   */
+  async findLatestActive(accountType, accountId) {
+    try {
+      return await this.model.findFirst({
+        where: {
+          accountType,
+          accountId,
+          usedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find ${this.modelName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find kode terakhir yang dibuat untuk akun (untuk cooldown resend)
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {String} accountId - Account ID
+   * @returns {Promise<Object|null>} - Code record or null
+   */
+  async findLatest(accountType, accountId) {
+    try {
+      return await this.model.findFirst({
+        where: { accountType, accountId },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      throw new DatabaseError(`Failed to find ${this.modelName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count kode yang dibuat sejak waktu tertentu
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {String} accountId - Account ID
+   * @param {Date} since - Batas waktu
+   * @returns {Promise<Number>} - Jumlah kode
+   */
+  async countCreatedSince(accountType, accountId, since) {
+    return await this.count({
+      accountType,
+      accountId,
+      createdAt: { gte: since },
+    });
+  }
+
+  /**
+   * Increment jumlah percobaan kode salah
+   * @param {String} id - Code ID
+   * @returns {Promise<Object>} - Updated record
+   */
+  async incrementAttempts(id) {
+    return await this.update(id, {
+      attempts: { increment: 1 },
+    });
+  }
+
+  /**
+   * Invalidate semua kode aktif milik sebuah akun
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {String} accountId - Account ID
+   * @returns {Promise<Object>} - { count }
+   */
+  async invalidateAllForAccount(accountType, accountId) {
+    return await this.updateMany(
+      { accountType, accountId, usedAt: null },
+      { usedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new EmailVerificationCodeRepository();
@@ -0,0 +1,14 @@
+/**
+ * Auth Repository Index
+ * Central export untuk semua auth repositories
+ */
+
+const passwordResetTokenRepository = require('./password-reset-token.repository');
+const emailVerificationCodeRepository = require('./email-verification-code.repository');
+const refreshTokenRepository = require('./refresh-token.repository');
+
+module.exports = {
+  passwordResetTokenRepository,
+  emailVerificationCodeRepository,
+  refreshTokenRepository,
+};
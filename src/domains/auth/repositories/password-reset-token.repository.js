@@ -0,0 +1,55 @@
+/**
+ * Password Reset Token Repository
+ * Handle database operations untuk PasswordResetToken model
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('../../architects/repositories/base-repository');
+
+class PasswordResetTokenRepository extends BaseRepository {
+  constructor() {
+    super(prisma.passwordResetToken, 'PasswordResetToken');
+  }
+
+  /**
+   * Find token yang masih berlaku (belum dipakai & belum expired)
+   * @param {String} tokenHash - SHA-256 hash dari token
+   * @returns {Promise<Object|null>} - Token record or null
+   */
+  async findActiveByHash(tokenHash) {
+    return await this.findOne({
+      tokenHash,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    });
+  }
+
+  /**
+   * Tandai token terpakai secara atomik (hanya berhasil sekali, selama belum expired)
+   * @param {String} id - Token ID
+   * @returns {Promise<Boolean>} - false jika token sudah dipakai / expired
+   */
+  async consume(id) {
+    const now = new Date();
+    const result = await this.updateMany(
+      { id, usedAt: null, expiresAt: { gt: now } },
+      { usedAt: now }
+    );
+    return result.count > 0;
+  }
+
+  /**
+   * Invalidate semua token aktif milik sebuah akun
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @returns {Promise<Object>} - { count }
+   */
+  async invalidateAllForAccount(accountType, accountId) {
+    return await this.updateMany(
+      { accountType, accountId, usedAt: null },
+      { usedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new PasswordResetTokenRepository();
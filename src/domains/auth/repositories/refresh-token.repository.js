@@ -0,0 +1,77 @@
+/**
+ * Refresh Token Repository
+ * Handle database operations untuk RefreshToken model (session per device)
+ */
+
+const prisma = require('../../../config/prisma-client');
+const BaseRepository = require('../../architects/repositories/base-repository');
+
+class RefreshTokenRepository extends BaseRepository {
+  constructor() {
+    super(prisma.refreshToken, 'RefreshToken');
+  }
+
+  /**
+   * Tandai token sebagai sudah dirotasi (atomic)
+   * Hanya berhasil jika token belum dicabut, untuk mencegah dua rotasi paralel
+   * @param {String} id - jti token lama
+   * @param {String} replacedById - jti token baru
+   * @returns {Promise<Boolean>} - True jika berhasil dirotasi
+   */
+  async markRotated(id, replacedById) {
+    const result = await this.updateMany(
+      { id, revokedAt: null },
+      {
+        revokedAt: new Date(),
+        revokedReason: 'ROTATED',
+        replacedById,
+      }
+    );
+
+    return result.count === 1;
+  }
+
+  /**
+   * Cabut semua token aktif dalam satu family
+   * @param {String} familyId - Family ID
+   * @param {String} reason - TokenRevokeReason
+   * @returns {Promise<Object>} - { count }
+   */
+  async revokeFamily(familyId, reason) {
+    return await this.updateMany(
+      { familyId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  /**
+   * Cabut satu family milik akun tertentu
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @param {String} familyId - Family ID
+   * @param {String} reason - TokenRevokeReason
+   * @returns {Promise<Object>} - { count }
+   */
+  async revokeFamilyForAccount(accountType, accountId, familyId, reason) {
+    return await this.updateMany(
+      { accountType, accountId, familyId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  /**
+   * Cabut semua token aktif milik akun (semua device)
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @param {String} reason - TokenRevokeReason
+   * @returns {Promise<Object>} - { count }
+   */
+  async revokeAllForAccount(accountType, accountId, reason) {
+    return await this.updateMany(
+      { accountType, accountId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+}
+
+module.exports = new RefreshTokenRepository();
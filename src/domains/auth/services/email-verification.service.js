@@ -0,0 +1,250 @@
+/**
+ * Email Verification Service
+ * Kirim & konfirmasi kode verifikasi email (6 digit) untuk users dan architects
+ */
+
+const { emailVerificationCodeRepository } = require('../repositories');
+const { userRepository } = require('../../users/repositories');
+const { architectRepository } = require('../../architects/repositories');
+
+const TokenGeneratorService = require('../../../common/services/token-generator.service');
+const emailService = require('../../../common/services/email.service');
+
+const {
+  ValidationError,
+  BadRequestError,
+  TooManyRequestsError,
+} = require('../../../errors/app-errors');
+
+const ACCOUNT_TYPES = {
+  USER: {
+    repository: userRepository,
+    getName: (account) => account.fullName,
+    verifyPath: '/verify-email',
+  },
+  ARCHITECT: {
+    repository: architectRepository,
+    getName: (account) => account.name,
+    verifyPath: '/architect/verify-email',
+  },
+};
+
+class EmailVerificationService {
+  /**
+   * Get account config by type
+   * @param {String} accountType - USER | ARCHITECT
+   * @returns {Object} - Account config
+   */
+  getAccountConfig(accountType) {
+    const config = ACCOUNT_TYPES[accountType];
+
+    if (!config) {
+      throw new BadRequestError(`Unsupported account type: ${accountType}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Cek apakah fitur tertentu wajib email terverifikasi
+   * @returns {Boolean} - True jika EMAIL_VERIFICATION_REQUIRED=true
+   */
+  isVerificationRequired() {
+    return process.env.EMAIL_VERIFICATION_REQUIRED === 'true';
+  }
+
+  /**
+   * Hash kode verifikasi (di-scope ke akun agar kode 6 digit tidak bentrok)
+   * @param {String} accountId - Account ID
+   * @param {String} code - Kode 6 digit
+   * @returns {String} - Hex digest
+   */
+  hashCode(accountId, code) {
+    return TokenGeneratorService.hashToken(`${accountId}:${code}`);
+  }
+
+  /**
+   * Get code expiry date
+   * @returns {Date} - Expiry date (default 30 menit dari sekarang)
+   */
+  getExpiryDate() {
+    const minutes = parseInt(process.env.EMAIL_VERIFICATION_EXPIRY_MINUTES) || 30;
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Generate kode baru dan kirim ke email akun
+   * Kode lama otomatis tidak berlaku
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {Object} account - User / Architect record
+   * @returns {Promise<Object>} - { expiresAt }
+   */
+  async sendVerification(accountType, account) {
+    const config = this.getAccountConfig(accountType);
+
+    await emailVerificationCodeRepository.invalidateAllForAccount(accountType, account.id);
+
+    const code = TokenGeneratorService.generateVerificationCode();
+    const expiresAt = this.getExpiryDate();
+
+    await emailVerificationCodeRepository.create({
+      accountType,
+      accountId: account.id,
+      codeHash: this.hashCode(account.id, code),
+      expiresAt,
+    });
+
+    const params = new URLSearchParams({ email: account.email, code });
+    const verifyUrl = `${process.env.FRONTEND_URL}${config.verifyPath}?${params.toString()}`;
+
+    await emailService.sendVerificationEmail(
+      { email: account.email, name: config.getName(account) },
+      code,
+      verifyUrl,
+      expiresAt
+    );
+
+    console.log('✅ Verification email sent:', account.email);
+
+    return { expiresAt };
+  }
+
+  /**
+   * Rate limit resend: cooldown antar kiriman + maksimal kiriman per jam
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {String} accountId - Account ID
+   * @throws {TooManyRequestsError} - Jika melebihi batas
+   */
+  async assertResendAllowed(accountType, accountId) {
+    const cooldownSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+    const maxPerHour = parseInt(process.env.EMAIL_VERIFICATION_MAX_RESEND_PER_HOUR) || 5;
+
+    const latest = await emailVerificationCodeRepository.findLatest(accountType, accountId);
+
+    if (latest) {
+      const elapsedSeconds = (Date.now() - new Date(latest.createdAt).getTime()) / 1000;
+
+      if (elapsedSeconds < cooldownSeconds) {
+        const waitSeconds = Math.ceil(cooldownSeconds - elapsedSeconds);
+        throw new TooManyRequestsError(
+          `Please wait ${waitSeconds} seconds before requesting a new code`
+        );
+      }
+    }
+
+    const sentLastHour = await emailVerificationCodeRepository.countCreatedSince(
+      accountType,
+      accountId,
+      new Date(Date.now() - 60 * 60 * 1000)
+    );
+
+    if (sentLastHour >= maxPerHour) {
+      throw new TooManyRequestsError('Too many verification emails requested. Please try again later');
+    }
+  }
+
+  /**
+   * Resend kode verifikasi (selalu mengembalikan pesan generik)
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {String} email - Account email
+   * @returns {Promise<Object>} - Result
+   */
+  async resendVerification(accountType, email) {
+    try {
+      if (!email) {
+        throw new ValidationError('Email is required');
+      }
+
+      const config = this.getAccountConfig(accountType);
+      const account = await config.repository.findByEmail(email);
+
+      // Respons sama untuk email tidak terdaftar, sudah terverifikasi, atau kena rate limit
+      // (seperti requestReset) supaya endpoint ini tidak bisa dipakai mengecek email terdaftar
+      if (account && !account.emailVerified) {
+        try {
+          await this.assertResendAllowed(accountType, account.id);
+          await this.sendVerification(accountType, account);
+        } catch (error) {
+          if (!(error instanceof TooManyRequestsError)) throw error;
+          console.warn('⚠️ Verification resend rate limited:', account.email);
+        }
+      }
+
+      return {
+        success: true,
+        message: 'If the email is registered, a new verification code has been sent',
+      };
+    } catch (error) {
+      console.error('❌ Failed to resend verification:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Konfirmasi email menggunakan kode
+   * @param {String} accountType - USER | ARCHITECT
+   * @param {Object} confirmData - { email, code }
+   * @returns {Promise<Object>} - Result
+   */
+  async confirm(accountType, confirmData) {
+    try {
+      const { email, code } = confirmData;
+
+      if (!email || !code) {
+        throw new ValidationError('Email and verification code are required');
+      }
+
+      const config = this.getAccountConfig(accountType);
+      const account = await config.repository.findByEmail(email);
+
+      if (!account) {
+        throw new BadRequestError('Invalid or expired verification code');
+      }
+
+      if (account.emailVerified) {
+        return {
+          success: true,
+          message: 'Email already verified',
+        };
+      }
+
+      const verification = await emailVerificationCodeRepository.findLatestActive(
+        accountType,
+        account.id
+      );
+
+      if (!verification) {
+        throw new BadRequestError('Invalid or expired verification code');
+      }
+
+      const maxAttempts = parseInt(process.env.EMAIL_VERIFICATION_MAX_ATTEMPTS) || 5;
+
+      if (verification.codeHash !== this.hashCode(account.id, String(code).trim())) {
+        const updated = await emailVerificationCodeRepository.incrementAttempts(verification.id);
+
+        // Terlalu banyak percobaan: kode dimatikan, user harus minta kode baru
+        if (updated.attempts >= maxAttempts) {
+          await emailVerificationCodeRepository.invalidateAllForAccount(accountType, account.id);
+          throw new TooManyRequestsError('Too many invalid attempts. Please request a new code');
+        }
+
+        throw new BadRequestError('Invalid or expired verification code');
+      }
+
+      await config.repository.verifyEmail(account.id);
+      await emailVerificationCodeRepository.invalidateAllForAccount(accountType, account.id);
+
+      console.log('✅ Email verified:', account.email);
+
+      return {
+        success: true,
+        message: 'Email verified successfully',
+      };
+    } catch (error) {
+      console.error('❌ Failed to verify email:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,14 @@
+/**
+ * Auth Services Index
+ * Central export untuk semua auth services
+ */
+
+const passwordResetService = require('./password-reset.service');
+const emailVerificationService = require('./email-verification.service');
+const sessionService = require('./session.service');
+
+module.exports = {
+  passwordResetService,
+  emailVerificationService,
+  sessionService,
+};
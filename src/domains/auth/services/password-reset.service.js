@@ -0,0 +1,188 @@
+/**
+ * Password Reset Service
+ * Handle forgot password & reset password untuk users, architects, dan admins
+ */
+
+const { passwordResetTokenRepository } = require('../repositories');
+const sessionService = require('./session.service');
+const { userRepository } = require('../../users/repositories');
+const { architectRepository } = require('../../architects/repositories');
+const { adminRepository } = require('../../admins/repositories');
+
+const PasswordHasher = require('../../../utils/password-hasher');
+const TokenGeneratorService = require('../../../common/services/token-generator.service');
+const emailService = require('../../../common/services/email.service');
+
+const { ValidationError, BadRequestError } = require('../../../errors/app-errors');
+
+const ACCOUNT_TYPES = {
+  USER: {
+    repository: userRepository,
+    getName: (account) => account.fullName,
+    resetPath: '/reset-password',
+  },
+  ARCHITECT: {
+    repository: architectRepository,
+    getName: (account) => account.name,
+    resetPath: '/architect/reset-password',
+  },
+  ADMIN: {
+    repository: adminRepository,
+    getName: (account) => account.fullName,
+    resetPath: '/admin/reset-password',
+  },
+};
+
+class PasswordResetService {
+  /**
+   * Get account config by type
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @returns {Object} - Account config
+   */
+  getAccountConfig(accountType) {
+    const config = ACCOUNT_TYPES[accountType];
+
+    if (!config) {
+      throw new BadRequestError(`Unsupported account type: ${accountType}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Get token expiry date
+   * @returns {Date} - Expiry date (default 60 menit dari sekarang)
+   */
+  getExpiryDate() {
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 60;
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Request password reset (forgot password)
+   * Response selalu sama walaupun email tidak terdaftar (hindari email enumeration)
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} email - Account email
+   * @returns {Promise<Object>} - Result
+   */
+  async requestReset(accountType, email) {
+    try {
+      if (!email) {
+        throw new ValidationError('Email is required');
+      }
+
+      const config = this.getAccountConfig(accountType);
+      const account = await config.repository.findByEmail(email);
+
+      if (account) {
+        // Hanya satu token aktif per akun
+        await passwordResetTokenRepository.invalidateAllForAccount(accountType, account.id);
+
+        const token = TokenGeneratorService.generateSecureToken();
+        const expiresAt = this.getExpiryDate();
+
+        await passwordResetTokenRepository.create({
+          accountType,
+          accountId: account.id,
+          tokenHash: TokenGeneratorService.hashToken(token),
+          expiresAt,
+        });
+
+        const resetUrl = `${process.env.FRONTEND_URL}${config.resetPath}?token=${token}`;
+
+        try {
+          await emailService.sendPasswordResetEmail(
+            { email: account.email, name: config.getName(account) },
+            resetUrl,
+            expiresAt
+          );
+          console.log('✅ Password reset email sent:', account.email);
+        } catch (emailError) {
+          console.error('⚠️ Failed to send password reset email:', emailError.message);
+        }
+      }
+
+      return {
+        success: true,
+        message: 'If the email is registered, a password reset link has been sent',
+      };
+    } catch (error) {
+      console.error('❌ Failed to request password reset:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset password menggunakan token dari email
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {Object} resetData - { token, newPassword }
+   * @returns {Promise<Object>} - Result
+   */
+  async resetPassword(accountType, resetData) {
+    try {
+      const { token, newPassword } = resetData;
+
+      if (!token || !newPassword) {
+        throw new ValidationError('Token and new password are required');
+      }
+
+      const config = this.getAccountConfig(accountType);
+
+      const resetToken = await passwordResetTokenRepository.findActiveByHash(
+        TokenGeneratorService.hashToken(token)
+      );
+
+      if (!resetToken || resetToken.accountType !== accountType) {
+        throw new BadRequestError('Invalid or expired reset token');
+      }
+
+      const passwordValidation = PasswordHasher.validatePasswordStrength(newPassword);
+      if (!passwordValidation.isValid) {
+        throw new ValidationError(
+          'Password does not meet requirements',
+          passwordValidation.errors.map((err) => ({ field: 'newPassword', message: err }))
+        );
+      }
+
+      const account = await config.repository.findByIdOrFail(resetToken.accountId);
+
+      // Token dipakai sekali: request paralel dengan token yang sama hanya satu yang lolos
+      const consumed = await passwordResetTokenRepository.consume(resetToken.id);
+      if (!consumed) {
+        throw new BadRequestError('Invalid or expired reset token');
+      }
+
+      const hashedPassword = await PasswordHasher.hash(newPassword);
+      await config.repository.update(account.id, { password: hashedPassword });
+
+      // Invalidate token lain milik akun ini
+      await this.invalidateTokens(accountType, account.id);
+
+      // Logout dari semua device setelah password direset
+      await sessionService.revokeAllSessions(accountType, account.id, 'PASSWORD_RESET');
+
+      console.log('✅ Password reset:', account.email);
+
+      return {
+        success: true,
+        message: 'Password reset successfully',
+      };
+    } catch (error) {
+      console.error('❌ Failed to reset password:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Invalidate semua reset token milik akun
+   * Dipanggil setelah reset / change password
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @returns {Promise<Object>} - { count }
+   */
+  async invalidateTokens(accountType, accountId) {
+    return await passwordResetTokenRepository.invalidateAllForAccount(accountType, accountId);
+  }
+}
+
+module.exports = new PasswordResetService();
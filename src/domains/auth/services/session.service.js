@@ -0,0 +1,194 @@
+/**
+ * Session Service
+ * Refresh token rotation & server-side revocation untuk users, architects, dan admins
+ *
+ * Setiap login membuat satu "family" (session per device). Setiap /refresh-token
+ * menukar token lama dengan token baru dalam family yang sama. Jika token yang
+ * sudah dirotasi dipakai lagi, seluruh family dicabut (kemungkinan token dicuri).
+ */
+
+const crypto = require('crypto');
+
+const { refreshTokenRepository } = require('../repositories');
+
+const JWTHelper = require('../../../utils/jwt-helper');
+
+const { AuthenticationError } = require('../../../errors/app-errors');
+
+class SessionService {
+  /**
+   * Get refresh token lifetime (hari)
+   * @returns {Number} - Jumlah hari (default 7)
+   */
+  getExpiryDays() {
+    return parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 7;
+  }
+
+  /**
+   * Simpan refresh token baru dan generate JWT-nya
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @param {String} familyId - Family ID (session)
+   * @param {Object} context - { userAgent, ipAddress }
+   * @param {String} jti - jti yang sudah disiapkan (optional)
+   * @returns {Promise<String>} - Refresh token (JWT)
+   */
+  async issueToken(accountType, accountId, familyId, context = {}, jti = crypto.randomUUID()) {
+    const days = this.getExpiryDays();
+
+    await refreshTokenRepository.create({
+      id: jti,
+      accountType,
+      accountId,
+      familyId,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      userAgent: context.userAgent || null,
+      ipAddress: context.ipAddress || null,
+    });
+
+    return JWTHelper.generateRefreshToken(
+      { id: accountId, jti, sessionId: familyId },
+      `${days}d`
+    );
+  }
+
+  /**
+   * Buat session baru (saat login / register)
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - { sessionId, refreshToken }
+   */
+  async createSession(accountType, accountId, context = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = await this.issueToken(accountType, accountId, sessionId, context);
+
+    return { sessionId, refreshToken };
+  }
+
+  /**
+   * Rotasi refresh token
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} refreshToken - Refresh token lama
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - { accountId, sessionId, refreshToken }
+   * @throws {AuthenticationError} - Token invalid, dicabut, atau dipakai ulang
+   */
+  async rotate(accountType, refreshToken, context = {}) {
+    if (!refreshToken) {
+      throw new AuthenticationError('Refresh token is required');
+    }
+
+    const decoded = JWTHelper.verifyToken(refreshToken);
+
+    if (decoded.type !== 'refresh' || !decoded.jti) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    const current = await refreshTokenRepository.findById(decoded.jti);
+
+    if (!current || current.accountType !== accountType || current.accountId !== decoded.id) {
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (current.revokedAt) {
+      if (current.revokedReason === 'ROTATED') {
+        await this.handleReuse(current);
+      }
+
+      throw new AuthenticationError('Session has been revoked. Please login again');
+    }
+
+    if (new Date(current.expiresAt) <= new Date()) {
+      throw new AuthenticationError('Refresh token has expired');
+    }
+
+    const nextJti = crypto.randomUUID();
+    const rotated = await refreshTokenRepository.markRotated(current.id, nextJti);
+
+    // Request lain sudah merotasi token ini lebih dulu = reuse
+    if (!rotated) {
+      await this.handleReuse(current);
+    }
+
+    const newRefreshToken = await this.issueToken(
+      accountType,
+      current.accountId,
+      current.familyId,
+      context,
+      nextJti
+    );
+
+    return {
+      accountId: current.accountId,
+      sessionId: current.familyId,
+      refreshToken: newRefreshToken,
+    };
+  }
+
+  /**
+   * Token yang sudah dirotasi dipakai lagi: cabut seluruh family
+   * @param {Object} token - RefreshToken record
+   * @throws {AuthenticationError} - Selalu
+   */
+  async handleReuse(token) {
+    await refreshTokenRepository.revokeFamily(token.familyId, 'REUSE_DETECTED');
+
+    console.warn('⚠️ Refresh token reuse detected:', {
+      accountType: token.accountType,
+      accountId: token.accountId,
+      familyId: token.familyId,
+    });
+
+    throw new AuthenticationError('Refresh token reuse detected. Please login again');
+  }
+
+  /**
+   * Cabut session saat ini (logout dari satu device)
+   * Session diambil dari `sid` access token, atau dari refresh token jika dikirim
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @param {Object} options - { sessionId, refreshToken }
+   * @returns {Promise<Number>} - Jumlah token yang dicabut
+   */
+  async revokeSession(accountType, accountId, { sessionId = null, refreshToken = null } = {}) {
+    let familyId = sessionId;
+
+    if (!familyId && refreshToken) {
+      const decoded = JWTHelper.decodeToken(refreshToken);
+      familyId = decoded?.sid || null;
+    }
+
+    if (!familyId) {
+      return 0;
+    }
+
+    const result = await refreshTokenRepository.revokeFamilyForAccount(
+      accountType,
+      accountId,
+      familyId,
+      'LOGOUT'
+    );
+
+    return result.count;
+  }
+
+  /**
+   * Cabut semua session milik akun (logout dari semua device)
+   * @param {String} accountType - USER | ARCHITECT | ADMIN
+   * @param {String} accountId - Account ID
+   * @param {String} reason - TokenRevokeReason (default LOGOUT_ALL)
+   * @returns {Promise<Number>} - Jumlah token yang dicabut
+   */
+  async revokeAllSessions(accountType, accountId, reason = 'LOGOUT_ALL') {
+    const result = await refreshTokenRepository.revokeAllForAccount(
+      accountType,
+      accountId,
+      reason
+    );
+
+    return result.count;
+  }
+}
+
+module.exports = new SessionService();
@@ -5,6 +5,8 @@
 
 const { userAuthService } = require('../services');
 const ResponseFormatter = require('../../../utils/response-formatter');
+const RequestContext = require('../../../utils/request-context');
+const { passwordResetService, emailVerificationService } = require('../../auth/services');
 
 class UserAuthController {
   /**
@@ -22,7 +24,11 @@ class UserAuthController {
         fullName: req.body.fullName,
       };
 
-      const result = await userAuthService.register(registrationData, file);
+      const result = await userAuthService.register(
+        registrationData,
+        file,
+        RequestContext.fromRequest(req)
+      );
       return ResponseFormatter.created(res, result.data, result.message);
     } catch (error) {
       next(error);
@@ -38,7 +44,10 @@ class UserAuthController {
     try {
       const { identifier, password } = req.body;
 
-      const result = await userAuthService.login({ identifier, password });
+      const result = await userAuthService.login(
+        { identifier, password },
+        RequestContext.fromRequest(req)
+      );
 
       return ResponseFormatter.success(res, result.data, result.message);
     } catch (error) {
@@ -110,7 +119,10 @@ class UserAuthController {
     try {
       const { refreshToken } = req.body;
 
-      const result = await userAuthService.refreshAccessToken(refreshToken);
+      const result = await userAuthService.refreshAccessToken(
+        refreshToken,
+        RequestContext.fromRequest(req)
+      );
 
       return ResponseFormatter.success(res, result.data, 'Token refreshed successfully');
     } catch (error) {
@@ -127,7 +139,10 @@ class UserAuthController {
     try {
       const userId = req.user.id; // From JWT token
 
-      const result = await userAuthService.logout(userId);
+      const result = await userAuthService.logout(userId, {
+        sessionId: req.user.sid,
+        refreshToken: req.body?.refreshToken,
+      });
 
       return ResponseFormatter.success(res, null, result.message);
     } catch (error) {
@@ -135,6 +150,23 @@ class UserAuthController {
     }
   }
 
+  /**
+   * Logout All Devices
+   * POST /api/users/auth/logout-all
+   * Protected - Requires JWT token
+   */
+  async logoutAll(req, res, next) {
+    try {
+      const userId = req.user.id; // From JWT token
+
+      const result = await userAuthService.logoutAll(userId);
+
+      return ResponseFormatter.success(res, result.data, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get Current User Info (from token)
    * GET /api/users/auth/me
@@ -155,13 +187,57 @@ class UserAuthController {
   /**
    * Verify Email
    * POST /api/users/auth/verify-email
-   * Protected - Requires JWT token
+   * Body: { email, code }
    */
   async verifyEmail(req, res, next) {
     try {
-      const userId = req.user.id; // From JWT token
+      const { email, code } = req.body;
+
+      const result = await emailVerificationService.confirm('USER', { email, code });
+
+      return ResponseFormatter.success(res, null, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Resend Verification Code
+   * POST /api/users/auth/resend-verification
+   */
+  async resendVerification(req, res, next) {
+    try {
+      const result = await emailVerificationService.resendVerification('USER', req.body.email);
+
+      return ResponseFormatter.success(res, null, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Forgot Password
+   * POST /api/users/auth/forgot-password
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const result = await passwordResetService.requestReset('USER', req.body.email);
+
+      return ResponseFormatter.success(res, null, result.message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reset Password
+   * POST /api/users/auth/reset-password
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
 
-      const result = await userAuthService.verifyEmail(userId);
+      const result = await passwordResetService.resetPassword('USER', { token, newPassword });
 
       return ResponseFormatter.success(res, null, result.message);
     } catch (error) {
@@ -34,6 +34,20 @@ router.post('/auth/login', userAuthController.login);
  */
 router.post('/auth/refresh-token', userAuthController.refreshToken);
 
+/**
+ * @route   POST /api/users/auth/forgot-password
+ * @desc    Request password reset link via email
+ * @access  Public
+ */
+router.post('/auth/forgot-password', userAuthController.forgotPassword);
+
+/**
+ * @route   POST /api/users/auth/reset-password
+ * @desc    Reset password using token from email
+ * @access  Public
+ */
+router.post('/auth/reset-password', userAuthController.resetPassword);
+
 /**
  * @route   GET /api/users/auth/profile
  * @desc    Get user profile
@@ -79,10 +93,24 @@ router.post(
 router.post('/auth/logout', authMiddleware.verifyUser, userAuthController.logout);
 
 /**
- * @route   POST /api/users/auth/verify-email
- * @desc    Verify user email
+ * @route   POST /api/users/auth/logout-all
+ * @desc    Logout from all devices (revoke all sessions)
  * @access  Private (Users only)
  */
-router.post('/auth/verify-email', authMiddleware.verifyUser, userAuthController.verifyEmail);
+router.post('/auth/logout-all', authMiddleware.verifyUser, userAuthController.logoutAll);
+
+/**
+ * @route   POST /api/users/auth/verify-email
+ * @desc    Verify user email with code from email
+ * @access  Public
+ */
+router.post('/auth/verify-email', userAuthController.verifyEmail);
+
+/**
+ * @route   POST /api/users/auth/resend-verification
+ * @desc    Resend email verification code (rate-limited)
+ * @access  Public
+ */
+router.post('/auth/resend-verification', userAuthController.resendVerification);
 
 module.exports = router;
\ No newline at end of file
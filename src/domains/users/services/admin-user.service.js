@@ -1,7 +1,9 @@
 // src/domains/users/services/admin-user.service.js
 const { userRepository } = require('../repositories');
+const { passwordResetService } = require('../../auth/services');
 const PasswordHasher = require('../../../utils/password-hasher');
 const FileUploadHelper = require('../../../utils/file-upload-helper');
+const { userSerializer } = require('../../../common/serializers');
 const { ValidationError, NotFoundError } = require('../../../errors/app-errors');
 
 class AdminUserService {
@@ -9,28 +11,18 @@ class AdminUserService {
         const p = Number(page) || 1;
         const l = Number(limit) || 12;
 
-        if (search && search.trim()) {
-            return await userRepository.search(search.trim(), { page: p, limit: l });
-        }
+        // search tidak pakai select, jadi tetap lewat serializer supaya password tidak ikut
+        const result = search && search.trim()
+            ? await userRepository.search(search.trim(), { page: p, limit: l })
+            : await userRepository.findUsers({ page: p, limit: l });
 
-        return await userRepository.findUsers({ page: p, limit: l });
+        return userSerializer.page(result, 'admin');
     }
 
     async detail(id) {
         const user = await userRepository.findByIdOrFail(id);
 
-        // samakan format dengan service userAuth (pakai FileUploadHelper.getFileUrl)
-        return {
-            id: user.id,
-            email: user.email,
-            username: user.username,
-            fullName: user.fullName,
-            profilePictureUrl: user.profilePictureUrl ? FileUploadHelper.getFileUrl(user.profilePictureUrl) : null,
-            emailVerified: user.emailVerified,
-            emailVerifiedAt: user.emailVerifiedAt,
-            createdAt: user.createdAt,
-            updatedAt: user.updatedAt,
-        };
+        return userSerializer.serialize(user, 'admin');
     }
 
     async create(payload, file = null) {
@@ -79,6 +71,7 @@ class AdminUserService {
         }
 
         await userRepository.updateProfile(id, updateData);
+        if (updateData.password) await passwordResetService.invalidateTokens('USER', id);
         return await this.detail(id);
     }
 
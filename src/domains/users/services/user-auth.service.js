@@ -4,10 +4,16 @@
  */
 
 const { userRepository } = require('../repositories');
+const {
+  passwordResetService,
+  emailVerificationService,
+  sessionService,
+} = require('../../auth/services');
 
 const PasswordHasher = require('../../../utils/password-hasher');
 const JWTHelper = require('../../../utils/jwt-helper');
 const FileUploadHelper = require('../../../utils/file-upload-helper');
+const { userSerializer } = require('../../../common/serializers');
 
 const {
   ValidationError,
@@ -21,9 +27,11 @@ class UserAuthService {
   /**
    * Register new user
    * @param {Object} registrationData - Registration data
+   * @param {Object} file - Uploaded profile picture (optional)
+   * @param {Object} context - { userAgent, ipAddress } untuk session
    * @returns {Promise<Object>} - Registration result
    */
-  async register(registrationData) {
+  async register(registrationData, file = null, context = {}) {
     try {
       // Validate input
       this.validateRegistrationData(registrationData);
@@ -64,31 +72,33 @@ class UserAuthService {
 
       console.log('✅ User created:', user.id);
 
-      // Generate tokens
+      // Send email verification code
+      try {
+        await emailVerificationService.sendVerification('USER', user);
+      } catch (error) {
+        console.error('❌ Failed to send verification email:', error.message);
+      }
+
+      // Generate tokens (refresh token disimpan sebagai session)
+      const { sessionId, refreshToken } = await sessionService.createSession(
+        'USER',
+        user.id,
+        context
+      );
+
       const accessToken = JWTHelper.generateAccessToken({
         id: user.id,
         email: user.email,
         username: user.username,
         role: 'USER',
-      });
-
-      const refreshToken = JWTHelper.generateRefreshToken({
-        id: user.id,
-        email: user.email,
+        sessionId,
       });
 
       return {
         success: true,
         message: 'Registration successful',
         data: {
-          user: {
-            id: user.id,
-            email: user.email,
-            username: user.username,
-            fullName: user.fullName,
-            profilePictureUrl: user.profilePictureUrl,
-            emailVerified: user.emailVerified,
-          },
+          user: userSerializer.serialize(user, 'owner'),
           tokens: {
             accessToken,
             refreshToken,
@@ -149,9 +159,10 @@ class UserAuthService {
   /**
    * Login user
    * @param {Object} credentials - { identifier, password } (identifier can be email or username)
+   * @param {Object} context - { userAgent, ipAddress } untuk session
    * @returns {Promise<Object>} - Login result with tokens
    */
-  async login(credentials) {
+  async login(credentials, context = {}) {
     try {
       const { identifier, password } = credentials;
 
@@ -174,17 +185,19 @@ class UserAuthService {
         throw new AuthenticationError('Invalid email/username or password');
       }
 
-      // Generate tokens
+      // Generate tokens (refresh token disimpan sebagai session)
+      const { sessionId, refreshToken } = await sessionService.createSession(
+        'USER',
+        user.id,
+        context
+      );
+
       const accessToken = JWTHelper.generateAccessToken({
         id: user.id,
         email: user.email,
         username: user.username,
         role: 'USER',
-      });
-
-      const refreshToken = JWTHelper.generateRefreshToken({
-        id: user.id,
-        email: user.email,
+        sessionId,
       });
 
       console.log('✅ User logged in:', user.email);
@@ -193,14 +206,7 @@ class UserAuthService {
         success: true,
         message: 'Login successful',
         data: {
-          user: {
-            id: user.id,
-            email: user.email,
-            username: user.username,
-            fullName: user.fullName,
-            profilePictureUrl: user.profilePictureUrl,
-            emailVerified: user.emailVerified,
-          },
+          user: userSerializer.serialize(user, 'owner'),
           tokens: {
             accessToken,
             refreshToken,
@@ -222,19 +228,7 @@ class UserAuthService {
     try {
       const user = await userRepository.findByIdOrFail(userId);
 
-      return {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        fullName: user.fullName,
-        profilePictureUrl: user.profilePictureUrl
-          ? FileUploadHelper.getFileUrl(user.profilePictureUrl)
-          : null,
-        emailVerified: user.emailVerified,
-        emailVerifiedAt: user.emailVerifiedAt,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt,
-      };
+      return userSerializer.serialize(user, 'owner');
     } catch (error) {
       console.error('❌ Failed to get profile:', error.message);
       throw error;
@@ -330,6 +324,9 @@ class UserAuthService {
         password: hashedPassword,
       });
 
+      // Invalidate reset token yang masih aktif
+      await passwordResetService.invalidateTokens('USER', userId);
+
       console.log('✅ Password changed:', user.email);
 
       return {
@@ -343,25 +340,18 @@ class UserAuthService {
   }
 
   /**
-   * Refresh access token
+   * Refresh access token (rotasi refresh token)
    * @param {String} refreshToken - Refresh token
-   * @returns {Promise<Object>} - New access token
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Promise<Object>} - New access token & refresh token
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, context = {}) {
     try {
-      if (!refreshToken) {
-        throw new AuthenticationError('Refresh token is required');
-      }
-
-      // Verify refresh token
-      const decoded = JWTHelper.verifyToken(refreshToken);
-
-      if (decoded.type !== 'refresh') {
-        throw new AuthenticationError('Invalid refresh token');
-      }
+      // Rotate refresh token (token lama tidak bisa dipakai lagi)
+      const rotated = await sessionService.rotate('USER', refreshToken, context);
 
       // Get user
-      const user = await userRepository.findByIdOrFail(decoded.id);
+      const user = await userRepository.findByIdOrFail(rotated.accountId);
 
       // Generate new access token
       const newAccessToken = JWTHelper.generateAccessToken({
@@ -369,12 +359,14 @@ class UserAuthService {
         email: user.email,
         username: user.username,
         role: 'USER',
+        sessionId: rotated.sessionId,
       });
 
       return {
         success: true,
         data: {
           accessToken: newAccessToken,
+          refreshToken: rotated.refreshToken,
         },
       };
     } catch (error) {
@@ -384,15 +376,14 @@ class UserAuthService {
   }
 
   /**
-   * Logout (optional - for token blacklist implementation)
+   * Logout - revoke session (refresh token) device ini
    * @param {String} userId - User ID
+   * @param {Object} options - { sessionId, refreshToken }
    * @returns {Promise<Object>} - Result
    */
-  async logout(userId) {
+  async logout(userId, options = {}) {
     try {
-      // TODO: Implement token blacklist if needed
-      // For now, just return success
-      // Client should delete token from storage
+      await sessionService.revokeSession('USER', userId, options);
 
       console.log('✅ User logged out:', userId);
 
@@ -407,22 +398,23 @@ class UserAuthService {
   }
 
   /**
-   * Verify user email
+   * Logout dari semua device
    * @param {String} userId - User ID
    * @returns {Promise<Object>} - Result
    */
-  async verifyEmail(userId) {
+  async logoutAll(userId) {
     try {
-      await userRepository.verifyEmail(userId);
+      const revokedCount = await sessionService.revokeAllSessions('USER', userId);
 
-      console.log('✅ Email verified:', userId);
+      console.log('✅ User logged out from all devices:', userId);
 
       return {
         success: true,
-        message: 'Email verified successfully',
+        message: 'Logged out from all devices successfully',
+        data: { revokedCount },
       };
     } catch (error) {
-      console.error('❌ Failed to verify email:', error.message);
+      console.error('❌ Logout all failed:', error.message);
       throw error;
     }
   }
@@ -1,22 +1,48 @@
 const ResponseFormatter = require("../../../utils/response-formatter");
 const viewService = require("../services/view.service");
+const RequestContext = require("../../../utils/request-context");
+const VisitorFingerprint = require("../../../utils/visitor-fingerprint");
+
+// hanya token USER yang masuk counter Viewed*; tanpa token / role lain dihitung sebagai anonim
+const isUserViewer = (user) => String(user?.role || "").toUpperCase() === "USER";
 
 class ViewController {
     // POST /views/arsipedia/:arsipediaId  (mounted => /api/views/arsipedia/:arsipediaId)
     async trackArsipedia(req, res) {
-        const userId = req.user?.id;
         const { arsipediaId } = req.params;
 
+        if (!isUserViewer(req.user)) {
+            const { visitorHash } = VisitorFingerprint.resolve(req, res);
+            const data = await viewService.recordAnonymousView("ARSIPEDIA", arsipediaId, visitorHash);
+            return ResponseFormatter.success(res, data, "Arsipedia anonymous view recorded");
+        }
+
+        const userId = req.user.id;
         const data = await viewService.incrementArsipediaView(userId, arsipediaId);
         return ResponseFormatter.success(res, data, "Arsipedia view recorded");
     }
 
     // POST /views/architect/:architectId
     async trackArchitect(req, res) {
-        const userId = req.user?.id;
         const { architectId } = req.params;
 
-        const data = await viewService.incrementArchitectView(userId, architectId);
+        if (!isUserViewer(req.user)) {
+            // arsitek yang membuka profilnya sendiri tidak dihitung
+            if (req.user?.id === architectId) {
+                return ResponseFormatter.success(res, { counted: false }, "Self view ignored");
+            }
+
+            const { visitorHash } = VisitorFingerprint.resolve(req, res);
+            const data = await viewService.recordAnonymousView("ARCHITECT_PROFILE", architectId, visitorHash);
+            return ResponseFormatter.success(res, data, "Architect anonymous view recorded");
+        }
+
+        const userId = req.user.id;
+        const data = await viewService.incrementArchitectView(
+            userId,
+            architectId,
+            RequestContext.referrerOf(req)
+        );
         return ResponseFormatter.success(res, data, "Architect view recorded");
     }
 
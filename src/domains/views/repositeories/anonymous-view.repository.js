@@ -0,0 +1,47 @@
+const prisma = require("../../../config/prisma-client");
+
+class AnonymousViewRepository {
+    /**
+     * Catat view anonim dengan dedup window
+     * @param {String} targetType - DESIGN | ARCHITECT_PROFILE | ARSIPEDIA
+     * @param {String} targetId - ID target
+     * @param {String} visitorHash - Hash fingerprint pengunjung
+     * @param {Date} windowStart - View sebelum waktu ini sudah "kadaluarsa" dan boleh dihitung lagi
+     * @returns {Promise<Boolean>} - true kalau view dihitung
+     */
+    async recordView(targetType, targetId, visitorHash, windowStart) {
+        const now = new Date();
+
+        const bumped = await prisma.anonymousView.updateMany({
+            where: { targetType, targetId, visitorHash, lastCountedAt: { lt: windowStart } },
+            data: { viewedCount: { increment: 1 }, lastCountedAt: now },
+        });
+        if (bumped.count > 0) return true;
+
+        try {
+            await prisma.anonymousView.create({
+                data: { targetType, targetId, visitorHash, firstViewedAt: now, lastCountedAt: now },
+            });
+            return true;
+        } catch (error) {
+            // P2002: visitor sudah tercatat dan masih di dalam dedup window
+            if (error?.code === "P2002") return false;
+            throw error;
+        }
+    }
+
+    async getSummary(targetType, targetId) {
+        const agg = await prisma.anonymousView.aggregate({
+            where: { targetType, targetId },
+            _sum: { viewedCount: true },
+            _count: { _all: true },
+        });
+
+        return {
+            totalViews: agg?._sum?.viewedCount ?? 0,
+            uniqueVisitors: agg?._count?._all ?? 0,
+        };
+    }
+}
+
+module.exports = new AnonymousViewRepository();
@@ -0,0 +1,129 @@
+const prisma = require("../../../config/prisma-client");
+
+class ViewAnalyticsRepository {
+    /**
+     * Rekap view events satu hari (UTC) ke view_daily_rollups (idempotent)
+     * @param {Date} dayStart - 00:00 UTC hari yang direkap
+     * @returns {Promise<Object>} - { designRows, profileRows }
+     */
+    async rollupDay(dayStart) {
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+        const [designRows, profileRows] = await prisma.$transaction([
+            prisma.$executeRaw`
+                INSERT INTO "view_daily_rollups" ("id", "date", "targetType", "targetId", "architectId", "views", "updatedAt")
+                SELECT gen_random_uuid()::text, ${dayStart}::date, 'DESIGN'::"ViewTargetType", e."designId", d."architectId", COUNT(*)::int, NOW()
+                FROM "design_view_events" e
+                JOIN "designs" d ON d."id" = e."designId"
+                WHERE e."viewedAt" >= ${dayStart} AND e."viewedAt" < ${dayEnd}
+                GROUP BY e."designId", d."architectId"
+                ON CONFLICT ("targetType", "targetId", "date")
+                DO UPDATE SET "views" = EXCLUDED."views", "updatedAt" = NOW()
+            `,
+            prisma.$executeRaw`
+                INSERT INTO "view_daily_rollups" ("id", "date", "targetType", "targetId", "architectId", "views", "updatedAt")
+                SELECT gen_random_uuid()::text, ${dayStart}::date, 'ARCHITECT_PROFILE'::"ViewTargetType", p."architectId", p."architectId", COUNT(*)::int, NOW()
+                FROM "architect_profile_view_events" p
+                WHERE p."viewedAt" >= ${dayStart} AND p."viewedAt" < ${dayEnd}
+                GROUP BY p."architectId"
+                ON CONFLICT ("targetType", "targetId", "date")
+                DO UPDATE SET "views" = EXCLUDED."views", "updatedAt" = NOW()
+            `,
+        ]);
+
+        return { designRows, profileRows };
+    }
+
+    /**
+     * Rollup harian milik arsitek dalam rentang tanggal (inklusif)
+     * @returns {Promise<Array>} - [{ date, targetType, targetId, views }]
+     */
+    async getDailyRollups(architectId, fromDate, toDate) {
+        return prisma.viewDailyRollup.findMany({
+            where: {
+                architectId,
+                date: { gte: fromDate, lte: toDate },
+            },
+            select: { date: true, targetType: true, targetId: true, views: true },
+            orderBy: { date: "asc" },
+        });
+    }
+
+    /**
+     * Jumlah view per hari langsung dari raw events (untuk hari yang belum final direkap cron)
+     * @returns {Promise<Array>} - [{ date, targetType, targetId, views }] (sama dengan getDailyRollups)
+     */
+    async getDailyViewCounts(architectId, from, toExclusive) {
+        return prisma.$queryRaw`
+            SELECT date_trunc('day', e."viewedAt")::date AS "date", 'DESIGN' AS "targetType",
+                e."designId" AS "targetId", COUNT(*)::int AS "views"
+            FROM "design_view_events" e
+            JOIN "designs" d ON d."id" = e."designId"
+            WHERE d."architectId" = ${architectId}
+                AND e."viewedAt" >= ${from} AND e."viewedAt" < ${toExclusive}
+            GROUP BY 1, e."designId"
+            UNION ALL
+            SELECT date_trunc('day', p."viewedAt")::date, 'ARCHITECT_PROFILE', p."architectId", COUNT(*)::int
+            FROM "architect_profile_view_events" p
+            WHERE p."architectId" = ${architectId}
+                AND p."viewedAt" >= ${from} AND p."viewedAt" < ${toExclusive}
+            GROUP BY 1, p."architectId"
+        `;
+    }
+
+    /**
+     * Unique viewers (profil + semua design) per periode, dihitung dari raw events
+     * @param {String} granularity - "day" | "week" (date_trunc, minggu mulai Senin)
+     * @returns {Promise<Array>} - [{ period, uniqueViewers }]
+     */
+    async getUniqueViewersByPeriod(architectId, from, toExclusive, granularity) {
+        return prisma.$queryRaw`
+            SELECT date_trunc(${granularity}, v."viewedAt")::date AS "period",
+                COUNT(DISTINCT v."viewer")::int AS "uniqueViewers"
+            FROM (
+                SELECT e."viewedAt", e."viewerType"::text || ':' || e."viewerId" AS "viewer"
+                FROM "design_view_events" e
+                JOIN "designs" d ON d."id" = e."designId"
+                WHERE d."architectId" = ${architectId}
+                    AND e."viewedAt" >= ${from} AND e."viewedAt" < ${toExclusive}
+                UNION ALL
+                SELECT p."viewedAt", p."viewerType"::text || ':' || p."viewerId"
+                FROM "architect_profile_view_events" p
+                WHERE p."architectId" = ${architectId}
+                    AND p."viewedAt" >= ${from} AND p."viewedAt" < ${toExclusive}
+            ) v
+            GROUP BY 1
+        `;
+    }
+
+    /**
+     * Unique viewers per design dan untuk profil selama rentang
+     * @returns {Promise<Array>} - [{ targetId, uniqueViewers }] (targetId = architectId untuk profil)
+     */
+    async getUniqueViewersByTarget(architectId, from, toExclusive) {
+        return prisma.$queryRaw`
+            SELECT e."designId" AS "targetId", COUNT(DISTINCT e."viewerType"::text || ':' || e."viewerId")::int AS "uniqueViewers"
+            FROM "design_view_events" e
+            JOIN "designs" d ON d."id" = e."designId"
+            WHERE d."architectId" = ${architectId}
+                AND e."viewedAt" >= ${from} AND e."viewedAt" < ${toExclusive}
+            GROUP BY e."designId"
+            UNION ALL
+            SELECT p."architectId", COUNT(DISTINCT p."viewerType"::text || ':' || p."viewerId")::int
+            FROM "architect_profile_view_events" p
+            WHERE p."architectId" = ${architectId}
+                AND p."viewedAt" >= ${from} AND p."viewedAt" < ${toExclusive}
+            GROUP BY p."architectId"
+        `;
+    }
+
+    async getDesignTitles(architectId) {
+        return prisma.design.findMany({
+            where: { architectId },
+            select: { id: true, title: true },
+            orderBy: { createdAt: "desc" },
+        });
+    }
+}
+
+module.exports = new ViewAnalyticsRepository();
@@ -9,12 +9,19 @@ class ViewRepository {
         });
     }
 
-    async incrementArchitectView(userId, architectId) {
-        return prisma.viewedArsitek.upsert({
-            where: { userId_architectId: { userId, architectId } },
-            create: { userId, architectId, viewedCount: 1 },
-            update: { viewedCount: { increment: 1 } },
-        });
+    // counter kumulatif + event ber-timestamp (untuk analytics) ditulis bersamaan
+    async incrementArchitectView(userId, architectId, referrer = null) {
+        const [counter] = await prisma.$transaction([
+            prisma.viewedArsitek.upsert({
+                where: { userId_architectId: { userId, architectId } },
+                create: { userId, architectId, viewedCount: 1 },
+                update: { viewedCount: { increment: 1 } },
+            }),
+            prisma.architectProfileViewEvent.create({
+                data: { architectId, viewerType: "USER", viewerId: userId, referrer },
+            }),
+        ]);
+        return counter;
     }
 
     async getArsipediaSummary(arsipediaId, userId = null) {
@@ -66,6 +73,14 @@ class ViewRepository {
             myViews,
         };
     }
+
+    // target anonymous view harus ada (anonymous_views tidak punya foreign key ke target)
+    async targetExists(targetType, targetId) {
+        const model = { ARSIPEDIA: prisma.arsipedia, ARCHITECT_PROFILE: prisma.architect, DESIGN: prisma.design }[targetType];
+        if (!model) return false;
+        const count = await model.count({ where: { id: targetId } });
+        return count > 0;
+    }
 }
 
 module.exports = new ViewRepository();
@@ -4,12 +4,12 @@ const router = express.Router();
 const viewController = require("../controllers/view.controller");
 const authMiddleware = require("../../../middlewares/auth.middleware");
 
-// user wajib login untuk "nambah view"
-router.post("/arsipedia/:arsipediaId", authMiddleware.verifyUser, (req, res) =>
+// user login -> counter per user; tanpa login -> anonymous view (fingerprint + dedup window)
+router.post("/arsipedia/:arsipediaId", authMiddleware.optionalAuth, (req, res) =>
     viewController.trackArsipedia(req, res)
 );
 
-router.post("/architect/:architectId", authMiddleware.verifyUser, (req, res) =>
+router.post("/architect/:architectId", authMiddleware.optionalAuth, (req, res) =>
     viewController.trackArchitect(req, res)
 );
 
@@ -0,0 +1,187 @@
+const viewAnalyticsRepository = require("../repositeories/view-analytics.repository");
+const { ValidationError } = require("../../../errors/app-errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ["day", "week"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * View Analytics Service
+ * Time-series views untuk dashboard arsitek.
+ * Jumlah views dari view_daily_rollups (direkap cron tiap jam, UTC); kemarin dan hari ini
+ * masih direkap ulang cron, jadi dihitung langsung dari raw events.
+ * Unique viewers dihitung langsung dari raw events karena tidak bisa dijumlah antar hari.
+ */
+class ViewAnalyticsService {
+    startOfUtcDay(date) {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    }
+
+    // Senin 00:00 UTC (sama dengan date_trunc('week') di PostgreSQL)
+    startOfUtcWeek(date) {
+        const day = this.startOfUtcDay(date);
+        const offset = (day.getUTCDay() + 6) % 7;
+        return new Date(day.getTime() - offset * DAY_MS);
+    }
+
+    periodStart(date, granularity) {
+        return granularity === "week" ? this.startOfUtcWeek(date) : this.startOfUtcDay(date);
+    }
+
+    toKey(date) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+
+    parseDate(value, field) {
+        const date = new Date(value);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(String(value)) || Number.isNaN(date.getTime())) {
+            throw new ValidationError("Validation failed", [
+                { field, message: `${field} must be a date (YYYY-MM-DD)` },
+            ]);
+        }
+        return this.startOfUtcDay(date);
+    }
+
+    /**
+     * Normalisasi query analytics
+     * @param {Object} query - { from, to, granularity }
+     * @returns {Object} - { from, to, toExclusive, granularity }
+     */
+    parseRange(query = {}) {
+        const granularity = String(query.granularity || "day").toLowerCase();
+        if (!GRANULARITIES.includes(granularity)) {
+            throw new ValidationError("Validation failed", [
+                { field: "granularity", message: `granularity must be one of: ${GRANULARITIES.join(", ")}` },
+            ]);
+        }
+
+        const to = query.to ? this.parseDate(query.to, "to") : this.startOfUtcDay(new Date());
+        const from = query.from
+            ? this.parseDate(query.from, "from")
+            : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+        if (from > to) {
+            throw new ValidationError("Validation failed", [
+                { field: "from", message: "from must be before or equal to to" },
+            ]);
+        }
+        if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+            throw new ValidationError("Validation failed", [
+                { field: "from", message: `Range cannot exceed ${MAX_RANGE_DAYS} days` },
+            ]);
+        }
+
+        return { from, to, toExclusive: new Date(to.getTime() + DAY_MS), granularity };
+    }
+
+    listPeriods(from, to, granularity) {
+        const step = granularity === "week" ? 7 * DAY_MS : DAY_MS;
+        const periods = [];
+        for (let t = this.periodStart(from, granularity).getTime(); t <= to.getTime(); t += step) {
+            periods.push(this.toKey(t));
+        }
+        return periods;
+    }
+
+    /**
+     * Analytics views arsitek: profil, per design, unique viewers per periode
+     * @param {String} architectId - Architect ID
+     * @param {Object} query - { from, to, granularity }
+     * @param {Date} now - Waktu sekarang (batas rollup final)
+     * @returns {Promise<Object>} - { range, totals, series, designs }
+     */
+    async getArchitectAnalytics(architectId, query = {}, now = new Date()) {
+        const { from, to, toExclusive, granularity } = this.parseRange(query);
+
+        // Rollup dipakai sampai sebelum kemarin, sisanya dari raw events
+        const yesterday = new Date(this.startOfUtcDay(now).getTime() - DAY_MS);
+        const liveFrom = from > yesterday ? from : yesterday;
+        const rolledUpTo = new Date(liveFrom.getTime() - DAY_MS);
+
+        const [rolledUp, liveCounts, uniqueByPeriod, uniqueByTarget, designs] = await Promise.all([
+            rolledUpTo >= from ? viewAnalyticsRepository.getDailyRollups(architectId, from, rolledUpTo) : [],
+            liveFrom < toExclusive ? viewAnalyticsRepository.getDailyViewCounts(architectId, liveFrom, toExclusive) : [],
+            viewAnalyticsRepository.getUniqueViewersByPeriod(architectId, from, toExclusive, granularity),
+            viewAnalyticsRepository.getUniqueViewersByTarget(architectId, from, toExclusive),
+            viewAnalyticsRepository.getDesignTitles(architectId),
+        ]);
+
+        const periods = this.listPeriods(from, to, granularity);
+        const emptyPeriod = () => ({ profileViews: 0, designViews: 0, uniqueViewers: 0 });
+        const seriesMap = new Map(periods.map((p) => [p, emptyPeriod()]));
+
+        const designMap = new Map(
+            designs.map((d) => [
+                d.id,
+                { designId: d.id, title: d.title, views: 0, uniqueViewers: 0, series: new Map(periods.map((p) => [p, 0])) },
+            ])
+        );
+
+        for (const row of [...rolledUp, ...liveCounts]) {
+            const key = this.toKey(this.periodStart(new Date(row.date), granularity));
+            const bucket = seriesMap.get(key);
+            if (!bucket) continue;
+
+            if (row.targetType === "ARCHITECT_PROFILE") {
+                bucket.profileViews += row.views;
+            } else {
+                bucket.designViews += row.views;
+                const design = designMap.get(row.targetId);
+                if (design) {
+                    design.views += row.views;
+                    design.series.set(key, design.series.get(key) + row.views);
+                }
+            }
+        }
+
+        for (const row of uniqueByPeriod) {
+            const bucket = seriesMap.get(this.toKey(row.period));
+            if (bucket) bucket.uniqueViewers = row.uniqueViewers;
+        }
+
+        let profileUniqueViewers = 0;
+        for (const row of uniqueByTarget) {
+            if (row.targetId === architectId) {
+                profileUniqueViewers = row.uniqueViewers;
+            } else if (designMap.has(row.targetId)) {
+                designMap.get(row.targetId).uniqueViewers = row.uniqueViewers;
+            }
+        }
+
+        const series = periods.map((period) => ({ period, ...seriesMap.get(period) }));
+
+        return {
+            range: { from: this.toKey(from), to: this.toKey(to), granularity },
+            totals: {
+                profileViews: series.reduce((sum, p) => sum + p.profileViews, 0),
+                designViews: series.reduce((sum, p) => sum + p.designViews, 0),
+                profileUniqueViewers,
+            },
+            series,
+            designs: Array.from(designMap.values())
+                .map((d) => ({
+                    ...d,
+                    series: periods.map((period) => ({ period, views: d.series.get(period) })),
+                }))
+                .sort((a, b) => b.views - a.views),
+        };
+    }
+
+    /**
+     * Rekap hari ini dan kemarin (dipanggil cron; hari kemarin diulang supaya
+     * view yang masuk menjelang tengah malam tetap terhitung)
+     * @returns {Promise<Object>} - { days }
+     */
+    async rollupRecentDays(now = new Date()) {
+        const today = this.startOfUtcDay(now);
+        const yesterday = new Date(today.getTime() - DAY_MS);
+
+        await viewAnalyticsRepository.rollupDay(yesterday);
+        await viewAnalyticsRepository.rollupDay(today);
+
+        return { days: [this.toKey(yesterday), this.toKey(today)] };
+    }
+}
+
+module.exports = new ViewAnalyticsService();
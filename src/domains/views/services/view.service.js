@@ -1,20 +1,62 @@
 const viewRepository = require("../repositeories/view.repository");
+const anonymousViewRepository = require("../repositeories/anonymous-view.repository");
+const { NotFoundError } = require("../../../errors/app-errors");
+
+const DEFAULT_ANONYMOUS_DEDUP_MINUTES = 30;
 
 class ViewService {
     incrementArsipediaView(userId, arsipediaId) {
         return viewRepository.incrementArsipediaView(userId, arsipediaId);
     }
 
-    incrementArchitectView(userId, architectId) {
-        return viewRepository.incrementArchitectView(userId, architectId);
+    incrementArchitectView(userId, architectId, referrer = null) {
+        return viewRepository.incrementArchitectView(userId, architectId, referrer);
+    }
+
+    // View anonim dari visitor yang sama dihitung sekali per window (menit, ANONYMOUS_VIEW_DEDUP_MINUTES)
+    getAnonymousDedupWindowMs() {
+        const minutes = Number.parseInt(process.env.ANONYMOUS_VIEW_DEDUP_MINUTES, 10);
+        const safeMinutes = Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_ANONYMOUS_DEDUP_MINUTES;
+        return safeMinutes * 60 * 1000;
+    }
+
+    /**
+     * Catat view pengunjung tanpa login
+     * @param {String} targetType - DESIGN | ARCHITECT_PROFILE | ARSIPEDIA
+     * @param {String} targetId - ID target
+     * @param {String} visitorHash - Hash fingerprint (lihat utils/visitor-fingerprint)
+     * @returns {Promise<Object>} - { counted }
+     * @throws {NotFoundError} - Target tidak ada
+     */
+    async recordAnonymousView(targetType, targetId, visitorHash) {
+        if (!(await viewRepository.targetExists(targetType, targetId))) {
+            throw new NotFoundError("View target not found");
+        }
+
+        const windowStart = new Date(Date.now() - this.getAnonymousDedupWindowMs());
+        const counted = await anonymousViewRepository.recordView(targetType, targetId, visitorHash, windowStart);
+        return { counted };
+    }
+
+    getAnonymousSummary(targetType, targetId) {
+        return anonymousViewRepository.getSummary(targetType, targetId);
     }
 
-    getArsipediaSummary(arsipediaId, userId) {
-        return viewRepository.getArsipediaSummary(arsipediaId, userId);
+    // totalViews / uniqueViewers = user login; anonymous dilaporkan terpisah
+    async getArsipediaSummary(arsipediaId, userId) {
+        const [summary, anonymous] = await Promise.all([
+            viewRepository.getArsipediaSummary(arsipediaId, userId),
+            this.getAnonymousSummary("ARSIPEDIA", arsipediaId),
+        ]);
+        return { ...summary, anonymous };
     }
 
-    getArchitectSummary(architectId, userId) {
-        return viewRepository.getArchitectSummary(architectId, userId);
+    async getArchitectSummary(architectId, userId) {
+        const [summary, anonymous] = await Promise.all([
+            viewRepository.getArchitectSummary(architectId, userId),
+            this.getAnonymousSummary("ARCHITECT_PROFILE", architectId),
+        ]);
+        return { ...summary, anonymous };
     }
 }
 
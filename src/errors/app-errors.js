@@ -101,6 +101,16 @@ class DatabaseError extends AppError {
   }
 }
 
+/**
+ * Too Many Requests Error
+ * Untuk rate limiting (resend email, dll)
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(message, 429);
+  }
+}
+
 /**
  * External Service Error
  * Untuk error dari external services (Midtrans, Email, etc.)
@@ -124,4 +134,5 @@ module.exports = {
   FileUploadError,
   DatabaseError,
   ExternalServiceError,
+  TooManyRequestsError,
 };
\ No newline at end of file
@@ -5,9 +5,14 @@
 
 const JWTHelper = require('../utils/jwt-helper');
 const { architectRepository } = require('../domains/architects/repositories');
+const { userRepository } = require('../domains/users/repositories');
+const { emailVerificationService } = require('../domains/auth/services');
 const ResponseFormatter = require('../utils/response-formatter');
 const { AuthenticationError, AuthorizationError } = require('../errors/app-errors');
 
+// Role admin yang boleh mengakses admin endpoints
+const ADMIN_ROLES = ['ADMIN', 'SUPERADMIN'];
+
 class AuthMiddleware {
   /**
    * Verify JWT Token
@@ -98,6 +103,13 @@ class AuthMiddleware {
         );
       }
 
+      if (architect.status === 'EXPIRED') {
+        return ResponseFormatter.forbidden(
+          res,
+          'Membership expired. Please renew your membership.'
+        );
+      }
+
       // Attach architect info to request
       req.user = decoded;
       req.architect = architect;
@@ -110,6 +122,57 @@ class AuthMiddleware {
       return ResponseFormatter.unauthorized(res, 'Invalid or expired token');
     }
   }
+
+  /**
+   * Verify Architect Token tanpa syarat membership
+   * Untuk data akun yang tetap boleh diakses arsitek UNPAID / EXPIRED (mis. invoice transaksi lama).
+   * Hanya arsitek BANNED yang ditolak.
+   */
+  async verifyArchitectAccount(req, res, next) {
+    try {
+      const authHeader = req.headers.authorization;
+
+      if (!authHeader) {
+        return ResponseFormatter.unauthorized(res, 'No token provided');
+      }
+
+      const token = JWTHelper.extractTokenFromHeader(authHeader);
+
+      if (!token) {
+        return ResponseFormatter.unauthorized(res, 'Invalid token format');
+      }
+
+      const decoded = JWTHelper.verifyToken(token);
+
+      if (decoded.role !== 'ARCHITECT') {
+        return ResponseFormatter.forbidden(res, 'Access denied. Architects only.');
+      }
+
+      const architect = await architectRepository.findById(decoded.id);
+
+      if (!architect) {
+        return ResponseFormatter.unauthorized(res, 'Architect not found');
+      }
+
+      if (architect.status === 'BANNED') {
+        return ResponseFormatter.forbidden(
+          res,
+          'Account has been banned. Please contact support.'
+        );
+      }
+
+      req.user = decoded;
+      req.architect = architect;
+
+      next();
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        return ResponseFormatter.unauthorized(res, error.message);
+      }
+      return ResponseFormatter.unauthorized(res, 'Invalid or expired token');
+    }
+  }
+
   /**
    * Verify User Token
    * Khusus untuk user endpoints
@@ -164,8 +227,8 @@ class AuthMiddleware {
       // Verify token
       const decoded = JWTHelper.verifyToken(token);
 
-      // Check if role is ADMIN or SUPER_ADMIN
-      if (decoded.role !== 'ADMIN') {
+      // Check if role is ADMIN or SUPERADMIN
+      if (!ADMIN_ROLES.includes(decoded.role)) {
         return ResponseFormatter.forbidden(res, 'Access denied. Admins only.');
       }
 
@@ -225,6 +288,40 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * Require Verified Email
+   * Dipasang setelah verifyUser / verifyArchitect
+   * Hanya aktif jika EMAIL_VERIFICATION_REQUIRED=true
+   */
+  async requireVerifiedEmail(req, res, next) {
+    try {
+      if (!emailVerificationService.isVerificationRequired()) {
+        return next();
+      }
+
+      let account = null;
+
+      if (req.user?.role === 'ARCHITECT') {
+        account = req.architect || (await architectRepository.findById(req.user.id));
+      } else if (req.user?.role === 'USER') {
+        account = await userRepository.findById(req.user.id);
+      } else {
+        return next();
+      }
+
+      if (!account || !account.emailVerified) {
+        return ResponseFormatter.forbidden(
+          res,
+          'Email not verified. Please verify your email first.'
+        );
+      }
+
+      next();
+    } catch (error) {
+      return ResponseFormatter.serverError(res, 'Email verification check failed');
+    }
+  }
+
   /**
    * Check if user owns the resource
    * Memastikan user hanya bisa akses resource miliknya sendiri
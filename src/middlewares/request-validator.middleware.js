@@ -73,6 +73,33 @@ class RequestValidator {
     }
   }
 
+  /**
+   * Validate retry payment request (email + password)
+   */
+  static validateRetryPayment(req, res, next) {
+    try {
+      const errors = [];
+
+      if (!req.body.email) {
+        errors.push({ field: 'email', message: 'Email is required' });
+      } else if (!ValidationHelper.isValidEmail(req.body.email)) {
+        errors.push({ field: 'email', message: 'Invalid email format' });
+      }
+
+      if (!req.body.password) {
+        errors.push({ field: 'password', message: 'Password is required' });
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Validation failed', errors);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Validate UUID parameter
    */
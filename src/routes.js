@@ -11,21 +11,30 @@ const architectRegistrationRoutes = require('./domains/architects/routes/archite
 const architectAuthRoutes = require('./domains/architects/routes/architect-auth.routes');
 const webhookRoutes = require('./domains/architects/routes/webhook.routes');
 const paymentRoutes = require('./domains/architects/routes/payment.routes');
+const fakePaymentRoutes = require('./domains/architects/routes/fake-payment.routes');
 
 // NEW: Import design, certification, portfolio-link routes
 const designRoutes = require('./domains/architects/routes/design.routes');
 const certificationRoutes = require('./domains/architects/routes/certification.routes');
 const portfolioLinkRoutes = require('./domains/architects/routes/portfolio-link.routes');
+const skillRoutes = require('./domains/architects/routes/skill.routes');
+const regionRoutes = require('./domains/architects/routes/region.routes');
 
 const userAuthRoutes = require('./domains/users/routes/user-auth.routes');
 const adminUserRoutes = require('./domains/users/routes/admin-user.routes');
 const adminAuthRoutes = require('./domains/admins/routes/admin-auth.routes');
 const arsipediaRoutes = require('./domains/arsipedia/routes/arsipedia.routes');
 const viewRoutes = require("./domains/views/routes/view.routes");
+const cronRoutes = require('./cron.routes');
 
 // NEW: admin architect & admin transaction routes
 const adminArchitectRoutes = require('./domains/architects/routes/architect-admin.routes');
 const adminTransactionRoutes = require('./domains/architects/routes/admin-transaction.routes');
+const adminPromoCodeRoutes = require('./domains/architects/routes/admin-promo-code.routes');
+const adminWebhookEventRoutes = require('./domains/architects/routes/admin-webhook-event.routes');
+const adminReconciliationRoutes = require('./domains/architects/routes/admin-reconciliation.routes');
+const adminSkillRoutes = require('./domains/architects/routes/admin-skill.routes');
+const adminCertificationRoutes = require('./domains/architects/routes/admin-certification.routes');
 
 
 // Health check route
@@ -42,12 +51,15 @@ router.get('/health', (req, res) => {
 router.use('/architects', architectRegistrationRoutes);
 router.use('/architects/auth', architectAuthRoutes);
 router.use('/webhooks', webhookRoutes);
+router.use('/payment/fake', fakePaymentRoutes);
 router.use('/payment', paymentRoutes);
 
 // NEW: Design, Certification, Portfolio Link routes
 router.use('/designs', designRoutes);
 router.use('/certifications', certificationRoutes);
 router.use('/portfolio-links', portfolioLinkRoutes);
+router.use('/skills', skillRoutes);
+router.use('/regions', regionRoutes);
 
 router.use('/users', userAuthRoutes);
 router.use('/admin/users', adminUserRoutes);
@@ -57,8 +69,14 @@ router.use('/arsipedia', arsipediaRoutes);
 
 router.use('/admin/architects', adminArchitectRoutes);
 router.use('/admin/transactions', adminTransactionRoutes);
+router.use('/admin/promo-codes', adminPromoCodeRoutes);
+router.use('/admin/webhook-events', adminWebhookEventRoutes);
+router.use('/admin/reconciliations', adminReconciliationRoutes);
+router.use('/admin/skills', adminSkillRoutes);
+router.use('/admin/certifications', adminCertificationRoutes);
 
 router.use("/views", viewRoutes);
+router.use('/cron', cronRoutes);
 
 
 module.exports = router;
\ No newline at end of file
@@ -9,6 +9,8 @@ require('dotenv').config();
 const prisma = require('../config/prisma-client');
 const PasswordHasher = require('../utils/password-hasher');
 const TokenGeneratorService = require('../common/services/token-generator.service');
+const skillService = require('../domains/architects/services/skill.service');
+const { seedRegions } = require('./region.seeder');
 
 const architects = [
   {
@@ -19,7 +21,12 @@ const architects = [
     status: 'ACTIVE',
     tahunPengalaman: 15,
     areaPengalaman: 'Desain Rumah Minimalis, Renovasi, Interior Design',
-    keahlianKhusus: JSON.stringify(['AutoCAD', 'SketchUp', '3ds Max', 'Revit']),
+    provinceId: '31',
+    cityId: '31.74',
+    latitude: -6.1674,
+    longitude: 106.7637,
+    serviceAreas: ['31.71', '31.73', '36.74'],
+    skills: ['AutoCAD', 'SketchUp', '3ds Max', 'Revit'],
     certifications: [
       {
         certificationName: 'Arsitek Berlisensi IAI',
@@ -47,7 +54,12 @@ const architects = [
     status: 'ACTIVE',
     tahunPengalaman: 10,
     areaPengalaman: 'Arsitektur Tropis, Desain Berkelanjutan, Landscape',
-    keahlianKhusus: JSON.stringify(['AutoCAD', 'SketchUp', 'Lumion', 'Photoshop']),
+    provinceId: '32',
+    cityId: '32.73',
+    latitude: -6.9175,
+    longitude: 107.6191,
+    serviceAreas: ['32.77', '32'],
+    skills: ['AutoCAD', 'SketchUp', 'Lumion', 'Photoshop'],
     certifications: [
       {
         certificationName: 'Arsitek Profesional',
@@ -69,7 +81,12 @@ const architects = [
     status: 'ACTIVE',
     tahunPengalaman: 8,
     areaPengalaman: 'Desain Komersial, Cafe & Restaurant, Modern Contemporary',
-    keahlianKhusus: JSON.stringify(['AutoCAD', '3ds Max', 'V-Ray', 'Enscape']),
+    provinceId: '35',
+    cityId: '35.78',
+    latitude: -7.2575,
+    longitude: 112.7521,
+    serviceAreas: ['35.73'],
+    skills: ['AutoCAD', '3ds Max', 'V-Ray', 'Enscape'],
     certifications: [
       {
         certificationName: 'Registered Architect',
@@ -96,7 +113,12 @@ const architects = [
     status: 'ACTIVE',
     tahunPengalaman: 12,
     areaPengalaman: 'Residential Design, Eco-Friendly Architecture, Space Planning',
-    keahlianKhusus: JSON.stringify(['Revit', 'AutoCAD', 'SketchUp', 'ArchiCAD']),
+    provinceId: '51',
+    cityId: '51.71',
+    latitude: -8.6705,
+    longitude: 115.2126,
+    serviceAreas: [],
+    skills: ['Revit', 'AutoCAD', 'SketchUp', 'ArchiCAD'],
     certifications: [
       {
         certificationName: 'LEED Accredited Professional',
@@ -118,7 +140,12 @@ const architects = [
     status: 'ACTIVE',
     tahunPengalaman: 20,
     areaPengalaman: 'Heritage Conservation, Traditional Architecture, Urban Design',
-    keahlianKhusus: JSON.stringify(['AutoCAD', 'Revit', 'BIM', 'Rhino']),
+    provinceId: '34',
+    cityId: '34.71',
+    latitude: -7.7956,
+    longitude: 110.3695,
+    serviceAreas: ['33.72', '33.74'],
+    skills: ['AutoCAD', 'Revit', 'BIM', 'Rhino'],
     certifications: [
       {
         certificationName: 'Master Architect',
@@ -141,6 +168,9 @@ const architects = [
 
 async function seedArchitects() {
   try {
+    // Lokasi arsitek mengacu ke tabel regions
+    await seedRegions();
+
     console.log('🌱 Seeding architects...');
 
     for (const architectData of architects) {
@@ -167,7 +197,23 @@ async function seedArchitects() {
           status: architectData.status,
           tahunPengalaman: architectData.tahunPengalaman,
           areaPengalaman: architectData.areaPengalaman,
-          keahlianKhusus: architectData.keahlianKhusus,
+          provinceId: architectData.provinceId,
+          cityId: architectData.cityId,
+          latitude: architectData.latitude,
+          longitude: architectData.longitude,
+          serviceAreas: {
+            create: architectData.serviceAreas.map((regionId) => ({ regionId })),
+          },
+          skills: {
+            create: architectData.skills.map((name) => ({
+              skill: {
+                connectOrCreate: {
+                  where: { slug: skillService.toSlug(name) },
+                  create: { name, slug: skillService.toSlug(name) },
+                },
+              },
+            })),
+          },
           emailVerified: true,
           emailVerifiedAt: new Date(),
           certifications: {
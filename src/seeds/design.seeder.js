@@ -68,6 +68,18 @@ const TARGET_ARCHITECT_EMAILS = [
     "eko.prasetyo@architect.com",
 ];
 
+// foto_bangunan/foto_denah template (JSON string) -> rows design_images
+function toImages(tpl) {
+    const bangunan = JSON.parse(tpl.foto_bangunan).map((url, order) => ({
+        type: "BANGUNAN",
+        url,
+        order,
+        isCover: order === 0,
+    }));
+    const denah = JSON.parse(tpl.foto_denah).map((url, order) => ({ type: "DENAH", url, order }));
+    return [...bangunan, ...denah];
+}
+
 async function seedDesigns() {
     try {
         console.log("🌱 Seeding designs...");
@@ -109,8 +121,7 @@ async function seedDesigns() {
                         kategori: tpl.kategori,
                         luas_bangunan: tpl.luas_bangunan,
                         luas_tanah: tpl.luas_tanah,
-                        foto_bangunan: tpl.foto_bangunan, // JSON string array
-                        foto_denah: tpl.foto_denah,       // JSON string array
+                        images: { create: toImages(tpl) },
                     },
                 });
 
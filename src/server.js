@@ -41,6 +41,11 @@ async function startServer() {
     await testDatabaseConnection();
     await testEmailConnection();
 
+    // Scheduled jobs (Vercel memakai Vercel Cron ke /api/cron/:job, lihat vercel.json)
+    if (process.env.NODE_ENV !== 'test') {
+      require('./cron-jobs').startCronJobs();
+    }
+
     // Start listening
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
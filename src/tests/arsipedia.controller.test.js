@@ -1,23 +1,43 @@
 /**
  * Unit tests - ArsipediaController
- * Fokus: mapping req -> payload (imagePath), panggil service, panggil formatter, error ke next()
+ * Fokus: mapping req -> payload (imagePath, adminId dari token), panggil service, panggil formatter,
+ * error ke next(), dan write routes wajib lewat verifyAdmin
  */
 
 jest.mock("../domains/arsipedia/services/arsipedia.service", () => ({
   create: jest.fn(),
   getAll: jest.fn(),
-  getById: jest.fn(),
+  getAllForAdmin: jest.fn(),
+  getTags: jest.fn(),
+  getPublishedById: jest.fn(),
   update: jest.fn(),
   delete: jest.fn(),
 }));
 
 jest.mock("../../src/utils/response-formatter", () => ({
   success: jest.fn(),
+  paginated: jest.fn(),
+}));
+
+jest.mock("../utils/file-upload-helper", () => ({
+  persistFile: jest.fn(async (file) => file.path),
+}));
+
+jest.mock("../middlewares/auth.middleware", () => ({
+  verifyAdmin: jest.fn(),
+}));
+
+jest.mock("../middlewares/upload-arsipedia.middleware", () => ({
+  uploadArsipediaImage: jest.fn(),
 }));
 
 const ArsipediaController = require("../domains/arsipedia/controllers/arsipedia.controller");
 const ArsipediaService = require("../domains/arsipedia/services/arsipedia.service");
 const ResponseFormatter = require("../utils/response-formatter");
+const authMiddleware = require("../middlewares/auth.middleware");
+const arsipediaRoutes = require("../domains/arsipedia/routes/arsipedia.routes");
+
+const admin = { id: "admin-1", role: "ADMIN" };
 
 describe("ArsipediaController", () => {
   beforeEach(() => {
@@ -32,8 +52,9 @@ describe("ArsipediaController", () => {
   describe("create()", () => {
     it("should pass payload with imagePath from req.file.path and call success()", async () => {
       const req = {
-        body: { adminId: "admin-1", title: "Judul" },
+        body: { title: "Judul" },
         file: { path: "/uploads/a.png" },
+        user: admin,
       };
       const res = makeRes();
       const next = jest.fn();
@@ -54,8 +75,9 @@ describe("ArsipediaController", () => {
 
     it("should set imagePath null when no file", async () => {
       const req = {
-        body: { adminId: "admin-1", title: "Judul" },
+        body: { title: "Judul" },
         file: undefined,
+        user: admin,
       };
       const res = makeRes();
       const next = jest.fn();
@@ -74,8 +96,28 @@ describe("ArsipediaController", () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it("should ignore adminId sent in body and use the author from token", async () => {
+      const req = {
+        body: { adminId: "someone-else", title: "Judul" },
+        file: { path: "/uploads/a.png" },
+        user: admin,
+      };
+      const res = makeRes();
+      const next = jest.fn();
+
+      ArsipediaService.create.mockResolvedValue({ id: "a1" });
+
+      await ArsipediaController.create(req, res, next);
+
+      expect(ArsipediaService.create).toHaveBeenCalledWith({
+        adminId: "admin-1",
+        title: "Judul",
+        imagePath: "/uploads/a.png",
+      });
+    });
+
     it("should call next(err) when service throws", async () => {
-      const req = { body: { adminId: "admin-1" }, file: undefined };
+      const req = { body: {}, file: undefined, user: admin };
       const res = makeRes();
       const next = jest.fn();
 
@@ -90,18 +132,19 @@ describe("ArsipediaController", () => {
   });
 
   describe("getAll()", () => {
-    it("should call service and success()", async () => {
-      const req = {};
+    it("should pass query to service and respond with paginated()", async () => {
+      const req = { query: { q: "rumah", tag: "Desain", page: "2", limit: "5", sort: "relevance" } };
       const res = makeRes();
       const next = jest.fn();
 
       const list = [{ id: "a1" }];
-      ArsipediaService.getAll.mockResolvedValue(list);
+      const pagination = { page: 2, limit: 5, totalItems: 6 };
+      ArsipediaService.getAll.mockResolvedValue({ data: list, pagination });
 
       await ArsipediaController.getAll(req, res, next);
 
-      expect(ArsipediaService.getAll).toHaveBeenCalledTimes(1);
-      expect(ResponseFormatter.success).toHaveBeenCalledWith(res, list, "All Arsipedia fetched");
+      expect(ArsipediaService.getAll).toHaveBeenCalledWith(req.query);
+      expect(ResponseFormatter.paginated).toHaveBeenCalledWith(res, list, pagination, "All Arsipedia fetched");
       expect(next).not.toHaveBeenCalled();
     });
 
@@ -119,18 +162,52 @@ describe("ArsipediaController", () => {
     });
   });
 
+  describe("getAllForAdmin()", () => {
+    it("should pass status filter from query and call success()", async () => {
+      const req = { query: { status: "DRAFT" }, user: admin };
+      const res = makeRes();
+      const next = jest.fn();
+
+      const list = [{ id: "a1", status: "DRAFT" }];
+      const pagination = { page: 1, limit: 10, totalItems: 1 };
+      ArsipediaService.getAllForAdmin.mockResolvedValue({ data: list, pagination });
+
+      await ArsipediaController.getAllForAdmin(req, res, next);
+
+      expect(ArsipediaService.getAllForAdmin).toHaveBeenCalledWith({ status: "DRAFT" });
+      expect(ResponseFormatter.paginated).toHaveBeenCalledWith(res, list, pagination, "All Arsipedia fetched");
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getTags()", () => {
+    it("should call service and success()", async () => {
+      const req = {};
+      const res = makeRes();
+      const next = jest.fn();
+
+      const tags = [{ tag: "Desain", count: 2 }];
+      ArsipediaService.getTags.mockResolvedValue(tags);
+
+      await ArsipediaController.getTags(req, res, next);
+
+      expect(ResponseFormatter.success).toHaveBeenCalledWith(res, tags, "Arsipedia tags fetched");
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe("getById()", () => {
-    it("should call service with req.params.id and success()", async () => {
+    it("should fetch published entry by req.params.id and success()", async () => {
       const req = { params: { id: "a1" } };
       const res = makeRes();
       const next = jest.fn();
 
       const data = { id: "a1" };
-      ArsipediaService.getById.mockResolvedValue(data);
+      ArsipediaService.getPublishedById.mockResolvedValue(data);
 
       await ArsipediaController.getById(req, res, next);
 
-      expect(ArsipediaService.getById).toHaveBeenCalledWith("a1");
+      expect(ArsipediaService.getPublishedById).toHaveBeenCalledWith("a1");
       expect(ResponseFormatter.success).toHaveBeenCalledWith(res, data, "Arsipedia details fetched");
       expect(next).not.toHaveBeenCalled();
     });
@@ -138,7 +215,7 @@ describe("ArsipediaController", () => {
 
   describe("update()", () => {
     it("should call service update and success()", async () => {
-      const req = { params: { id: "a1" }, body: { title: "new" } };
+      const req = { params: { id: "a1" }, body: { title: "new" }, user: admin };
       const res = makeRes();
       const next = jest.fn();
 
@@ -147,7 +224,7 @@ describe("ArsipediaController", () => {
 
       await ArsipediaController.update(req, res, next);
 
-      expect(ArsipediaService.update).toHaveBeenCalledWith("a1", { title: "new" });
+      expect(ArsipediaService.update).toHaveBeenCalledWith("a1", { title: "new" }, admin);
       expect(ResponseFormatter.success).toHaveBeenCalledWith(res, updated, "Arsipedia updated");
       expect(next).not.toHaveBeenCalled();
     });
@@ -155,7 +232,7 @@ describe("ArsipediaController", () => {
 
   describe("delete()", () => {
     it("should call service delete and success()", async () => {
-      const req = { params: { id: "a1" } };
+      const req = { params: { id: "a1" }, user: admin };
       const res = makeRes();
       const next = jest.fn();
 
@@ -164,9 +241,71 @@ describe("ArsipediaController", () => {
 
       await ArsipediaController.delete(req, res, next);
 
-      expect(ArsipediaService.delete).toHaveBeenCalledWith("a1");
+      expect(ArsipediaService.delete).toHaveBeenCalledWith("a1", admin);
       expect(ResponseFormatter.success).toHaveBeenCalledWith(res, deleted, "Arsipedia deleted");
       expect(next).not.toHaveBeenCalled();
     });
   });
+
+  describe("rejected cases", () => {
+    const forbidden = () => {
+      const err = new Error("Only the author or a SUPERADMIN can modify this entry");
+      err.statusCode = 403;
+      return err;
+    };
+
+    it("update() should forward 403 to next() when requester is not the author", async () => {
+      const req = { params: { id: "a1" }, body: { title: "new" }, user: { id: "admin-2", role: "ADMIN" } };
+      const res = makeRes();
+      const next = jest.fn();
+
+      const err = forbidden();
+      ArsipediaService.update.mockRejectedValue(err);
+
+      await ArsipediaController.update(req, res, next);
+
+      expect(ArsipediaService.update).toHaveBeenCalledWith("a1", { title: "new" }, req.user);
+      expect(ResponseFormatter.success).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it("delete() should forward 403 to next() when requester is not the author", async () => {
+      const req = { params: { id: "a1" }, user: { id: "admin-2", role: "ADMIN" } };
+      const res = makeRes();
+      const next = jest.fn();
+
+      const err = forbidden();
+      ArsipediaService.delete.mockRejectedValue(err);
+
+      await ArsipediaController.delete(req, res, next);
+
+      expect(ArsipediaService.delete).toHaveBeenCalledWith("a1", req.user);
+      expect(ResponseFormatter.success).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    const findRoute = (method, path) =>
+      arsipediaRoutes.stack.find((layer) => layer.route && layer.route.path === path && layer.route.methods[method]).route;
+
+    it.each([
+      ["post", "/"],
+      ["put", "/:id"],
+      ["delete", "/:id"],
+      ["get", "/admin"],
+    ])("%s %s should reject non-admin requests via verifyAdmin first", (method, path) => {
+      const route = findRoute(method, path);
+
+      expect(route.stack[0].handle).toBe(authMiddleware.verifyAdmin);
+    });
+
+    it.each([
+      ["get", "/"],
+      ["get", "/tags"],
+      ["get", "/:id"],
+    ])("%s %s should stay public", (method, path) => {
+      const route = findRoute(method, path);
+
+      expect(route.stack.map((layer) => layer.handle)).not.toContain(authMiddleware.verifyAdmin);
+    });
+  });
 });
@@ -1,12 +1,16 @@
 /**
  * Unit tests - ArsipediaService
- * Fokus: validasi adminId, validasi imagePath, not found handling, call repository dengan benar.
+ * Fokus: validasi adminId, validasi imagePath, not found handling, call repository dengan benar,
+ * workflow status (draft/scheduled/published) dan visibilitas publik.
  */
 
 jest.mock("../domains/arsipedia/repositories/arsipedia.repository", () => ({
   isAdminExist: jest.fn(),
   create: jest.fn(),
-  getAll: jest.fn(),
+  search: jest.fn(),
+  countTags: jest.fn(),
+  findOne: jest.fn(),
+  publishDue: jest.fn(),
   getById: jest.fn(),
   update: jest.fn(),
   delete: jest.fn(),
@@ -15,6 +19,10 @@ jest.mock("../domains/arsipedia/repositories/arsipedia.repository", () => ({
 const ArsipediaService = require("../domains/arsipedia/services/arsipedia.service");
 const ArsipediaRepository = require("../domains/arsipedia/repositories/arsipedia.repository");
 
+const author = { id: "admin-1", role: "ADMIN" };
+const otherAdmin = { id: "admin-2", role: "ADMIN" };
+const superAdmin = { id: "admin-9", role: "SUPERADMIN" };
+
 describe("ArsipediaService", () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -73,19 +81,171 @@ describe("ArsipediaService", () => {
 
       expect(result).toEqual(created);
       expect(ArsipediaRepository.isAdminExist).toHaveBeenCalledWith("admin-1");
-      expect(ArsipediaRepository.create).toHaveBeenCalledWith(payload);
+      expect(ArsipediaRepository.create).toHaveBeenCalledWith({ ...payload, tags: "[]" });
+    });
+
+    it("should set publishedAt when created as PUBLISHED", async () => {
+      ArsipediaRepository.isAdminExist.mockResolvedValue({ id: "admin-1" });
+      ArsipediaRepository.create.mockResolvedValue({ id: "a1" });
+
+      await ArsipediaService.create({
+        adminId: "admin-1",
+        imagePath: "/uploads/a.png",
+        status: "published",
+      });
+
+      const data = ArsipediaRepository.create.mock.calls[0][0];
+      expect(data.status).toBe("PUBLISHED");
+      expect(data.publishedAt).toBeInstanceOf(Date);
+      expect(data.scheduledFor).toBeNull();
+    });
+
+    it("should throw 400 for unknown status", async () => {
+      ArsipediaRepository.isAdminExist.mockResolvedValue({ id: "admin-1" });
+
+      await expect(
+        ArsipediaService.create({ adminId: "admin-1", imagePath: "/uploads/a.png", status: "LIVE" })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(ArsipediaRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should throw 400 if SCHEDULED without a future scheduledFor", async () => {
+      ArsipediaRepository.isAdminExist.mockResolvedValue({ id: "admin-1" });
+
+      await expect(
+        ArsipediaService.create({ adminId: "admin-1", imagePath: "/uploads/a.png", status: "SCHEDULED" })
+      ).rejects.toMatchObject({ statusCode: 400 });
+
+      await expect(
+        ArsipediaService.create({
+          adminId: "admin-1",
+          imagePath: "/uploads/a.png",
+          status: "SCHEDULED",
+          scheduledFor: "2000-01-01T00:00:00.000Z",
+        })
+      ).rejects.toMatchObject({ message: "scheduledFor must be in the future", statusCode: 400 });
+
+      expect(ArsipediaRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should store scheduledFor as Date when SCHEDULED", async () => {
+      ArsipediaRepository.isAdminExist.mockResolvedValue({ id: "admin-1" });
+      ArsipediaRepository.create.mockResolvedValue({ id: "a1" });
+
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      await ArsipediaService.create({
+        adminId: "admin-1",
+        imagePath: "/uploads/a.png",
+        status: "SCHEDULED",
+        scheduledFor: future,
+      });
+
+      const data = ArsipediaRepository.create.mock.calls[0][0];
+      expect(data.status).toBe("SCHEDULED");
+      expect(data.scheduledFor).toEqual(new Date(future));
+      expect(data.publishedAt).toBeNull();
     });
   });
 
   describe("getAll()", () => {
-    it("should return list from repository", async () => {
-      const list = [{ id: "a1" }, { id: "a2" }];
-      ArsipediaRepository.getAll.mockResolvedValue(list);
+    it("should only search PUBLISHED entries with default paging", async () => {
+      const result = { data: [{ id: "a1" }], pagination: { page: 1, limit: 10, totalItems: 1 } };
+      ArsipediaRepository.search.mockResolvedValue(result);
+
+      await expect(ArsipediaService.getAll()).resolves.toEqual(result);
+
+      expect(ArsipediaRepository.search).toHaveBeenCalledWith({
+        q: undefined,
+        tag: undefined,
+        page: 1,
+        limit: 10,
+        sort: "newest",
+        status: "PUBLISHED",
+      });
+    });
+
+    it("should pass q, tag, page, limit and default to relevance sort when q given", async () => {
+      ArsipediaRepository.search.mockResolvedValue({ data: [], pagination: {} });
+
+      await ArsipediaService.getAll({ q: " rumah tropis ", tag: "Desain", page: "2", limit: "5" });
+
+      expect(ArsipediaRepository.search).toHaveBeenCalledWith({
+        q: "rumah tropis",
+        tag: "Desain",
+        page: 2,
+        limit: 5,
+        sort: "relevance",
+        status: "PUBLISHED",
+      });
+    });
+
+    it("should cap limit and reject invalid sort or page", async () => {
+      ArsipediaRepository.search.mockResolvedValue({ data: [], pagination: {} });
+
+      await ArsipediaService.getAll({ limit: "1000", sort: "TITLE" });
+      expect(ArsipediaRepository.search).toHaveBeenCalledWith(
+        expect.objectContaining({ limit: 100, sort: "title" })
+      );
+
+      await expect(ArsipediaService.getAll({ sort: "popular" })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(ArsipediaService.getAll({ page: "-1" })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe("getAllForAdmin()", () => {
+    it("should search every status when no filter given", async () => {
+      ArsipediaRepository.search.mockResolvedValue({ data: [], pagination: {} });
+
+      await ArsipediaService.getAllForAdmin();
+
+      expect(ArsipediaRepository.search).toHaveBeenCalledWith(expect.objectContaining({ status: undefined }));
+    });
+
+    it("should filter by status and reject unknown status", async () => {
+      ArsipediaRepository.search.mockResolvedValue({ data: [], pagination: {} });
+
+      await ArsipediaService.getAllForAdmin({ status: "draft" });
+      expect(ArsipediaRepository.search).toHaveBeenCalledWith(expect.objectContaining({ status: "DRAFT" }));
+
+      await expect(ArsipediaService.getAllForAdmin({ status: "foo" })).rejects.toMatchObject({
+        statusCode: 400,
+      });
+    });
+  });
 
-      const result = await ArsipediaService.getAll();
+  describe("getTags()", () => {
+    it("should count tags of published entries only", async () => {
+      const tags = [{ tag: "Desain", count: 3 }];
+      ArsipediaRepository.countTags.mockResolvedValue(tags);
 
-      expect(result).toEqual(list);
-      expect(ArsipediaRepository.getAll).toHaveBeenCalledTimes(1);
+      await expect(ArsipediaService.getTags()).resolves.toEqual(tags);
+      expect(ArsipediaRepository.countTags).toHaveBeenCalledWith("PUBLISHED");
+    });
+  });
+
+  describe("getPublishedById()", () => {
+    it("should throw 404 when entry is not published", async () => {
+      ArsipediaRepository.findOne.mockResolvedValue(null);
+
+      await expect(ArsipediaService.getPublishedById("a1")).rejects.toMatchObject({
+        message: "Arsipedia entry not found",
+        statusCode: 404,
+      });
+
+      expect(ArsipediaRepository.findOne).toHaveBeenCalledWith({ id: "a1", status: "PUBLISHED" });
+    });
+  });
+
+  describe("publishScheduled()", () => {
+    it("should publish due entries and return count", async () => {
+      const now = new Date("2026-10-19T10:00:00.000Z");
+      ArsipediaRepository.publishDue.mockResolvedValue({ count: 2 });
+
+      const result = await ArsipediaService.publishScheduled(now);
+
+      expect(ArsipediaRepository.publishDue).toHaveBeenCalledWith(now);
+      expect(result).toEqual({ count: 2 });
     });
   });
 
@@ -114,13 +274,13 @@ describe("ArsipediaService", () => {
 
   describe("update()", () => {
     it("should call getById first and then update", async () => {
-      const existing = { id: "a1", title: "old" };
+      const existing = { id: "a1", title: "old", adminId: "admin-1" };
       ArsipediaRepository.getById.mockResolvedValue(existing);
 
       const updated = { id: "a1", title: "new" };
       ArsipediaRepository.update.mockResolvedValue(updated);
 
-      const result = await ArsipediaService.update("a1", { title: "new" });
+      const result = await ArsipediaService.update("a1", { title: "new" }, author);
 
       expect(result).toEqual(updated);
       expect(ArsipediaRepository.getById).toHaveBeenCalledWith("a1");
@@ -130,24 +290,66 @@ describe("ArsipediaService", () => {
     it("should throw 404 if update target not found (via getById)", async () => {
       ArsipediaRepository.getById.mockResolvedValue(null);
 
-      await expect(ArsipediaService.update("a1", { title: "new" })).rejects.toMatchObject({
+      await expect(ArsipediaService.update("a1", { title: "new" }, author)).rejects.toMatchObject({
         message: "Arsipedia entry not found",
         statusCode: 404,
       });
 
       expect(ArsipediaRepository.update).not.toHaveBeenCalled();
     });
+
+    it("should throw 403 if requester is not the author", async () => {
+      ArsipediaRepository.getById.mockResolvedValue({ id: "a1", adminId: "admin-1" });
+
+      await expect(ArsipediaService.update("a1", { title: "new" }, otherAdmin)).rejects.toMatchObject({
+        statusCode: 403,
+      });
+
+      expect(ArsipediaRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("should allow SUPERADMIN to update any entry", async () => {
+      ArsipediaRepository.getById.mockResolvedValue({ id: "a1", adminId: "admin-1" });
+      ArsipediaRepository.update.mockResolvedValue({ id: "a1", title: "new" });
+
+      await ArsipediaService.update("a1", { title: "new" }, superAdmin);
+
+      expect(ArsipediaRepository.update).toHaveBeenCalledWith("a1", { title: "new" });
+    });
+
+    it("should keep original publishedAt when re-publishing", async () => {
+      const publishedAt = new Date("2026-01-01T00:00:00.000Z");
+      ArsipediaRepository.getById.mockResolvedValue({ id: "a1", adminId: "admin-1", status: "ARCHIVED", publishedAt });
+      ArsipediaRepository.update.mockResolvedValue({ id: "a1" });
+
+      await ArsipediaService.update("a1", { status: "PUBLISHED" }, author);
+
+      expect(ArsipediaRepository.update).toHaveBeenCalledWith("a1", {
+        status: "PUBLISHED",
+        scheduledFor: null,
+        publishedAt,
+      });
+    });
+
+    it("should not allow changing the author via body", async () => {
+      ArsipediaRepository.getById.mockResolvedValue({ id: "a1", adminId: "admin-1" });
+      ArsipediaRepository.update.mockResolvedValue({ id: "a1" });
+
+      await ArsipediaService.update("a1", { title: "new", adminId: "admin-2" }, author);
+
+      expect(ArsipediaRepository.update).toHaveBeenCalledWith("a1", { title: "new" });
+    });
   });
 
   describe("delete()", () => {
     it("should call getById first and then delete", async () => {
-      const existing = { id: "a1" };
+      const existing = { id: "a1", adminId: "admin-1" };
       ArsipediaRepository.getById.mockResolvedValue(existing);
 
       const deleted = { id: "a1" };
       ArsipediaRepository.delete.mockResolvedValue(deleted);
 
-      const result = await ArsipediaService.delete("a1");
+      const result = await ArsipediaService.delete("a1", author);
 
       expect(result).toEqual(deleted);
       expect(ArsipediaRepository.getById).toHaveBeenCalledWith("a1");
@@ -157,12 +359,31 @@ describe("ArsipediaService", () => {
     it("should throw 404 if delete target not found (via getById)", async () => {
       ArsipediaRepository.getById.mockResolvedValue(null);
 
-      await expect(ArsipediaService.delete("a1")).rejects.toMatchObject({
+      await expect(ArsipediaService.delete("a1", author)).rejects.toMatchObject({
         message: "Arsipedia entry not found",
         statusCode: 404,
       });
 
       expect(ArsipediaRepository.delete).not.toHaveBeenCalled();
     });
+
+    it("should throw 403 if requester is not the author", async () => {
+      ArsipediaRepository.getById.mockResolvedValue({ id: "a1", adminId: "admin-1" });
+
+      await expect(ArsipediaService.delete("a1", otherAdmin)).rejects.toMatchObject({
+        statusCode: 403,
+      });
+
+      expect(ArsipediaRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it("should allow SUPERADMIN to delete any entry", async () => {
+      ArsipediaRepository.getById.mockResolvedValue({ id: "a1", adminId: "admin-1" });
+      ArsipediaRepository.delete.mockResolvedValue({ id: "a1" });
+
+      await ArsipediaService.delete("a1", superAdmin);
+
+      expect(ArsipediaRepository.delete).toHaveBeenCalledWith("a1");
+    });
   });
 });
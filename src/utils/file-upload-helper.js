@@ -110,12 +110,7 @@ class FileUploadHelper {
     return true;
   }
 
-  static async persistFile(file, folder) {
-    if (!file) return null;
-
-    // ✅ jika file sudah berupa URL (misal dari client), balikin
-    if (typeof file === "string" && /^https?:\/\//i.test(file)) return file;
-
+  static async uploadToStorage(file, folder) {
     // file dari multer.memoryStorage -> ada buffer
     if (!file.buffer) {
       throw new Error(
@@ -134,7 +129,7 @@ class FileUploadHelper {
     const ext = path.extname(file.originalname || "");
     const isPdf = file.mimetype === "application/pdf" || ext.toLowerCase() === ".pdf";
 
-    const uploadResult = await new Promise((resolve, reject) => {
+    return new Promise((resolve, reject) => {
       const uploadStream = cloudinary.uploader.upload_stream(
         {
           folder: folder || "uploads",
@@ -144,10 +139,34 @@ class FileUploadHelper {
       );
       streamifier.createReadStream(file.buffer).pipe(uploadStream);
     });
+  }
 
+  static async persistFile(file, folder) {
+    if (!file) return null;
+
+    // ✅ jika file sudah berupa URL (misal dari client), balikin
+    if (typeof file === "string" && /^https?:\/\//i.test(file)) return file;
+
+    const uploadResult = await this.uploadToStorage(file, folder);
     return uploadResult.secure_url; // ✅ simpan URL ini ke DB
   }
 
+  /**
+   * Persist image + metadata (untuk tabel yang menyimpan storage key & dimensi)
+   * @returns {Promise<Object|null>} - { url, storageKey, width, height }
+   */
+  static async persistImage(file, folder) {
+    if (!file) return null;
+
+    const uploadResult = await this.uploadToStorage(file, folder);
+    return {
+      url: uploadResult.secure_url,
+      storageKey: uploadResult.public_id || null,
+      width: uploadResult.width || null,
+      height: uploadResult.height || null,
+    };
+  }
+
   static async persistFiles(files, folder) {
     const arr = Array.isArray(files) ? files : [];
     const urls = [];
@@ -168,12 +187,12 @@ class FileUploadHelper {
     return m ? m[1] : null;
   }
 
-  static async safeDeleteFile(fileUrl) {
-    if (!fileUrl) return;
+  static async safeDeleteFile(fileUrl, storageKey = null) {
+    if (!fileUrl && !storageKey) return;
 
     if (!cloudinary || !process.env.CLOUDINARY_CLOUD_NAME) return;
 
-    const publicId = this.extractCloudinaryPublicId(fileUrl);
+    const publicId = storageKey || this.extractCloudinaryPublicId(fileUrl);
     if (!publicId) return;
 
     // best-effort: coba image dulu, kalau gagal coba raw
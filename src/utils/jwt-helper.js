@@ -46,21 +46,36 @@ class JWTHelper {
       status: user.status, // UNPAID, ACTIVE, BANNED
     };
 
+    // Session (refresh token family) ID, dipakai untuk logout
+    if (user.sessionId) {
+      payload.sid = user.sessionId;
+    }
+
     return this.generateToken(payload, '24h');
   }
 
   /**
    * Generate Refresh Token (long-lived)
-   * @param {Object} user - User data
+   * @param {Object} user - User data ({ id, jti, sessionId })
+   * @param {String} expiresIn - Token expiry (default: 7d)
    * @returns {String} - Refresh token
    */
-  static generateRefreshToken(user) {
+  static generateRefreshToken(user, expiresIn = '7d') {
     const payload = {
       id: user.id,
       type: 'refresh',
     };
 
-    return this.generateToken(payload, '7d');
+    // jti = ID record RefreshToken di database (untuk rotasi & revoke)
+    if (user.jti) {
+      payload.jti = user.jti;
+    }
+
+    if (user.sessionId) {
+      payload.sid = user.sessionId;
+    }
+
+    return this.generateToken(payload, expiresIn);
   }
 
   /**
@@ -0,0 +1,30 @@
+/**
+ * Request Context Utility
+ * Ambil info client dari request (untuk session / audit)
+ */
+
+class RequestContext {
+  /**
+   * Build context dari Express request
+   * @param {Object} req - Express request
+   * @returns {Object} - { userAgent, ipAddress }
+   */
+  static fromRequest(req) {
+    return {
+      userAgent: req.headers?.['user-agent'] || null,
+      ipAddress: req.ip || null,
+    };
+  }
+
+  /**
+   * Ambil referrer untuk view tracking (body.referrer dari SPA, fallback header Referer)
+   * @param {Object} req - Express request
+   * @returns {String|null} - Referrer (maks 500 karakter)
+   */
+  static referrerOf(req) {
+    const value = req.body?.referrer || req.headers?.referer || null;
+    return value ? String(value).slice(0, 500) : null;
+  }
+}
+
+module.exports = RequestContext;
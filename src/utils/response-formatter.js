@@ -25,8 +25,9 @@ class ResponseFormatter {
    * @param {String} message - Error message
    * @param {Number} statusCode - HTTP status code (default: 500)
    * @param {Array} errors - Array of error details (optional)
+   * @param {Object} data - Extra payload (optional, e.g. info pembayaran)
    */
-  static error(res, message = 'Internal Server Error', statusCode = 500, errors = null) {
+  static error(res, message = 'Internal Server Error', statusCode = 500, errors = null, data = null) {
     const response = {
       success: false,
       message,
@@ -36,6 +37,10 @@ class ResponseFormatter {
       response.errors = errors;
     }
 
+    if (data) {
+      response.data = data;
+    }
+
     return res.status(statusCode).json(response);
   }
 
@@ -103,9 +108,10 @@ class ResponseFormatter {
    * Forbidden Response (403)
    * @param {Object} res - Express response object
    * @param {String} message - Error message
+   * @param {Object} data - Extra payload (optional)
    */
-  static forbidden(res, message = 'Forbidden') {
-    return this.error(res, message, 403);
+  static forbidden(res, message = 'Forbidden', data = null) {
+    return this.error(res, message, 403, null, data);
   }
 
   /**
@@ -0,0 +1,54 @@
+/**
+ * Visitor Fingerprint Utility
+ * Identitas pengunjung anonim untuk view counting (tanpa menyimpan IP / cookie mentah)
+ */
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'hs_vid';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const VISITOR_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+class VisitorFingerprint {
+  static hash(value) {
+    const salt = process.env.VIEW_FINGERPRINT_SALT || '';
+    return crypto.createHash('sha256').update(`${salt}:${value}`).digest('hex');
+  }
+
+  /**
+   * Resolve fingerprint pengunjung.
+   * Pakai cookie visitor ID kalau ada; kalau belum ada, set cookie baru dan pakai ID itu.
+   * Hash IP+User-Agent hanya dipakai kalau cookie tidak bisa di-set (res.cookie tidak tersedia).
+   * @param {Object} req - Express request (butuh cookie-parser)
+   * @param {Object} res - Express response (untuk set cookie)
+   * @returns {Object} - { visitorHash, source: 'cookie' | 'ip_ua' }
+   */
+  static resolve(req, res) {
+    const visitorId = req.cookies?.[COOKIE_NAME];
+
+    if (visitorId && VISITOR_ID_PATTERN.test(visitorId)) {
+      return { visitorHash: this.hash(`cid:${visitorId}`), source: 'cookie' };
+    }
+
+    if (res && typeof res.cookie === 'function') {
+      const isProduction = process.env.NODE_ENV === 'production';
+      const newVisitorId = crypto.randomUUID();
+      // FE & API beda origin (CORS credentials) -> production butuh SameSite=None
+      res.cookie(COOKIE_NAME, newVisitorId, {
+        httpOnly: true,
+        sameSite: isProduction ? 'none' : 'lax',
+        secure: isProduction,
+        maxAge: COOKIE_MAX_AGE_MS,
+      });
+      // Hash sama dengan request berikutnya yang membawa cookie ini (dedup window tetap cocok)
+      return { visitorHash: this.hash(`cid:${newVisitorId}`), source: 'cookie' };
+    }
+
+    const userAgent = req.headers?.['user-agent'] || '';
+    return { visitorHash: this.hash(`ipua:${req.ip || ''}|${userAgent}`), source: 'ip_ua' };
+  }
+}
+
+VisitorFingerprint.COOKIE_NAME = COOKIE_NAME;
+
+module.exports = VisitorFingerprint;
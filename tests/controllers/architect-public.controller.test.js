@@ -0,0 +1,166 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findDirectory: jest.fn(),
+    countDirectory: jest.fn().mockResolvedValue(0),
+    countDirectorySkills: jest.fn().mockResolvedValue([]),
+    countDirectoryAreas: jest.fn().mockResolvedValue([]),
+    countDirectoryExperience: jest.fn().mockResolvedValue([]),
+    countDirectoryKategori: jest.fn().mockResolvedValue([]),
+    findDirectoryIds: jest.fn().mockResolvedValue([]),
+    findByIdWithRelations: jest.fn(),
+  },
+}));
+
+const architectPublicController = require('../../src/domains/architects/controllers/architect-public.controller');
+const { architectRepository } = require('../../src/domains/architects/repositories');
+
+const SENSITIVE_FIELDS = [
+  'password',
+  'email',
+  'phone',
+  'status',
+  'emailVerified',
+  'emailVerifiedAt',
+  'activeUntil',
+  'membershipReminderDay',
+  'transactions',
+  'berkasUrl',
+  'paymentToken',
+  'snapToken',
+];
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Kumpulkan semua key (termasuk nested) dari body response
+const collectKeys = (value, keys = new Set()) => {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectKeys(item, keys));
+  } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, nested]) => {
+      keys.add(key);
+      collectKeys(nested, keys);
+    });
+  }
+  return keys;
+};
+
+const makeArchitect = (overrides = {}) => ({
+  id: 'arch-1',
+  email: 'budi@example.com',
+  password: '$2a$10$hash',
+  name: 'Budi',
+  phone: '08123456789',
+  profilePictureUrl: 'uploads/architects/budi.jpg',
+  tahunPengalaman: 8,
+  areaPengalaman: 'Jakarta',
+  skills: [
+    { architectId: 'arch-1', skillId: 'skill-1', skill: { id: 'skill-1', name: 'Revit', slug: 'revit' } },
+    { architectId: 'arch-1', skillId: 'skill-2', skill: { id: 'skill-2', name: 'SketchUp', slug: 'sketchup' } },
+  ],
+  status: 'ACTIVE',
+  emailVerified: true,
+  emailVerifiedAt: new Date('2026-01-01T00:00:00.000Z'),
+  activeUntil: new Date('2027-01-01T00:00:00.000Z'),
+  membershipReminderDay: 7,
+  createdAt: new Date('2026-01-01T00:00:00.000Z'),
+  updatedAt: new Date('2026-02-01T00:00:00.000Z'),
+  certifications: [
+    {
+      id: 'cert-1',
+      architectId: 'arch-1',
+      certificationName: 'Arsitek Berlisensi',
+      penerbit: 'IAI',
+      year: 2018,
+      berkasUrl: 'uploads/architects/certifications/ktp-and-license.pdf',
+    },
+  ],
+  portfolioLinks: [{ id: 'pl-1', architectId: 'arch-1', url: 'https://behance.net/budi', order: 0 }],
+  transactions: [
+    { id: 'tx-1', architectId: 'arch-1', orderId: 'ARCH-1', paymentToken: 'tok', snapToken: 'snap', status: 'SUCCESS' },
+  ],
+  designs: [
+    {
+      id: 'design-1',
+      architectId: 'arch-1',
+      title: 'Rumah Minimalis',
+      kategori: 'Rumah',
+      images: [{ id: 'img-1', type: 'BANGUNAN', url: 'https://cdn/a.jpg', order: 0, isCover: true }],
+    },
+  ],
+  ...overrides,
+});
+
+describe('ArchitectPublicController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('list', () => {
+    it('never exposes private architect fields', async () => {
+      architectRepository.findDirectory.mockResolvedValue({
+        data: [makeArchitect({ _count: { designs: 1, profileViewEvents: 12 } })],
+        pagination: { page: 1, limit: 10, totalItems: 1, totalPages: 1 },
+      });
+      const res = mockRes();
+
+      await architectPublicController.list({ query: { q: 'budi' } }, res, jest.fn());
+
+      const body = res.json.mock.calls[0][0];
+      const keys = collectKeys(body.data.data);
+      SENSITIVE_FIELDS.forEach((field) => expect(keys.has(field)).toBe(false));
+      expect(keys.has('_count')).toBe(false);
+      expect(body.data.pagination.totalItems).toBe(1);
+      expect(body.data.data[0]).toEqual(
+        expect.objectContaining({
+          id: 'arch-1',
+          name: 'Budi',
+          keahlianKhusus: ['Revit', 'SketchUp'],
+          designCount: 1,
+          viewCount: 12,
+        })
+      );
+      expect(body.data.facets).toEqual(expect.objectContaining({ skills: [], areas: [] }));
+    });
+
+    it('does not search by email', async () => {
+      architectRepository.findDirectory.mockResolvedValue({ data: [], pagination: { page: 1 } });
+
+      await architectPublicController.list({ query: { q: 'budi@example.com' } }, mockRes(), jest.fn());
+
+      const { where } = architectRepository.findDirectory.mock.calls[0][0];
+      expect(JSON.stringify(where)).not.toContain('"email"');
+    });
+  });
+
+  describe('detail', () => {
+    it('returns the public profile with full designs and without private fields', async () => {
+      architectRepository.findByIdWithRelations.mockResolvedValue(makeArchitect());
+      const res = mockRes();
+
+      await architectPublicController.detail({ params: { id: 'arch-1' } }, res, jest.fn());
+
+      const { data } = res.json.mock.calls[0][0];
+      const keys = collectKeys(data);
+      SENSITIVE_FIELDS.forEach((field) => expect(keys.has(field)).toBe(false));
+      expect(keys.has('architectId')).toBe(false);
+      expect(data.certifications).toEqual([
+        { id: 'cert-1', certificationName: 'Arsitek Berlisensi', penerbit: 'IAI', year: 2018 },
+      ]);
+      expect(data.designs[0].coverImage).toBe('https://cdn/a.jpg');
+    });
+
+    it('hides architects that are not active', async () => {
+      architectRepository.findByIdWithRelations.mockResolvedValue(makeArchitect({ status: 'BANNED' }));
+      const res = mockRes();
+
+      await architectPublicController.detail({ params: { id: 'arch-1' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
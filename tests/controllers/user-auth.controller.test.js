@@ -5,6 +5,17 @@ jest.mock('../../src/domains/users/services', () => ({
   },
 }));
 
+jest.mock('../../src/domains/auth/services', () => ({
+  passwordResetService: {
+    requestReset: jest.fn(),
+    resetPassword: jest.fn(),
+  },
+  emailVerificationService: {
+    confirm: jest.fn(),
+    resendVerification: jest.fn(),
+  },
+}));
+
 const userAuthController = require('../../src/domains/users/controllers/user-auth.controller');
 const { userAuthService } = require('../../src/domains/users/services');
 const ResponseFormatter = require('../../src/utils/response-formatter');
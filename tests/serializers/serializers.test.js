@@ -0,0 +1,145 @@
+const {
+  architectSerializer,
+  certificationSerializer,
+  transactionSerializer,
+  userSerializer,
+} = require('../../src/common/serializers');
+
+const architect = {
+  id: 'arch-1',
+  email: 'budi@example.com',
+  password: '$2a$10$hash',
+  name: 'Budi',
+  phone: '0812',
+  profilePictureUrl: 'https://cdn/budi.jpg',
+  skills: [{ architectId: 'arch-1', skillId: 'skill-1', skill: { id: 'skill-1', name: 'AutoCAD', slug: 'autocad' } }],
+  provinceId: '32',
+  province: { id: '32', name: 'Jawa Barat', type: 'PROVINCE', parentId: null },
+  cityId: '32.73',
+  city: { id: '32.73', name: 'Kota Bandung', type: 'CITY', parentId: '32', latitude: -6.9, longitude: 107.6 },
+  latitude: -6.91,
+  longitude: 107.61,
+  serviceAreas: [{ architectId: 'arch-1', regionId: '32.77', region: { id: '32.77', name: 'Kota Cimahi', type: 'CITY' } }],
+  status: 'ACTIVE',
+  activeUntil: new Date('2027-01-01T00:00:00.000Z'),
+  membershipReminderDay: 7,
+  certifications: [{ id: 'cert-1', architectId: 'arch-1', certificationName: 'IAI', penerbit: 'IAI', year: 2018, berkasUrl: 'https://cdn/c.pdf' }],
+  transactions: [{ id: 'tx-1', orderId: 'ARCH-1', paymentToken: 'tok', midtransResponse: { a: 1 }, status: 'SUCCESS' }],
+};
+
+describe('Serializers', () => {
+  describe('architectSerializer', () => {
+    it('gives the owner contact and membership fields but never the password', () => {
+      const owner = architectSerializer.serialize(architect, 'owner');
+
+      expect(owner).toEqual(
+        expect.objectContaining({ email: 'budi@example.com', phone: '0812', status: 'ACTIVE', keahlianKhusus: ['AutoCAD'] })
+      );
+      expect(owner.skills).toEqual([{ id: 'skill-1', name: 'AutoCAD', slug: 'autocad' }]);
+      expect(owner.certifications[0].berkasUrl).toBe('https://cdn/c.pdf');
+      expect(owner).not.toHaveProperty('password');
+      expect(owner).not.toHaveProperty('transactions');
+      expect(owner).not.toHaveProperty('membershipReminderDay');
+    });
+
+    it('gives admins transactions with gateway details but never the password', () => {
+      const admin = architectSerializer.serialize(architect, 'admin');
+
+      expect(admin).not.toHaveProperty('password');
+      expect(admin.membershipReminderDay).toBe(7);
+      expect(admin.transactions[0]).toEqual(
+        expect.objectContaining({ paymentToken: 'tok', midtransResponse: { a: 1 } })
+      );
+    });
+
+    it('only emits fields present on partially selected rows', () => {
+      expect(architectSerializer.serialize({ id: 'arch-1', name: 'Budi', email: 'b@x', status: 'ACTIVE' }, 'admin')).toEqual({
+        id: 'arch-1',
+        name: 'Budi',
+        email: 'b@x',
+        status: 'ACTIVE',
+      });
+    });
+
+    it('shows regions publicly but keeps the exact coordinates for the owner', () => {
+      const pub = architectSerializer.serialize(architect, 'public');
+
+      expect(pub.city).toEqual({ id: '32.73', name: 'Kota Bandung', type: 'CITY' });
+      expect(pub.serviceAreas).toEqual([{ id: '32.77', name: 'Kota Cimahi', type: 'CITY' }]);
+      expect(pub).not.toHaveProperty('latitude');
+      expect(architectSerializer.serialize(architect, 'owner')).toEqual(
+        expect.objectContaining({ latitude: -6.91, longitude: 107.61 })
+      );
+    });
+
+    it('is idempotent and rejects unknown views', () => {
+      const once = architectSerializer.serialize(architect, 'public');
+
+      expect(architectSerializer.serialize(once, 'public')).toEqual(once);
+      expect(architectSerializer.serialize(null, 'public')).toBeNull();
+      expect(() => architectSerializer.serialize(architect, 'internal')).toThrow('has no "internal" view');
+    });
+  });
+
+  describe('certificationSerializer', () => {
+    it('hides rejected certifications from public profiles but not from the owner', () => {
+      const withReviews = {
+        ...architect,
+        certifications: [
+          { ...architect.certifications[0], verificationStatus: 'VERIFIED' },
+          { id: 'cert-2', certificationName: 'X', penerbit: 'Y', year: 2020, verificationStatus: 'REJECTED' },
+        ],
+      };
+
+      expect(architectSerializer.serialize(withReviews, 'public').certifications).toEqual([
+        { id: 'cert-1', certificationName: 'IAI', penerbit: 'IAI', year: 2018, verified: true },
+      ]);
+      expect(architectSerializer.serialize(withReviews, 'owner').certifications).toHaveLength(2);
+    });
+
+
+    it('keeps the uploaded document out of the public view', () => {
+      expect(certificationSerializer.serialize(architect.certifications[0], 'public')).toEqual({
+        id: 'cert-1',
+        certificationName: 'IAI',
+        penerbit: 'IAI',
+        year: 2018,
+      });
+    });
+  });
+
+  describe('transactionSerializer', () => {
+    it('does not expose tokens or gateway responses outside the admin view', () => {
+      const tx = { ...architect.transactions[0], snapToken: 'snap', architect };
+
+      ['public', 'owner'].forEach((view) => {
+        const result = transactionSerializer.serialize(tx, view);
+        expect(result).not.toHaveProperty('paymentToken');
+        expect(result).not.toHaveProperty('snapToken');
+        expect(result).not.toHaveProperty('midtransResponse');
+        expect(result).not.toHaveProperty('architect');
+      });
+      expect(transactionSerializer.serialize(tx, 'admin').architect).not.toHaveProperty('password');
+    });
+  });
+
+  describe('userSerializer', () => {
+    it('strips the password from paginated admin lists', () => {
+      const result = userSerializer.page(
+        { data: [{ id: 'u-1', email: 'a@x', username: 'a', fullName: 'A', password: 'hash', profilePictureUrl: null }], pagination: { page: 1 } },
+        'admin'
+      );
+
+      expect(result.pagination).toEqual({ page: 1 });
+      expect(result.data[0]).toEqual({ id: 'u-1', email: 'a@x', username: 'a', fullName: 'A', profilePictureUrl: null });
+    });
+
+    it('shows only identity fields publicly', () => {
+      expect(userSerializer.serialize({ id: 'u-1', email: 'a@x', username: 'a', fullName: 'A' }, 'public')).toEqual({
+        id: 'u-1',
+        username: 'a',
+        fullName: 'A',
+      });
+    });
+  });
+});
@@ -8,6 +8,19 @@ jest.mock('../../src/domains/admins/repositories', () => ({
   },
 }));
 
+jest.mock('../../src/domains/auth/services', () => ({
+  passwordResetService: {
+    invalidateTokens: jest.fn(),
+  },
+  sessionService: {
+    createSession: jest.fn().mockResolvedValue({
+      sessionId: 'session-1',
+      refreshToken: 'refresh-token',
+    }),
+    rotate: jest.fn(),
+  },
+}));
+
 jest.mock('../../src/utils/password-hasher', () => ({
   compare: jest.fn(),
   hash: jest.fn(),
@@ -24,6 +37,7 @@ const adminAuthService = require('../../src/domains/admins/services/admin-auth.s
 const { adminRepository } = require('../../src/domains/admins/repositories');
 const PasswordHasher = require('../../src/utils/password-hasher');
 const JWTHelper = require('../../src/utils/jwt-helper');
+const { sessionService } = require('../../src/domains/auth/services');
 const {
   ValidationError,
   AuthenticationError,
@@ -123,10 +137,18 @@ describe('AdminAuthService - Refresh Token', () => {
       email: 'admin@mail.com',
     });
 
+    sessionService.rotate.mockResolvedValue({
+      accountId: '1',
+      sessionId: 'session-1',
+      refreshToken: 'rotated-refresh-token',
+    });
+
     JWTHelper.generateAccessToken.mockReturnValue('new-access-token');
 
     const result = await adminAuthService.refreshAccessToken('refresh-token');
 
+    expect(sessionService.rotate).toHaveBeenCalledWith('ADMIN', 'refresh-token', {});
     expect(result.data.accessToken).toBe('new-access-token');
+    expect(result.data.refreshToken).toBe('rotated-refresh-token');
   });
 });
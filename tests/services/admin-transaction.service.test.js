@@ -0,0 +1,187 @@
+jest.mock('../../src/config/prisma-client', () => ({
+  transaction: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/domains/architects/repositories/transaction.repository', () => ({
+  findById: jest.fn(),
+  transitionStatus: jest.fn(),
+  markAsCancelled: jest.fn(),
+  recordRefund: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/repositories/architect.repository', () => ({
+  findByIdOrFail: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/repositories/promo-code.repository', () => ({
+  releaseRedemption: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/services/membership.service', () => ({
+  activateMembership: jest.fn(),
+  revokeRefundedMembership: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/services/invoice.service', () => ({
+  issueInvoice: jest.fn(),
+}));
+
+jest.mock('../../src/common/services/payment.service', () => ({
+  isConfigured: jest.fn(),
+  cancelTransaction: jest.fn(),
+  refundTransaction: jest.fn(),
+}));
+
+jest.mock('../../src/common/services/email.service', () => ({
+  sendTransactionCancelledEmail: jest.fn(),
+  sendRefundEmail: jest.fn(),
+}));
+
+const prisma = require('../../src/config/prisma-client');
+const adminTransactionService = require('../../src/domains/architects/services/admin-transaction.service');
+const transactionRepository = require('../../src/domains/architects/repositories/transaction.repository');
+const promoCodeRepository = require('../../src/domains/architects/repositories/promo-code.repository');
+const membershipService = require('../../src/domains/architects/services/membership.service');
+const invoiceService = require('../../src/domains/architects/services/invoice.service');
+const paymentService = require('../../src/common/services/payment.service');
+const emailService = require('../../src/common/services/email.service');
+const { BadRequestError, ValidationError, PaymentError, ConflictError } = require('../../src/errors/app-errors');
+
+const architect = { id: 'arch-1', name: 'Budi', email: 'budi@example.com' };
+
+describe('AdminTransactionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    paymentService.isConfigured.mockReturnValue(true);
+  });
+
+  describe('updateStatus', () => {
+    it('activates the membership period when marking SUCCESS', async () => {
+      prisma.transaction.findUnique.mockResolvedValue({ id: 'tx-1', status: 'PENDING', architectId: 'arch-1' });
+      transactionRepository.transitionStatus.mockResolvedValue(true);
+      transactionRepository.findById.mockResolvedValue({ id: 'tx-1', status: 'SUCCESS', architectId: 'arch-1' });
+
+      await adminTransactionService.updateStatus('tx-1', { status: 'success', reason: ' transfer manual ' }, 'admin-1');
+
+      const change = { source: 'ADMIN', actorId: 'admin-1', reason: 'transfer manual' };
+      expect(transactionRepository.transitionStatus).toHaveBeenCalledWith(
+        'tx-1',
+        ['PENDING'],
+        expect.objectContaining({ status: 'SUCCESS', paidAt: expect.any(Date) }),
+        change
+      );
+      expect(membershipService.activateMembership).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'tx-1', status: 'SUCCESS' }),
+        expect.any(Date),
+        change
+      );
+      expect(invoiceService.issueInvoice).toHaveBeenCalledWith(expect.objectContaining({ id: 'tx-1' }));
+    });
+
+    it('does not allow setting CANCELLED or REFUNDED directly', async () => {
+      await expect(adminTransactionService.updateStatus('tx-1', { status: 'REFUNDED' })).rejects.toThrow(BadRequestError);
+      expect(transactionRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    it('rejects transitions outside the state machine', async () => {
+      prisma.transaction.findUnique.mockResolvedValue({ id: 'tx-1', status: 'EXPIRED', architectId: 'arch-1' });
+
+      await expect(adminTransactionService.updateStatus('tx-1', { status: 'SUCCESS' })).rejects.toThrow(
+        'Transaction status cannot change from EXPIRED to SUCCESS'
+      );
+      expect(transactionRepository.transitionStatus).not.toHaveBeenCalled();
+      expect(membershipService.activateMembership).not.toHaveBeenCalled();
+    });
+
+    it('fails with a conflict when the status changed concurrently', async () => {
+      prisma.transaction.findUnique.mockResolvedValue({ id: 'tx-1', status: 'PENDING', architectId: 'arch-1' });
+      transactionRepository.transitionStatus.mockResolvedValue(false);
+
+      await expect(adminTransactionService.updateStatus('tx-1', { status: 'FAILED' })).rejects.toThrow(ConflictError);
+      expect(promoCodeRepository.releaseRedemption).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel', () => {
+    it('cancels a pending transaction and releases its promo', async () => {
+      prisma.transaction.findUnique.mockResolvedValue({
+        id: 'tx-1',
+        orderId: 'ARCH-1',
+        status: 'PENDING',
+        promoCodeId: 'promo-1',
+        architect,
+      });
+      paymentService.cancelTransaction.mockRejectedValue(new PaymentError('Transaction not found', 404));
+      transactionRepository.markAsCancelled.mockResolvedValue({ id: 'tx-1', status: 'CANCELLED' });
+
+      const result = await adminTransactionService.cancel('tx-1', { reason: ' duplicate ' }, 'admin-1');
+
+      expect(transactionRepository.markAsCancelled).toHaveBeenCalledWith('tx-1', 'duplicate', {
+        source: 'ADMIN',
+        actorId: 'admin-1',
+      });
+      expect(promoCodeRepository.releaseRedemption).toHaveBeenCalledWith('tx-1');
+      expect(emailService.sendTransactionCancelledEmail).toHaveBeenCalledWith(architect, result);
+    });
+
+    it('rejects transactions that are not pending', async () => {
+      prisma.transaction.findUnique.mockResolvedValue({ id: 'tx-1', status: 'SUCCESS', architect });
+
+      await expect(adminTransactionService.cancel('tx-1')).rejects.toThrow(BadRequestError);
+      expect(paymentService.cancelTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refund', () => {
+    const paid = { id: 'tx-1', orderId: 'ARCH-1', status: 'SUCCESS', amount: 500000, refundedAmount: 0, architect };
+
+    it('sends a partial refund to Midtrans without touching the membership', async () => {
+      prisma.transaction.findUnique.mockResolvedValue(paid);
+      transactionRepository.recordRefund.mockResolvedValue({ ...paid, status: 'REFUNDED', refundedAmount: 200000 });
+
+      const result = await adminTransactionService.refund('tx-1', { amount: 200000, reason: 'Diskon terlewat' });
+
+      expect(paymentService.refundTransaction).toHaveBeenCalledWith(
+        'ARCH-1',
+        expect.objectContaining({ refundKey: 'tx-1-0-200000', amount: 200000, reason: 'Diskon terlewat' })
+      );
+      expect(transactionRepository.recordRefund).toHaveBeenCalledWith(
+        'tx-1',
+        { amount: 200000, reason: 'Diskon terlewat', previousRefundedAmount: 0 },
+        expect.objectContaining({ source: 'ADMIN' })
+      );
+      expect(result.fullyRefunded).toBe(false);
+      expect(membershipService.revokeRefundedMembership).not.toHaveBeenCalled();
+      expect(emailService.sendRefundEmail).toHaveBeenCalledWith(architect, expect.any(Object), 200000);
+    });
+
+    it('refunds the remaining amount by default and applies the refund rule', async () => {
+      prisma.transaction.findUnique.mockResolvedValue({ ...paid, status: 'REFUNDED', refundedAmount: 200000 });
+      transactionRepository.recordRefund.mockResolvedValue({ ...paid, status: 'REFUNDED', refundedAmount: 500000 });
+      membershipService.revokeRefundedMembership.mockResolvedValue({ membership: { status: 'EXPIRED' } });
+
+      const result = await adminTransactionService.refund('tx-1', { reason: 'Batal', manual: true });
+
+      expect(paymentService.refundTransaction).not.toHaveBeenCalled();
+      expect(result.refundAmount).toBe(300000);
+      expect(result.fullyRefunded).toBe(true);
+      expect(result.membership).toEqual({ status: 'EXPIRED' });
+    });
+
+    it('validates amount and reason', async () => {
+      prisma.transaction.findUnique.mockResolvedValue(paid);
+
+      await expect(adminTransactionService.refund('tx-1', { amount: 600000 })).rejects.toThrow(ValidationError);
+      expect(paymentService.refundTransaction).not.toHaveBeenCalled();
+    });
+
+    it('rejects unpaid transactions', async () => {
+      prisma.transaction.findUnique.mockResolvedValue({ ...paid, status: 'PENDING' });
+
+      await expect(adminTransactionService.refund('tx-1', { reason: 'x' })).rejects.toThrow(BadRequestError);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findDirectory: jest.fn(),
+    countDirectory: jest.fn(),
+    countDirectorySkills: jest.fn(),
+    countDirectoryAreas: jest.fn(),
+    countDirectoryExperience: jest.fn(),
+    countDirectoryKategori: jest.fn(),
+    findDirectoryIds: jest.fn(),
+    findIdsWithinRadius: jest.fn(),
+  },
+  regionRepository: {
+    findById: jest.fn(),
+  },
+  skillRepository: {
+    findBySlugs: jest.fn(),
+  },
+}));
+
+const architectDirectoryService = require('../../src/domains/architects/services/architect-directory.service');
+const { architectRepository, regionRepository, skillRepository } = require('../../src/domains/architects/repositories');
+const { ValidationError } = require('../../src/errors/app-errors');
+
+const SKILLS = {
+  revit: { name: 'Revit', slug: 'revit', aliases: [] },
+  autocad: { name: 'AutoCAD', slug: 'autocad', aliases: [{ name: 'Auto-CAD 2D', slug: 'autocad2d' }] },
+  sketchup: { name: 'SketchUp', slug: 'sketchup', aliases: [] },
+};
+
+const CERTIFIED = { certifications: { some: { verificationStatus: 'VERIFIED' } } };
+const WITH_REVIT = { skills: { some: { skill: { slug: { in: ['revit'] } } } } };
+
+describe('ArchitectDirectoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    architectRepository.findDirectory.mockResolvedValue({ data: [], pagination: { page: 1 } });
+    architectRepository.countDirectory.mockResolvedValue(0);
+    architectRepository.countDirectorySkills.mockResolvedValue([]);
+    architectRepository.countDirectoryAreas.mockResolvedValue([]);
+    architectRepository.countDirectoryExperience.mockImplementation(async (ids, mins) => mins.map((min) => ({ min, count: 0 })));
+    architectRepository.countDirectoryKategori.mockResolvedValue([]);
+    architectRepository.findDirectoryIds.mockResolvedValue([]);
+    skillRepository.findBySlugs.mockImplementation(async (slugs) =>
+      Object.values(SKILLS).filter((skill) =>
+        slugs.includes(skill.slug) || skill.aliases.some((alias) => slugs.includes(alias.slug))
+      )
+    );
+  });
+
+  describe('parseQuery', () => {
+    it('validates sort, skillMatch, minExperience and hasCertification', () => {
+      expect(() => architectDirectoryService.parseQuery({ sort: 'random' })).toThrow(ValidationError);
+      expect(() => architectDirectoryService.parseQuery({ skillMatch: 'some' })).toThrow(ValidationError);
+      expect(() => architectDirectoryService.parseQuery({ minExperience: '-1' })).toThrow(ValidationError);
+      expect(() => architectDirectoryService.parseQuery({ hasCertification: 'maybe' })).toThrow(ValidationError);
+    });
+
+    it('splits skills and caps the page size', () => {
+      const filters = architectDirectoryService.parseQuery({ skills: 'Revit, SketchUp,', limit: '500' });
+
+      expect(filters.skills).toEqual(['Revit', 'SketchUp']);
+      expect(filters.limit).toBe(50);
+    });
+  });
+
+  describe('search', () => {
+    it('builds filters and sort for the listing query', async () => {
+      await architectDirectoryService.search({
+        skills: 'Revit,BIM,Auto-CAD 2D',
+        skillMatch: 'all',
+        minExperience: '5',
+        hasCertification: 'false',
+        kategori: 'Rumah',
+        sort: 'designs',
+      });
+
+      const { where, orderBy } = architectRepository.findDirectory.mock.calls[0][0];
+      expect(where.AND).toEqual([
+        { status: 'ACTIVE' },
+        {
+          AND: [
+            { skills: { some: { skill: { slug: 'revit' } } } },
+            { skills: { some: { skill: { slug: 'bim' } } } },
+            { skills: { some: { skill: { slug: 'autocad' } } } },
+          ],
+        },
+        { tahunPengalaman: { gte: 5 } },
+        { certifications: { none: { verificationStatus: 'VERIFIED' } } },
+        { designs: { some: { kategori: { equals: 'Rumah', mode: 'insensitive' } } } },
+      ]);
+      expect(orderBy[0]).toEqual({ designs: { _count: 'desc' } });
+      expect(architectRepository.countDirectorySkills.mock.calls[0][0].AND).toEqual([
+        { status: 'ACTIVE' },
+        { tahunPengalaman: { gte: 5 } },
+        { certifications: { none: { verificationStatus: 'VERIFIED' } } },
+        { designs: { some: { kategori: { equals: 'Rumah', mode: 'insensitive' } } } },
+      ]);
+    });
+
+    it('counts each facet in the database with the other filters applied', async () => {
+      architectRepository.countDirectorySkills.mockResolvedValue([
+        { value: 'Revit', count: 1 },
+        { value: 'AutoCAD', count: 1 },
+      ]);
+      architectRepository.countDirectoryAreas.mockResolvedValue([
+        { value: 'Jakarta', count: 2 },
+        { value: 'jakarta ', count: 1 },
+        { value: 'Bandung', count: 1 },
+      ]);
+      architectRepository.countDirectoryKategori.mockResolvedValue([{ value: 'Rumah', count: 2 }]);
+      architectRepository.countDirectoryExperience.mockResolvedValue([
+        { min: 1, count: 2 },
+        { min: 3, count: 2 },
+        { min: 5, count: 1 },
+        { min: 10, count: 1 },
+      ]);
+      architectRepository.findDirectoryIds.mockImplementation(async (where) =>
+        (where.AND.some((part) => part.certifications) ? ['arch-1', 'arch-2'] : ['arch-1', 'arch-2', 'arch-3'])
+      );
+      architectRepository.countDirectory.mockImplementation(async (where) => (where.AND[1]?.certifications ? 1 : 3));
+
+      const { facets, filters } = await architectDirectoryService.search({ skills: 'revit', hasCertification: 'true' });
+
+      expect(filters).toEqual(expect.objectContaining({ skills: ['revit'], hasCertification: true, sort: 'newest' }));
+      expect(filters).not.toHaveProperty('skillSlugs');
+      // skills: hanya yang punya sertifikasi terverifikasi
+      expect(architectRepository.countDirectorySkills).toHaveBeenCalledWith({ AND: [{ status: 'ACTIVE' }, CERTIFIED] }, 30);
+      expect(facets.skills).toEqual([
+        { value: 'AutoCAD', count: 1 },
+        { value: 'Revit', count: 1 },
+      ]);
+      // sertifikasi: hanya yang punya Revit (lewat slug)
+      expect(architectRepository.countDirectory).toHaveBeenCalledWith({ AND: [{ status: 'ACTIVE' }, WITH_REVIT] });
+      expect(facets.certification).toEqual({ with: 1, without: 2 });
+      expect(facets.experience).toEqual([
+        { min: 1, count: 2 },
+        { min: 3, count: 2 },
+        { min: 5, count: 1 },
+        { min: 10, count: 1 },
+      ]);
+      expect(facets.areas).toEqual([
+        { value: 'Jakarta', count: 3 },
+        { value: 'Bandung', count: 1 },
+      ]);
+      // pengalaman & kategori: satu raw query grouped atas ID arsitek yang cocok
+      expect(architectRepository.findDirectoryIds).toHaveBeenCalledWith({ AND: [{ status: 'ACTIVE' }, WITH_REVIT, CERTIFIED] });
+      expect(architectRepository.countDirectoryExperience).toHaveBeenCalledTimes(1);
+      expect(architectRepository.countDirectoryExperience).toHaveBeenCalledWith(['arch-1', 'arch-2'], [1, 3, 5, 10]);
+      expect(architectRepository.countDirectoryKategori).toHaveBeenCalledTimes(1);
+      expect(architectRepository.countDirectoryKategori).toHaveBeenCalledWith(['arch-1', 'arch-2'], 30);
+      expect(architectRepository.countDirectory).toHaveBeenCalledTimes(2);
+      expect(facets.kategori).toEqual([{ value: 'Rumah', count: 2 }]);
+    });
+
+    it('matches architects living in or serving a region (including its province)', async () => {
+      regionRepository.findById.mockResolvedValue({ id: '32.73', name: 'Kota Bandung', type: 'CITY', parentId: '32' });
+
+      const { filters } = await architectDirectoryService.search({ region: '32.73' });
+
+      const { where } = architectRepository.findDirectory.mock.calls[0][0];
+      expect(where.AND[1]).toEqual({
+        OR: [
+          { provinceId: '32.73' },
+          { cityId: '32.73' },
+          { serviceAreas: { some: { OR: [{ regionId: { in: ['32.73', '32'] } }, { region: { parentId: '32.73' } }] } } },
+        ],
+      });
+      expect(filters).not.toHaveProperty('regionIds');
+      expect(filters.region).toBe('32.73');
+    });
+
+    it('rejects unknown regions', async () => {
+      regionRepository.findById.mockResolvedValue(null);
+
+      await expect(architectDirectoryService.search({ region: '99' })).rejects.toThrow(ValidationError);
+    });
+
+    it('validates the radius search parameters', () => {
+      expect(() => architectDirectoryService.parseQuery({ lat: '-6.9' })).toThrow(ValidationError);
+      expect(() => architectDirectoryService.parseQuery({ lat: '-6.9', lng: '107.6', radiusKm: '1000' })).toThrow(ValidationError);
+      expect(() => architectDirectoryService.parseQuery({ sort: 'distance' })).toThrow(ValidationError);
+      expect(architectDirectoryService.parseQuery({ lat: '-6.9', lng: '107.6' }).near).toEqual({
+        latitude: -6.9,
+        longitude: 107.6,
+        radiusKm: 25,
+      });
+    });
+
+    it('sorts by distance within the radius and paginates in memory', async () => {
+      architectRepository.findIdsWithinRadius.mockResolvedValue([
+        { id: 'a', distanceKm: 1.23 },
+        { id: 'b', distanceKm: 4.56 },
+        { id: 'c', distanceKm: 9.87 },
+      ]);
+      architectRepository.findDirectoryIds.mockResolvedValue(['c', 'a', 'b']);
+      architectRepository.findDirectory.mockResolvedValue({ data: [{ id: 'b' }, { id: 'c' }] });
+
+      const result = await architectDirectoryService.search({
+        lat: '-6.9', lng: '107.6', radiusKm: '10', sort: 'distance', page: '2', limit: '2',
+      });
+
+      expect(architectRepository.findIdsWithinRadius).toHaveBeenCalledWith(-6.9, 107.6, 10);
+      expect(architectRepository.findDirectoryIds.mock.calls[0][0].AND).toContainEqual({ id: { in: ['a', 'b', 'c'] } });
+      expect(architectRepository.findDirectory).toHaveBeenCalledWith({ where: { id: { in: ['c'] } }, page: 1, limit: 2 });
+      expect(result.data).toEqual([{ id: 'c', distanceKm: 9.9 }]);
+      expect(result.pagination).toEqual({
+        page: 2, limit: 2, totalItems: 3, totalPages: 2, hasNextPage: false, hasPrevPage: true,
+      });
+      expect(result.filters).not.toHaveProperty('distances');
+    });
+  });
+});
@@ -0,0 +1,247 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findByEmail: jest.fn(),
+  },
+  certificationRepository: {},
+  portfolioLinkRepository: {},
+  transactionRepository: {
+    getLatestByArchitect: jest.fn(),
+    countCreatedSince: jest.fn(),
+    findPendingByArchitect: jest.fn(),
+    findOpenByArchitect: jest.fn(),
+    markAsCancelled: jest.fn(),
+    createTransaction: jest.fn(),
+  },
+  promoCodeRepository: {
+    releaseRedemption: jest.fn(),
+    createTransactionWithRedemption: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/utils/password-hasher', () => ({
+  compare: jest.fn(),
+}));
+
+jest.mock('../../src/common/services/payment.service', () => {
+  const actual = jest.requireActual('../../src/common/services/payment.service');
+  return {
+    isConfigured: jest.fn(),
+    getTransactionStatus: jest.fn(),
+    cancelTransaction: jest.fn(),
+    createSnapTransaction: jest.fn(),
+    parseTransactionStatus: actual.parseTransactionStatus.bind(actual),
+  };
+});
+
+jest.mock('../../src/common/services/email.service', () => ({
+  sendPaymentLinkEmail: jest.fn(),
+}));
+
+jest.mock('../../src/domains/auth/services', () => ({
+  emailVerificationService: {},
+}));
+
+jest.mock('../../src/domains/architects/services/membership.service', () => ({}));
+jest.mock('../../src/domains/architects/services/invoice.service', () => ({}));
+
+jest.mock('../../src/domains/architects/services/webhook.service', () => ({
+  applyGatewayStatus: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/services/promo-code.service', () => ({
+  quoteRegistration: jest.fn(),
+  buildItemDetails: jest.fn().mockReturnValue([]),
+  toTransactionAmounts: jest.fn((quote) => ({ amount: quote.amount })),
+}));
+
+const registrationService = require('../../src/domains/architects/services/architect-registration.service');
+const { architectRepository, transactionRepository, promoCodeRepository } = require('../../src/domains/architects/repositories');
+const PasswordHasher = require('../../src/utils/password-hasher');
+const paymentService = require('../../src/common/services/payment.service');
+const emailService = require('../../src/common/services/email.service');
+const webhookService = require('../../src/domains/architects/services/webhook.service');
+const promoCodeService = require('../../src/domains/architects/services/promo-code.service');
+const {
+  AuthenticationError,
+  BadRequestError,
+  PaymentError,
+  TooManyRequestsError,
+} = require('../../src/errors/app-errors');
+
+const architect = { id: 'arch-1', name: 'Budi', email: 'budi@example.com', phone: '0812', password: 'hash', status: 'UNPAID' };
+const credentials = { email: 'budi@example.com', password: 'Secret123!' };
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('ArchitectRegistrationService.retryPayment', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete process.env.PAYMENT_RETRY_COOLDOWN_SECONDS;
+    delete process.env.PAYMENT_RETRY_MAX_PER_HOUR;
+
+    architectRepository.findByEmail.mockResolvedValue(architect);
+    PasswordHasher.compare.mockResolvedValue(true);
+    transactionRepository.getLatestByArchitect.mockResolvedValue({ createdAt: new Date(Date.now() - 2 * HOUR_MS) });
+    transactionRepository.countCreatedSince.mockResolvedValue(0);
+    transactionRepository.findPendingByArchitect.mockResolvedValue([]);
+    transactionRepository.markAsCancelled.mockImplementation(async (id) => ({ id, status: 'CANCELLED' }));
+    transactionRepository.createTransaction.mockImplementation(async (data) => ({ id: 'tx-new', ...data }));
+    promoCodeService.quoteRegistration.mockResolvedValue({ originalAmount: 500000, discountAmount: 0, amount: 500000, promoCode: null });
+    paymentService.isConfigured.mockReturnValue(true);
+    paymentService.createSnapTransaction.mockResolvedValue({ snapToken: 'snap-new', redirectUrl: 'https://snap/new' });
+  });
+
+  it('rejects a wrong password without revealing the account', async () => {
+    PasswordHasher.compare.mockResolvedValue(false);
+
+    await expect(registrationService.retryPayment(credentials)).rejects.toThrow(AuthenticationError);
+    architectRepository.findByEmail.mockResolvedValue(null);
+    await expect(registrationService.retryPayment(credentials)).rejects.toThrow('Invalid email or password');
+    expect(transactionRepository.createTransaction).not.toHaveBeenCalled();
+  });
+
+  it('only allows UNPAID architects', async () => {
+    architectRepository.findByEmail.mockResolvedValue({ ...architect, status: 'ACTIVE' });
+
+    await expect(registrationService.retryPayment(credentials)).rejects.toThrow(BadRequestError);
+  });
+
+  it('is rate limited per account', async () => {
+    transactionRepository.getLatestByArchitect.mockResolvedValue({ createdAt: new Date(Date.now() - 10 * 1000) });
+    await expect(registrationService.retryPayment(credentials)).rejects.toThrow(TooManyRequestsError);
+
+    transactionRepository.getLatestByArchitect.mockResolvedValue({ createdAt: new Date(Date.now() - 10 * 60 * 1000) });
+    transactionRepository.countCreatedSince.mockResolvedValue(3);
+    await expect(registrationService.retryPayment(credentials)).rejects.toThrow('Too many payment links requested');
+
+    expect(transactionRepository.findPendingByArchitect).not.toHaveBeenCalled();
+  });
+
+  it('cancels older pending transactions and issues a new one', async () => {
+    transactionRepository.findPendingByArchitect.mockResolvedValue([
+      { id: 'tx-old', orderId: 'ARCH-OLD', status: 'PENDING' },
+      { id: 'tx-unused', orderId: 'ARCH-UNUSED', status: 'PENDING' },
+    ]);
+    paymentService.getTransactionStatus.mockImplementation(async (orderId) => {
+      if (orderId === 'ARCH-OLD') return { order_id: orderId, transaction_status: 'pending' };
+      throw new PaymentError('Transaction not found', 404);
+    });
+
+    const result = await registrationService.retryPayment(credentials);
+
+    expect(paymentService.cancelTransaction).toHaveBeenCalledTimes(1);
+    expect(paymentService.cancelTransaction).toHaveBeenCalledWith('ARCH-OLD');
+    expect(transactionRepository.markAsCancelled.mock.calls.map(([id]) => id)).toEqual(['tx-old', 'tx-unused']);
+    expect(transactionRepository.markAsCancelled).toHaveBeenCalledWith('tx-old', 'Replaced by payment retry', { source: 'SYSTEM' });
+    expect(transactionRepository.createTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ architectId: 'arch-1', status: 'PENDING', snapToken: 'snap-new' })
+    );
+    const created = transactionRepository.createTransaction.mock.calls[0][0];
+    expect(emailService.sendPaymentLinkEmail).toHaveBeenCalledWith(architect, created.paymentToken, created.orderId, 500000);
+    expect(result.data.payment).toEqual(
+      expect.objectContaining({ orderId: created.orderId, snapRedirectUrl: 'https://snap/new', status: 'PENDING' })
+    );
+  });
+
+  it('applies a payment that already settled instead of creating a new transaction', async () => {
+    transactionRepository.findPendingByArchitect.mockResolvedValue([{ id: 'tx-old', orderId: 'ARCH-OLD', status: 'PENDING' }]);
+    paymentService.getTransactionStatus.mockResolvedValue({ order_id: 'ARCH-OLD', transaction_status: 'settlement', payment_type: 'qris' });
+
+    const result = await registrationService.retryPayment(credentials);
+
+    expect(webhookService.applyGatewayStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ orderId: 'ARCH-OLD', status: 'SUCCESS' }),
+      { source: 'RECONCILIATION', metadata: { paymentRetry: true } }
+    );
+    expect(transactionRepository.markAsCancelled).not.toHaveBeenCalled();
+    expect(transactionRepository.createTransaction).not.toHaveBeenCalled();
+    expect(result.data.activated).toBe(true);
+  });
+});
+
+describe('ArchitectRegistrationService.resendPaymentLink with a promo code', () => {
+  const pending = { id: 'tx-old', orderId: 'ARCH-OLD', type: 'REGISTRATION', status: 'PENDING', amount: 500000, promoCodeId: null, expiredAt: new Date(Date.now() + HOUR_MS) };
+  const promo = { id: 'promo-1', code: 'HEMAT' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    architectRepository.findByEmail.mockResolvedValue(architect);
+    transactionRepository.findOpenByArchitect.mockResolvedValue(pending);
+    transactionRepository.markAsCancelled.mockImplementation(async (id) => ({ id, status: 'CANCELLED' }));
+    promoCodeRepository.createTransactionWithRedemption.mockImplementation(async (data, { promoCodeId }) => ({ id: 'tx-new', ...data, promoCodeId }));
+    promoCodeService.quoteRegistration.mockResolvedValue({ originalAmount: 500000, discountAmount: 100000, amount: 400000, promoCode: promo });
+    paymentService.isConfigured.mockReturnValue(true);
+    paymentService.createSnapTransaction.mockResolvedValue({ snapToken: 'snap-new', redirectUrl: 'https://snap/new' });
+    paymentService.getTransactionStatus.mockResolvedValue({ order_id: 'ARCH-OLD', transaction_status: 'pending' });
+  });
+
+  it('cancels the old order at the gateway before creating the discounted transaction', async () => {
+    const result = await registrationService.resendPaymentLink('budi@example.com', 'HEMAT');
+
+    const created = promoCodeRepository.createTransactionWithRedemption.mock;
+    expect(transactionRepository.findOpenByArchitect).toHaveBeenCalledWith('arch-1', 'REGISTRATION');
+    expect(paymentService.cancelTransaction).toHaveBeenCalledWith('ARCH-OLD');
+    expect(paymentService.cancelTransaction.mock.invocationCallOrder[0]).toBeLessThan(created.invocationCallOrder[0]);
+    expect(transactionRepository.markAsCancelled).toHaveBeenCalledWith(
+      'tx-old',
+      'Replaced by a new transaction after applying a promo code',
+      { source: 'SYSTEM' }
+    );
+    expect(emailService.sendPaymentLinkEmail).toHaveBeenCalledWith(
+      architect,
+      created.calls[0][0].paymentToken,
+      created.calls[0][0].orderId,
+      400000
+    );
+    expect(result.data).toEqual(expect.objectContaining({ activated: false, amount: 400000 }));
+  });
+
+  it('applies an old order that was already paid without creating a promo transaction', async () => {
+    paymentService.getTransactionStatus.mockResolvedValue({ order_id: 'ARCH-OLD', transaction_status: 'settlement', payment_type: 'qris' });
+
+    const result = await registrationService.resendPaymentLink('budi@example.com', 'HEMAT');
+
+    expect(webhookService.applyGatewayStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ orderId: 'ARCH-OLD', status: 'SUCCESS' }),
+      expect.objectContaining({ source: 'RECONCILIATION' })
+    );
+    expect(promoCodeRepository.createTransactionWithRedemption).not.toHaveBeenCalled();
+    expect(transactionRepository.markAsCancelled).not.toHaveBeenCalled();
+    expect(emailService.sendPaymentLinkEmail).not.toHaveBeenCalled();
+    expect(result.data.activated).toBe(true);
+  });
+
+  it('keeps the old order and creates nothing when the gateway cancel fails', async () => {
+    paymentService.cancelTransaction.mockRejectedValueOnce(new PaymentError('Gateway down', 502));
+
+    await expect(registrationService.resendPaymentLink('budi@example.com', 'HEMAT')).rejects.toThrow('Gateway down');
+    expect(promoCodeRepository.createTransactionWithRedemption).not.toHaveBeenCalled();
+    expect(transactionRepository.markAsCancelled).not.toHaveBeenCalled();
+  });
+
+  it('cancels the promo transaction and releases the redemption when the replacement fails', async () => {
+    paymentService.getTransactionStatus.mockImplementation(async (orderId) => {
+      if (orderId === 'ARCH-OLD') return { order_id: orderId, transaction_status: 'pending' };
+      throw new PaymentError('Transaction not found', 404);
+    });
+    transactionRepository.markAsCancelled
+      .mockRejectedValueOnce(new Error('DB down'))
+      .mockImplementation(async (id) => ({ id, status: 'CANCELLED' }));
+
+    await expect(registrationService.resendPaymentLink('budi@example.com', 'HEMAT')).rejects.toThrow('DB down');
+    expect(transactionRepository.markAsCancelled).toHaveBeenLastCalledWith('tx-new', 'Promo code replacement failed', { source: 'SYSTEM' });
+    expect(promoCodeRepository.releaseRedemption).toHaveBeenCalledWith('tx-new');
+    expect(emailService.sendPaymentLinkEmail).not.toHaveBeenCalled();
+  });
+
+  it('only applies promo codes to registration payments of UNPAID architects', async () => {
+    architectRepository.findByEmail.mockResolvedValue({ ...architect, status: 'EXPIRED' });
+
+    await expect(registrationService.resendPaymentLink('budi@example.com', 'HEMAT')).rejects.toThrow(BadRequestError);
+    expect(transactionRepository.findOpenByArchitect).not.toHaveBeenCalled();
+    expect(promoCodeService.quoteRegistration).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  certificationRepository: {
+    findReviewQueue: jest.fn(),
+    findByIdForReview: jest.fn(),
+    countByVerificationStatus: jest.fn(),
+    recordReview: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/common/services/email.service', () => ({
+  sendCertificationReviewEmail: jest.fn(),
+}));
+
+const certificationReviewService = require('../../src/domains/architects/services/certification-review.service');
+const { certificationRepository } = require('../../src/domains/architects/repositories');
+const emailService = require('../../src/common/services/email.service');
+const { certificationSerializer } = require('../../src/common/serializers');
+const {
+  ValidationError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require('../../src/errors/app-errors');
+
+const certification = (overrides = {}) => ({
+  id: 'cert-1',
+  architectId: 'arch-1',
+  certificationName: 'Arsitek Berlisensi',
+  penerbit: 'IAI',
+  year: 2018,
+  berkasUrl: 'https://cdn/cert.pdf',
+  verificationStatus: 'PENDING',
+  reviewedById: null,
+  reviewedAt: null,
+  rejectionReason: null,
+  architect: { id: 'arch-1', name: 'Budi', email: 'budi@example.com' },
+  ...overrides,
+});
+
+describe('CertificationReviewService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    certificationRepository.countByVerificationStatus.mockResolvedValue({ PENDING: 1, VERIFIED: 0, REJECTED: 0 });
+  });
+
+  describe('queue', () => {
+    it('defaults to pending certifications and returns counts per status', async () => {
+      certificationRepository.findReviewQueue.mockResolvedValue({ data: [certification()], pagination: { page: 1 } });
+
+      const result = await certificationReviewService.queue({ limit: '500' });
+
+      expect(certificationRepository.findReviewQueue).toHaveBeenCalledWith({
+        where: { verificationStatus: 'PENDING' },
+        page: 1,
+        limit: 100,
+      });
+      expect(result.counts).toEqual({ PENDING: 1, VERIFIED: 0, REJECTED: 0 });
+      expect(result.data[0]).toEqual(expect.objectContaining({ verificationStatus: 'PENDING', berkasUrl: 'https://cdn/cert.pdf' }));
+    });
+
+    it('accepts all statuses case-insensitively', async () => {
+      certificationRepository.findReviewQueue.mockResolvedValue({ data: [], pagination: { page: 1 } });
+
+      await certificationReviewService.queue({ status: 'all', architectId: 'arch-1' });
+
+      expect(certificationRepository.findReviewQueue).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { architectId: 'arch-1' } })
+      );
+    });
+
+    it('rejects unknown statuses', async () => {
+      await expect(certificationReviewService.queue({ status: 'approved' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('verify', () => {
+    it('records the reviewer and emails the architect', async () => {
+      certificationRepository.findByIdForReview.mockResolvedValue(certification());
+      certificationRepository.recordReview.mockImplementation(async (id, from, data) => certification(data));
+
+      const result = await certificationReviewService.verify('cert-1', 'admin-1');
+
+      expect(certificationRepository.recordReview).toHaveBeenCalledWith('cert-1', 'PENDING', {
+        verificationStatus: 'VERIFIED',
+        reviewedById: 'admin-1',
+        reviewedAt: expect.any(Date),
+        rejectionReason: null,
+      });
+      expect(emailService.sendCertificationReviewEmail).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'budi@example.com' }),
+        expect.objectContaining({ verificationStatus: 'VERIFIED' })
+      );
+      expect(result.verified).toBe(true);
+    });
+
+    it('does not re-verify an already verified certification', async () => {
+      certificationRepository.findByIdForReview.mockResolvedValue(certification({ verificationStatus: 'VERIFIED' }));
+
+      await expect(certificationReviewService.verify('cert-1', 'admin-1')).rejects.toThrow(BadRequestError);
+      expect(certificationRepository.recordReview).not.toHaveBeenCalled();
+    });
+
+    it('fails when another admin reviewed it first', async () => {
+      certificationRepository.findByIdForReview.mockResolvedValue(certification());
+      certificationRepository.recordReview.mockResolvedValue(null);
+
+      await expect(certificationReviewService.verify('cert-1', 'admin-1')).rejects.toThrow(ConflictError);
+      expect(emailService.sendCertificationReviewEmail).not.toHaveBeenCalled();
+    });
+
+    it('throws NotFoundError for unknown certifications', async () => {
+      certificationRepository.findByIdForReview.mockResolvedValue(null);
+
+      await expect(certificationReviewService.verify('missing', 'admin-1')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('reject', () => {
+    it('requires a reason', async () => {
+      await expect(certificationReviewService.reject('cert-1', { reason: '  ' }, 'admin-1')).rejects.toThrow(ValidationError);
+      expect(certificationRepository.findByIdForReview).not.toHaveBeenCalled();
+    });
+
+    it('stores the reason and still succeeds when the email fails', async () => {
+      certificationRepository.findByIdForReview.mockResolvedValue(certification({ verificationStatus: 'VERIFIED' }));
+      certificationRepository.recordReview.mockImplementation(async (id, from, data) => certification(data));
+      emailService.sendCertificationReviewEmail.mockRejectedValue(new Error('SMTP down'));
+
+      const result = await certificationReviewService.reject('cert-1', { reason: ' Berkas tidak terbaca ' }, 'admin-1');
+
+      expect(certificationRepository.recordReview).toHaveBeenCalledWith(
+        'cert-1',
+        'VERIFIED',
+        expect.objectContaining({ verificationStatus: 'REJECTED', rejectionReason: 'Berkas tidak terbaca' })
+      );
+      expect(result).toEqual(expect.objectContaining({ verified: false, rejectionReason: 'Berkas tidak terbaca' }));
+    });
+  });
+
+  describe('re-review after edits', () => {
+    it('resets the review when content or file changes', () => {
+      const current = certification({ verificationStatus: 'VERIFIED', reviewedById: 'admin-1' });
+
+      expect(certificationReviewService.withReviewReset(current, { year: 2018 })).toEqual({ year: 2018 });
+      expect(certificationReviewService.withReviewReset(current, { year: 2019 })).toEqual({
+        year: 2019,
+        verificationStatus: 'PENDING',
+        reviewedById: null,
+        reviewedAt: null,
+        rejectionReason: null,
+      });
+    });
+
+    it('keeps the previous outcome for unchanged certifications recreated from the profile form', () => {
+      const previous = [certification({ verificationStatus: 'VERIFIED', reviewedById: 'admin-1' })];
+      const [kept, added] = certificationReviewService.carryOverReviews(previous, [
+        { certificationName: 'Arsitek Berlisensi', penerbit: 'IAI', year: 2018, berkasUrl: 'https://cdn/cert.pdf' },
+        { certificationName: 'GBCI', penerbit: 'GBCI', year: 2020, berkasUrl: 'https://cdn/gbci.pdf' },
+      ]);
+
+      expect(kept).toEqual(expect.objectContaining({ verificationStatus: 'VERIFIED', reviewedById: 'admin-1' }));
+      expect(added).not.toHaveProperty('verificationStatus');
+    });
+  });
+
+  describe('public view', () => {
+    it('only shows the verified badge, not the review details', () => {
+      const rejected = certificationSerializer.serialize(
+        certification({ verificationStatus: 'REJECTED', rejectionReason: 'Palsu' }),
+        'public'
+      );
+
+      expect(rejected).toEqual({ id: 'cert-1', certificationName: 'Arsitek Berlisensi', penerbit: 'IAI', year: 2018, verified: false });
+    });
+  });
+});
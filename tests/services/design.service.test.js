@@ -0,0 +1,343 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findByIdOrFail: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/domains/architects/repositories/design.repository', () => ({
+  createForArchitect: jest.fn(),
+  findByIdWithImagesOrFail: jest.fn(),
+  updateDesign: jest.fn(),
+  findPopularIds: jest.fn(),
+  findTrendingIds: jest.fn(),
+  findManyByIdsOrdered: jest.fn(),
+  findLatest: jest.fn(),
+  findByIdWithArchitect: jest.fn(),
+  recordViewByUser: jest.fn(),
+  recordViewByArchitect: jest.fn(),
+  getViewsSummary: jest.fn(),
+}));
+
+jest.mock('../../src/domains/views/services/view.service', () => ({
+  recordAnonymousView: jest.fn(),
+  getAnonymousSummary: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/repositories/design-image.repository', () => ({
+  getNextOrder: jest.fn(),
+  createManyForDesign: jest.fn(),
+  deleteByIds: jest.fn(),
+  updateOrders: jest.fn(),
+  setCover: jest.fn(),
+}));
+
+jest.mock('../../src/utils/file-upload-helper', () => ({
+  persistImage: jest.fn(),
+  safeDeleteFile: jest.fn(),
+  getFileUrl: jest.fn((url) => url),
+}));
+
+const designService = require('../../src/domains/architects/services/design.service');
+const designRepository = require('../../src/domains/architects/repositories/design.repository');
+const designImageRepository = require('../../src/domains/architects/repositories/design-image.repository');
+const { architectRepository } = require('../../src/domains/architects/repositories');
+const FileUploadHelper = require('../../src/utils/file-upload-helper');
+const viewService = require('../../src/domains/views/services/view.service');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../../src/errors/app-errors');
+
+const image = (id, type, order, extra = {}) => ({
+  id,
+  type,
+  order,
+  url: `https://cdn/${id}.jpg`,
+  storageKey: `designs/${id}`,
+  caption: null,
+  width: null,
+  height: null,
+  isCover: false,
+  ...extra,
+});
+
+const makeDesign = (images = []) => ({
+  id: 'd1',
+  architectId: 'arch-1',
+  title: 'Rumah',
+  images,
+});
+
+describe('DesignService - images', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let counter = 0;
+    FileUploadHelper.persistImage.mockImplementation(async () => {
+      counter += 1;
+      return { url: `https://cdn/new-${counter}.jpg`, storageKey: `designs/new-${counter}`, width: 800, height: 600 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('formatDesignResponse', () => {
+    it('keeps foto_bangunan/foto_denah arrays ordered and exposes images + cover', () => {
+      const design = makeDesign([
+        image('b2', 'BANGUNAN', 1),
+        image('dn1', 'DENAH', 0),
+        image('b1', 'BANGUNAN', 0),
+      ]);
+
+      const result = designService.formatDesignResponse(design);
+
+      expect(result.foto_bangunan).toEqual(['https://cdn/b1.jpg', 'https://cdn/b2.jpg']);
+      expect(result.foto_denah).toEqual(['https://cdn/dn1.jpg']);
+      expect(result.coverImage).toBe('https://cdn/b1.jpg');
+      expect(result.images.map((img) => img.id)).toEqual(['b1', 'b2', 'dn1']);
+      expect(result.images.find((img) => img.isCover).id).toBe('b1');
+    });
+
+    it('uses the flagged cover when present', () => {
+      const design = makeDesign([image('b1', 'BANGUNAN', 0), image('b2', 'BANGUNAN', 1, { isCover: true })]);
+
+      expect(designService.formatDesignResponse(design).coverImage).toBe('https://cdn/b2.jpg');
+    });
+  });
+
+  describe('createDesign', () => {
+    it('stores uploaded photos as design images with first bangunan as cover', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({ id: 'arch-1' });
+      designRepository.createForArchitect.mockResolvedValue(makeDesign());
+
+      await designService.createDesign(
+        'arch-1',
+        { title: 'Rumah' },
+        { foto_bangunan: [{}, {}], foto_denah: [{}] }
+      );
+
+      const [, data, images] = designRepository.createForArchitect.mock.calls[0];
+      expect(data).not.toHaveProperty('foto_bangunan');
+      expect(images).toEqual([
+        expect.objectContaining({ type: 'BANGUNAN', order: 0, isCover: true, storageKey: 'designs/new-1' }),
+        expect.objectContaining({ type: 'BANGUNAN', order: 1 }),
+        expect.objectContaining({ type: 'DENAH', order: 0 }),
+      ]);
+      expect(images[1].isCover).toBeUndefined();
+    });
+  });
+
+  describe('updateDesign (legacy indexed photo fields)', () => {
+    it('replaces the image at the given index and appends the rest', async () => {
+      const design = makeDesign([image('b1', 'BANGUNAN', 0), image('b2', 'BANGUNAN', 1)]);
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(design);
+      designRepository.updateDesign.mockResolvedValue(design);
+
+      await designService.updateDesign(
+        'd1',
+        'arch-1',
+        { foto_bangunan_indices: '[1,-1]' },
+        { foto_bangunan: [{}, {}] }
+      );
+
+      expect(designImageRepository.deleteByIds).toHaveBeenCalledWith('d1', ['b2']);
+      expect(designImageRepository.createManyForDesign).toHaveBeenCalledWith('d1', [
+        expect.objectContaining({ url: 'https://cdn/new-1.jpg', order: 1 }),
+        expect.objectContaining({ url: 'https://cdn/new-2.jpg', order: 2 }),
+      ]);
+      expect(FileUploadHelper.safeDeleteFile).toHaveBeenCalledWith('https://cdn/b2.jpg', 'designs/b2');
+    });
+
+    it('replaces every image of the type when indices are not sent', async () => {
+      const design = makeDesign([image('b1', 'BANGUNAN', 0), image('dn1', 'DENAH', 0)]);
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(design);
+      designRepository.updateDesign.mockResolvedValue(design);
+
+      await designService.updateDesign('d1', 'arch-1', {}, { foto_bangunan: [{}] });
+
+      expect(designImageRepository.deleteByIds).toHaveBeenCalledTimes(1);
+      expect(designImageRepository.deleteByIds).toHaveBeenCalledWith('d1', ['b1']);
+    });
+
+    it('removes by index and closes the gap in ordering', async () => {
+      const design = makeDesign([
+        image('b1', 'BANGUNAN', 0),
+        image('b2', 'BANGUNAN', 1),
+        image('b3', 'BANGUNAN', 2),
+      ]);
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(design);
+      designRepository.updateDesign.mockResolvedValue(design);
+
+      await designService.updateDesign('d1', 'arch-1', { remove_foto_bangunan_indices: '0' }, {});
+
+      expect(designImageRepository.deleteByIds).toHaveBeenCalledWith('d1', ['b1']);
+      expect(designImageRepository.updateOrders).toHaveBeenCalledWith('d1', [
+        { id: 'b2', order: 0 },
+        { id: 'b3', order: 1 },
+      ]);
+    });
+
+    it('rejects updates from another architect', async () => {
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(makeDesign());
+
+      await expect(designService.updateDesign('d1', 'arch-2', {}, {})).rejects.toThrow(AuthorizationError);
+      expect(designRepository.updateDesign).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addImages', () => {
+    it('appends after the last order with captions', async () => {
+      const design = makeDesign([image('dn1', 'DENAH', 0)]);
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(design);
+      designImageRepository.getNextOrder.mockResolvedValue(1);
+
+      await designService.addImages('d1', 'arch-1', { type: 'denah', captions: '["Lantai 2"]' }, [{}]);
+
+      expect(designImageRepository.createManyForDesign).toHaveBeenCalledWith('d1', [
+        expect.objectContaining({ type: 'DENAH', order: 1, caption: 'Lantai 2', width: 800, height: 600 }),
+      ]);
+    });
+
+    it('rejects unknown type', async () => {
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(makeDesign());
+
+      await expect(designService.addImages('d1', 'arch-1', { type: 'FOTO' }, [{}])).rejects.toThrow(
+        ValidationError
+      );
+    });
+  });
+
+  describe('removeImage', () => {
+    it('throws NotFoundError for an image of another design', async () => {
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(makeDesign([image('b1', 'BANGUNAN', 0)]));
+
+      await expect(designService.removeImage('d1', 'arch-1', 'other')).rejects.toThrow(NotFoundError);
+      expect(designImageRepository.deleteByIds).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reorderImages', () => {
+    it('saves the new order when every image of the type is listed', async () => {
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(
+        makeDesign([image('b1', 'BANGUNAN', 0), image('b2', 'BANGUNAN', 1), image('dn1', 'DENAH', 0)])
+      );
+
+      await designService.reorderImages('d1', 'arch-1', { type: 'BANGUNAN', imageIds: ['b2', 'b1'] });
+
+      expect(designImageRepository.updateOrders).toHaveBeenCalledWith('d1', [
+        { id: 'b2', order: 0 },
+        { id: 'b1', order: 1 },
+      ]);
+    });
+
+    it('rejects a partial or foreign list', async () => {
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(
+        makeDesign([image('b1', 'BANGUNAN', 0), image('b2', 'BANGUNAN', 1), image('dn1', 'DENAH', 0)])
+      );
+
+      await expect(
+        designService.reorderImages('d1', 'arch-1', { type: 'BANGUNAN', imageIds: ['b1', 'dn1'] })
+      ).rejects.toThrow(ValidationError);
+      expect(designImageRepository.updateOrders).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setCoverImage', () => {
+    it('sets cover for an image of the design', async () => {
+      designRepository.findByIdWithImagesOrFail.mockResolvedValue(makeDesign([image('b1', 'BANGUNAN', 0)]));
+
+      await designService.setCoverImage('d1', 'arch-1', 'b1');
+
+      expect(designImageRepository.setCover).toHaveBeenCalledWith('d1', 'b1');
+    });
+  });
+});
+
+describe('DesignService - popular & trending', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.DESIGN_TRENDING_HALF_LIFE_HOURS;
+  });
+
+  it('ranks popular designs by all-time views and fills the rest with latest', async () => {
+    designRepository.findPopularIds.mockResolvedValue([{ designId: 'd2', totalViews: 9 }]);
+    designRepository.findManyByIdsOrdered.mockResolvedValue([{ id: 'd2', images: [] }]);
+    designRepository.findLatest.mockResolvedValue([
+      { id: 'd2', images: [] },
+      { id: 'd3', images: [] },
+    ]);
+
+    const result = await designService.getPopularDesigns(2);
+
+    expect(result.map((d) => [d.id, d.views])).toEqual([
+      ['d2', 9],
+      ['d3', 0],
+    ]);
+  });
+
+  it('parses trending window into hours', () => {
+    expect(designService.parseTrendingWindow('7d')).toBe(168);
+    expect(designService.parseTrendingWindow('12h')).toBe(12);
+    expect(() => designService.parseTrendingWindow('week')).toThrow(ValidationError);
+    expect(() => designService.parseTrendingWindow('0d')).toThrow(ValidationError);
+    expect(() => designService.parseTrendingWindow('91d')).toThrow(ValidationError);
+  });
+
+  it('queries trending events inside the window with a decaying half-life', async () => {
+    const now = new Date('2026-10-19T12:00:00.000Z').getTime();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    designRepository.findTrendingIds.mockResolvedValue([{ designId: 'd1', score: 3.123456, views: 4 }]);
+    designRepository.findManyByIdsOrdered.mockResolvedValue([{ id: 'd1', images: [] }]);
+
+    const result = await designService.getTrendingDesigns({ window: '7d', limit: 5 });
+
+    expect(designRepository.findTrendingIds).toHaveBeenCalledWith({
+      since: new Date(now - 168 * 60 * 60 * 1000),
+      halfLifeHours: 42,
+      limit: 5,
+    });
+    expect(result[0]).toEqual(expect.objectContaining({ id: 'd1', trendingScore: 3.1235, windowViews: 4 }));
+
+    Date.now.mockRestore();
+  });
+});
+
+describe('DesignService - view counting', () => {
+  const design = { id: 'd1', architectId: 'arch-1', images: [] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    designRepository.findByIdWithArchitect.mockResolvedValue(design);
+    designRepository.getViewsSummary.mockResolvedValue({
+      totalViews: 5,
+      uniqueViewers: 2,
+      breakdown: { users: { views: 5, unique: 2 }, architects: { views: 0, unique: 0 } },
+    });
+    viewService.getAnonymousSummary.mockResolvedValue({ totalViews: 7, uniqueVisitors: 4 });
+  });
+
+  it('counts anonymous visitors by fingerprint and reports them separately', async () => {
+    const result = await designService.getDesignById('d1', true, null, { visitorHash: 'hash-1' });
+
+    expect(viewService.recordAnonymousView).toHaveBeenCalledWith('DESIGN', 'd1', 'hash-1');
+    expect(designRepository.recordViewByUser).not.toHaveBeenCalled();
+    expect(result.views).toBe(5);
+    expect(result.viewsBreakdown.anonymous).toEqual({ views: 7, unique: 4 });
+  });
+
+  it('counts logged-in users on the authenticated counter only', async () => {
+    await designService.getDesignById('d1', true, { id: 'u1', role: 'USER' }, { referrer: 'google' });
+
+    expect(designRepository.recordViewByUser).toHaveBeenCalledWith('u1', 'd1', 'google');
+    expect(viewService.recordAnonymousView).not.toHaveBeenCalled();
+  });
+
+  it('ignores an architect viewing their own design', async () => {
+    await designService.getDesignById('d1', true, { id: 'arch-1', role: 'ARCHITECT' });
+
+    expect(designRepository.recordViewByArchitect).not.toHaveBeenCalled();
+    expect(viewService.recordAnonymousView).not.toHaveBeenCalled();
+  });
+});
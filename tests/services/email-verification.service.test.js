@@ -0,0 +1,138 @@
+jest.mock('../../src/domains/auth/repositories', () => ({
+  emailVerificationCodeRepository: {
+    findLatestActive: jest.fn(),
+    findLatest: jest.fn(),
+    countCreatedSince: jest.fn(),
+    incrementAttempts: jest.fn(),
+    invalidateAllForAccount: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/domains/users/repositories', () => ({
+  userRepository: {
+    findByEmail: jest.fn(),
+    verifyEmail: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findByEmail: jest.fn(),
+    verifyEmail: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/common/services/email.service', () => ({
+  sendVerificationEmail: jest.fn(),
+}));
+
+const emailVerificationService = require('../../src/domains/auth/services/email-verification.service');
+const { emailVerificationCodeRepository } = require('../../src/domains/auth/repositories');
+const { userRepository } = require('../../src/domains/users/repositories');
+const emailService = require('../../src/common/services/email.service');
+const { BadRequestError } = require('../../src/errors/app-errors');
+
+const user = {
+  id: '1',
+  email: 'test@mail.com',
+  fullName: 'Test User',
+  emailVerified: false,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.FRONTEND_URL = 'http://localhost:5173';
+});
+
+describe('EmailVerificationService - Send Verification', () => {
+  it('should store hashed code and email the plain code', async () => {
+    await emailVerificationService.sendVerification('USER', user);
+
+    const stored = emailVerificationCodeRepository.create.mock.calls[0][0];
+    const code = emailService.sendVerificationEmail.mock.calls[0][1];
+
+    expect(code).toMatch(/^\d{6}$/);
+    expect(stored.codeHash).not.toBe(code);
+    expect(stored.codeHash).toBe(emailVerificationService.hashCode('1', code));
+    expect(emailVerificationCodeRepository.invalidateAllForAccount).toHaveBeenCalledWith('USER', '1');
+  });
+});
+
+describe('EmailVerificationService - Confirm', () => {
+  it('should verify email with valid code', async () => {
+    userRepository.findByEmail.mockResolvedValue(user);
+    emailVerificationCodeRepository.findLatestActive.mockResolvedValue({
+      id: 'code-1',
+      codeHash: emailVerificationService.hashCode('1', '123456'),
+    });
+
+    const result = await emailVerificationService.confirm('USER', {
+      email: 'test@mail.com',
+      code: '123456',
+    });
+
+    expect(result.success).toBe(true);
+    expect(userRepository.verifyEmail).toHaveBeenCalledWith('1');
+  });
+
+  it('should reject wrong code and count the attempt', async () => {
+    userRepository.findByEmail.mockResolvedValue(user);
+    emailVerificationCodeRepository.findLatestActive.mockResolvedValue({
+      id: 'code-1',
+      codeHash: emailVerificationService.hashCode('1', '123456'),
+    });
+    emailVerificationCodeRepository.incrementAttempts.mockResolvedValue({ attempts: 1 });
+
+    await expect(
+      emailVerificationService.confirm('USER', { email: 'test@mail.com', code: '000000' })
+    ).rejects.toBeInstanceOf(BadRequestError);
+    expect(emailVerificationCodeRepository.incrementAttempts).toHaveBeenCalledWith('code-1');
+    expect(userRepository.verifyEmail).not.toHaveBeenCalled();
+  });
+
+  it('should reject expired code', async () => {
+    userRepository.findByEmail.mockResolvedValue(user);
+    emailVerificationCodeRepository.findLatestActive.mockResolvedValue(null);
+
+    await expect(
+      emailVerificationService.confirm('USER', { email: 'test@mail.com', code: '123456' })
+    ).rejects.toBeInstanceOf(BadRequestError);
+  });
+});
+
+describe('EmailVerificationService - Resend', () => {
+  it('should silently skip resend during cooldown', async () => {
+    userRepository.findByEmail.mockResolvedValue(user);
+    emailVerificationCodeRepository.findLatest.mockResolvedValue({ createdAt: new Date() });
+
+    const result = await emailVerificationService.resendVerification('USER', 'test@mail.com');
+
+    expect(result.message).toBe('If the email is registered, a new verification code has been sent');
+    expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  it('should return the same response for verified and unknown emails', async () => {
+    userRepository.findByEmail.mockResolvedValue({ ...user, emailVerified: true });
+    const verified = await emailVerificationService.resendVerification('USER', 'test@mail.com');
+
+    userRepository.findByEmail.mockResolvedValue(null);
+    const unknown = await emailVerificationService.resendVerification('USER', 'nobody@mail.com');
+
+    expect(verified).toEqual(unknown);
+    expect(emailService.sendVerificationEmail).not.toHaveBeenCalled();
+  });
+
+  it('should resend after cooldown', async () => {
+    userRepository.findByEmail.mockResolvedValue(user);
+    emailVerificationCodeRepository.findLatest.mockResolvedValue({
+      createdAt: new Date(Date.now() - 5 * 60 * 1000),
+    });
+    emailVerificationCodeRepository.countCreatedSince.mockResolvedValue(1);
+
+    const result = await emailVerificationService.resendVerification('USER', 'test@mail.com');
+
+    expect(result.success).toBe(true);
+    expect(emailService.sendVerificationEmail).toHaveBeenCalled();
+  });
+});
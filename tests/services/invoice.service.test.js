@@ -0,0 +1,112 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  transactionRepository: {
+    findById: jest.fn(),
+    findForInvoice: jest.fn(),
+    assignInvoiceNumber: jest.fn(),
+  },
+}));
+
+const invoiceService = require('../../src/domains/architects/services/invoice.service');
+const { transactionRepository } = require('../../src/domains/architects/repositories');
+const { NotFoundError, BadRequestError } = require('../../src/errors/app-errors');
+
+const paidTransaction = (overrides = {}) => ({
+  id: 'tx-1',
+  architectId: 'arch-1',
+  orderId: 'ARCH-1',
+  type: 'REGISTRATION',
+  status: 'SUCCESS',
+  amount: 400000,
+  originalAmount: 500000,
+  discountAmount: 100000,
+  refundedAmount: 0,
+  paymentMethod: 'BANK_TRANSFER',
+  paidAt: new Date('2026-10-19T03:00:00.000Z'),
+  invoiceNumber: 'INV-2026-00007',
+  invoicedAt: new Date('2026-10-19T03:00:00.000Z'),
+  periodStart: new Date('2026-10-19T03:00:00.000Z'),
+  periodEnd: new Date('2027-10-19T03:00:00.000Z'),
+  architect: { id: 'arch-1', name: 'Budi', email: 'budi@example.com', phone: '0812' },
+  promoCode: { code: 'HEMAT20' },
+  ...overrides,
+});
+
+describe('InvoiceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('issueInvoice', () => {
+    it('numbers invoices by payment year in WIB', async () => {
+      const paidAt = new Date('2026-12-31T18:00:00.000Z'); // 1 Jan 2027 01:00 WIB
+      transactionRepository.assignInvoiceNumber.mockResolvedValue({ id: 'tx-1', invoiceNumber: 'INV-2027-00001' });
+
+      const result = await invoiceService.issueInvoice({ id: 'tx-1', paidAt, invoiceNumber: null });
+
+      expect(transactionRepository.assignInvoiceNumber).toHaveBeenCalledWith('tx-1', 2027, paidAt);
+      expect(result.invoiceNumber).toBe('INV-2027-00001');
+    });
+
+    it('keeps an existing invoice number', async () => {
+      const transaction = paidTransaction();
+
+      await expect(invoiceService.issueInvoice(transaction)).resolves.toBe(transaction);
+      expect(transactionRepository.assignInvoiceNumber).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getInvoice', () => {
+    it('renders a PDF for the owning architect', async () => {
+      transactionRepository.findForInvoice.mockResolvedValue(paidTransaction());
+
+      const invoice = await invoiceService.getInvoice('tx-1', { architectId: 'arch-1' });
+
+      expect(invoice.filename).toBe('INV-2026-00007.pdf');
+      expect(invoice.content.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('hides transactions of other architects', async () => {
+      transactionRepository.findForInvoice.mockResolvedValue(paidTransaction());
+
+      await expect(invoiceService.getInvoice('tx-1', { architectId: 'arch-2' })).rejects.toThrow(NotFoundError);
+    });
+
+    it('rejects unpaid transactions', async () => {
+      transactionRepository.findForInvoice.mockResolvedValue(paidTransaction({ status: 'PENDING', invoiceNumber: null }));
+
+      await expect(invoiceService.getInvoice('tx-1')).rejects.toThrow(BadRequestError);
+    });
+
+    it('issues a missing invoice number before rendering', async () => {
+      transactionRepository.findForInvoice
+        .mockResolvedValueOnce(paidTransaction({ invoiceNumber: null }))
+        .mockResolvedValueOnce(paidTransaction({ invoiceNumber: 'INV-2026-00008' }));
+      transactionRepository.assignInvoiceNumber.mockResolvedValue({ id: 'tx-1' });
+
+      const invoice = await invoiceService.getInvoice('tx-1');
+
+      expect(transactionRepository.assignInvoiceNumber).toHaveBeenCalled();
+      expect(invoice.invoiceNumber).toBe('INV-2026-00008');
+    });
+  });
+
+  describe('getEmailAttachments', () => {
+    it('returns the invoice PDF as an attachment', async () => {
+      transactionRepository.findForInvoice.mockResolvedValue(paidTransaction({ status: 'REFUNDED', refundedAmount: 400000 }));
+
+      const attachments = await invoiceService.getEmailAttachments(paidTransaction());
+
+      expect(attachments).toEqual([
+        expect.objectContaining({ filename: 'INV-2026-00007.pdf', contentType: 'application/pdf' }),
+      ]);
+    });
+
+    it('does not throw when the invoice cannot be generated', async () => {
+      transactionRepository.assignInvoiceNumber.mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(invoiceService.getEmailAttachments({ id: 'tx-1', invoiceNumber: null })).resolves.toEqual([]);
+      console.error.mockRestore();
+    });
+  });
+});
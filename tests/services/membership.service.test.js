@@ -0,0 +1,254 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findByIdOrFail: jest.fn(),
+    transitionStatus: jest.fn(),
+    setMembershipPeriod: jest.fn(),
+    findMembershipsEndingBefore: jest.fn(),
+    setMembershipReminderDay: jest.fn(),
+  },
+  transactionRepository: {
+    findOpenByArchitect: jest.fn(),
+    createTransaction: jest.fn(),
+    setMembershipPeriod: jest.fn(),
+    findByArchitectId: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/common/services/payment.service', () => ({
+  isConfigured: jest.fn(),
+  createSnapTransaction: jest.fn(),
+}));
+
+jest.mock('../../src/common/services/email.service', () => ({
+  sendMembershipReminderEmail: jest.fn(),
+  sendMembershipExpiredEmail: jest.fn(),
+}));
+
+const membershipService = require('../../src/domains/architects/services/membership.service');
+const { architectRepository, transactionRepository } = require('../../src/domains/architects/repositories');
+const paymentService = require('../../src/common/services/payment.service');
+const emailService = require('../../src/common/services/email.service');
+const { BadRequestError } = require('../../src/errors/app-errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-19T00:00:00.000Z');
+
+describe('MembershipService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MEMBERSHIP_PERIOD_MONTHS;
+    delete process.env.MEMBERSHIP_GRACE_DAYS;
+    delete process.env.MEMBERSHIP_REMINDER_DAYS;
+    delete process.env.REFUND_ARCHITECT_ACTION;
+  });
+
+  describe('activateMembership', () => {
+    it('extends an early renewal from the current activeUntil', async () => {
+      const activeUntil = new Date('2026-11-01T00:00:00.000Z');
+      architectRepository.findByIdOrFail.mockResolvedValue({ id: 'arch-1', status: 'ACTIVE', activeUntil });
+
+      const result = await membershipService.activateMembership({ id: 'tx-1', architectId: 'arch-1' }, now);
+
+      expect(result.periodStart).toEqual(activeUntil);
+      expect(result.periodEnd).toEqual(new Date('2027-11-01T00:00:00.000Z'));
+      expect(transactionRepository.setMembershipPeriod).toHaveBeenCalledWith('tx-1', activeUntil, result.periodEnd);
+      expect(architectRepository.transitionStatus).not.toHaveBeenCalled();
+      expect(architectRepository.setMembershipPeriod).toHaveBeenCalledWith('arch-1', result.periodEnd);
+    });
+
+    it('starts a new period from payment time for first payment or lapsed membership', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({
+        id: 'arch-1',
+        status: 'EXPIRED',
+        activeUntil: new Date('2026-01-01T00:00:00.000Z'),
+      });
+      architectRepository.transitionStatus.mockResolvedValue(true);
+
+      const result = await membershipService.activateMembership(
+        { id: 'tx-1', orderId: 'ARCH-1', architectId: 'arch-1' },
+        now,
+        { source: 'WEBHOOK' }
+      );
+
+      expect(result.periodStart).toEqual(now);
+      expect(result.periodEnd).toEqual(new Date('2027-10-19T00:00:00.000Z'));
+      expect(architectRepository.transitionStatus).toHaveBeenCalledWith(
+        'arch-1',
+        ['EXPIRED'],
+        { status: 'ACTIVE', activeUntil: result.periodEnd, membershipReminderDay: null },
+        expect.objectContaining({ source: 'WEBHOOK', reason: 'Payment ARCH-1', metadata: { transactionId: 'tx-1' } })
+      );
+      expect(architectRepository.setMembershipPeriod).not.toHaveBeenCalled();
+    });
+
+    it('records the paid period without unbanning a banned architect', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({ id: 'arch-1', status: 'BANNED', activeUntil: null });
+
+      const result = await membershipService.activateMembership({ id: 'tx-1', architectId: 'arch-1' }, now, { source: 'WEBHOOK' });
+
+      expect(architectRepository.transitionStatus).not.toHaveBeenCalled();
+      expect(architectRepository.setMembershipPeriod).toHaveBeenCalledWith('arch-1', result.periodEnd);
+    });
+  });
+
+  describe('getMembershipInfo', () => {
+    it('flags the grace period after activeUntil', () => {
+      const info = membershipService.getMembershipInfo(
+        { status: 'ACTIVE', activeUntil: new Date(now.getTime() - 3 * DAY_MS) },
+        now
+      );
+
+      expect(info.inGracePeriod).toBe(true);
+      expect(info.daysRemaining).toBe(-3);
+      expect(info.graceUntil).toEqual(new Date(now.getTime() + 11 * DAY_MS));
+    });
+  });
+
+  describe('createRenewal', () => {
+    it('creates a RENEWAL transaction with renewal item details', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({
+        id: 'arch-1',
+        name: 'Budi',
+        email: 'budi@example.com',
+        phone: '0812',
+        status: 'EXPIRED',
+      });
+      transactionRepository.findOpenByArchitect.mockResolvedValue(null);
+      paymentService.isConfigured.mockReturnValue(true);
+      paymentService.createSnapTransaction.mockResolvedValue({ snapToken: 'snap', redirectUrl: 'https://snap' });
+      transactionRepository.createTransaction.mockImplementation(async (data) => ({ id: 'tx-1', ...data }));
+
+      const result = await membershipService.createRenewal('arch-1');
+
+      expect(paymentService.createSnapTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          itemDetails: [expect.objectContaining({ id: 'ARCH_RENEWAL', price: 500000 })],
+        })
+      );
+      expect(transactionRepository.createTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ architectId: 'arch-1', type: 'RENEWAL', status: 'PENDING', snapToken: 'snap' })
+      );
+      expect(result.payment.snapRedirectUrl).toBe('https://snap');
+    });
+
+    it('reuses an open renewal transaction', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({ id: 'arch-1', status: 'ACTIVE' });
+      transactionRepository.findOpenByArchitect.mockResolvedValue({ id: 'tx-0', orderId: 'ARCH-1', paymentToken: 'pt' });
+
+      const result = await membershipService.createRenewal('arch-1');
+
+      expect(transactionRepository.createTransaction).not.toHaveBeenCalled();
+      expect(result.payment.orderId).toBe('ARCH-1');
+    });
+
+    it('rejects architects that never paid registration', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({ id: 'arch-1', status: 'UNPAID' });
+
+      await expect(membershipService.createRenewal('arch-1')).rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('sendRenewalReminders', () => {
+    it('sends each reminder day once and one grace notice', async () => {
+      architectRepository.findMembershipsEndingBefore.mockResolvedValue([
+        { id: 'a', email: 'a@x', activeUntil: new Date(now.getTime() + 25 * DAY_MS), membershipReminderDay: null },
+        { id: 'b', email: 'b@x', activeUntil: new Date(now.getTime() + 6 * DAY_MS), membershipReminderDay: 7 },
+        { id: 'c', email: 'c@x', activeUntil: new Date(now.getTime() + 5 * DAY_MS), membershipReminderDay: 30 },
+        { id: 'd', email: 'd@x', activeUntil: new Date(now.getTime() - 1 * DAY_MS), membershipReminderDay: 1 },
+        { id: 'e', email: 'e@x', activeUntil: new Date(now.getTime() - 2 * DAY_MS), membershipReminderDay: 0 },
+      ]);
+
+      const result = await membershipService.sendRenewalReminders(now);
+
+      expect(architectRepository.findMembershipsEndingBefore).toHaveBeenCalledWith(new Date(now.getTime() + 30 * DAY_MS));
+      expect(architectRepository.setMembershipReminderDay.mock.calls).toEqual([
+        ['a', 30],
+        ['c', 7],
+        ['d', 0],
+      ]);
+      expect(emailService.sendMembershipReminderEmail).toHaveBeenCalledTimes(3);
+      expect(result.count).toBe(3);
+    });
+  });
+
+  describe('expireLapsedMemberships', () => {
+    it('expires memberships past the grace period and notifies them', async () => {
+      const cutoff = new Date(now.getTime() - 14 * DAY_MS);
+      const lapsed = { id: 'a', email: 'a@x', activeUntil: new Date(cutoff.getTime() - DAY_MS) };
+      const renewed = { id: 'b', email: 'b@x', activeUntil: new Date(cutoff.getTime() - DAY_MS) };
+      architectRepository.findMembershipsEndingBefore.mockResolvedValue([lapsed, renewed]);
+      architectRepository.transitionStatus.mockImplementation(async (id) => id === 'a');
+
+      const result = await membershipService.expireLapsedMemberships(now);
+
+      expect(architectRepository.findMembershipsEndingBefore).toHaveBeenCalledWith(cutoff);
+      expect(architectRepository.transitionStatus).toHaveBeenCalledWith(
+        'a',
+        ['ACTIVE'],
+        { status: 'EXPIRED' },
+        expect.objectContaining({ source: 'CRON' }),
+        { activeUntil: { lt: cutoff } }
+      );
+      expect(emailService.sendMembershipExpiredEmail).toHaveBeenCalledTimes(1);
+      expect(emailService.sendMembershipExpiredEmail).toHaveBeenCalledWith(lapsed);
+      expect(result.count).toBe(1);
+    });
+  });
+
+  describe('revokeRefundedMembership', () => {
+    const refunded = {
+      id: 'tx-1',
+      architectId: 'arch-1',
+      periodStart: new Date('2026-11-01T00:00:00.000Z'),
+      periodEnd: new Date('2027-11-01T00:00:00.000Z'),
+    };
+
+    beforeEach(() => {
+      architectRepository.transitionStatus.mockResolvedValue(true);
+    });
+
+    it('removes the refunded period and keeps earlier paid time active', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({
+        id: 'arch-1',
+        status: 'ACTIVE',
+        activeUntil: new Date('2027-11-01T00:00:00.000Z'),
+      });
+
+      const result = await membershipService.revokeRefundedMembership(refunded, now);
+
+      expect(architectRepository.transitionStatus).not.toHaveBeenCalled();
+      expect(architectRepository.setMembershipPeriod).toHaveBeenCalledWith('arch-1', new Date('2026-11-01T00:00:00.000Z'));
+      expect(result.action).toBe('REVOKE_PERIOD');
+    });
+
+    it('expires the membership when nothing paid remains', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({
+        id: 'arch-1',
+        status: 'ACTIVE',
+        activeUntil: new Date('2027-10-19T00:00:00.000Z'),
+      });
+
+      await membershipService.revokeRefundedMembership(
+        { ...refunded, periodStart: now, periodEnd: new Date('2027-10-19T00:00:00.000Z') },
+        now
+      );
+
+      expect(architectRepository.transitionStatus).toHaveBeenCalledWith(
+        'arch-1',
+        ['ACTIVE'],
+        { status: 'EXPIRED', activeUntil: now, membershipReminderDay: null },
+        expect.objectContaining({ source: 'ADMIN', metadata: { transactionId: 'tx-1', refundAction: 'REVOKE_PERIOD' } })
+      );
+    });
+
+    it('leaves the architect untouched with KEEP', async () => {
+      process.env.REFUND_ARCHITECT_ACTION = 'keep';
+      architectRepository.findByIdOrFail.mockResolvedValue({ id: 'arch-1', status: 'ACTIVE', activeUntil: null });
+
+      await membershipService.revokeRefundedMembership(refunded, now);
+
+      expect(architectRepository.transitionStatus).not.toHaveBeenCalled();
+      expect(architectRepository.setMembershipPeriod).not.toHaveBeenCalled();
+    });
+  });
+});
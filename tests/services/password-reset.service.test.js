@@ -0,0 +1,169 @@
+jest.mock('../../src/domains/auth/repositories', () => ({
+  passwordResetTokenRepository: {
+    findActiveByHash: jest.fn(),
+    consume: jest.fn(),
+    invalidateAllForAccount: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/domains/auth/services/session.service', () => ({
+  revokeAllSessions: jest.fn(),
+}));
+
+jest.mock('../../src/domains/users/repositories', () => ({
+  userRepository: {
+    findByEmail: jest.fn(),
+    findByIdOrFail: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findByEmail: jest.fn(),
+    findByIdOrFail: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/domains/admins/repositories', () => ({
+  adminRepository: {
+    findByEmail: jest.fn(),
+    findByIdOrFail: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/common/services/email.service', () => ({
+  sendPasswordResetEmail: jest.fn(),
+}));
+
+jest.mock('../../src/utils/password-hasher', () => ({
+  hash: jest.fn(),
+  validatePasswordStrength: jest.fn(),
+}));
+
+const passwordResetService = require('../../src/domains/auth/services/password-reset.service');
+const { passwordResetTokenRepository } = require('../../src/domains/auth/repositories');
+const { userRepository } = require('../../src/domains/users/repositories');
+const emailService = require('../../src/common/services/email.service');
+const PasswordHasher = require('../../src/utils/password-hasher');
+const TokenGeneratorService = require('../../src/common/services/token-generator.service');
+const { ValidationError, BadRequestError } = require('../../src/errors/app-errors');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.FRONTEND_URL = 'http://localhost:5173';
+});
+
+describe('PasswordResetService - Request Reset', () => {
+  it('should store hashed token and send email', async () => {
+    userRepository.findByEmail.mockResolvedValue({
+      id: '1',
+      email: 'test@mail.com',
+      fullName: 'Test User',
+    });
+
+    const result = await passwordResetService.requestReset('USER', 'test@mail.com');
+
+    expect(result.success).toBe(true);
+    expect(passwordResetTokenRepository.invalidateAllForAccount).toHaveBeenCalledWith('USER', '1');
+
+    const stored = passwordResetTokenRepository.create.mock.calls[0][0];
+    const resetUrl = emailService.sendPasswordResetEmail.mock.calls[0][1];
+    const plainToken = new URL(resetUrl).searchParams.get('token');
+
+    expect(stored.tokenHash).not.toBe(plainToken);
+    expect(stored.tokenHash).toBe(TokenGeneratorService.hashToken(plainToken));
+  });
+
+  it('should not reveal unknown email', async () => {
+    userRepository.findByEmail.mockResolvedValue(null);
+
+    const result = await passwordResetService.requestReset('USER', 'unknown@mail.com');
+
+    expect(result.success).toBe(true);
+    expect(passwordResetTokenRepository.create).not.toHaveBeenCalled();
+    expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  it('should throw ValidationError if email missing', async () => {
+    await expect(
+      passwordResetService.requestReset('USER', '')
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('PasswordResetService - Reset Password', () => {
+  it('should reset password and invalidate tokens', async () => {
+    passwordResetTokenRepository.findActiveByHash.mockResolvedValue({
+      id: 'token-1',
+      accountType: 'USER',
+      accountId: '1',
+    });
+    PasswordHasher.validatePasswordStrength.mockReturnValue({ isValid: true });
+    PasswordHasher.hash.mockResolvedValue('new-hash');
+    userRepository.findByIdOrFail.mockResolvedValue({ id: '1', email: 'test@mail.com' });
+    passwordResetTokenRepository.consume.mockResolvedValue(true);
+
+    const result = await passwordResetService.resetPassword('USER', {
+      token: 'plain-token',
+      newPassword: 'NewPassword123!',
+    });
+
+    expect(result.success).toBe(true);
+    expect(passwordResetTokenRepository.consume).toHaveBeenCalledWith('token-1');
+    expect(passwordResetTokenRepository.findActiveByHash).toHaveBeenCalledWith(
+      TokenGeneratorService.hashToken('plain-token')
+    );
+    expect(userRepository.update).toHaveBeenCalledWith('1', { password: 'new-hash' });
+    expect(passwordResetTokenRepository.invalidateAllForAccount).toHaveBeenCalledWith('USER', '1');
+  });
+
+  it('should reject used or expired token', async () => {
+    passwordResetTokenRepository.findActiveByHash.mockResolvedValue(null);
+
+    await expect(
+      passwordResetService.resetPassword('USER', {
+        token: 'used-token',
+        newPassword: 'NewPassword123!',
+      })
+    ).rejects.toBeInstanceOf(BadRequestError);
+  });
+
+  it('should not reset when the token was consumed by a concurrent request', async () => {
+    passwordResetTokenRepository.findActiveByHash.mockResolvedValue({
+      id: 'token-1',
+      accountType: 'USER',
+      accountId: '1',
+    });
+    PasswordHasher.validatePasswordStrength.mockReturnValue({ isValid: true });
+    userRepository.findByIdOrFail.mockResolvedValue({ id: '1', email: 'test@mail.com' });
+    passwordResetTokenRepository.consume.mockResolvedValue(false);
+
+    await expect(
+      passwordResetService.resetPassword('USER', {
+        token: 'plain-token',
+        newPassword: 'NewPassword123!',
+      })
+    ).rejects.toBeInstanceOf(BadRequestError);
+    expect(userRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject token issued for another account type', async () => {
+    passwordResetTokenRepository.findActiveByHash.mockResolvedValue({
+      id: 'token-1',
+      accountType: 'ADMIN',
+      accountId: '1',
+    });
+
+    await expect(
+      passwordResetService.resetPassword('USER', {
+        token: 'admin-token',
+        newPassword: 'NewPassword123!',
+      })
+    ).rejects.toBeInstanceOf(BadRequestError);
+    expect(userRepository.update).not.toHaveBeenCalled();
+  });
+});
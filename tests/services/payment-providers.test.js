@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const {
+  createPaymentProvider,
+  FakeProvider,
+  MidtransProvider,
+} = require('../../src/common/services/payment-providers');
+const { PaymentError } = require('../../src/errors/app-errors');
+
+const charge = {
+  orderId: 'ARCH-1',
+  amount: 450000,
+  customerDetails: { email: 'budi@example.com' },
+  itemDetails: [{ id: 'ARCH_REGISTRATION', price: 450000, quantity: 1, name: 'Registrasi' }],
+};
+
+describe('Payment providers', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.NODE_ENV = 'test';
+    process.env.BACKEND_URL = 'http://api.test';
+    process.env.PAYMENT_FAKE_SERVER_KEY = 'fake-key';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('createPaymentProvider', () => {
+    it('defaults to midtrans and selects the fake driver by name', () => {
+      expect(createPaymentProvider(undefined)).toBeInstanceOf(MidtransProvider);
+      expect(createPaymentProvider('FAKE')).toBeInstanceOf(FakeProvider);
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => createPaymentProvider('paypal')).toThrow('Unknown PAYMENT_PROVIDER');
+    });
+  });
+
+  describe('MidtransProvider', () => {
+    it('verifies Midtrans signatures and maps notifications', () => {
+      process.env.MIDTRANS_SERVER_KEY = 'server-key';
+      const provider = new MidtransProvider();
+      const signature = crypto.createHash('sha512').update('ARCH-1200500000.00server-key').digest('hex');
+      const notification = {
+        order_id: 'ARCH-1',
+        status_code: '200',
+        gross_amount: '500000.00',
+        signature_key: signature,
+        transaction_status: 'capture',
+        fraud_status: 'accept',
+        payment_type: 'credit_card',
+      };
+
+      expect(provider.verifyWebhook(notification)).toBe(true);
+      expect(provider.verifyWebhook({ ...notification, signature_key: 'forged' })).toBe(false);
+      expect(provider.parseNotification(notification)).toEqual(
+        expect.objectContaining({ status: 'SUCCESS', shouldActivate: true, paymentMethod: 'CREDIT_CARD' })
+      );
+    });
+  });
+
+  describe('FakeProvider', () => {
+    it('refuses to run in production', () => {
+      process.env.NODE_ENV = 'production';
+      expect(() => new FakeProvider()).toThrow('cannot be used in production');
+    });
+
+    it('creates a checkout page and reports pending status', async () => {
+      const provider = new FakeProvider();
+
+      const result = await provider.createCharge(charge);
+      const status = await provider.getStatus('ARCH-1');
+
+      expect(result.redirectUrl).toBe(`http://api.test/api/payment/fake/checkout/${result.snapToken}`);
+      expect(provider.findOrder(result.snapToken).orderId).toBe('ARCH-1');
+      expect(provider.parseNotification(status).status).toBe('PENDING');
+    });
+
+    it.each([
+      ['success', 'settlement', 'SUCCESS'],
+      ['failure', 'deny', 'FAILED'],
+      ['expire', 'expire', 'FAILED'],
+    ])('simulates %s with a signed webhook payload', async (action, transactionStatus, internalStatus) => {
+      const provider = new FakeProvider();
+      await provider.createCharge(charge);
+
+      const notification = provider.simulate('ARCH-1', action, { paymentType: 'gopay' });
+
+      expect(notification).toEqual(
+        expect.objectContaining({ order_id: 'ARCH-1', transaction_status: transactionStatus, gross_amount: '450000.00' })
+      );
+      expect(provider.verifyWebhook(notification)).toBe(true);
+      expect(provider.parseNotification(notification).status).toBe(internalStatus);
+      await expect(provider.getStatus('ARCH-1')).resolves.toEqual(notification);
+    });
+
+    it('does not simulate a second outcome for the same order', async () => {
+      const provider = new FakeProvider();
+      await provider.createCharge(charge);
+      provider.simulate('ARCH-1', 'success');
+
+      expect(() => provider.simulate('ARCH-1', 'failure')).toThrow(PaymentError);
+      expect(() => provider.simulate('ARCH-1', 'unknown')).toThrow('Action must be one of');
+    });
+
+    it('answers unknown orders with 404 like the gateway', async () => {
+      const provider = new FakeProvider();
+
+      await expect(provider.getStatus('missing')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(provider.cancel('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('tracks partial and full refunds of settled orders', async () => {
+      const provider = new FakeProvider();
+      await provider.createCharge(charge);
+      provider.simulate('ARCH-1', 'success');
+
+      await provider.refund('ARCH-1', { refundKey: 'r1', amount: 50000, reason: 'x' });
+      expect(provider.findOrder('ARCH-1').transactionStatus).toBe('partial_refund');
+
+      await expect(provider.refund('ARCH-1', { refundKey: 'r2', amount: 500000, reason: 'x' })).rejects.toThrow(PaymentError);
+
+      await provider.refund('ARCH-1', { refundKey: 'r3', amount: 400000, reason: 'x' });
+      expect(provider.findOrder('ARCH-1').transactionStatus).toBe('refund');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  transactionRepository: {
+    findForReconciliation: jest.fn(),
+    markReconciled: jest.fn(),
+  },
+  reconciliationRunRepository: {
+    create: jest.fn(),
+    finish: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/common/services/payment.service', () => {
+  const actual = jest.requireActual('../../src/common/services/payment.service');
+  return {
+    isConfigured: jest.fn(),
+    getTransactionStatus: jest.fn(),
+    parseTransactionStatus: actual.parseTransactionStatus.bind(actual),
+  };
+});
+
+jest.mock('../../src/domains/architects/services/webhook.service', () => ({
+  applyGatewayStatus: jest.fn(),
+}));
+
+const reconciliationService = require('../../src/domains/architects/services/payment-reconciliation.service');
+const { transactionRepository, reconciliationRunRepository } = require('../../src/domains/architects/repositories');
+const paymentService = require('../../src/common/services/payment.service');
+const webhookService = require('../../src/domains/architects/services/webhook.service');
+const { PaymentError, ExternalServiceError } = require('../../src/errors/app-errors');
+
+const now = new Date('2026-10-19T10:00:00.000Z');
+
+describe('PaymentReconciliationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete process.env.RECONCILE_PENDING_AFTER_MINUTES;
+    delete process.env.RECONCILE_EXPIRED_LOOKBACK_HOURS;
+    delete process.env.RECONCILE_BATCH_SIZE;
+    paymentService.isConfigured.mockReturnValue(true);
+    reconciliationRunRepository.create.mockResolvedValue({ id: 'run-1' });
+    reconciliationRunRepository.finish.mockImplementation(async (id, report) => ({ id, ...report }));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('skips when Midtrans is not configured', async () => {
+    paymentService.isConfigured.mockReturnValue(false);
+
+    const result = await reconciliationService.reconcile({ now });
+
+    expect(result.skipped).toBe(true);
+    expect(reconciliationRunRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('queries stuck pending and recently expired transactions', async () => {
+    transactionRepository.findForReconciliation.mockResolvedValue([]);
+
+    await reconciliationService.reconcile({ now });
+
+    expect(transactionRepository.findForReconciliation).toHaveBeenCalledWith({
+      pendingBefore: new Date('2026-10-19T09:45:00.000Z'),
+      expiredAfter: new Date('2026-10-18T10:00:00.000Z'),
+      limit: 50,
+    });
+  });
+
+  it('eventually checks every candidate when there are more than one batch', async () => {
+    process.env.RECONCILE_BATCH_SIZE = '2';
+    const rows = ['tx-1', 'tx-2', 'tx-3', 'tx-4', 'tx-5'].map((id, index) => ({
+      id,
+      orderId: `ARCH-${index + 1}`,
+      status: 'PENDING',
+      createdAt: new Date(Date.UTC(2026, 9, 19, 8, index)),
+      lastReconciledAt: null,
+    }));
+    const lastChecked = (row) => (row.lastReconciledAt ? row.lastReconciledAt.getTime() : -Infinity);
+    transactionRepository.findForReconciliation.mockImplementation(async ({ limit }) =>
+      [...rows].sort((a, b) => lastChecked(a) - lastChecked(b) || a.createdAt - b.createdAt).slice(0, limit)
+    );
+    transactionRepository.markReconciled.mockImplementation(async (ids, reconciledAt) => {
+      rows.filter((row) => ids.includes(row.id)).forEach((row) => { row.lastReconciledAt = reconciledAt; });
+      return { count: ids.length };
+    });
+    paymentService.getTransactionStatus.mockImplementation(async (orderId) => ({ order_id: orderId, transaction_status: 'pending' }));
+
+    const checked = [];
+    for (let run = 0; run < 3; run++) {
+      const runAt = new Date(now.getTime() + run * 10 * 60 * 1000);
+      await reconciliationService.reconcile({ now: runAt });
+      checked.push(transactionRepository.markReconciled.mock.calls[run][0]);
+    }
+
+    expect(transactionRepository.findForReconciliation).toHaveBeenCalledWith(expect.objectContaining({ limit: 2 }));
+    expect(checked).toEqual([['tx-1', 'tx-2'], ['tx-3', 'tx-4'], ['tx-5', 'tx-1']]);
+    expect(rows.every((row) => row.lastReconciledAt)).toBe(true);
+  });
+
+  it('applies mismatches through the webhook path and reports them', async () => {
+    transactionRepository.findForReconciliation.mockResolvedValue([
+      { id: 'tx-1', orderId: 'ARCH-1', status: 'PENDING' },
+      { id: 'tx-2', orderId: 'ARCH-2', status: 'PENDING' },
+      { id: 'tx-3', orderId: 'ARCH-3', status: 'EXPIRED' },
+      { id: 'tx-4', orderId: 'ARCH-4', status: 'PENDING' },
+      { id: 'tx-5', orderId: 'ARCH-5', status: 'PENDING' },
+    ]);
+    paymentService.getTransactionStatus.mockImplementation(async (orderId) => {
+      if (orderId === 'ARCH-1') return { order_id: orderId, transaction_status: 'settlement', payment_type: 'qris' };
+      if (orderId === 'ARCH-2') return { order_id: orderId, transaction_status: 'pending' };
+      if (orderId === 'ARCH-3') return { order_id: orderId, transaction_status: 'expire' };
+      if (orderId === 'ARCH-4') throw new PaymentError('Transaction not found', 404);
+      throw new ExternalServiceError('Failed to get transaction status', 'Midtrans');
+    });
+    webhookService.applyGatewayStatus.mockResolvedValue({ applied: true, status: 'SUCCESS', previousStatus: 'PENDING' });
+
+    const report = await reconciliationService.reconcile({ trigger: 'ADMIN', triggeredById: 'admin-1', now });
+
+    expect(reconciliationRunRepository.create).toHaveBeenCalledWith({ trigger: 'ADMIN', triggeredById: 'admin-1', startedAt: now });
+    expect(webhookService.applyGatewayStatus).toHaveBeenCalledTimes(1);
+    expect(webhookService.applyGatewayStatus).toHaveBeenCalledWith(
+      expect.objectContaining({ orderId: 'ARCH-1', status: 'SUCCESS', shouldActivate: true }),
+      { source: 'RECONCILIATION', actorId: 'admin-1', metadata: { reconciliationRunId: 'run-1' } }
+    );
+    expect(report).toEqual(
+      expect.objectContaining({ checkedCount: 5, mismatchCount: 1, fixedCount: 1, errorCount: 1 })
+    );
+    expect(report.items).toEqual([
+      expect.objectContaining({ orderId: 'ARCH-1', localStatus: 'PENDING', gatewayStatus: 'SUCCESS', action: 'FIXED' }),
+      expect.objectContaining({ orderId: 'ARCH-5', action: 'ERROR' }),
+    ]);
+  });
+});
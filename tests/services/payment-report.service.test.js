@@ -0,0 +1,94 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    count: jest.fn(),
+  },
+  transactionRepository: {
+    countByStatus: jest.fn(),
+    getRevenueByPeriod: jest.fn(),
+    getPaymentMethodBreakdown: jest.fn(),
+    getTimeToPayStats: jest.fn(),
+  },
+}));
+
+const paymentReportService = require('../../src/domains/architects/services/payment-report.service');
+const { architectRepository, transactionRepository } = require('../../src/domains/architects/repositories');
+const { ValidationError } = require('../../src/errors/app-errors');
+
+describe('PaymentReportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionRepository.countByStatus.mockResolvedValue([]);
+    transactionRepository.getRevenueByPeriod.mockResolvedValue([]);
+    transactionRepository.getPaymentMethodBreakdown.mockResolvedValue([]);
+    transactionRepository.getTimeToPayStats.mockResolvedValue({ transactions: 0, averageSeconds: null, medianSeconds: null });
+    architectRepository.count.mockResolvedValue(0);
+  });
+
+  describe('parseRange', () => {
+    it('validates granularity and range', () => {
+      expect(() => paymentReportService.parseRange({ granularity: 'year' })).toThrow(ValidationError);
+      expect(() => paymentReportService.parseRange({ from: '2026-10-10', to: '2026-10-01' })).toThrow(ValidationError);
+      expect(() => paymentReportService.parseRange({ from: 'yesterday' })).toThrow(ValidationError);
+    });
+
+    it('lists calendar months for monthly reports', () => {
+      const { from, to } = paymentReportService.parseRange({ from: '2026-08-15', to: '2026-10-19', granularity: 'month' });
+
+      expect(paymentReportService.listPeriods(from, to, 'month')).toEqual(['2026-08-01', '2026-09-01', '2026-10-01']);
+    });
+  });
+
+  describe('getReport', () => {
+    it('builds revenue series, conversion, method breakdown and time to pay', async () => {
+      transactionRepository.countByStatus.mockResolvedValue([
+        { status: 'SUCCESS', count: 6 },
+        { status: 'REFUNDED', count: 2 },
+        { status: 'FAILED', count: 1 },
+        { status: 'EXPIRED', count: 1 },
+        { status: 'PENDING', count: 5 },
+      ]);
+      transactionRepository.getRevenueByPeriod.mockResolvedValue([
+        { period: new Date('2026-10-01T00:00:00.000Z'), transactions: 3, gross: 1500000, refunded: 500000 },
+        { period: new Date('2026-10-03T00:00:00.000Z'), transactions: 1, gross: 500000, refunded: 0 },
+      ]);
+      transactionRepository.getPaymentMethodBreakdown.mockResolvedValue([
+        { paymentMethod: 'BANK_TRANSFER', transactions: 1, gross: 500000, refunded: 0 },
+        { paymentMethod: 'E_WALLET', transactions: 3, gross: 1500000, refunded: 500000 },
+      ]);
+      transactionRepository.getTimeToPayStats.mockResolvedValue({ transactions: 4, averageSeconds: 1800.4, medianSeconds: 600 });
+      architectRepository.count.mockResolvedValueOnce(10).mockResolvedValueOnce(4);
+
+      const report = await paymentReportService.getReport({ from: '2026-10-01', to: '2026-10-03' });
+
+      const toExclusive = new Date('2026-10-04T00:00:00.000Z');
+      expect(transactionRepository.getRevenueByPeriod).toHaveBeenCalledWith(
+        new Date('2026-10-01T00:00:00.000Z'),
+        toExclusive,
+        'day'
+      );
+      expect(architectRepository.count).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          transactions: { some: { type: 'REGISTRATION', status: { in: ['SUCCESS', 'REFUNDED'] } } },
+        })
+      );
+      expect(report.transactions).toEqual(
+        expect.objectContaining({ success: 6, refunded: 2, pending: 5, cancelled: 0, total: 15, successRate: 80 })
+      );
+      expect(report.revenue).toEqual(expect.objectContaining({ transactions: 4, gross: 2000000, refunded: 500000, net: 1500000 }));
+      expect(report.revenue.series.map((item) => [item.period, item.net])).toEqual([
+        ['2026-10-01', 1000000],
+        ['2026-10-02', 0],
+        ['2026-10-03', 500000],
+      ]);
+      expect(report.conversion).toEqual({ registered: 10, paid: 4, rate: 40 });
+      expect(report.paymentMethods[0]).toEqual({
+        paymentMethod: 'E_WALLET',
+        transactions: 3,
+        gross: 1500000,
+        net: 1000000,
+        share: 75,
+      });
+      expect(report.timeToPay).toEqual({ transactions: 4, averageSeconds: 1800, medianSeconds: 600 });
+    });
+  });
+});
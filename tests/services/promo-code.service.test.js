@@ -0,0 +1,143 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  promoCodeRepository: {
+    findByCode: jest.fn(),
+    hasRedeemed: jest.fn(),
+    findByIdOrFail: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+const promoCodeService = require('../../src/domains/architects/services/promo-code.service');
+const { promoCodeRepository } = require('../../src/domains/architects/repositories');
+const { BadRequestError, ValidationError, ConflictError } = require('../../src/errors/app-errors');
+
+const promo = (overrides = {}) => ({
+  id: 'promo-1',
+  code: 'HEMAT20',
+  description: null,
+  discountType: 'PERCENTAGE',
+  discountValue: 20,
+  validFrom: null,
+  validUntil: null,
+  maxRedemptions: null,
+  redemptionCount: 0,
+  isActive: true,
+  ...overrides,
+});
+
+describe('PromoCodeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.ARCHITECT_REGISTRATION_FEE;
+  });
+
+  describe('quoteRegistration', () => {
+    it('returns the configured fee without a code', async () => {
+      process.env.ARCHITECT_REGISTRATION_FEE = '750000';
+
+      const quote = await promoCodeService.quoteRegistration(null);
+
+      expect(quote).toEqual({ originalAmount: 750000, discountAmount: 0, amount: 750000, promoCode: null });
+      expect(promoCodeRepository.findByCode).not.toHaveBeenCalled();
+    });
+
+    it('applies a percentage discount to a normalized code', async () => {
+      promoCodeRepository.findByCode.mockResolvedValue(promo());
+
+      const quote = await promoCodeService.quoteRegistration(' hemat20 ');
+
+      expect(promoCodeRepository.findByCode).toHaveBeenCalledWith('HEMAT20');
+      expect(quote.discountAmount).toBe(100000);
+      expect(quote.amount).toBe(400000);
+    });
+
+    it('caps a fixed discount at the base fee', async () => {
+      promoCodeRepository.findByCode.mockResolvedValue(promo({ discountType: 'FIXED', discountValue: 900000 }));
+
+      const quote = await promoCodeService.quoteRegistration('HEMAT20');
+
+      expect(quote.discountAmount).toBe(500000);
+      expect(quote.amount).toBe(0);
+    });
+
+    it.each([
+      ['unknown', null],
+      ['inactive', promo({ isActive: false })],
+      ['not started', promo({ validFrom: new Date(Date.now() + 60000) })],
+      ['expired', promo({ validUntil: new Date(Date.now() - 60000) })],
+      ['exhausted', promo({ maxRedemptions: 5, redemptionCount: 5 })],
+    ])('rejects %s codes', async (_label, found) => {
+      promoCodeRepository.findByCode.mockResolvedValue(found);
+
+      await expect(promoCodeService.quoteRegistration('HEMAT20')).rejects.toThrow(BadRequestError);
+    });
+
+    it('rejects a code the architect already redeemed', async () => {
+      promoCodeRepository.findByCode.mockResolvedValue(promo());
+      promoCodeRepository.hasRedeemed.mockResolvedValue(true);
+
+      await expect(
+        promoCodeService.quoteRegistration('HEMAT20', { architectId: 'arch-1' })
+      ).rejects.toThrow('Promo code has already been used');
+      expect(promoCodeRepository.hasRedeemed).toHaveBeenCalledWith('promo-1', 'arch-1');
+    });
+  });
+
+  describe('buildItemDetails', () => {
+    it('adds a negative discount line that sums to the charged amount', async () => {
+      promoCodeRepository.findByCode.mockResolvedValue(promo());
+      const quote = await promoCodeService.quoteRegistration('HEMAT20');
+
+      const items = promoCodeService.buildItemDetails(quote);
+
+      expect(items).toHaveLength(2);
+      expect(items[1]).toEqual(expect.objectContaining({ id: 'PROMO_HEMAT20', price: -100000 }));
+      expect(items.reduce((sum, item) => sum + item.price * item.quantity, 0)).toBe(quote.amount);
+    });
+  });
+
+  describe('admin', () => {
+    it('validates promo input', () => {
+      expect(() =>
+        promoCodeService.validatePromoData({ code: 'x', discountType: 'PERCENTAGE', discountValue: 150 })
+      ).toThrow(ValidationError);
+
+      expect(
+        promoCodeService.validatePromoData({
+          code: 'launch-2026',
+          discountType: 'fixed',
+          discountValue: '100000',
+          maxRedemptions: '10',
+        })
+      ).toEqual({ code: 'LAUNCH-2026', discountType: 'FIXED', discountValue: 100000, maxRedemptions: 10 });
+    });
+
+    it('does not lower maxRedemptions below current usage', () => {
+      expect(() =>
+        promoCodeService.validatePromoData({ maxRedemptions: 2 }, promo({ redemptionCount: 3 }))
+      ).toThrow(ValidationError);
+    });
+
+    it('rejects duplicate codes on create', async () => {
+      promoCodeRepository.findByCode.mockResolvedValue(promo());
+
+      await expect(
+        promoCodeService.create({ code: 'HEMAT20', discountType: 'PERCENTAGE', discountValue: 10 }, 'admin-1')
+      ).rejects.toThrow(ConflictError);
+      expect(promoCodeRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('stores the creating admin', async () => {
+      promoCodeRepository.findByCode.mockResolvedValue(null);
+      promoCodeRepository.create.mockImplementation(async (data) => ({ id: 'promo-2', ...data }));
+
+      const created = await promoCodeService.create(
+        { code: 'NEW10', discountType: 'PERCENTAGE', discountValue: 10 },
+        'admin-1'
+      );
+
+      expect(created).toEqual(expect.objectContaining({ code: 'NEW10', createdById: 'admin-1' }));
+    });
+  });
+});
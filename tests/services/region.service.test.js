@@ -0,0 +1,98 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  regionRepository: {
+    findByIds: jest.fn(),
+    findForList: jest.fn(),
+    findById: jest.fn(),
+  },
+}));
+
+const regionService = require('../../src/domains/architects/services/region.service');
+const { regionRepository } = require('../../src/domains/architects/repositories');
+const { ValidationError, NotFoundError } = require('../../src/errors/app-errors');
+
+const REGIONS = [
+  { id: '32', name: 'Jawa Barat', type: 'PROVINCE', parentId: null },
+  { id: '31', name: 'DKI Jakarta', type: 'PROVINCE', parentId: null },
+  { id: '32.73', name: 'Kota Bandung', type: 'CITY', parentId: '32' },
+  { id: '32.77', name: 'Kota Cimahi', type: 'CITY', parentId: '32' },
+  { id: '31.74', name: 'Kota Jakarta Barat', type: 'CITY', parentId: '31' },
+];
+
+describe('RegionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    regionRepository.findByIds.mockImplementation(async (ids) => REGIONS.filter((region) => ids.includes(region.id)));
+  });
+
+  describe('list', () => {
+    it('filters by type, parent and name', async () => {
+      regionRepository.findForList.mockResolvedValue([]);
+
+      await regionService.list({ type: 'city', parentId: '32', q: ' band ' });
+
+      expect(regionRepository.findForList).toHaveBeenCalledWith({
+        type: 'CITY',
+        parentId: '32',
+        name: { contains: 'band', mode: 'insensitive' },
+      });
+    });
+
+    it('rejects unknown types', async () => {
+      await expect(regionService.list({ type: 'district' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('detail', () => {
+    it('throws NotFoundError for unknown codes', async () => {
+      regionRepository.findById.mockResolvedValue(null);
+
+      await expect(regionService.detail('99')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('resolveLocation', () => {
+    it('derives the province from the city and parses coordinates and service areas', async () => {
+      const location = await regionService.resolveLocation({
+        cityId: '32.73',
+        latitude: '-6.9175',
+        longitude: '107.6191',
+        serviceAreas: '32.77, 32,32.77',
+      });
+
+      expect(location).toEqual({
+        data: { cityId: '32.73', provinceId: '32', latitude: -6.9175, longitude: 107.6191 },
+        serviceAreaIds: ['32.77', '32'],
+      });
+    });
+
+    it('only returns the fields that were sent', async () => {
+      await expect(regionService.resolveLocation({ name: 'Budi' })).resolves.toEqual({ data: {}, serviceAreaIds: null });
+      expect(regionRepository.findByIds).toHaveBeenCalledWith([]);
+    });
+
+    it('rejects a city outside the selected province, unknown regions and half coordinates', async () => {
+      const error = await regionService
+        .resolveLocation({ provinceId: '31', cityId: '32.73', latitude: '-6.9', serviceAreas: ['99.99'] })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.map((e) => e.field)).toEqual(['latitude', 'cityId', 'serviceAreas[0]']);
+    });
+
+    it('rejects a province code used as city', async () => {
+      await expect(regionService.resolveLocation({ cityId: '32' })).rejects.toThrow(ValidationError);
+    });
+
+    it('clears the old city when the province changes without a new city', async () => {
+      const location = await regionService.resolveLocation({ provinceId: '31' }, { cityId: '32.73' });
+
+      expect(location.data).toEqual({ provinceId: '31', cityId: null });
+    });
+
+    it('clears coordinates when both are sent empty', async () => {
+      const location = await regionService.resolveLocation({ latitude: '', longitude: '' });
+
+      expect(location.data).toEqual({ latitude: null, longitude: null });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../src/domains/auth/repositories', () => ({
+  refreshTokenRepository: {
+    create: jest.fn(),
+    findById: jest.fn(),
+    markRotated: jest.fn(),
+    revokeFamily: jest.fn(),
+    revokeFamilyForAccount: jest.fn(),
+    revokeAllForAccount: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/utils/jwt-helper', () => ({
+  generateRefreshToken: jest.fn(),
+  verifyToken: jest.fn(),
+  decodeToken: jest.fn(),
+}));
+
+const sessionService = require('../../src/domains/auth/services/session.service');
+const { refreshTokenRepository } = require('../../src/domains/auth/repositories');
+const JWTHelper = require('../../src/utils/jwt-helper');
+const { AuthenticationError } = require('../../src/errors/app-errors');
+
+const activeToken = {
+  id: 'jti-1',
+  accountType: 'USER',
+  accountId: '1',
+  familyId: 'family-1',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  revokedAt: null,
+  revokedReason: null,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('SessionService - Create Session', () => {
+  it('should persist token with jti and family', async () => {
+    JWTHelper.generateRefreshToken.mockReturnValue('refresh-token');
+
+    const result = await sessionService.createSession('USER', '1', { userAgent: 'jest' });
+
+    const stored = refreshTokenRepository.create.mock.calls[0][0];
+    const payload = JWTHelper.generateRefreshToken.mock.calls[0][0];
+
+    expect(result.refreshToken).toBe('refresh-token');
+    expect(stored.familyId).toBe(result.sessionId);
+    expect(payload.jti).toBe(stored.id);
+    expect(payload.sessionId).toBe(result.sessionId);
+  });
+});
+
+describe('SessionService - Rotate', () => {
+  it('should rotate token within the same family', async () => {
+    JWTHelper.verifyToken.mockReturnValue({ id: '1', type: 'refresh', jti: 'jti-1' });
+    JWTHelper.generateRefreshToken.mockReturnValue('new-refresh-token');
+    refreshTokenRepository.findById.mockResolvedValue(activeToken);
+    refreshTokenRepository.markRotated.mockResolvedValue(true);
+
+    const result = await sessionService.rotate('USER', 'refresh-token');
+
+    const stored = refreshTokenRepository.create.mock.calls[0][0];
+
+    expect(refreshTokenRepository.markRotated).toHaveBeenCalledWith('jti-1', stored.id);
+    expect(stored.familyId).toBe('family-1');
+    expect(result.refreshToken).toBe('new-refresh-token');
+    expect(result.sessionId).toBe('family-1');
+  });
+
+  it('should revoke whole family when rotated token is reused', async () => {
+    JWTHelper.verifyToken.mockReturnValue({ id: '1', type: 'refresh', jti: 'jti-1' });
+    refreshTokenRepository.findById.mockResolvedValue({
+      ...activeToken,
+      revokedAt: new Date(),
+      revokedReason: 'ROTATED',
+    });
+
+    await expect(
+      sessionService.rotate('USER', 'old-refresh-token')
+    ).rejects.toBeInstanceOf(AuthenticationError);
+    expect(refreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family-1', 'REUSE_DETECTED');
+    expect(refreshTokenRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject token revoked by logout', async () => {
+    JWTHelper.verifyToken.mockReturnValue({ id: '1', type: 'refresh', jti: 'jti-1' });
+    refreshTokenRepository.findById.mockResolvedValue({
+      ...activeToken,
+      revokedAt: new Date(),
+      revokedReason: 'LOGOUT',
+    });
+
+    await expect(
+      sessionService.rotate('USER', 'refresh-token')
+    ).rejects.toBeInstanceOf(AuthenticationError);
+    expect(refreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+  });
+
+  it('should reject token issued for another account type', async () => {
+    JWTHelper.verifyToken.mockReturnValue({ id: '1', type: 'refresh', jti: 'jti-1' });
+    refreshTokenRepository.findById.mockResolvedValue(activeToken);
+
+    await expect(
+      sessionService.rotate('ADMIN', 'refresh-token')
+    ).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  it('should reject legacy token without jti', async () => {
+    JWTHelper.verifyToken.mockReturnValue({ id: '1', type: 'refresh' });
+
+    await expect(
+      sessionService.rotate('USER', 'legacy-token')
+    ).rejects.toBeInstanceOf(AuthenticationError);
+  });
+});
+
+describe('SessionService - Revoke', () => {
+  it('should revoke current session on logout', async () => {
+    refreshTokenRepository.revokeFamilyForAccount.mockResolvedValue({ count: 1 });
+
+    const count = await sessionService.revokeSession('USER', '1', { sessionId: 'family-1' });
+
+    expect(count).toBe(1);
+    expect(refreshTokenRepository.revokeFamilyForAccount).toHaveBeenCalledWith(
+      'USER',
+      '1',
+      'family-1',
+      'LOGOUT'
+    );
+  });
+
+  it('should revoke all sessions on logout all', async () => {
+    refreshTokenRepository.revokeAllForAccount.mockResolvedValue({ count: 3 });
+
+    const count = await sessionService.revokeAllSessions('ARCHITECT', '1');
+
+    expect(count).toBe(3);
+    expect(refreshTokenRepository.revokeAllForAccount).toHaveBeenCalledWith(
+      'ARCHITECT',
+      '1',
+      'LOGOUT_ALL'
+    );
+  });
+});
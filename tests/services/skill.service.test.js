@@ -0,0 +1,99 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  skillRepository: {
+    findBySlugs: jest.fn(),
+    findOrCreate: jest.fn(),
+    findByIdWithAliases: jest.fn(),
+    isSlugTaken: jest.fn(),
+    createAlias: jest.fn(),
+    merge: jest.fn(),
+  },
+}));
+
+const skillService = require('../../src/domains/architects/services/skill.service');
+const { skillRepository } = require('../../src/domains/architects/repositories');
+const { ValidationError, ConflictError, BadRequestError } = require('../../src/errors/app-errors');
+
+const autocad = {
+  id: 'skill-1',
+  name: 'AutoCAD',
+  slug: 'autocad',
+  aliases: [{ id: 'alias-1', name: 'Auto-CAD 2D', slug: 'autocad2d' }],
+};
+
+describe('SkillService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseNames', () => {
+    it('accepts arrays, JSON strings and comma lists and dedupes by slug', () => {
+      expect(skillService.parseNames(['AutoCAD', ' auto  cad ', 'Revit'])).toEqual(['AutoCAD', 'Revit']);
+      expect(skillService.parseNames('["Revit","SketchUp"]')).toEqual(['Revit', 'SketchUp']);
+      expect(skillService.parseNames('Revit, SketchUp,')).toEqual(['Revit', 'SketchUp']);
+      expect(skillService.parseNames(undefined)).toEqual([]);
+    });
+
+    it('rejects malformed JSON', () => {
+      expect(() => skillService.parseNames('["Revit"')).toThrow(ValidationError);
+    });
+  });
+
+  describe('resolveSkills', () => {
+    it('maps spelling variants and aliases to the canonical skill and creates unknown ones', async () => {
+      skillRepository.findBySlugs.mockResolvedValue([autocad]);
+      skillRepository.findOrCreate.mockResolvedValue({ id: 'skill-2', name: 'Revit', slug: 'revit' });
+
+      const skills = await skillService.resolveSkills(['Auto Cad', 'Auto-CAD 2D', 'Revit']);
+
+      expect(skillRepository.findBySlugs).toHaveBeenCalledWith(['autocad', 'autocad2d', 'revit']);
+      expect(skillRepository.findOrCreate).toHaveBeenCalledTimes(1);
+      expect(skillRepository.findOrCreate).toHaveBeenCalledWith('Revit', 'revit');
+      expect(skills.map((skill) => skill.id)).toEqual(['skill-1', 'skill-2']);
+    });
+
+    it('validates names before touching the database', async () => {
+      await expect(skillService.resolveSkills(['x'.repeat(51)])).rejects.toThrow(ValidationError);
+      await expect(skillService.resolveSkills(['---'])).rejects.toThrow(ValidationError);
+      expect(skillRepository.findBySlugs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('canonicalSlugs', () => {
+    it('translates aliases and keeps unknown slugs', async () => {
+      skillRepository.findBySlugs.mockResolvedValue([autocad]);
+
+      await expect(skillService.canonicalSlugs(['Auto-CAD 2D', 'BIM'])).resolves.toEqual(['autocad', 'bim']);
+      await expect(skillService.canonicalSlugs([])).resolves.toEqual([]);
+    });
+  });
+
+  describe('addAlias', () => {
+    it('rejects an alias that collides with an existing skill or alias', async () => {
+      skillRepository.findByIdWithAliases.mockResolvedValue(autocad);
+      skillRepository.isSlugTaken.mockResolvedValue(true);
+
+      await expect(skillService.addAlias('skill-1', { name: 'Auto CAD 2D' })).rejects.toThrow(ConflictError);
+      expect(skillRepository.isSlugTaken).toHaveBeenCalledWith('autocad2d');
+      expect(skillRepository.createAlias).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('merge', () => {
+    it('requires a different target skill', async () => {
+      await expect(skillService.merge('skill-1', {})).rejects.toThrow(BadRequestError);
+      await expect(skillService.merge('skill-1', { targetId: 'skill-1' })).rejects.toThrow(BadRequestError);
+      expect(skillRepository.merge).not.toHaveBeenCalled();
+    });
+
+    it('moves architects into the target and returns the refreshed target', async () => {
+      const source = { id: 'skill-3', name: 'Auto Cad', slug: 'autocadlegacy', aliases: [] };
+      skillRepository.findByIdWithAliases.mockImplementation(async (id) => (id === 'skill-3' ? source : autocad));
+      skillRepository.merge.mockResolvedValue(4);
+
+      const result = await skillService.merge('skill-3', { targetId: 'skill-1' });
+
+      expect(skillRepository.merge).toHaveBeenCalledWith(source, autocad);
+      expect(result).toEqual({ skill: autocad, movedArchitects: 4 });
+    });
+  });
+});
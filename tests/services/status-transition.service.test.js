@@ -0,0 +1,98 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findByIdOrFail: jest.fn(),
+  },
+  transactionRepository: {
+    findByIdOrFail: jest.fn(),
+  },
+  statusChangeRepository: {
+    findByTransactionId: jest.fn(),
+    findByArchitectId: jest.fn(),
+    findActors: jest.fn(),
+  },
+}));
+
+const statusTransitionService = require('../../src/domains/architects/services/status-transition.service');
+const {
+  architectRepository,
+  transactionRepository,
+  statusChangeRepository,
+} = require('../../src/domains/architects/repositories');
+const { BadRequestError } = require('../../src/errors/app-errors');
+
+describe('StatusTransitionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('transaction rules', () => {
+    it.each([
+      ['PENDING', 'SUCCESS', 'WEBHOOK', true],
+      ['PENDING', 'SUCCESS', 'ADMIN', true],
+      ['PENDING', 'EXPIRED', 'CRON', true],
+      ['EXPIRED', 'SUCCESS', 'WEBHOOK', true],
+      ['EXPIRED', 'SUCCESS', 'RECONCILIATION', true],
+      ['EXPIRED', 'SUCCESS', 'ADMIN', false],
+      ['SUCCESS', 'FAILED', 'WEBHOOK', false],
+      ['SUCCESS', 'REFUNDED', 'ADMIN', true],
+      ['CANCELLED', 'SUCCESS', 'WEBHOOK', false],
+    ])('%s -> %s by %s is %s', (from, to, source, allowed) => {
+      expect(statusTransitionService.canTransition('TRANSACTION', from, to, source)).toBe(allowed);
+    });
+
+    it('lists the statuses a gateway success may come from', () => {
+      expect(statusTransitionService.allowedFrom('TRANSACTION', 'SUCCESS', 'WEBHOOK')).toEqual([
+        'PENDING',
+        'FAILED',
+        'EXPIRED',
+      ]);
+    });
+
+    it('throws a readable error for forbidden transitions', () => {
+      expect(() => statusTransitionService.assertTransition('TRANSACTION', 'EXPIRED', 'SUCCESS', 'ADMIN')).toThrow(
+        new BadRequestError('Transaction status cannot change from EXPIRED to SUCCESS')
+      );
+    });
+  });
+
+  describe('architect rules', () => {
+    it('only lets admins lift a ban', () => {
+      expect(statusTransitionService.canTransition('ARCHITECT', 'BANNED', 'ACTIVE', 'WEBHOOK')).toBe(false);
+      expect(statusTransitionService.allowedTargets('ARCHITECT', 'BANNED', 'ADMIN')).toEqual(['ACTIVE', 'EXPIRED', 'UNPAID']);
+    });
+
+    it('does not send an active architect back to UNPAID', () => {
+      expect(statusTransitionService.canTransition('ARCHITECT', 'ACTIVE', 'UNPAID', 'ADMIN')).toBe(false);
+    });
+  });
+
+  describe('getTransactionTimeline', () => {
+    it('returns changes with the admin who made them', async () => {
+      transactionRepository.findByIdOrFail.mockResolvedValue({ id: 'tx-1', orderId: 'ARCH-1', status: 'SUCCESS' });
+      statusChangeRepository.findByTransactionId.mockResolvedValue([
+        { id: 'sc-1', fromStatus: null, toStatus: 'PENDING', source: 'SYSTEM', actorId: null },
+        { id: 'sc-2', fromStatus: 'PENDING', toStatus: 'SUCCESS', source: 'ADMIN', actorId: 'admin-1' },
+      ]);
+      statusChangeRepository.findActors.mockResolvedValue([{ id: 'admin-1', fullName: 'Admin', email: 'a@x' }]);
+
+      const timeline = await statusTransitionService.getTransactionTimeline('tx-1');
+
+      expect(statusChangeRepository.findActors).toHaveBeenCalledWith(['admin-1']);
+      expect(timeline.allowedTransitions).toEqual(['REFUNDED']);
+      expect(timeline.changes.map((c) => c.actor)).toEqual([null, { id: 'admin-1', fullName: 'Admin', email: 'a@x' }]);
+    });
+  });
+
+  describe('getArchitectTimeline', () => {
+    it('caps the page size', async () => {
+      architectRepository.findByIdOrFail.mockResolvedValue({ id: 'arch-1', status: 'ACTIVE' });
+      statusChangeRepository.findByArchitectId.mockResolvedValue({ data: [], pagination: { page: 1 } });
+      statusChangeRepository.findActors.mockResolvedValue([]);
+
+      const timeline = await statusTransitionService.getArchitectTimeline('arch-1', { limit: '500' });
+
+      expect(statusChangeRepository.findByArchitectId).toHaveBeenCalledWith('arch-1', { page: 1, limit: 100 });
+      expect(timeline.allowedTransitions).toEqual(['EXPIRED', 'BANNED']);
+    });
+  });
+});
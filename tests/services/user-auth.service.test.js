@@ -7,6 +7,22 @@ jest.mock('../../src/domains/users/repositories', () => ({
   },
 }));
 
+jest.mock('../../src/domains/auth/services', () => ({
+  passwordResetService: {
+    invalidateTokens: jest.fn(),
+  },
+  emailVerificationService: {
+    sendVerification: jest.fn(),
+  },
+  sessionService: {
+    createSession: jest.fn().mockResolvedValue({
+      sessionId: 'session-1',
+      refreshToken: 'refresh-token',
+    }),
+    rotate: jest.fn(),
+  },
+}));
+
 jest.mock('../../src/utils/password-hasher', () => ({
   hash: jest.fn(),
   compare: jest.fn(),
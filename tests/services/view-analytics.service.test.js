@@ -0,0 +1,153 @@
+jest.mock('../../src/domains/views/repositeories/view-analytics.repository', () => ({
+  rollupDay: jest.fn(),
+  getDailyRollups: jest.fn(),
+  getDailyViewCounts: jest.fn(),
+  getUniqueViewersByPeriod: jest.fn(),
+  getUniqueViewersByTarget: jest.fn(),
+  getDesignTitles: jest.fn(),
+}));
+
+const viewAnalyticsService = require('../../src/domains/views/services/view-analytics.service');
+const viewAnalyticsRepository = require('../../src/domains/views/repositeories/view-analytics.repository');
+const { ValidationError } = require('../../src/errors/app-errors');
+
+const day = (iso) => new Date(`${iso}T00:00:00.000Z`);
+
+describe('ViewAnalyticsService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    viewAnalyticsRepository.getDailyRollups.mockResolvedValue([]);
+    viewAnalyticsRepository.getDailyViewCounts.mockResolvedValue([]);
+    viewAnalyticsRepository.getUniqueViewersByPeriod.mockResolvedValue([]);
+    viewAnalyticsRepository.getUniqueViewersByTarget.mockResolvedValue([]);
+    viewAnalyticsRepository.getDesignTitles.mockResolvedValue([]);
+  });
+
+  describe('parseRange', () => {
+    it('defaults to the last 30 days by day', () => {
+      const range = viewAnalyticsService.parseRange({ to: '2026-10-19' });
+
+      expect(range.granularity).toBe('day');
+      expect(range.from).toEqual(day('2026-09-20'));
+      expect(range.toExclusive).toEqual(day('2026-10-20'));
+    });
+
+    it('rejects unknown granularity, invalid dates and inverted or oversized ranges', () => {
+      expect(() => viewAnalyticsService.parseRange({ granularity: 'month' })).toThrow(ValidationError);
+      expect(() => viewAnalyticsService.parseRange({ from: 'kemarin' })).toThrow(ValidationError);
+      expect(() => viewAnalyticsService.parseRange({ from: '2026-10-10', to: '2026-10-01' })).toThrow(ValidationError);
+      expect(() => viewAnalyticsService.parseRange({ from: '2024-01-01', to: '2026-01-01' })).toThrow(ValidationError);
+    });
+  });
+
+  describe('getArchitectAnalytics', () => {
+    it('builds zero-filled daily series with per-design breakdown', async () => {
+      viewAnalyticsRepository.getDesignTitles.mockResolvedValue([
+        { id: 'd-1', title: 'Rumah A' },
+        { id: 'd-2', title: 'Rumah B' },
+      ]);
+      viewAnalyticsRepository.getDailyRollups.mockResolvedValue([
+        { date: day('2026-10-01'), targetType: 'ARCHITECT_PROFILE', targetId: 'arch-1', views: 4 },
+        { date: day('2026-10-01'), targetType: 'DESIGN', targetId: 'd-2', views: 3 },
+        { date: day('2026-10-03'), targetType: 'DESIGN', targetId: 'd-2', views: 2 },
+      ]);
+      viewAnalyticsRepository.getUniqueViewersByPeriod.mockResolvedValue([
+        { period: day('2026-10-01'), uniqueViewers: 5 },
+      ]);
+      viewAnalyticsRepository.getUniqueViewersByTarget.mockResolvedValue([
+        { targetId: 'arch-1', uniqueViewers: 3 },
+        { targetId: 'd-2', uniqueViewers: 2 },
+      ]);
+
+      const result = await viewAnalyticsService.getArchitectAnalytics('arch-1', {
+        from: '2026-10-01',
+        to: '2026-10-03',
+      });
+
+      expect(result.range).toEqual({ from: '2026-10-01', to: '2026-10-03', granularity: 'day' });
+      expect(result.totals).toEqual({ profileViews: 4, designViews: 5, profileUniqueViewers: 3 });
+      expect(result.series).toEqual([
+        { period: '2026-10-01', profileViews: 4, designViews: 3, uniqueViewers: 5 },
+        { period: '2026-10-02', profileViews: 0, designViews: 0, uniqueViewers: 0 },
+        { period: '2026-10-03', profileViews: 0, designViews: 2, uniqueViewers: 0 },
+      ]);
+      expect(result.designs[0]).toEqual({
+        designId: 'd-2',
+        title: 'Rumah B',
+        views: 5,
+        uniqueViewers: 2,
+        series: [
+          { period: '2026-10-01', views: 3 },
+          { period: '2026-10-02', views: 0 },
+          { period: '2026-10-03', views: 2 },
+        ],
+      });
+      expect(result.designs[1]).toMatchObject({ designId: 'd-1', views: 0 });
+    });
+
+    it('buckets rollups into Monday-based weeks', async () => {
+      viewAnalyticsRepository.getDailyRollups.mockResolvedValue([
+        { date: day('2026-10-05'), targetType: 'ARCHITECT_PROFILE', targetId: 'arch-1', views: 1 },
+        { date: day('2026-10-11'), targetType: 'ARCHITECT_PROFILE', targetId: 'arch-1', views: 2 },
+        { date: day('2026-10-12'), targetType: 'ARCHITECT_PROFILE', targetId: 'arch-1', views: 7 },
+      ]);
+
+      const result = await viewAnalyticsService.getArchitectAnalytics('arch-1', {
+        from: '2026-10-07',
+        to: '2026-10-14',
+        granularity: 'week',
+      });
+
+      expect(result.series.map((p) => [p.period, p.profileViews])).toEqual([
+        ['2026-10-05', 3],
+        ['2026-10-12', 7],
+      ]);
+      expect(viewAnalyticsRepository.getUniqueViewersByPeriod).toHaveBeenCalledWith(
+        'arch-1',
+        day('2026-10-07'),
+        day('2026-10-15'),
+        'week'
+      );
+    });
+  });
+
+  describe('getArchitectAnalytics (not yet rolled up)', () => {
+    it('counts yesterday and today from raw events and older days from rollups', async () => {
+      viewAnalyticsRepository.getDailyRollups.mockResolvedValue([
+        { date: day('2026-10-17'), targetType: 'ARCHITECT_PROFILE', targetId: 'arch-1', views: 2 },
+      ]);
+      viewAnalyticsRepository.getDailyViewCounts.mockResolvedValue([
+        { date: day('2026-10-18'), targetType: 'ARCHITECT_PROFILE', targetId: 'arch-1', views: 1 },
+        { date: day('2026-10-19'), targetType: 'ARCHITECT_PROFILE', targetId: 'arch-1', views: 6 },
+      ]);
+
+      const result = await viewAnalyticsService.getArchitectAnalytics(
+        'arch-1',
+        { from: '2026-10-17', to: '2026-10-19' },
+        new Date('2026-10-19T10:00:00.000Z')
+      );
+
+      expect(viewAnalyticsRepository.getDailyRollups).toHaveBeenCalledWith('arch-1', day('2026-10-17'), day('2026-10-17'));
+      expect(viewAnalyticsRepository.getDailyViewCounts).toHaveBeenCalledWith('arch-1', day('2026-10-18'), day('2026-10-20'));
+      expect(result.series.map((p) => p.profileViews)).toEqual([2, 1, 6]);
+      expect(result.totals.profileViews).toBe(9);
+    });
+
+    it('skips rollups when the whole range is recent', async () => {
+      await viewAnalyticsService.getArchitectAnalytics('arch-1', { from: '2026-10-19', to: '2026-10-19' }, new Date('2026-10-19T10:00:00.000Z'));
+
+      expect(viewAnalyticsRepository.getDailyRollups).not.toHaveBeenCalled();
+      expect(viewAnalyticsRepository.getDailyViewCounts).toHaveBeenCalledWith('arch-1', day('2026-10-19'), day('2026-10-20'));
+    });
+  });
+
+  describe('rollupRecentDays', () => {
+    it('re-rolls yesterday and today (UTC)', async () => {
+      const result = await viewAnalyticsService.rollupRecentDays(new Date('2026-10-19T00:30:00.000Z'));
+
+      expect(viewAnalyticsRepository.rollupDay).toHaveBeenNthCalledWith(1, day('2026-10-18'));
+      expect(viewAnalyticsRepository.rollupDay).toHaveBeenNthCalledWith(2, day('2026-10-19'));
+      expect(result.days).toEqual(['2026-10-18', '2026-10-19']);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../../src/domains/views/repositeories/view.repository', () => ({
+  getArsipediaSummary: jest.fn(),
+  getArchitectSummary: jest.fn(),
+  targetExists: jest.fn(),
+}));
+
+jest.mock('../../src/domains/views/repositeories/anonymous-view.repository', () => ({
+  recordView: jest.fn(),
+  getSummary: jest.fn(),
+}));
+
+const viewService = require('../../src/domains/views/services/view.service');
+const viewRepository = require('../../src/domains/views/repositeories/view.repository');
+const anonymousViewRepository = require('../../src/domains/views/repositeories/anonymous-view.repository');
+const VisitorFingerprint = require('../../src/utils/visitor-fingerprint');
+const { NotFoundError } = require('../../src/errors/app-errors');
+
+describe('ViewService - anonymous views', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z').getTime();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    delete process.env.ANONYMOUS_VIEW_DEDUP_MINUTES;
+    viewRepository.targetExists.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  it('deduplicates within the default 30 minute window', async () => {
+    anonymousViewRepository.recordView.mockResolvedValue(false);
+
+    const result = await viewService.recordAnonymousView('ARSIPEDIA', 'a1', 'hash-1');
+
+    expect(anonymousViewRepository.recordView).toHaveBeenCalledWith(
+      'ARSIPEDIA',
+      'a1',
+      'hash-1',
+      new Date(now - 30 * 60 * 1000)
+    );
+    expect(result).toEqual({ counted: false });
+  });
+
+  it('uses ANONYMOUS_VIEW_DEDUP_MINUTES when configured', async () => {
+    process.env.ANONYMOUS_VIEW_DEDUP_MINUTES = '1440';
+    anonymousViewRepository.recordView.mockResolvedValue(true);
+
+    const result = await viewService.recordAnonymousView('ARCHITECT_PROFILE', 'arch-1', 'hash-1');
+
+    expect(anonymousViewRepository.recordView.mock.calls[0][3]).toEqual(new Date(now - 1440 * 60 * 1000));
+    expect(result).toEqual({ counted: true });
+  });
+
+  it('rejects views for targets that do not exist', async () => {
+    viewRepository.targetExists.mockResolvedValue(false);
+
+    await expect(viewService.recordAnonymousView('ARSIPEDIA', 'random-id', 'hash-1')).rejects.toThrow(NotFoundError);
+    expect(viewRepository.targetExists).toHaveBeenCalledWith('ARSIPEDIA', 'random-id');
+    expect(anonymousViewRepository.recordView).not.toHaveBeenCalled();
+  });
+
+  it('reports anonymous views separately in the architect summary', async () => {
+    viewRepository.getArchitectSummary.mockResolvedValue({ totalViews: 3, uniqueViewers: 2, myViews: null });
+    anonymousViewRepository.getSummary.mockResolvedValue({ totalViews: 10, uniqueVisitors: 6 });
+
+    const result = await viewService.getArchitectSummary('arch-1', null);
+
+    expect(anonymousViewRepository.getSummary).toHaveBeenCalledWith('ARCHITECT_PROFILE', 'arch-1');
+    expect(result).toEqual({
+      totalViews: 3,
+      uniqueViewers: 2,
+      myViews: null,
+      anonymous: { totalViews: 10, uniqueVisitors: 6 },
+    });
+  });
+});
+
+describe('VisitorFingerprint', () => {
+  const visitorId = '3f1c2a7e-5b8d-4c9e-a1f0-123456789abc';
+
+  it('hashes the visitor cookie without exposing it', () => {
+    const req = { cookies: { [VisitorFingerprint.COOKIE_NAME]: visitorId }, headers: {} };
+    const res = { cookie: jest.fn() };
+
+    const result = VisitorFingerprint.resolve(req, res);
+
+    expect(result.source).toBe('cookie');
+    expect(result.visitorHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(result.visitorHash).not.toContain(visitorId);
+    expect(res.cookie).not.toHaveBeenCalled();
+  });
+
+  it('issues a cookie and uses the same hash the next request will send', () => {
+    const req = { cookies: {}, ip: '10.0.0.1', headers: { 'user-agent': 'Mozilla/5.0' } };
+    const res = { cookie: jest.fn() };
+
+    const first = VisitorFingerprint.resolve(req, res);
+    const issuedId = res.cookie.mock.calls[0][1];
+    const second = VisitorFingerprint.resolve({ ...req, cookies: { [VisitorFingerprint.COOKIE_NAME]: issuedId } }, res);
+
+    expect(first.source).toBe('cookie');
+    expect(first.visitorHash).toBe(second.visitorHash);
+    expect(res.cookie).toHaveBeenCalledTimes(1);
+    expect(res.cookie).toHaveBeenCalledWith(
+      VisitorFingerprint.COOKIE_NAME,
+      expect.stringMatching(/^[0-9a-f-]{36}$/),
+      expect.objectContaining({ httpOnly: true })
+    );
+  });
+
+  it('falls back to IP + user agent when no cookie can be set', () => {
+    const req = { cookies: {}, ip: '10.0.0.1', headers: { 'user-agent': 'Mozilla/5.0' } };
+
+    const first = VisitorFingerprint.resolve(req, {});
+    const second = VisitorFingerprint.resolve(req);
+
+    expect(first.source).toBe('ip_ua');
+    expect(first.visitorHash).toBe(second.visitorHash);
+  });
+});
@@ -0,0 +1,188 @@
+jest.mock('../../src/domains/architects/repositories', () => ({
+  architectRepository: {
+    findByIdOrFail: jest.fn(),
+  },
+  transactionRepository: {
+    findByOrderId: jest.fn(),
+    transitionStatus: jest.fn(),
+  },
+  promoCodeRepository: {
+    releaseRedemption: jest.fn(),
+  },
+  webhookEventRepository: {
+    create: jest.fn(),
+    findCompletedByDedupeKey: jest.fn(),
+    markResult: jest.fn(),
+    findById: jest.fn(),
+    findByIdOrFail: jest.fn(),
+    incrementReplayCount: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/common/services/payment.service', () => ({
+  verifyWebhook: jest.fn(),
+  processWebhookNotification: jest.fn(),
+}));
+
+jest.mock('../../src/common/services/email.service', () => ({
+  sendWelcomeEmail: jest.fn(),
+  sendMembershipRenewedEmail: jest.fn(),
+  sendPaymentFailedEmail: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/services/membership.service', () => ({
+  activateMembership: jest.fn(),
+}));
+
+jest.mock('../../src/domains/architects/services/invoice.service', () => ({
+  getEmailAttachments: jest.fn().mockResolvedValue([]),
+}));
+
+const webhookService = require('../../src/domains/architects/services/webhook.service');
+const { transactionRepository, webhookEventRepository } = require('../../src/domains/architects/repositories');
+const paymentService = require('../../src/common/services/payment.service');
+const membershipService = require('../../src/domains/architects/services/membership.service');
+const { BadRequestError, NotFoundError } = require('../../src/errors/app-errors');
+
+const notification = (overrides = {}) => ({
+  order_id: 'ARCH-1',
+  transaction_id: 'mid-1',
+  transaction_status: 'settlement',
+  status_code: '200',
+  gross_amount: '500000.00',
+  signature_key: 'sig',
+  payment_type: 'gopay',
+  ...overrides,
+});
+
+const processed = (status, overrides = {}) => ({
+  orderId: 'ARCH-1',
+  status,
+  shouldActivate: status === 'SUCCESS',
+  paymentType: 'gopay',
+  paymentMethod: 'E_WALLET',
+  rawNotification: notification(),
+  ...overrides,
+});
+
+describe('WebhookService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    paymentService.verifyWebhook.mockReturnValue(true);
+    webhookEventRepository.create.mockImplementation(async (data) => ({ id: 'evt-1', ...data }));
+    webhookEventRepository.findCompletedByDedupeKey.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('receiveMidtransWebhook', () => {
+    it('stores events with an invalid signature without processing them', async () => {
+      paymentService.verifyWebhook.mockReturnValue(false);
+
+      const result = await webhookService.receiveMidtransWebhook(notification());
+
+      expect(result.invalidSignature).toBe(true);
+      expect(webhookEventRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ signatureValid: false, result: 'INVALID_SIGNATURE', dedupeKey: null })
+      );
+      expect(paymentService.processWebhookNotification).not.toHaveBeenCalled();
+    });
+
+    it('marks repeated transaction_id+status notifications as duplicates', async () => {
+      webhookEventRepository.findCompletedByDedupeKey.mockResolvedValue({ id: 'evt-0', transactionId: 'tx-1' });
+
+      const result = await webhookService.receiveMidtransWebhook(notification());
+
+      expect(webhookEventRepository.findCompletedByDedupeKey).toHaveBeenCalledWith('mid-1:settlement', 'evt-1');
+      expect(webhookEventRepository.markResult).toHaveBeenCalledWith('evt-1', 'DUPLICATE', { transactionId: 'tx-1' });
+      expect(result.duplicate).toBe(true);
+      expect(paymentService.processWebhookNotification).not.toHaveBeenCalled();
+    });
+
+    it('applies a settlement to a pending transaction', async () => {
+      const transaction = { id: 'tx-1', status: 'PENDING', type: 'REGISTRATION', architectId: 'arch-1' };
+      paymentService.processWebhookNotification.mockReturnValue(processed('SUCCESS'));
+      transactionRepository.findByOrderId.mockResolvedValue(transaction);
+      transactionRepository.transitionStatus.mockResolvedValue(true);
+      membershipService.activateMembership.mockResolvedValue({ architect: { id: 'arch-1' }, periodEnd: new Date() });
+
+      const result = await webhookService.receiveMidtransWebhook(notification());
+
+      expect(transactionRepository.transitionStatus).toHaveBeenCalledWith(
+        'tx-1',
+        ['PENDING', 'FAILED', 'EXPIRED'],
+        expect.objectContaining({ status: 'SUCCESS', paymentMethod: 'E_WALLET' }),
+        expect.objectContaining({ source: 'WEBHOOK', metadata: expect.objectContaining({ webhookEventId: 'evt-1' }) })
+      );
+      expect(membershipService.activateMembership).toHaveBeenCalledWith(
+        transaction,
+        expect.any(Date),
+        expect.objectContaining({ source: 'WEBHOOK' })
+      );
+      expect(webhookEventRepository.markResult).toHaveBeenCalledWith('evt-1', 'PROCESSED', { transactionId: 'tx-1' });
+      expect(result.applied).toBe(true);
+    });
+
+    it('never downgrades a paid transaction on an out-of-order notification', async () => {
+      paymentService.processWebhookNotification.mockReturnValue(processed('PENDING'));
+      transactionRepository.findByOrderId.mockResolvedValue({ id: 'tx-1', status: 'SUCCESS' });
+
+      const result = await webhookService.receiveMidtransWebhook(notification({ transaction_status: 'pending' }));
+
+      expect(transactionRepository.transitionStatus).not.toHaveBeenCalled();
+      expect(webhookEventRepository.markResult).toHaveBeenCalledWith('evt-1', 'IGNORED', { transactionId: 'tx-1' });
+      expect(result.applied).toBe(false);
+    });
+
+    it('does not activate twice when another notification won the race', async () => {
+      paymentService.processWebhookNotification.mockReturnValue(processed('SUCCESS'));
+      transactionRepository.findByOrderId.mockResolvedValue({ id: 'tx-1', status: 'PENDING' });
+      transactionRepository.transitionStatus.mockResolvedValue(false);
+
+      const result = await webhookService.receiveMidtransWebhook(notification({ transaction_status: 'capture' }));
+
+      expect(membershipService.activateMembership).not.toHaveBeenCalled();
+      expect(webhookEventRepository.markResult).toHaveBeenCalledWith('evt-1', 'IGNORED', { transactionId: 'tx-1' });
+      expect(result.applied).toBe(false);
+    });
+
+    it('records processing errors on the event', async () => {
+      paymentService.processWebhookNotification.mockReturnValue(processed('SUCCESS'));
+      transactionRepository.findByOrderId.mockResolvedValue(null);
+
+      await expect(webhookService.receiveMidtransWebhook(notification())).rejects.toThrow(NotFoundError);
+      expect(webhookEventRepository.markResult).toHaveBeenCalledWith('evt-1', 'FAILED', {
+        error: 'Transaction with order ID ARCH-1 not found',
+      });
+    });
+  });
+
+  describe('replayEvent', () => {
+    it('refuses events with an invalid signature', async () => {
+      webhookEventRepository.findByIdOrFail.mockResolvedValue({ id: 'evt-1', signatureValid: false });
+
+      await expect(webhookService.replayEvent('evt-1')).rejects.toThrow(BadRequestError);
+      expect(webhookEventRepository.incrementReplayCount).not.toHaveBeenCalled();
+    });
+
+    it('reprocesses the stored payload', async () => {
+      const event = { id: 'evt-1', signatureValid: true, payload: notification({ transaction_status: 'deny' }) };
+      webhookEventRepository.findByIdOrFail.mockResolvedValue(event);
+      webhookEventRepository.findById.mockResolvedValue({ ...event, result: 'PROCESSED', replayCount: 1 });
+      paymentService.processWebhookNotification.mockReturnValue(processed('FAILED'));
+      transactionRepository.findByOrderId.mockResolvedValue({ id: 'tx-1', status: 'SUCCESS' });
+
+      const { event: replayed, result } = await webhookService.replayEvent('evt-1');
+
+      expect(paymentService.processWebhookNotification).toHaveBeenCalledWith(event.payload);
+      expect(webhookEventRepository.incrementReplayCount).toHaveBeenCalledWith('evt-1');
+      expect(result.applied).toBe(false);
+      expect(replayed.replayCount).toBe(1);
+    });
+  });
+});